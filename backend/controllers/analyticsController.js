@@ -1,9 +1,50 @@
 const { validationResult } = require('express-validator');
 const Content = require('../models/Content');
 const Analytics = require('../models/Analytics');
+const Campaign = require('../models/Campaign');
+const usageService = require('../utils/usageService');
+const sentimentService = require('../utils/sentimentService');
+const { selectModel } = require('../utils/llm');
 const logger = require('../utils/logger');
 const { APIError } = require('../middlewares/errorHandler');
 
+/**
+ * Build sentiment analysis options for a request: the workspace AI model,
+ * billed to the requesting user
+ * @param {Request} req - Express request object
+ * @param {string} [contentId] - Content the analysis belongs to
+ * @returns {Object} Analysis options
+ */
+const buildSentimentOptions = (req, contentId) => ({
+    aspects: req.body.aspects,
+    ai: selectModel(req.user.company.settings?.ai),
+    meter: { company: req.user.company, user: req.user._id, contentId }
+});
+
+/**
+ * Add up per-content metrics; sentiment is the mean of the items that have one
+ * @param {Object[]} items - Metrics (views, likes, shares, comments, sentiment)
+ * @returns {Object} Summed metrics with engagement
+ */
+const sumMetrics = (items) => {
+    const totals = { views: 0, likes: 0, shares: 0, comments: 0 };
+    items.forEach(item => {
+        Object.keys(totals).forEach(key => {
+            totals[key] += item[key] || 0;
+        });
+    });
+
+    const scored = items.filter(item => typeof item.sentiment === 'number');
+
+    return {
+        ...totals,
+        engagement: totals.likes + totals.shares + totals.comments,
+        sentiment: scored.length
+            ? scored.reduce((sum, item) => sum + item.sentiment, 0) / scored.length
+            : null
+    };
+};
+
 class AnalyticsController {
     /**
      * Get dashboard analytics
@@ -243,15 +284,40 @@ class AnalyticsController {
                                 score: '$sentiment.overall.score',
                                 timestamp: '$sentiment.overall.lastAnalyzed'
                             }
-                        }
+                        },
+                        aspects: { $push: '$sentiment.aspects' }
                     }
                 }
             ]);
 
+            if (!sentiment[0]) {
+                return res.json({
+                    sentiment: {
+                        averageSentiment: 0,
+                        sentimentDistribution: [],
+                        aspects: []
+                    }
+                });
+            }
+
+            // Average each aspect across content, weighted by how often it was mentioned
+            const aspectTotals = new Map();
+            sentiment[0].aspects.flat().forEach(({ aspect, score, mentions }) => {
+                const total = aspectTotals.get(aspect) || { score: 0, mentions: 0 };
+                aspectTotals.set(aspect, {
+                    score: total.score + score * mentions,
+                    mentions: total.mentions + mentions
+                });
+            });
+
             res.json({
-                sentiment: sentiment[0] || {
-                    averageSentiment: 0,
-                    sentimentDistribution: []
+                sentiment: {
+                    ...sentiment[0],
+                    aspects: [...aspectTotals].map(([aspect, total]) => ({
+                        aspect,
+                        score: total.score / total.mentions,
+                        mentions: total.mentions
+                    }))
                 }
             });
 
@@ -771,6 +837,258 @@ class AnalyticsController {
                 return data;
         }
     }
+
+    /**
+     * Get AI token usage and estimated cost. Owners and admins see the whole
+     * workspace; other members only see their own usage.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getAIUsage(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const company = req.user.company;
+            const canViewAll = company.hasRole(req.user._id, ['owner', 'admin']);
+            const period = usageService.getPeriod();
+
+            const filters = {
+                startDate: req.query.startDate ? new Date(req.query.startDate) : period.start,
+                endDate: req.query.endDate ? new Date(req.query.endDate) : new Date(),
+                userId: canViewAll ? req.query.userId : req.user._id
+            };
+
+            const [report, quota] = await Promise.all([
+                usageService.getReport(company._id, filters),
+                usageService.getQuotaStatus(company, req.user._id)
+            ]);
+
+            res.json({
+                period: {
+                    startDate: filters.startDate,
+                    endDate: filters.endDate
+                },
+                ...report,
+                quota
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Roll up the metrics of a campaign's content: totals, per content type,
+     * per content item and per channel
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getCampaignAnalytics(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const campaign = await Campaign.findOne({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!campaign) {
+                throw new APIError('Campaign not found', 404);
+            }
+
+            const { startDate, endDate } = req.query;
+            const dateRange = {
+                $gte: startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+                $lte: endDate ? new Date(endDate) : new Date()
+            };
+
+            const contents = await Content.find({ campaign: campaign._id })
+                .select('title type status locale');
+            const match = {
+                company: req.user.company._id,
+                contentId: { $in: contents.map(content => content._id) }
+            };
+
+            const [contentMetrics, channelMetrics] = await Promise.all([
+                Analytics.aggregate([
+                    { $match: { ...match, 'timeSeriesData.date': dateRange } },
+                    { $unwind: '$timeSeriesData' },
+                    { $match: { 'timeSeriesData.date': dateRange } },
+                    {
+                        $group: {
+                            _id: '$contentId',
+                            views: { $sum: '$timeSeriesData.metrics.views' },
+                            likes: { $sum: '$timeSeriesData.metrics.likes' },
+                            shares: { $sum: '$timeSeriesData.metrics.shares' },
+                            comments: { $sum: '$timeSeriesData.metrics.comments' },
+                            sentiment: { $avg: '$timeSeriesData.metrics.sentiment' }
+                        }
+                    }
+                ]),
+                Analytics.aggregate([
+                    { $match: match },
+                    { $unwind: '$metrics.distribution.channels' },
+                    {
+                        $group: {
+                            _id: '$metrics.distribution.channels.platform',
+                            impressions: { $sum: '$metrics.distribution.channels.metrics.impressions' },
+                            clicks: { $sum: '$metrics.distribution.channels.metrics.clicks' },
+                            conversions: { $sum: '$metrics.distribution.channels.metrics.conversions' }
+                        }
+                    }
+                ])
+            ]);
+
+            const byContent = contents.map(content => ({
+                contentId: content._id,
+                title: content.title,
+                type: content.type,
+                status: content.status,
+                locale: content.locale,
+                ...sumMetrics(contentMetrics.filter(item => item._id.equals(content._id)))
+            }));
+
+            const byType = [...new Set(contents.map(content => content.type))].map(type => {
+                const items = byContent.filter(item => item.type === type);
+                return { type, count: items.length, ...sumMetrics(items) };
+            });
+
+            res.json({
+                campaign: {
+                    _id: campaign._id,
+                    name: campaign.name
+                },
+                period: {
+                    startDate: dateRange.$gte,
+                    endDate: dateRange.$lte
+                },
+                totals: {
+                    count: contents.length,
+                    ...sumMetrics(byContent)
+                },
+                byType,
+                byContent,
+                byChannel: channelMetrics.map(({ _id, ...metrics }) => ({ platform: _id, ...metrics }))
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Record a view or engagement event for content, optionally attributed
+     * to an A/B test variant
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async recordEvent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { type, variant, platform, source, comment } = req.body;
+
+            const analytics = await Analytics.findOne({
+                contentId: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!analytics) {
+                throw new APIError('Analytics not found', 404);
+            }
+
+            const event = {
+                timestamp: new Date(),
+                variant,
+                userId: req.user._id
+            };
+
+            if (type === 'view') {
+                await analytics.addView({ ...event, source });
+            } else if (type === 'share') {
+                await analytics.addEngagement('shares', { ...event, platform });
+            } else if (type === 'comment') {
+                await analytics.addEngagement('comments', { ...event, content: comment });
+                await sentimentService.scoreComments(analytics, buildSentimentOptions(req, req.params.id));
+            } else {
+                await analytics.addEngagement('likes', event);
+            }
+
+            res.status(201).json({ message: 'Event recorded successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Analyze the sentiment of a text, overall and per aspect
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async analyzeSentiment(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const sentiment = await sentimentService.analyze(req.body.text, buildSentimentOptions(req));
+
+            res.json({ sentiment });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Score the comments of a content item that have not been analyzed yet
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async scoreContentSentiment(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const analytics = await Analytics.findOne({
+                contentId: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!analytics) {
+                throw new APIError('Analytics not found', 404);
+            }
+
+            const scored = await sentimentService.scoreComments(analytics, buildSentimentOptions(req, req.params.id));
+
+            res.json({
+                message: 'Comment sentiment scored successfully',
+                scored,
+                sentiment: analytics.sentiment
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = new AnalyticsController();
\ No newline at end of file
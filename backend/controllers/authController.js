@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Company = require('../models/Company');
 const logger = require('../utils/logger');
 const { APIError } = require('../middlewares/errorHandler');
 const figmaService = require('../utils/figmaService');
@@ -22,7 +23,7 @@ class AuthController {
                 throw new APIError('Validation error', 400, errors.array());
             }
 
-            const { email, password, name, company } = req.body;
+            const { email, password, name, company, inviteToken } = req.body;
 
             // Check if user already exists
             const existingUser = await User.findOne({ email });
@@ -30,16 +31,42 @@ class AuthController {
                 throw new APIError('User already exists', 409);
             }
 
+            // Users with an invitation join that workspace instead of creating one
+            let workspace = null;
+            let invitation = null;
+            if (inviteToken) {
+                workspace = await Company.findByInvitationToken(inviteToken);
+                invitation = workspace?.getPendingInvitation(inviteToken);
+
+                if (!invitation || invitation.email !== email.toLowerCase()) {
+                    throw new APIError('Invalid or expired invitation', 400);
+                }
+            }
+
             // Create new user
             const user = new User({
                 email,
                 password, // Will be hashed by pre-save middleware
                 name,
-                company
+                position: company?.position
             });
 
             await user.save();
 
+            if (invitation) {
+                workspace.acceptInvitation(invitation, user._id);
+            } else {
+                workspace = new Company({
+                    name: company.name,
+                    members: [{ user: user._id, role: 'owner' }]
+                });
+            }
+
+            await workspace.save();
+
+            user.company = workspace._id;
+            await user.save();
+
             // Generate tokens
             const { accessToken, refreshToken } = this.generateTokens(user);
 
@@ -174,7 +201,8 @@ class AuthController {
                 throw new APIError('Validation error', 400, errors.array());
             }
 
-            const allowedUpdates = ['name', 'company'];
+            // Workspace details are managed through /api/workspaces
+            const allowedUpdates = ['name', 'position'];
             const updates = Object.keys(req.body)
                 .filter(key => allowedUpdates.includes(key))
                 .reduce((obj, key) => {
@@ -0,0 +1,231 @@
+const { validationResult } = require('express-validator');
+const BrandVoice = require('../models/BrandVoice');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+const EDITABLE_FIELDS = ['name', 'description', 'readingLevel', 'vocabulary', 'examples', 'glossary'];
+
+/**
+ * Copy the allowed keys present on an object
+ * @param {Object} source - Source object
+ * @param {string[]} keys - Allowed keys
+ * @returns {Object} Picked values
+ */
+const pick = (source, keys) => keys
+    .filter(key => source[key] !== undefined)
+    .reduce((obj, key) => {
+        obj[key] = source[key];
+        return obj;
+    }, {});
+
+class BrandVoiceController {
+    /**
+     * List brand voices in the active workspace
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listBrandVoices(req, res, next) {
+        try {
+            const brandVoices = await BrandVoice.find({ company: req.user.company._id })
+                .sort({ isDefault: -1, name: 1 });
+
+            res.json({ brandVoices });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a single brand voice
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getBrandVoice(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const brandVoice = await BrandVoice.findOne({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!brandVoice) {
+                throw new APIError('Brand voice not found', 404);
+            }
+
+            res.json({ brandVoice });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create a brand voice
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createBrandVoice(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const brandVoice = new BrandVoice({
+                ...pick(req.body, EDITABLE_FIELDS),
+                company: req.user.company._id,
+                createdBy: req.user._id,
+                updatedBy: req.user._id
+            });
+
+            await brandVoice.save();
+
+            // The first voice in a workspace, or one created as default, becomes the default
+            const existingDefault = await BrandVoice.exists({
+                company: req.user.company._id,
+                isDefault: true
+            });
+
+            if (req.body.isDefault || !existingDefault) {
+                await brandVoice.makeDefault();
+            }
+
+            logger.info('Brand voice created', {
+                brandVoiceId: brandVoice._id,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Brand voice created successfully',
+                brandVoice
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update a brand voice
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async updateBrandVoice(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const brandVoice = await BrandVoice.findOne({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!brandVoice) {
+                throw new APIError('Brand voice not found', 404);
+            }
+
+            brandVoice.set(pick(req.body, EDITABLE_FIELDS));
+            brandVoice.updatedBy = req.user._id;
+            await brandVoice.save();
+
+            logger.info('Brand voice updated', {
+                brandVoiceId: brandVoice._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Brand voice updated successfully',
+                brandVoice
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a brand voice
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async deleteBrandVoice(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const brandVoice = await BrandVoice.findOneAndDelete({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!brandVoice) {
+                throw new APIError('Brand voice not found', 404);
+            }
+
+            logger.info('Brand voice deleted', {
+                brandVoiceId: brandVoice._id,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Brand voice deleted successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Make a brand voice the workspace default
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async setDefaultBrandVoice(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const brandVoice = await BrandVoice.findOne({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!brandVoice) {
+                throw new APIError('Brand voice not found', 404);
+            }
+
+            await brandVoice.makeDefault();
+
+            logger.info('Default brand voice changed', {
+                brandVoiceId: brandVoice._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Default brand voice updated successfully',
+                brandVoice
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new BrandVoiceController();
@@ -0,0 +1,183 @@
+const { validationResult } = require('express-validator');
+const Company = require('../models/Company');
+const contentCalendar = require('../utils/contentCalendar');
+const { isValidTimezone } = require('../utils/timezone');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+/**
+ * Get the calendar settings of the active workspace, with the timezone
+ * requested for this view
+ * @param {Request} req - Express request object
+ * @returns {Object} Timezone and daily limits
+ */
+const getCalendarSettings = (req) => {
+    const settings = contentCalendar.getSettings(req.user.company.toObject().settings);
+    const timezone = req.query.timezone || settings.timezone;
+
+    if (!isValidTimezone(timezone)) {
+        throw new APIError('Invalid timezone', 400);
+    }
+
+    return { ...settings, timezone };
+};
+
+/**
+ * Get the URL of the calendar subscription feed for a token
+ * @param {Request} req - Express request object
+ * @param {string} token - Raw feed token
+ * @returns {string} Feed URL
+ */
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed.ics?token=${token}`;
+
+class CalendarController {
+    /**
+     * Get scheduled and published content by day for a day, week or month,
+     * with the days on which a channel exceeds its daily limit
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getCalendar(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { view = 'week', date, channel } = req.query;
+            const { timezone, dailyLimits } = getCalendarSettings(req);
+
+            const { days, start, end } = contentCalendar.getRange(view, date, timezone);
+            const entries = await contentCalendar.findEntries(req.user.company._id, { start, end, channel });
+
+            res.json({
+                view,
+                timezone,
+                start,
+                end,
+                days: contentCalendar.groupByDay(entries, days, timezone),
+                conflicts: contentCalendar.findConflicts(entries, dailyLimits, timezone),
+                dailyLimits
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Download a day, week or month of the calendar as an iCal file
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async exportCalendar(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { view = 'month', date, channel } = req.query;
+            const { timezone } = getCalendarSettings(req);
+
+            const { days, start, end } = contentCalendar.getRange(view, date, timezone);
+            const entries = await contentCalendar.findEntries(req.user.company._id, { start, end, channel });
+
+            res.set('Content-Disposition', `attachment; filename="content-calendar-${days[0]}.ics"`);
+            res.type('text/calendar').send(contentCalendar.toICal(entries, `${req.user.company.name} content`));
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create the calendar subscription feed of the active workspace. Any
+     * previous feed URL stops working.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createFeed(req, res, next) {
+        try {
+            const workspace = await Company.findById(req.user.company._id);
+            const token = workspace.createCalendarFeed(req.user._id);
+            await workspace.save();
+
+            logger.info('Calendar feed created', {
+                workspaceId: workspace._id,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Calendar feed created successfully',
+                url: getFeedUrl(req, token)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke the calendar subscription feed of the active workspace
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async revokeFeed(req, res, next) {
+        try {
+            await Company.updateOne(
+                { _id: req.user.company._id },
+                { $unset: { calendarFeed: 1 } }
+            );
+
+            logger.info('Calendar feed revoked', {
+                workspaceId: req.user.company._id,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Calendar feed revoked successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Serve the calendar subscription feed. Calendar apps cannot sign in, so
+     * the feed token in the URL identifies the workspace.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getFeed(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const workspace = await Company.findByCalendarFeedToken(req.query.token);
+            if (!workspace) {
+                throw new APIError('Calendar feed not found', 404);
+            }
+
+            const { start, end } = contentCalendar.getFeedRange();
+            const entries = await contentCalendar.findEntries(workspace._id, {
+                start,
+                end,
+                channel: req.query.channel
+            });
+
+            res.type('text/calendar').send(contentCalendar.toICal(entries, `${workspace.name} content`));
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new CalendarController();
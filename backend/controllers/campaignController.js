@@ -0,0 +1,420 @@
+const { validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const Content = require('../models/Content');
+const BrandVoice = require('../models/BrandVoice');
+const contentGeneration = require('../utils/contentGeneration');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+const TYPE_LABELS = {
+    blog: 'Blog post',
+    social_post: 'Social post',
+    email: 'Email',
+    design_doc: 'Design doc',
+    internal_comm: 'Internal announcement'
+};
+
+// A piece still pending after this long is assumed lost and can be generated again
+const PENDING_GENERATION_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Find a campaign in the active workspace
+ * @param {Request} req - Express request object
+ * @returns {Promise<Campaign>} Campaign
+ */
+const findCampaign = async (req) => {
+    const campaign = await Campaign.findOne({
+        _id: req.params.id,
+        company: req.user.company._id
+    });
+
+    if (!campaign) {
+        throw new APIError('Campaign not found', 404);
+    }
+
+    return campaign;
+};
+
+/**
+ * Check that a brand voice belongs to the active workspace
+ * @param {Request} req - Express request object
+ * @param {string} [brandVoiceId] - Brand voice ID
+ * @returns {Promise<void>}
+ */
+const checkBrandVoice = async (req, brandVoiceId) => {
+    if (brandVoiceId && !await BrandVoice.exists({ _id: brandVoiceId, company: req.user.company._id })) {
+        throw new APIError('Brand voice not found', 404);
+    }
+};
+
+/**
+ * Load a campaign's content with the fields needed to track it
+ * @param {Campaign} campaign - Campaign document
+ * @returns {Promise<Content[]>} Campaign content
+ */
+const findCampaignContent = (campaign) => Content.find({ campaign: campaign._id })
+    .select('title type status locale version translation.source distribution author updatedAt')
+    .populate('author', 'name email')
+    .sort({ createdAt: 1 });
+
+/**
+ * Check whether a campaign piece is being generated. A piece pending for
+ * longer than PENDING_GENERATION_TIMEOUT was lost, e.g. to a restart.
+ * @param {Object} piece - Campaign piece
+ * @returns {boolean} Is being generated
+ */
+const isGenerating = (piece) => piece.status === 'pending' &&
+    piece.startedAt > Date.now() - PENDING_GENERATION_TIMEOUT;
+
+/**
+ * Mark campaign pieces pending so they can be generated in the background
+ * @param {Campaign} campaign - Campaign document
+ * @param {string[]} types - Types to generate
+ * @returns {Promise<Campaign>} Saved campaign
+ */
+const queuePieces = (campaign, types) => {
+    types.forEach(type => {
+        Object.assign(campaign.getPiece(type), {
+            status: 'pending',
+            error: undefined,
+            startedAt: new Date()
+        });
+    });
+
+    return campaign.save();
+};
+
+/**
+ * Generate pending campaign pieces from the brief, one type at a time, after
+ * the response has been sent. A type that fails is recorded on its piece and
+ * does not stop the others. Pieces are updated in place so that edits to the
+ * campaign meanwhile are kept.
+ * @param {Object} context - Workspace, user and requested AI selection ({ company, user, ai })
+ * @param {Campaign} campaign - Campaign document
+ * @param {string[]} types - Types to generate
+ * @returns {Promise<void>}
+ */
+const generatePieces = async (context, campaign, types) => {
+    const brief = {
+        prompt: campaign.brief.prompt,
+        params: campaign.brief.params,
+        brandVoiceId: campaign.brief.brandVoice,
+        useKnowledgeBase: campaign.brief.useKnowledgeBase
+    };
+
+    // Sequential calls keep quota checks accurate
+    for (const type of types) {
+        let update;
+        let content;
+
+        try {
+            content = await contentGeneration.generate(context, { ...brief, type }, {
+                title: `${campaign.name}: ${TYPE_LABELS[type]}`,
+                campaign: campaign._id
+            });
+
+            update = {
+                'pieces.$.content': content._id,
+                'pieces.$.status': 'generated',
+                'pieces.$.generatedAt': new Date()
+            };
+        } catch (error) {
+            update = { 'pieces.$.status': 'failed', 'pieces.$.error': error.message };
+
+            logger.warn('Campaign piece generation failed', {
+                campaignId: campaign._id,
+                type,
+                error: error.message
+            });
+        }
+
+        const result = await Campaign.updateOne(
+            { _id: campaign._id, 'pieces.type': type },
+            { $set: update, ...(content && { $unset: { 'pieces.$.error': 1 } }) }
+        );
+
+        // The campaign was deleted meanwhile; keep the content, unlinked
+        if (result.matchedCount === 0) {
+            if (content) {
+                await Content.updateOne({ _id: content._id }, { $unset: { campaign: 1 } });
+            }
+            break;
+        }
+    }
+};
+
+/**
+ * Generate campaign pieces in the background, logging anything unexpected
+ * @param {Request} req - Express request object
+ * @param {Campaign} campaign - Campaign document
+ * @param {string[]} types - Types to generate
+ * @returns {void}
+ */
+const startGeneration = (req, campaign, types) => {
+    const context = { company: req.user.company, user: req.user, ai: req.body.ai };
+
+    generatePieces(context, campaign, types).catch(error => {
+        logger.error('Error generating campaign content:', {
+            campaignId: campaign._id,
+            error: error.message
+        });
+    });
+};
+
+class CampaignController {
+    /**
+     * List campaigns in the active workspace with their combined status
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listCampaigns(req, res, next) {
+        try {
+            const campaigns = await Campaign.find({ company: req.user.company._id })
+                .sort({ createdAt: -1 });
+
+            const contents = await Content.find({ campaign: { $in: campaigns.map(campaign => campaign._id) } })
+                .select('campaign status');
+
+            res.json({
+                campaigns: campaigns.map(campaign => ({
+                    ...campaign.toObject(),
+                    progress: campaign.getStatus(
+                        contents.filter(content => content.campaign.equals(campaign._id))
+                    )
+                }))
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a campaign with its content and combined status
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getCampaign(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const campaign = await findCampaign(req);
+            const contents = await findCampaignContent(campaign);
+
+            res.json({
+                campaign,
+                contents,
+                progress: campaign.getStatus(contents)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create a campaign and start generating a piece of each of its types
+     * from the brief. Poll the campaign until it is no longer generating.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createCampaign(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { name, description, prompt, params, brandVoiceId, useKnowledgeBase, types } = req.body;
+            await checkBrandVoice(req, brandVoiceId);
+
+            const campaign = new Campaign({
+                company: req.user.company._id,
+                name,
+                description,
+                brief: {
+                    prompt,
+                    params,
+                    brandVoice: brandVoiceId,
+                    useKnowledgeBase
+                },
+                types,
+                createdBy: req.user._id
+            });
+
+            await queuePieces(campaign, campaign.types);
+            startGeneration(req, campaign, campaign.types);
+
+            logger.info('Campaign created successfully', {
+                campaignId: campaign._id,
+                types: campaign.types,
+                userId: req.user._id
+            });
+
+            res.status(202).json({
+                message: 'Campaign created; its content is being generated',
+                campaign,
+                contents: [],
+                progress: campaign.getStatus([])
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update a campaign's name, description or brief. Content already
+     * generated is kept; the brief applies to pieces generated from now on.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async updateCampaign(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { name, description, prompt, params, brandVoiceId, useKnowledgeBase } = req.body;
+            const campaign = await findCampaign(req);
+            await checkBrandVoice(req, brandVoiceId);
+
+            if (name !== undefined) campaign.name = name;
+            if (description !== undefined) campaign.description = description;
+            if (prompt !== undefined) campaign.brief.prompt = prompt;
+            if (params !== undefined) campaign.brief.params = params;
+            if (brandVoiceId !== undefined) campaign.brief.brandVoice = brandVoiceId;
+            if (useKnowledgeBase !== undefined) campaign.brief.useKnowledgeBase = useKnowledgeBase;
+
+            await campaign.save();
+
+            logger.info('Campaign updated', {
+                campaignId: campaign._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Campaign updated successfully',
+                campaign
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Start generating campaign pieces that failed, or add new types to the
+     * campaign. Types that already have content or are being generated are
+     * rejected; improve that content instead.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async generateCampaignContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const campaign = await findCampaign(req);
+
+            const generated = campaign.pieces
+                .filter(piece => piece.status === 'generated')
+                .map(piece => piece.type);
+            const generating = campaign.pieces
+                .filter(isGenerating)
+                .map(piece => piece.type);
+            const types = req.body.types ||
+                campaign.types.filter(type => !generated.includes(type) && !generating.includes(type));
+
+            const existing = types.filter(type => generated.includes(type));
+            if (existing.length) {
+                throw new APIError('Content already generated for these types', 409, { types: existing });
+            }
+
+            const busy = types.filter(type => generating.includes(type));
+            if (busy.length) {
+                throw new APIError('Content is already being generated for these types', 409, { types: busy });
+            }
+
+            if (types.length === 0) {
+                throw new APIError(generating.length
+                    ? 'Campaign content is already being generated'
+                    : 'All campaign content has been generated', 409);
+            }
+
+            types.forEach(type => {
+                if (!campaign.types.includes(type)) campaign.types.push(type);
+            });
+
+            await queuePieces(campaign, types);
+            startGeneration(req, campaign, types);
+
+            const contents = await findCampaignContent(campaign);
+
+            logger.info('Campaign content generation started', {
+                campaignId: campaign._id,
+                types,
+                userId: req.user._id
+            });
+
+            res.status(202).json({
+                message: 'Campaign content is being generated',
+                campaign,
+                contents,
+                progress: campaign.getStatus(contents)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a campaign. Its content is kept and unlinked.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async deleteCampaign(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const campaign = await Campaign.findOneAndDelete({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!campaign) {
+                throw new APIError('Campaign not found', 404);
+            }
+
+            await Content.updateMany({ campaign: campaign._id }, { $unset: { campaign: 1 } });
+
+            logger.info('Campaign deleted', {
+                campaignId: campaign._id,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Campaign deleted successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new CampaignController();
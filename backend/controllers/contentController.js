@@ -1,11 +1,334 @@
 const { validationResult } = require('express-validator');
 const Content = require('../models/Content');
 const Analytics = require('../models/Analytics');
+const User = require('../models/User');
+const BrandVoice = require('../models/BrandVoice');
 const aiService = require('../utils/aiService');
 const figmaService = require('../utils/figmaService');
+const publishService = require('../utils/publishService');
+const abTestService = require('../utils/abTestService');
+const channelFormatter = require('../utils/channelFormatter');
+const structuredOutput = require('../utils/structuredOutput');
+const changelogSources = require('../utils/changelogSources');
+const contentLinter = require('../utils/contentLinter');
+const contentSearch = require('../utils/contentSearch');
+const localization = require('../utils/localization');
+const textDiff = require('../utils/textDiff');
+const commentThreads = require('../utils/commentThreads');
+const notificationService = require('../utils/notificationService');
+const contentGeneration = require('../utils/contentGeneration');
+const contentCalendar = require('../utils/contentCalendar');
+const { PLATFORMS } = require('../utils/publishers');
+const { selectModel } = require('../utils/llm');
+const { isValidTimezone, zonedTimeToUtc } = require('../utils/timezone');
 const logger = require('../utils/logger');
 const { APIError } = require('../middlewares/errorHandler');
 
+// Headers for Server-Sent Events responses
+const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+};
+
+// A translation still pending after this long is assumed lost and can be restarted
+const PENDING_TRANSLATION_TIMEOUT = 10 * 60 * 1000;
+
+// Levels of repurposed content followed in each direction of a lineage
+const MAX_LINEAGE_DEPTH = 10;
+
+/**
+ * Select the AI provider and model: the request's choice over the workspace default
+ * @param {Request} req - Express request object
+ * @returns {Object} Provider and model
+ */
+const selectAIModel = (req) => selectModel(req.user.company.settings?.ai, req.body.ai);
+
+/**
+ * Get the lint rules of the active workspace
+ * @param {Request} req - Express request object
+ * @returns {Object} Workspace lint settings
+ */
+const getLintSettings = (req) => contentLinter.getSettings(req.user.company.toObject().settings);
+
+/**
+ * Find the members of the active workspace mentioned in a comment
+ * @param {Request} req - Express request object
+ * @param {string} body - Comment text
+ * @param {string[]} [ids] - Explicitly mentioned user IDs
+ * @returns {Promise<User[]>} Mentioned members
+ */
+const findMentions = async (req, body, ids = []) => {
+    const memberIds = req.user.company.members.map(member => member.user.toString());
+    if (ids.some(id => !memberIds.includes(id.toString()))) {
+        throw new APIError('Mentioned users must be members of the workspace', 400);
+    }
+
+    const members = await User.find({ _id: { $in: memberIds } })
+        .select('name email settings.notifications');
+
+    return commentThreads.parseMentions(body, members, ids);
+};
+
+/**
+ * Load a content item and one of its comment threads, checking company access
+ * @param {Request} req - Express request object
+ * @returns {Promise<Object>} Content and thread
+ */
+const findThread = async (req) => {
+    const content = await Content.findById(req.params.id);
+    if (!content) {
+        throw new APIError('Content not found', 404);
+    }
+
+    // Check company access
+    if (content.company.toString() !== req.user.company._id.toString()) {
+        throw new APIError('Unauthorized', 403);
+    }
+
+    const thread = content.threads.id(req.params.threadId);
+    if (!thread) {
+        throw new APIError('Comment thread not found', 404);
+    }
+
+    return { content, thread };
+};
+
+/**
+ * Populate the users of comment threads and move their anchors onto the current version
+ * @param {Content} content - Content document
+ * @param {Object[]} [threads] - Threads to return; defaults to all
+ * @returns {Promise<Object[]>} Located threads
+ */
+const presentThreads = async (content, threads) => {
+    await content.populate([
+        { path: 'threads.messages.author', select: 'name email' },
+        { path: 'threads.messages.mentions', select: 'name email' },
+        { path: 'threads.resolvedBy', select: 'name email' }
+    ]);
+
+    return commentThreads.locateAll(content, threads);
+};
+
+/**
+ * Save an edit as a new version, unless the content has changed since the
+ * version the edit was based on
+ * @param {Content} content - Content document
+ * @param {number} baseVersion - Version the edit was made against
+ * @param {ObjectId} userId - Editing user
+ * @param {string} newContent - Edited text
+ * @param {string} changeLog - Revision note
+ * @returns {Promise<Content>} Saved content
+ */
+const saveRevision = async (content, baseVersion, userId, newContent, changeLog) => {
+    const staleError = currentVersion => new APIError(
+        'Content has changed since this version; merge your edit with the latest version',
+        409,
+        { baseVersion, currentVersion }
+    );
+
+    if (baseVersion !== content.version) {
+        throw staleError(content.version);
+    }
+
+    // Guard the write too, in case another edit is saved between the read and now
+    content.$where = { version: baseVersion };
+
+    try {
+        return await content.addRevision(userId, newContent, changeLog);
+    } catch (error) {
+        if (error.name === 'DocumentNotFoundError') {
+            const latest = await Content.findById(content._id).select('version');
+            throw staleError(latest?.version);
+        }
+        throw error;
+    } finally {
+        content.$where = undefined;
+    }
+};
+
+/**
+ * Describe who is generating, for contentGeneration
+ * @param {Request} req - Express request object
+ * @returns {Object} Workspace, user and requested AI selection
+ */
+const getGenerationContext = (req) => ({ company: req.user.company, user: req.user, ai: req.body.ai });
+
+/**
+ * Resolve the brand voice, prompt template and parameters for a generation request
+ * @param {Request} req - Express request object
+ * @param {Object} [brief] - Type, prompt and params; defaults to the request body
+ * @returns {Promise<Object>} Generation type, params and options
+ */
+const prepareGeneration = (req, brief = req.body) => contentGeneration.prepare(getGenerationContext(req), {
+    ...brief,
+    brandVoiceId: req.body.brandVoiceId,
+    templateId: req.body.templateId,
+    useKnowledgeBase: req.body.useKnowledgeBase
+});
+
+/**
+ * Save generated content and initialize its analytics
+ * @param {Request} req - Express request object
+ * @param {string} type - Content type
+ * @param {Object} generated - Generated content and metadata
+ * @param {Object} [fields] - Additional content fields
+ * @returns {Promise<Content>} Saved content
+ */
+const saveGeneratedContent = (req, type, generated, fields) =>
+    contentGeneration.save(getGenerationContext(req), type, generated, fields);
+
+/**
+ * Check whether a locale variant is being translated. A translation pending
+ * for longer than PENDING_TRANSLATION_TIMEOUT was lost, e.g. to a restart.
+ * @param {Content} variant - Locale variant
+ * @returns {boolean} Is being translated
+ */
+const isTranslating = (variant) => variant.translation?.status === 'pending' &&
+    variant.translation.requestedAt > Date.now() - PENDING_TRANSLATION_TIMEOUT;
+
+/**
+ * Translate pending locale variants one after another, after the response
+ * has been sent. Failures are recorded on the variant.
+ * @param {Content} content - Source content
+ * @param {Content[]} variants - Pending locale variants
+ * @param {Object} options - Translation options
+ * @param {string} userId - User who requested the translation
+ * @returns {Promise<void>}
+ */
+const translateVariants = async (content, variants, options, userId) => {
+    // Sequential calls keep quota checks accurate
+    for (const variant of variants) {
+        try {
+            const translated = await aiService.translateContent(
+                { title: content.title, content: content.content },
+                variant.locale,
+                options
+            );
+
+            variant.title = translated.title;
+            Object.assign(variant.translation, {
+                status: 'translated',
+                translatedAt: new Date(),
+                glossaryIssues: translated.glossaryIssues.map(issue => issue.message)
+            });
+
+            if (variant.content) {
+                await variant.addRevision(userId, translated.content, `Translated from version ${content.version}`);
+            } else {
+                variant.content = translated.content;
+                variant.set('metadata', translated.metadata);
+                await variant.save();
+            }
+        } catch (error) {
+            logger.warn('Translation failed', {
+                contentId: content._id,
+                locale: variant.locale,
+                error: error.message
+            });
+
+            Object.assign(variant.translation, { status: 'failed', error: error.message });
+            await variant.save().catch(saveError => {
+                logger.error('Error saving failed translation:', {
+                    contentId: variant._id,
+                    error: saveError.message
+                });
+            });
+        }
+    }
+
+    logger.info('Content translated', {
+        contentId: content._id,
+        locales: variants.map(variant => variant.locale),
+        failed: variants.filter(variant => variant.translation.status === 'failed').map(variant => variant.locale)
+    });
+};
+
+/**
+ * Check a schedule against the daily channel limits of the workspace calendar
+ * @param {Request} req - Express request object
+ * @param {Content} content - Content being scheduled
+ * @param {Date} publishAt - Publish time
+ * @param {string[]} channels - Channels to publish to
+ * @returns {Promise<Object[]>} Conflicts, accepted because the request forces the schedule
+ */
+const checkScheduleConflicts = async (req, content, publishAt, channels) => {
+    const settings = contentCalendar.getSettings(req.user.company.toObject().settings);
+    const conflicts = await contentCalendar.checkSchedule(content, publishAt, channels, settings);
+
+    if (conflicts.length && !req.body.force) {
+        throw new APIError('Too many posts on a channel that day', 409, { conflicts });
+    }
+
+    return conflicts;
+};
+
+/**
+ * Load what a content item was repurposed from, nearest first, and
+ * everything repurposed from it, level by level
+ * @param {Content} content - Content document
+ * @returns {Promise<Object>} Ancestors and derivatives
+ */
+const findLineage = async (content) => {
+    const fields = 'title type status locale version derivedFrom createdAt';
+
+    const ancestors = [];
+    let parentId = content.derivedFrom;
+    while (parentId && ancestors.length < MAX_LINEAGE_DEPTH) {
+        const parent = await Content.findOne({ _id: parentId, company: content.company }).select(fields);
+        if (!parent) break;
+
+        ancestors.push(parent);
+        parentId = parent.derivedFrom;
+    }
+
+    const derivatives = [];
+    let ids = [content._id];
+    for (let depth = 0; ids.length && depth < MAX_LINEAGE_DEPTH; depth++) {
+        const level = await Content.find({ derivedFrom: { $in: ids }, company: content.company })
+            .select(fields)
+            .sort({ createdAt: 1 });
+
+        derivatives.push(...level);
+        ids = level.map(item => item._id);
+    }
+
+    return { ancestors, derivatives };
+};
+
+/**
+ * Build per-variant generation settings. Without explicit temperatures or
+ * angles, variants are spread across temperatures from 0.5 to 1.1.
+ * @param {Object} body - Request body with count, angles and temperatures
+ * @returns {Object[]} Variant settings ({ label, temperature, angle })
+ */
+const buildVariantSpecs = ({ count, angles = [], temperatures = [] }) => {
+    const total = count || Math.max(angles.length, temperatures.length, 2);
+
+    return Array.from({ length: total }, (value, index) => ({
+        label: String.fromCharCode(65 + index),
+        angle: angles[index],
+        temperature: temperatures[index] !== undefined || angles.length
+            ? temperatures[index]
+            : Math.round((0.5 + (index * 0.6) / (total - 1)) * 10) / 10
+    }));
+};
+
+/**
+ * Write a Server-Sent Event, opening the stream on first use
+ * @param {Response} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const sendEvent = (res, event, data) => {
+    if (!res.headersSent) {
+        res.writeHead(200, SSE_HEADERS);
+    }
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 class ContentController {
     /**
      * Generate new content using AI
@@ -20,45 +343,139 @@ class ContentController {
                 throw new APIError('Validation error', 400, errors.array());
             }
 
-            const { type, prompt, params } = req.body;
+            const { type, params, options } = await prepareGeneration(req);
 
             // Generate content using AI service
-            const generated = await aiService.generateContent(type, {
-                ...params,
-                prompt,
-                tone: req.user.settings?.contentPreferences?.tone || 'professional'
-            });
+            const generated = await aiService.generateContent(type, params, options);
 
             // Create new content document
-            const content = new Content({
+            const content = await saveGeneratedContent(req, type, generated);
+
+            logger.info('Content generated successfully', {
+                contentId: content._id,
                 type,
-                content: generated.content,
-                metadata: {
-                    prompt,
-                    ...generated.metadata
-                },
-                author: req.user._id,
-                company: req.user.company._id
+                userId: req.user._id
             });
 
-            await content.save();
+            res.status(201).json({
+                message: 'Content generated successfully',
+                content
+            });
 
-            // Initialize analytics
-            const analytics = new Analytics({
-                contentId: content._id,
-                company: req.user.company._id
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Generate new content using AI, streaming tokens over Server-Sent Events
+     *
+     * Emits `token` events while generating and a `done` event with the saved
+     * content. Content is only saved when the stream completes; closing the
+     * connection cancels generation.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async streamGenerateContent(req, res, next) {
+        const controller = new AbortController();
+
+        // Cancel generation when the client disconnects mid-stream
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { type, params, options } = await prepareGeneration(req);
+
+            const generated = await aiService.streamContent(type, params, {
+                ...options,
+                signal: controller.signal,
+                onToken: token => sendEvent(res, 'token', { token })
             });
 
-            await analytics.save();
+            const content = await saveGeneratedContent(req, type, generated);
 
             logger.info('Content generated successfully', {
                 contentId: content._id,
                 type,
+                userId: req.user._id,
+                streamed: true
+            });
+
+            sendEvent(res, 'done', {
+                message: 'Content generated successfully',
+                content
+            });
+            res.end();
+
+        } catch (error) {
+            if (controller.signal.aborted) {
+                logger.info('Content generation cancelled', { userId: req.user._id });
+                return;
+            }
+
+            // Errors before the first token still get a regular JSON response
+            if (!res.headersSent) {
+                return next(error);
+            }
+
+            logger.error('Error streaming content:', { error: error.message, userId: req.user._id });
+            sendEvent(res, 'error', {
+                error: error instanceof APIError ? error.message : 'Error generating content'
+            });
+            res.end();
+        }
+    }
+
+    /**
+     * Generate several variants of the same brief and store them as siblings.
+     * The first variant is used as the content until a winner is selected.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async generateVariants(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { type, params, options } = await prepareGeneration(req);
+            const specs = buildVariantSpecs(req.body);
+
+            const generated = await aiService.generateVariants(type, params, specs, options);
+
+            const variants = generated.map((variant, index) => ({
+                label: specs[index].label,
+                content: variant.content,
+                structured: variant.structured,
+                angle: variant.angle,
+                metadata: {
+                    aiModel: variant.metadata.aiModel,
+                    aiProvider: variant.metadata.aiProvider,
+                    temperature: variant.metadata.generationParams.temperature,
+                    usage: variant.metadata.usage
+                }
+            }));
+
+            const content = await saveGeneratedContent(req, type, generated[0], { variants });
+
+            logger.info('Content variants generated successfully', {
+                contentId: content._id,
+                type,
+                variants: variants.length,
                 userId: req.user._id
             });
 
             res.status(201).json({
-                message: 'Content generated successfully',
+                message: 'Content variants generated successfully',
                 content
             });
 
@@ -67,6 +484,68 @@ class ContentController {
         }
     }
 
+    /**
+     * Generate a changelog from a git log or an export of merged pull requests.
+     * Changes are grouped into features, improvements and fixes before being
+     * passed to the model, and the generated changelog carries the given version.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async generateChangelog(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { version, source, prompt } = req.body;
+
+            const entries = changelogSources.parse(source, req.body);
+            const groups = changelogSources.group(entries);
+
+            const { type, params, options } = await prepareGeneration(req, {
+                type: 'changelog',
+                prompt: prompt || `release ${version}`,
+                params: {
+                    ...req.body.params,
+                    version,
+                    type: changelogSources.getReleaseType(entries),
+                    changes: changelogSources.summarize(groups)
+                }
+            });
+
+            const generated = await aiService.generateContent(type, params, options);
+
+            const content = await saveGeneratedContent(req, type, generated, {
+                title: `Release ${version}`,
+                tags: ['release', version]
+            });
+
+            logger.info('Changelog generated successfully', {
+                contentId: content._id,
+                version,
+                source,
+                entries: entries.length,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Changelog generated successfully',
+                content,
+                changes: {
+                    features: groups.features.length,
+                    improvements: groups.improvements.length,
+                    fixes: groups.fixes.length,
+                    breaking: entries.filter(entry => entry.breaking).length
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Improve existing content using AI and feedback
      * @param {Request} req - Express request object
@@ -75,7 +554,13 @@ class ContentController {
      */
     async improveContent(req, res, next) {
         try {
-            const { contentId, feedback } = req.body;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { contentId, brandVoiceId, threadIds = [], resolveThreads = false } = req.body;
+            let { feedback } = req.body;
 
             const content = await Content.findById(contentId);
             if (!content) {
@@ -87,21 +572,53 @@ class ContentController {
                 throw new APIError('Unauthorized', 403);
             }
 
+            // Selected comment threads become the feedback, after any free text
+            if (threadIds.length > 0) {
+                const threads = threadIds.map(threadId => content.threads.id(threadId));
+                if (threads.includes(null)) {
+                    throw new APIError('Comment thread not found', 404);
+                }
+
+                feedback = commentThreads.toFeedback(await presentThreads(content, threads), feedback);
+            }
+
+            // Keep the voice the content was generated with unless another is requested
+            const brandVoice = await BrandVoice.resolve(
+                req.user.company._id,
+                brandVoiceId || content.metadata.brandVoice
+            );
+            if (brandVoiceId && !brandVoice) {
+                throw new APIError('Brand voice not found', 404);
+            }
+
             // Improve content using AI
             const improvedContent = await aiService.improveContent(
                 content.content,
-                feedback
+                feedback,
+                {
+                    brandVoice,
+                    ai: selectAIModel(req),
+                    meter: { company: req.user.company, user: req.user._id, contentId: content._id },
+                    language: content.locale
+                }
             );
 
+            if (resolveThreads) {
+                content.setThreadsResolved(threadIds, req.user._id);
+            }
+
             // Add revision
             await content.addRevision(
                 req.user._id,
                 improvedContent,
-                `Improved based on feedback: ${feedback}`
+                threadIds.length > 0
+                    ? `Improved based on ${threadIds.length} comment thread(s)`
+                    : `Improved based on feedback: ${feedback}`
             );
 
             logger.info('Content improved successfully', {
                 contentId: content._id,
+                threads: threadIds.length,
                 userId: req.user._id
             });
 
@@ -116,40 +633,21 @@ class ContentController {
     }
 
     /**
-     * List content with filters and pagination
+     * Search and list content with relevance, tag facets and cursor pagination
      * @param {Request} req - Express request object
      * @param {Response} res - Express response object
      * @param {NextFunction} next - Express next function
      */
     async listContent(req, res, next) {
         try {
-            const { type, status, page = 1, limit = 10 } = req.query;
-
-            const query = {
-                company: req.user.company._id,
-                isArchived: false
-            };
-
-            if (type) query.type = type;
-            if (status) query.status = status;
-
-            const contents = await Content.find(query)
-                .sort({ createdAt: -1 })
-                .skip((page - 1) * limit)
-                .limit(limit)
-                .populate('author', 'name email');
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
 
-            const total = await Content.countDocuments(query);
+            const result = await contentSearch.search(req.user.company._id, req.query);
 
-            res.json({
-                contents,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total,
-                    pages: Math.ceil(total / limit)
-                }
-            });
+            res.json(result);
 
         } catch (error) {
             next(error);
@@ -205,6 +703,11 @@ class ContentController {
      */
     async updateContent(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
             const content = await Content.findById(req.params.id);
             if (!content) {
                 throw new APIError('Content not found', 404);
@@ -215,20 +718,28 @@ class ContentController {
                 throw new APIError('Unauthorized', 403);
             }
 
-            const { content: newContent, status } = req.body;
+            const { status, structured } = req.body;
+            let newContent = req.body.content;
 
-            // Add revision before updating
-            await content.addRevision(
-                req.user._id,
-                content.content,
-                'Manual update'
-            );
+            // Structured types can be edited as data; the Markdown is rendered from it
+            if (structured !== undefined) {
+                if (!structuredOutput.supports(content.type)) {
+                    throw new APIError(`Structured data is not supported for ${content.type} content`, 400);
+                }
+
+                const structuredErrors = structuredOutput.validate(content.type, structured);
+                if (structuredErrors.length) {
+                    throw new APIError('Invalid structured data', 400, structuredErrors);
+                }
 
-            // Update content
-            content.content = newContent;
+                newContent = structuredOutput.render(content.type, structured);
+            }
+
+            // Update content; a Markdown-only edit no longer matches the structured data
+            content.structured = structured;
             if (status) content.status = status;
 
-            await content.save();
+            await saveRevision(content, req.body.version, req.user._id, newContent, 'Manual update');
 
             logger.info('Content updated successfully', {
                 contentId: content._id,
@@ -286,6 +797,11 @@ class ContentController {
      */
     async publishContent(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
             const { channels } = req.body;
             const content = await Content.findById(req.params.id);
 
@@ -298,25 +814,40 @@ class ContentController {
                 throw new APIError('Unauthorized', 403);
             }
 
-            // Update distribution status for each channel
-            content.distribution.channels = channels.map(channel => ({
-                platform: channel,
-                status: 'published',
-                publishedAt: new Date()
-            }));
+            if (!content.isApproved()) {
+                throw new APIError('Content must be approved before publishing', 409);
+            }
 
-            content.status = 'published';
-            await content.save();
+            // Each channel gets the variant in its audience's locale
+            const routing = await localization.routeChannels(
+                content,
+                channels,
+                req.user.company.settings?.localization?.channelLocales
+            );
+
+            const lintSettings = getLintSettings(req);
+            for (const group of routing.groups) {
+                await contentLinter.assertPublishable(group.content, lintSettings, group.platforms);
+            }
+
+            // Dispatch to each channel and record the per-channel result
+            const result = await publishService.publishLocalized(content, routing);
 
             logger.info('Content published successfully', {
                 contentId: content._id,
                 channels,
+                routed: result.routed.length,
+                failed: result.failed,
                 userId: req.user._id
             });
 
             res.json({
-                message: 'Content published successfully',
-                content
+                message: result.failed.length
+                    ? 'Content published with errors'
+                    : 'Content published successfully',
+                content,
+                routed: result.routed,
+                failed: result.failed
             });
 
         } catch (error) {
@@ -332,6 +863,11 @@ class ContentController {
      */
     async scheduleContent(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
             const { publishAt, timezone, channels } = req.body;
             const content = await Content.findById(req.params.id);
 
@@ -344,14 +880,39 @@ class ContentController {
                 throw new APIError('Unauthorized', 403);
             }
 
+            if (!content.isApproved()) {
+                throw new APIError('Content must be approved before scheduling', 409);
+            }
+
+            if (!isValidTimezone(timezone)) {
+                throw new APIError('Invalid timezone', 400);
+            }
+
+            // Offset-less dates are wall-clock times in the given timezone
+            const publishTime = zonedTimeToUtc(publishAt, timezone);
+            if (Number.isNaN(publishTime.getTime())) {
+                throw new APIError('Invalid date format', 400);
+            }
+            if (publishTime <= new Date()) {
+                throw new APIError('Publish time must be in the future', 400);
+            }
+
+            const conflicts = await checkScheduleConflicts(req, content, publishTime, channels);
+
             content.distribution.schedule = {
-                publishAt: new Date(publishAt),
-                timezone
+                publishAt: publishTime,
+                timezone,
+                status: 'scheduled',
+                attempts: 0
             };
 
+            // A channel that failed keeps what it delivered, so publishing resumes there
             content.distribution.channels = channels.map(channel => ({
                 platform: channel,
-                status: 'pending'
+                status: 'pending',
+                response: content.distribution.channels
+                    .find(previous => previous.platform === channel && previous.status === 'failed')
+                    ?.response
             }));
 
             await content.save();
@@ -365,7 +926,8 @@ class ContentController {
 
             res.json({
                 message: 'Content scheduled successfully',
-                content
+                content,
+                conflicts
             });
 
         } catch (error) {
@@ -374,54 +936,915 @@ class ContentController {
     }
 
     /**
-     * Get content analytics
+     * Move scheduled content to another time, e.g. by dragging it on the
+     * calendar. Channels stay the same; the timezone is kept unless another
+     * is given.
      * @param {Request} req - Express request object
      * @param {Response} res - Express response object
      * @param {NextFunction} next - Express next function
      */
-    async getContentAnalytics(req, res, next) {
+    async rescheduleContent(req, res, next) {
         try {
-            const { startDate, endDate } = req.query;
-            
-            const analytics = await Analytics.getByDateRange(
-                req.params.id,
-                startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-                endDate ? new Date(endDate) : new Date()
-            );
-
-            if (!analytics) {
-                throw new APIError('Analytics not found', 404);
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
             }
 
-            res.json({ analytics });
-
-        } catch (error) {
-            next(error);
-        }
-    }
-
-    /**
-     * Sync content with Figma
-     * @param {Request} req - Express request object
-     * @param {Response} res - Express response object
-     * @param {NextFunction} next - Express next function
-     */
-    async syncWithFigma(req, res, next) {
-        try {
-            const { fileId, nodeIds } = req.body;
             const content = await Content.findById(req.params.id);
-
             if (!content) {
                 throw new APIError('Content not found', 404);
             }
 
-            if (!req.user.hasFigmaToken()) {
-                throw new APIError('Figma integration not configured', 400);
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
             }
 
-            // Set Figma access token
-            figmaService.setAccessToken(req.user.figmaIntegration.accessToken);
-
+            // The author and workspace editors manage the calendar
+            if (content.author.toString() !== req.user._id.toString() &&
+                !req.user.company.hasRole(req.user._id, ['owner', 'admin', 'editor'])) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const schedule = content.distribution.schedule;
+            if (schedule?.status !== 'scheduled') {
+                throw new APIError('Only scheduled content can be rescheduled', 409);
+            }
+
+            const timezone = req.body.timezone || schedule.timezone;
+            if (!isValidTimezone(timezone)) {
+                throw new APIError('Invalid timezone', 400);
+            }
+
+            const publishAt = zonedTimeToUtc(req.body.publishAt, timezone);
+            if (Number.isNaN(publishAt.getTime())) {
+                throw new APIError('Invalid date format', 400);
+            }
+            if (publishAt <= new Date()) {
+                throw new APIError('Publish time must be in the future', 400);
+            }
+
+            const channels = content.distribution.channels
+                .filter(channel => channel.status === 'pending')
+                .map(channel => channel.platform);
+            const conflicts = await checkScheduleConflicts(req, content, publishAt, channels);
+
+            // The scheduler may have claimed the content since it was loaded
+            const rescheduled = await Content.findOneAndUpdate(
+                { _id: content._id, 'distribution.schedule.status': 'scheduled' },
+                {
+                    $set: {
+                        'distribution.schedule.publishAt': publishAt,
+                        'distribution.schedule.timezone': timezone,
+                        'distribution.schedule.attempts': 0
+                    }
+                },
+                { new: true }
+            );
+
+            if (!rescheduled) {
+                throw new APIError('Only scheduled content can be rescheduled', 409);
+            }
+
+            logger.info('Content rescheduled successfully', {
+                contentId: content._id,
+                from: schedule.publishAt,
+                to: publishAt,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Content rescheduled successfully',
+                content: rescheduled,
+                conflicts
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Submit content for review
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async submitForReview(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { reviewers = [] } = req.body;
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check ownership
+            if (content.author.toString() !== req.user._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (!['draft', 'changes_requested'].includes(content.status)) {
+                throw new APIError(`Content in status ${content.status} cannot be submitted for review`, 409);
+            }
+
+            // Reviewers must be able to decide, which takes an editing role in this workspace
+            if (!reviewers.every(id => req.user.company.hasRole(id, ['owner', 'admin', 'editor']))) {
+                throw new APIError('Reviewers must be owners, admins or editors of your workspace', 400);
+            }
+
+            await content.submitForReview(req.user._id, reviewers);
+
+            logger.info('Content submitted for review', {
+                contentId: content._id,
+                reviewers,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Content submitted for review',
+                content
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Approve content or request changes (editors only)
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async reviewContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { decision, comment, variantIds = [] } = req.body;
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (content.status !== 'in_review') {
+                throw new APIError('Content is not in review', 409);
+            }
+
+            if (content.author.toString() === req.user._id.toString()) {
+                throw new APIError('Authors cannot review their own content', 403);
+            }
+
+            // When reviewers are assigned only they may decide
+            const { reviewers } = content.review;
+            if (reviewers.length && !reviewers.some(id => id.toString() === req.user._id.toString())) {
+                throw new APIError('You are not assigned to review this content', 403);
+            }
+
+            if (variantIds.some(id => !content.variants.id(id))) {
+                throw new APIError('Variant not found', 404);
+            }
+
+            await content.addReviewComment(
+                req.user._id,
+                comment || 'Approved',
+                decision,
+                variantIds
+            );
+
+            logger.info('Content reviewed', {
+                contentId: content._id,
+                decision,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: decision === 'approve'
+                    ? 'Content approved'
+                    : 'Changes requested',
+                content
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Add a review comment without a decision
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async addReviewComment(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            await content.addReviewComment(req.user._id, req.body.body);
+
+            res.status(201).json({
+                message: 'Comment added successfully',
+                review: content.review
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get review state, reviewers and comments
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getReview(req, res, next) {
+        try {
+            const content = await Content.findById(req.params.id)
+                .select('status version company review')
+                .populate('review.reviewers', 'name email')
+                .populate('review.comments.author', 'name email');
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            res.json({
+                status: content.status,
+                version: content.version,
+                review: content.review
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List the comment threads of a content item, anchored to the current version
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getCommentThreads(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const { status = 'all' } = req.query;
+            const threads = content.threads.filter(thread =>
+                status === 'all' || thread.resolved === (status === 'resolved'));
+
+            res.json({
+                version: content.version,
+                threads: await presentThreads(content, threads)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Start a comment thread on a range of the current version
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createCommentThread(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { anchor, body, mentions: mentionIds } = req.body;
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (anchor.version !== undefined && anchor.version !== content.version) {
+                throw new APIError(
+                    'Content has changed since this version; anchor the comment to the latest version',
+                    409,
+                    { baseVersion: anchor.version, currentVersion: content.version }
+                );
+            }
+
+            if (anchor.end <= anchor.start || anchor.end > content.content.length) {
+                throw new APIError('Anchor must be a non-empty range within the content', 400);
+            }
+
+            const mentions = await findMentions(req, body, mentionIds);
+            const thread = await content.addThread(
+                req.user._id,
+                anchor,
+                body,
+                mentions.map(user => user._id)
+            );
+
+            await notificationService.notifyMentions({
+                recipients: mentions,
+                actor: req.user,
+                content,
+                thread,
+                body
+            });
+
+            logger.info('Comment thread created successfully', {
+                contentId: content._id,
+                threadId: thread._id,
+                mentions: mentions.length,
+                userId: req.user._id
+            });
+
+            const [located] = await presentThreads(content, [thread]);
+
+            res.status(201).json({
+                message: 'Comment thread created successfully',
+                thread: located
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reply to a comment thread; replying reopens a resolved thread
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async replyToCommentThread(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { body, mentions: mentionIds } = req.body;
+            const { content, thread } = await findThread(req);
+
+            const mentions = await findMentions(req, body, mentionIds);
+            await content.replyToThread(thread._id, req.user._id, body, mentions.map(user => user._id));
+
+            await notificationService.notifyMentions({
+                recipients: mentions,
+                actor: req.user,
+                content,
+                thread,
+                body
+            });
+
+            logger.info('Comment reply added successfully', {
+                contentId: content._id,
+                threadId: thread._id,
+                mentions: mentions.length,
+                userId: req.user._id
+            });
+
+            const [located] = await presentThreads(content, [thread]);
+
+            res.status(201).json({
+                message: 'Reply added successfully',
+                thread: located
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Mark a comment thread resolved
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async resolveCommentThread(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { content, thread } = await findThread(req);
+
+            content.setThreadsResolved([thread._id], req.user._id, true);
+            await content.save();
+
+            logger.info('Comment thread resolved successfully', {
+                contentId: content._id,
+                threadId: thread._id,
+                userId: req.user._id
+            });
+
+            const [located] = await presentThreads(content, [thread]);
+
+            res.json({
+                message: 'Comment thread resolved successfully',
+                thread: located
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reopen a resolved comment thread
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async unresolveCommentThread(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { content, thread } = await findThread(req);
+
+            content.setThreadsResolved([thread._id], req.user._id, false);
+            await content.save();
+
+            logger.info('Comment thread reopened successfully', {
+                contentId: content._id,
+                threadId: thread._id,
+                userId: req.user._id
+            });
+
+            const [located] = await presentThreads(content, [thread]);
+
+            res.json({
+                message: 'Comment thread reopened successfully',
+                thread: located
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Preview how content will be rendered for each distribution channel
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async previewContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const { channel } = req.query;
+            const platforms = channel ? [channel] : PLATFORMS;
+
+            const previews = platforms.reduce((acc, platform) => {
+                acc[platform] = channelFormatter.format(content, platform);
+                return acc;
+            }, {});
+
+            res.json({ previews });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Lint content against the workspace rules and store the result
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async lintContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const lint = await contentLinter.lintAndStore(content, getLintSettings(req), {
+                platforms: req.body.channels
+            });
+
+            logger.info('Content linted successfully', {
+                contentId: content._id,
+                errors: lint.errorCount,
+                warnings: lint.warningCount,
+                userId: req.user._id
+            });
+
+            res.json({ lint });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Start translating content into locale variants, linked to the source.
+     * Responds with the variants as pending; poll the translations for their
+     * status. A locale that already has a variant gets the new translation as
+     * a revision.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async translateContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { brandVoiceId } = req.body;
+            const locales = [...new Set(req.body.locales)];
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (content.translation?.source) {
+                throw new APIError('Translate the source content instead', 400, {
+                    sourceId: content.translation.source
+                });
+            }
+
+            if (locales.includes(content.locale)) {
+                throw new APIError(`Content is already in ${content.locale}`, 400);
+            }
+
+            // Keep the voice the content was generated with unless another is requested
+            const brandVoice = await BrandVoice.resolve(
+                req.user.company._id,
+                brandVoiceId || content.metadata.brandVoice
+            );
+            if (brandVoiceId && !brandVoice) {
+                throw new APIError('Brand voice not found', 404);
+            }
+
+            const existing = await Content.find({
+                'translation.source': content._id,
+                locale: { $in: locales }
+            });
+
+            const options = {
+                glossary: req.user.company.toObject().settings?.localization?.glossary,
+                brandVoice,
+                ai: selectAIModel(req),
+                meter: { company: req.user.company, user: req.user._id, contentId: content._id }
+            };
+
+            const busy = existing.filter(isTranslating).map(variant => variant.locale);
+            if (busy.length) {
+                throw new APIError('Translation already in progress', 409, { locales: busy });
+            }
+
+            const translation = {
+                source: content._id,
+                sourceVersion: content.version,
+                status: 'pending',
+                requestedAt: new Date()
+            };
+
+            // Variants are saved as pending and filled in after the response
+            const variants = [];
+            for (const locale of locales) {
+                let variant = existing.find(item => item.locale === locale);
+                if (variant) {
+                    Object.assign(variant.translation, translation, { glossaryIssues: [], error: undefined });
+                    await variant.save();
+                } else {
+                    // The source's metadata stands in until the translation replaces it
+                    const placeholder = {
+                        content: '',
+                        metadata: { prompt: content.metadata.prompt, aiModel: content.metadata.aiModel }
+                    };
+                    variant = await saveGeneratedContent(req, content.type, placeholder, {
+                        title: content.title,
+                        locale,
+                        translation,
+                        tags: content.tags,
+                        campaign: content.campaign
+                    });
+                }
+
+                variants.push(variant);
+            }
+
+            translateVariants(content, variants, options, req.user._id);
+
+            logger.info('Content translation started', {
+                contentId: content._id,
+                locales,
+                userId: req.user._id
+            });
+
+            res.status(202).json({
+                message: 'Content translation started',
+                translations: variants.map(variant => ({
+                    locale: variant.locale,
+                    content: variant
+                }))
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List the locale variants of a content item's source
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getTranslations(req, res, next) {
+        try {
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const family = await localization.getFamily(content);
+            const source = family.find(member => !member.translation?.source);
+
+            const summarize = member => ({
+                _id: member._id,
+                title: member.title,
+                locale: member.locale,
+                status: member.status,
+                version: member.version
+            });
+
+            res.json({
+                source: source && summarize(source),
+                translations: family
+                    .filter(member => member.translation?.source)
+                    .map(member => ({
+                        ...summarize(member),
+                        sourceVersion: member.translation.sourceVersion,
+                        translationStatus: member.translation.status,
+                        translatedAt: member.translation.translatedAt,
+                        glossaryIssues: member.translation.glossaryIssues,
+                        error: member.translation.error,
+                        // The source has changed since it was translated
+                        outdated: Boolean(source) && member.translation.sourceVersion < source.version
+                    }))
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Repurpose content into another content type. The source is the
+     * material of the generation; the new content links back to it.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async repurposeContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { type, prompt, params, title } = req.body;
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (content.type === type) {
+                throw new APIError(`Content is already a ${type}`, 400);
+            }
+
+            const generation = await prepareGeneration(req, {
+                type,
+                prompt: prompt || content.title,
+                params
+            });
+
+            const generated = await aiService.generateContent(type, generation.params, {
+                ...generation.options,
+                // Stay in the language of the source
+                language: content.locale,
+                source: {
+                    type: content.type,
+                    title: content.title,
+                    content: content.content
+                }
+            });
+
+            const derived = await saveGeneratedContent(req, type, generated, {
+                title: title || content.title,
+                locale: content.locale,
+                tags: content.tags,
+                campaign: content.campaign,
+                derivedFrom: content._id
+            });
+
+            logger.info('Content repurposed successfully', {
+                contentId: derived._id,
+                sourceId: content._id,
+                type,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Content repurposed successfully',
+                content: derived
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the content a content item was repurposed from and the content
+     * repurposed from it
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getLineage(req, res, next) {
+        try {
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const { ancestors, derivatives } = await findLineage(content);
+
+            res.json({
+                content: {
+                    _id: content._id,
+                    title: content.title,
+                    type: content.type,
+                    status: content.status,
+                    derivedFrom: content.derivedFrom
+                },
+                ancestors,
+                derivatives
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get content analytics
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getContentAnalytics(req, res, next) {
+        try {
+            const { startDate, endDate } = req.query;
+            
+            const analytics = await Analytics.getByDateRange(
+                req.params.id,
+                startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+                endDate ? new Date(endDate) : new Date()
+            );
+
+            if (!analytics) {
+                throw new APIError('Analytics not found', 404);
+            }
+
+            res.json({ analytics });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Sync content with Figma
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async syncWithFigma(req, res, next) {
+        try {
+            const { fileId, nodeIds } = req.body;
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            if (!req.user.hasFigmaToken()) {
+                throw new APIError('Figma integration not configured', 400);
+            }
+
+            // Set Figma access token
+            figmaService.setAccessToken(req.user.figmaIntegration.accessToken);
+
             // Get Figma file data
             const figmaData = await figmaService.getNodes(fileId, nodeIds);
 
@@ -524,6 +1947,124 @@ class ContentController {
         }
     }
 
+    /**
+     * Diff two versions word by word
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async diffContentVersions(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            // Without `to`, compare with the current version
+            const from = req.query.from;
+            const to = req.query.to ?? content.version;
+
+            const fromText = content.getVersionContent(from);
+            const toText = content.getVersionContent(to);
+            if (fromText === undefined || toText === undefined) {
+                throw new APIError('Version not found', 404);
+            }
+
+            res.json({
+                from,
+                to,
+                ...textDiff.diff(fromText, toText)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Merge an edit made against an older version with the current version.
+     * Conflicting passages are wrapped in conflict markers; with `apply`, a
+     * clean merge is saved as a new version.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async mergeContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check ownership
+            if (content.author.toString() !== req.user._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            const { baseVersion, apply } = req.body;
+            const base = content.getVersionContent(baseVersion);
+            if (base === undefined) {
+                throw new APIError('Version not found', 404);
+            }
+
+            const currentVersion = content.version;
+            const merge = textDiff.merge(base, req.body.content, content.content, {
+                ours: 'yours',
+                theirs: `version ${currentVersion}`
+            });
+
+            const result = {
+                baseVersion,
+                currentVersion,
+                conflicts: merge.conflicts,
+                merged: merge.content
+            };
+
+            if (!apply) {
+                return res.json(result);
+            }
+
+            if (merge.conflicts) {
+                throw new APIError('Merge has conflicts; resolve them and save with the current version', 409, result);
+            }
+
+            // Markdown edits no longer match the structured data
+            content.structured = undefined;
+            await saveRevision(content, currentVersion, req.user._id, merge.content, `Merged edit from version ${baseVersion}`);
+
+            logger.info('Content merged successfully', {
+                contentId: content._id,
+                baseVersion,
+                version: content.version,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Content merged successfully',
+                ...result,
+                content
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Restore content to specific version
      * @param {Request} req - Express request object
@@ -591,26 +2132,63 @@ class ContentController {
                 throw new APIError('No content found', 404);
             }
 
-            // Update all contents
-            await Promise.all(contents.map(async content => {
-                content.distribution.channels = channels.map(channel => ({
-                    platform: channel,
-                    status: 'published',
-                    publishedAt: new Date()
-                }));
-                content.status = 'published';
-                return content.save();
-            }));
+            const unapproved = contents.filter(content => !content.isApproved());
+            if (unapproved.length) {
+                throw new APIError(
+                    'All content must be approved before publishing',
+                    409,
+                    { contentIds: unapproved.map(content => content._id) }
+                );
+            }
+
+            // Each channel gets the variant in its audience's locale
+            const channelLocales = req.user.company.settings?.localization?.channelLocales;
+            const routings = await Promise.all(
+                contents.map(content => localization.routeChannels(content, channels, channelLocales))
+            );
+
+            const lintSettings = getLintSettings(req);
+            if (lintSettings.blockPublish) {
+                const groups = routings.flatMap(routing => routing.groups);
+                const results = await Promise.all(
+                    groups.map(group => contentLinter.lintAndStore(group.content, lintSettings, { platforms: group.platforms }))
+                );
+                const failing = groups.filter((group, index) => !results[index].passed);
+
+                if (failing.length) {
+                    throw new APIError(
+                        'All content must pass lint before publishing',
+                        422,
+                        { contentIds: failing.map(group => group.content._id) }
+                    );
+                }
+            }
+
+            // Publish all contents
+            const results = await Promise.all(
+                contents.map((content, index) => publishService.publishLocalized(content, routings[index]))
+            );
+
+            const failed = results.reduce((acc, result, index) => {
+                if (result.failed.length) {
+                    acc.push({ contentId: contents[index]._id, channels: result.failed });
+                }
+                return acc;
+            }, []);
 
             logger.info('Bulk content publish completed', {
                 contentIds,
                 channels,
+                failed: failed.length,
                 userId: req.user._id
             });
 
             res.json({
-                message: 'Contents published successfully',
-                count: contents.length
+                message: failed.length
+                    ? 'Contents published with errors'
+                    : 'Contents published successfully',
+                count: contents.length,
+                failed
             });
 
         } catch (error) {
@@ -652,6 +2230,198 @@ class ContentController {
             next(error);
         }
     }
+
+    /**
+     * Select a variant as the content
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async selectVariant(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check ownership
+            if (content.author.toString() !== req.user._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (!content.variants.id(req.params.variantId)) {
+                throw new APIError('Variant not found', 404);
+            }
+
+            if (content.abTest?.status === 'running') {
+                throw new APIError('An A/B test is choosing the winner for this content', 409);
+            }
+
+            await content.selectVariant(req.user._id, req.params.variantId);
+
+            logger.info('Content variant selected', {
+                contentId: content._id,
+                variantId: req.params.variantId,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Variant selected successfully',
+                content
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Publish two variants to a channel as an A/B test
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async startABTest(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { channel, window } = req.body;
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check ownership
+            if (content.author.toString() !== req.user._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (!content.isApproved()) {
+                throw new APIError('Content must be approved before publishing', 409);
+            }
+
+            if (['running', 'evaluating'].includes(content.abTest?.status)) {
+                throw new APIError('An A/B test is already running for this content', 409);
+            }
+
+            // Compare the first two variants unless others are chosen
+            const variantIds = req.body.variantIds || content.variants.slice(0, 2).map(variant => variant._id);
+            if (variantIds.length !== 2) {
+                throw new APIError('An A/B test needs two variants', 400);
+            }
+
+            await abTestService.start(content, {
+                channel,
+                variantIds,
+                window,
+                userId: req.user._id,
+                lintSettings: getLintSettings(req)
+            });
+
+            logger.info('A/B test started successfully', {
+                contentId: content._id,
+                channel,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'A/B test started successfully',
+                abTest: content.abTest
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get an A/B test with its current results
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getABTest(req, res, next) {
+        try {
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check company access
+            if (content.company.toString() !== req.user.company._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (!content.abTest?.status) {
+                throw new APIError('No A/B test for this content', 404);
+            }
+
+            // Finished tests keep the results they were decided on
+            const results = content.abTest.status === 'completed'
+                ? content.abTest.results
+                : await abTestService.getResults(content);
+
+            res.json({
+                abTest: content.abTest,
+                results
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Cancel a running A/B test without choosing a winner
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async cancelABTest(req, res, next) {
+        try {
+            const content = await Content.findById(req.params.id);
+
+            if (!content) {
+                throw new APIError('Content not found', 404);
+            }
+
+            // Check ownership
+            if (content.author.toString() !== req.user._id.toString()) {
+                throw new APIError('Unauthorized', 403);
+            }
+
+            if (content.abTest?.status !== 'running') {
+                throw new APIError('No running A/B test for this content', 409);
+            }
+
+            content.abTest.status = 'cancelled';
+            await content.save();
+
+            logger.info('A/B test cancelled', {
+                contentId: content._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'A/B test cancelled successfully',
+                abTest: content.abTest
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = new ContentController();
\ No newline at end of file
@@ -0,0 +1,303 @@
+const { validationResult } = require('express-validator');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const Content = require('../models/Content');
+const knowledgeBase = require('../utils/knowledgeBase');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+/**
+ * Build the billing context for embedding calls
+ * @param {Request} req - Express request object
+ * @returns {Object} Workspace and user to bill
+ */
+const buildMeter = (req) => ({ company: req.user.company, user: req.user._id });
+
+/**
+ * Find a knowledge document in the active workspace
+ * @param {Request} req - Express request object
+ * @returns {Promise<KnowledgeDocument>} Document
+ */
+const findDocument = async (req) => {
+    const document = await KnowledgeDocument.findOne({
+        _id: req.params.id,
+        company: req.user.company._id
+    });
+
+    if (!document) {
+        throw new APIError('Knowledge document not found', 404);
+    }
+
+    return document;
+};
+
+class KnowledgeBaseController {
+    /**
+     * List knowledge base documents in the active workspace
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listDocuments(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const query = { company: req.user.company._id };
+            if (req.query.format) query.format = req.query.format;
+
+            const documents = await KnowledgeDocument.find(query)
+                .select('-text')
+                .sort({ createdAt: -1 });
+
+            res.json({ documents });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a knowledge base document with its extracted text
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getDocument(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const document = await findDocument(req);
+
+            res.json({ document });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Upload a Markdown, HTML, PDF (base64) or plain text document and index it
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async uploadDocument(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { format, content } = req.body;
+            const { text, title } = await knowledgeBase.extract(format, content);
+
+            const document = new KnowledgeDocument({
+                company: req.user.company._id,
+                title: req.body.title || title || 'Untitled document',
+                format,
+                text,
+                createdBy: req.user._id
+            });
+
+            await knowledgeBase.index(document, buildMeter(req));
+
+            logger.info('Knowledge document uploaded', {
+                documentId: document._id,
+                status: document.status,
+                chunks: document.chunkCount,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Knowledge document uploaded successfully',
+                document
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Import published content into the knowledge base. Content that was
+     * imported before is re-indexed when it has a newer version.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async importContent(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const query = {
+                company: req.user.company._id,
+                status: 'published',
+                isArchived: false
+            };
+            if (req.body.contentIds) query._id = { $in: req.body.contentIds };
+
+            const contents = await Content.find(query).select('title type content version');
+            const existing = await KnowledgeDocument.find({
+                company: req.user.company._id,
+                contentId: { $in: contents.map(content => content._id) }
+            });
+            const imported = new Map(existing.map(document => [document.contentId.toString(), document]));
+
+            const result = { imported: 0, updated: 0, skipped: 0, failed: 0 };
+
+            for (const content of contents) {
+                let document = imported.get(content._id.toString());
+
+                if (document && document.contentVersion === content.version && document.status === 'ready') {
+                    result.skipped += 1;
+                    continue;
+                }
+
+                // Content with no text has nothing to import; the rest still goes in
+                let text;
+                try {
+                    ({ text } = await knowledgeBase.extract('markdown', content.content));
+                } catch (error) {
+                    logger.warn('Published content skipped in knowledge base import', {
+                        contentId: content._id,
+                        error: error.message
+                    });
+                    result.skipped += 1;
+                    continue;
+                }
+
+                if (document) {
+                    document.text = text;
+                    document.contentVersion = content.version;
+                } else {
+                    document = new KnowledgeDocument({
+                        company: req.user.company._id,
+                        title: content.title || `Published ${content.type}`,
+                        format: 'content',
+                        contentId: content._id,
+                        contentVersion: content.version,
+                        text,
+                        createdBy: req.user._id
+                    });
+                }
+
+                const isNew = document.isNew;
+                await knowledgeBase.index(document, buildMeter(req));
+
+                if (document.status === 'failed') {
+                    result.failed += 1;
+                } else {
+                    result[isNew ? 'imported' : 'updated'] += 1;
+                }
+            }
+
+            logger.info('Published content imported into knowledge base', {
+                ...result,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Content imported successfully',
+                ...result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Re-chunk and re-embed a document, e.g. after changing the embedding provider
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async reindexDocument(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const document = await findDocument(req);
+            await knowledgeBase.index(document, buildMeter(req));
+
+            logger.info('Knowledge document reindexed', {
+                documentId: document._id,
+                status: document.status,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Knowledge document reindexed successfully',
+                document
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a document and its passages
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async deleteDocument(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const document = await findDocument(req);
+            await knowledgeBase.remove(document);
+
+            logger.info('Knowledge document deleted', {
+                documentId: document._id,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Knowledge document deleted successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Find the passages most relevant to a query, as used for generation
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async search(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const passages = await knowledgeBase.search(req.user.company._id, req.body.query, {
+                limit: req.body.limit,
+                meter: buildMeter(req)
+            });
+
+            res.json({ passages });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new KnowledgeBaseController();
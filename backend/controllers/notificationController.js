@@ -0,0 +1,69 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { APIError } = require('../middlewares/errorHandler');
+
+class NotificationController {
+    /**
+     * List the current user's notifications in the active workspace, newest first
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listNotifications(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { unread = false, limit = 20 } = req.query;
+            const filter = { user: req.user._id, company: req.user.company._id };
+
+            const [notifications, unreadCount] = await Promise.all([
+                Notification.find(unread ? { ...filter, readAt: null } : filter)
+                    .sort({ createdAt: -1 })
+                    .limit(limit)
+                    .populate('actor', 'name email')
+                    .populate('content', 'title type')
+                    .populate('recurringSchedule', 'name'),
+                Notification.countDocuments({ ...filter, readAt: null })
+            ]);
+
+            res.json({ notifications, unreadCount });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Mark notifications read; all unread ones when no IDs are given
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async markNotificationsRead(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const result = await Notification.markRead(
+                req.user._id,
+                req.user.company._id,
+                req.body.ids
+            );
+
+            res.json({
+                message: 'Notifications marked read successfully',
+                updated: result.modifiedCount
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new NotificationController();
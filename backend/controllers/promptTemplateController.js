@@ -0,0 +1,402 @@
+const { validationResult } = require('express-validator');
+const PromptTemplate = require('../models/PromptTemplate');
+const aiService = require('../utils/aiService');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+/**
+ * Declare any placeholders used in the body that have no variable entry yet
+ * @param {string} body - Template body
+ * @param {Array} variables - Declared variables
+ * @returns {Array} Complete variable declarations
+ */
+const withUndeclaredVariables = (body, variables = []) => {
+    const declared = new Set(variables.map(variable => variable.name));
+    const undeclared = aiService.extractVariables(body)
+        .filter(name => !declared.has(name))
+        .map(name => ({ name, required: false }));
+
+    return [...variables, ...undeclared];
+};
+
+/**
+ * Find a template in the active workspace
+ * @param {Request} req - Express request object
+ * @returns {Promise<PromptTemplate>} Prompt template
+ */
+const findTemplate = async (req) => {
+    const template = await PromptTemplate.findOne({
+        _id: req.params.id,
+        company: req.user.company._id
+    });
+
+    if (!template) {
+        throw new APIError('Prompt template not found', 404);
+    }
+
+    return template;
+};
+
+class PromptTemplateController {
+    /**
+     * List prompt templates in the active workspace
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listTemplates(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const query = { company: req.user.company._id };
+            if (req.query.type) query.type = req.query.type;
+
+            const templates = await PromptTemplate.find(query)
+                .select('-versions')
+                .sort({ type: 1, isDefault: -1, name: 1 });
+
+            res.json({ templates });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List the built-in templates used when a workspace has none
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listBuiltInTemplates(req, res, next) {
+        try {
+            const templates = Object.keys(aiService.promptTemplates)
+                .map(type => aiService.getBuiltInTemplate(type));
+
+            res.json({ templates });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a single prompt template
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const template = await findTemplate(req);
+
+            res.json({ template });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create a prompt template
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { name, type, body, variables, isDefault } = req.body;
+
+            const template = new PromptTemplate({
+                company: req.user.company._id,
+                name,
+                type,
+                body,
+                variables: withUndeclaredVariables(body, variables),
+                createdBy: req.user._id,
+                updatedBy: req.user._id
+            });
+
+            await template.save();
+
+            if (isDefault) {
+                await template.makeDefault();
+            }
+
+            logger.info('Prompt template created', {
+                templateId: template._id,
+                type,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Prompt template created successfully',
+                template
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update a prompt template; body or variable changes create a new version
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async updateTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { name, body, variables, changeLog } = req.body;
+            const template = await findTemplate(req);
+
+            if (name !== undefined) {
+                template.name = name;
+            }
+
+            if (body !== undefined || variables !== undefined) {
+                const nextBody = body !== undefined ? body : template.body;
+                const nextVariables = variables !== undefined ? variables : template.variables.map(v => v.toObject());
+
+                await template.addVersion(req.user._id, {
+                    body: nextBody,
+                    variables: withUndeclaredVariables(nextBody, nextVariables)
+                }, changeLog);
+            } else {
+                template.updatedBy = req.user._id;
+                await template.save();
+            }
+
+            logger.info('Prompt template updated', {
+                templateId: template._id,
+                version: template.version,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Prompt template updated successfully',
+                template
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a prompt template
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async deleteTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const template = await PromptTemplate.findOneAndDelete({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!template) {
+                throw new APIError('Prompt template not found', 404);
+            }
+
+            logger.info('Prompt template deleted', {
+                templateId: template._id,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Prompt template deleted successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Make a template the workspace default for its content type
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async setDefaultTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const template = await findTemplate(req);
+            await template.makeDefault();
+
+            logger.info('Default prompt template changed', {
+                templateId: template._id,
+                type: template.type,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Default prompt template updated successfully',
+                template
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the version history of a template
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getVersions(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const template = await findTemplate(req);
+            await template.populate('versions.modifiedBy', 'name email');
+
+            res.json({
+                version: template.version,
+                versions: [...template.versions].reverse()
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Restore an earlier version as a new version
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async restoreVersion(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const template = await findTemplate(req);
+            const version = parseInt(req.params.version, 10);
+
+            const previous = template.versions.find(entry => entry.version === version);
+            if (!previous) {
+                throw new APIError('Template version not found', 404);
+            }
+
+            await template.addVersion(req.user._id, {
+                body: previous.body,
+                variables: previous.variables.map(variable => variable.toObject())
+            }, `Restored version ${version}`);
+
+            logger.info('Prompt template version restored', {
+                templateId: template._id,
+                restoredVersion: version,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Prompt template version restored successfully',
+                template
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Render a stored template with sample values
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async renderTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const template = await findTemplate(req);
+            const version = req.body.version || template.version;
+
+            const source = version === template.version
+                ? template
+                : template.versions.find(entry => entry.version === version);
+
+            if (!source) {
+                throw new APIError('Template version not found', 404);
+            }
+
+            res.json({
+                version,
+                prompt: aiService.renderTemplate(source, req.body.params)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Render an unsaved template, or the built-in template for a type
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async previewTemplate(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { type, body, variables, params } = req.body;
+
+            const template = body
+                ? { body, variables: withUndeclaredVariables(body, variables) }
+                : aiService.getBuiltInTemplate(type);
+
+            res.json({
+                variables: template.variables,
+                prompt: aiService.renderTemplate(template, params)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new PromptTemplateController();
@@ -0,0 +1,338 @@
+const { validationResult } = require('express-validator');
+const RecurringSchedule = require('../models/RecurringSchedule');
+const Content = require('../models/Content');
+const BrandVoice = require('../models/BrandVoice');
+const PromptTemplate = require('../models/PromptTemplate');
+const recurringContent = require('../utils/recurringContent');
+const publishScheduler = require('../utils/scheduler');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+/**
+ * Find a recurring schedule in the active workspace
+ * @param {Request} req - Express request object
+ * @returns {Promise<RecurringSchedule>} Schedule
+ */
+const findSchedule = async (req) => {
+    const schedule = await RecurringSchedule.findOne({
+        _id: req.params.id,
+        company: req.user.company._id
+    });
+
+    if (!schedule) {
+        throw new APIError('Recurring schedule not found', 404);
+    }
+
+    return schedule;
+};
+
+/**
+ * Check that a brand voice and a prompt template for the content type
+ * belong to the active workspace
+ * @param {Request} req - Express request object
+ * @param {Object} brief - brandVoiceId, templateId and type
+ * @returns {Promise<void>}
+ */
+const checkBrief = async (req, { brandVoiceId, templateId, type }) => {
+    const company = req.user.company._id;
+
+    if (brandVoiceId && !await BrandVoice.exists({ _id: brandVoiceId, company })) {
+        throw new APIError('Brand voice not found', 404);
+    }
+
+    if (templateId && !await PromptTemplate.exists({ _id: templateId, company, type })) {
+        throw new APIError('Prompt template not found', 404);
+    }
+};
+
+/**
+ * Check who may change auto-publishing. Auto-published content skips
+ * review, so only owners and admins may turn it on or edit a schedule
+ * that has it on.
+ * @param {Request} req - Express request object
+ * @param {Object} [autoPublish] - Requested auto-publish settings
+ * @param {RecurringSchedule} [schedule] - Schedule being updated
+ * @returns {void}
+ */
+const checkAutoPublish = (req, autoPublish, schedule) => {
+    if (!autoPublish?.enabled && !schedule?.autoPublish.enabled) return;
+
+    if (!req.user.company.hasRole(req.user._id, ['owner', 'admin'])) {
+        throw new APIError('Only owners and admins can manage auto-publishing schedules', 403);
+    }
+
+    if (autoPublish?.enabled && !autoPublish.channels?.length) {
+        throw new APIError('Auto-publishing needs at least one channel', 400);
+    }
+};
+
+class RecurringScheduleController {
+    /**
+     * List recurring schedules in the active workspace with their last run
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listSchedules(req, res, next) {
+        try {
+            const schedules = await RecurringSchedule.find({ company: req.user.company._id })
+                .slice('runs', -1)
+                .populate('createdBy', 'name email')
+                .sort({ createdAt: -1 });
+
+            res.json({ schedules });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a recurring schedule with its run history, newest first
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getSchedule(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const schedule = await findSchedule(req);
+            await schedule.populate([
+                { path: 'createdBy', select: 'name email' },
+                { path: 'runs.content', select: 'title status distribution.channels' }
+            ]);
+
+            res.json({
+                schedule,
+                runs: [...schedule.runs].reverse()
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create a recurring schedule
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createSchedule(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const {
+                name, description, type, prompt, params, templateId, brandVoiceId,
+                useKnowledgeBase, ai, cron, timezone, autoPublish, enabled
+            } = req.body;
+
+            await checkBrief(req, { brandVoiceId, templateId, type });
+            checkAutoPublish(req, autoPublish);
+
+            const schedule = new RecurringSchedule({
+                company: req.user.company._id,
+                name,
+                description,
+                type,
+                brief: {
+                    prompt,
+                    params,
+                    template: templateId,
+                    brandVoice: brandVoiceId,
+                    useKnowledgeBase,
+                    ai
+                },
+                cron,
+                timezone,
+                autoPublish: autoPublish?.enabled
+                    ? { ...autoPublish, approvedBy: req.user._id }
+                    : autoPublish,
+                enabled,
+                createdBy: req.user._id
+            });
+
+            schedule.nextRunAt = recurringContent.getNextRun(schedule);
+            await schedule.save();
+
+            logger.info('Recurring schedule created successfully', {
+                scheduleId: schedule._id,
+                cron: schedule.cron,
+                nextRunAt: schedule.nextRunAt,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Recurring schedule created successfully',
+                schedule
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update a recurring schedule. Enabling a paused schedule clears its
+     * failure count.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async updateSchedule(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const {
+                name, description, type, prompt, params, templateId, brandVoiceId,
+                useKnowledgeBase, ai, cron, timezone, autoPublish, enabled
+            } = req.body;
+
+            const schedule = await findSchedule(req);
+
+            await checkBrief(req, {
+                brandVoiceId,
+                templateId: templateId !== undefined ? templateId : schedule.brief.template,
+                type: type || schedule.type
+            });
+            checkAutoPublish(req, autoPublish, schedule);
+
+            if (name !== undefined) schedule.name = name;
+            if (description !== undefined) schedule.description = description;
+            if (type !== undefined) schedule.type = type;
+            if (prompt !== undefined) schedule.brief.prompt = prompt;
+            if (params !== undefined) schedule.brief.params = params;
+            if (templateId !== undefined) schedule.brief.template = templateId || undefined;
+            if (brandVoiceId !== undefined) schedule.brief.brandVoice = brandVoiceId || undefined;
+            if (useKnowledgeBase !== undefined) schedule.brief.useKnowledgeBase = useKnowledgeBase;
+            if (ai !== undefined) schedule.brief.ai = ai;
+            if (cron !== undefined) schedule.cron = cron;
+            if (timezone !== undefined) schedule.timezone = timezone;
+
+            if (autoPublish !== undefined) {
+                schedule.autoPublish = autoPublish.enabled
+                    ? { ...autoPublish, approvedBy: req.user._id }
+                    : { enabled: false, channels: autoPublish.channels };
+            }
+
+            if (enabled !== undefined) {
+                if (enabled && !schedule.enabled) {
+                    schedule.consecutiveFailures = 0;
+                }
+                schedule.enabled = enabled;
+            }
+
+            schedule.nextRunAt = recurringContent.getNextRun(schedule);
+            await schedule.save();
+
+            logger.info('Recurring schedule updated', {
+                scheduleId: schedule._id,
+                nextRunAt: schedule.nextRunAt,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Recurring schedule updated successfully',
+                schedule
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Run a recurring schedule now. The run happens after the response is
+     * sent; it is added to the schedule's history when it finishes. The next
+     * scheduled run and the failure count are unchanged.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async runSchedule(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const schedule = await publishScheduler.claimRecurring({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!schedule) {
+                await findSchedule(req);
+                throw new APIError('Recurring schedule is already running', 409);
+            }
+
+            publishScheduler.processRecurring(schedule, 'manual').catch(error => {
+                logger.error('Error running recurring schedule manually:', {
+                    scheduleId: schedule._id,
+                    error: error.message
+                });
+            });
+
+            logger.info('Recurring schedule run started manually', {
+                scheduleId: schedule._id,
+                userId: req.user._id
+            });
+
+            res.status(202).json({
+                message: 'Recurring schedule run started',
+                schedule
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete a recurring schedule. Content it generated is kept and unlinked.
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async deleteSchedule(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const schedule = await RecurringSchedule.findOneAndDelete({
+                _id: req.params.id,
+                company: req.user.company._id
+            });
+
+            if (!schedule) {
+                throw new APIError('Recurring schedule not found', 404);
+            }
+
+            await Content.updateMany({ recurringSchedule: schedule._id }, { $unset: { recurringSchedule: 1 } });
+
+            logger.info('Recurring schedule deleted', {
+                scheduleId: schedule._id,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Recurring schedule deleted successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new RecurringScheduleController();
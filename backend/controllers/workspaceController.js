@@ -0,0 +1,484 @@
+const { validationResult } = require('express-validator');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const mailService = require('../utils/mailService');
+const logger = require('../utils/logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+// Workspace settings that owners and admins can change
+const WORKSPACE_SETTINGS = {
+    ai: ['provider', 'model'],
+    quotas: ['monthlyTokens', 'monthlyTokensPerUser'],
+    lint: [
+        'blockPublish', 'bannedTerms', 'disclaimers', 'postLimits',
+        'minReadability', 'duplicateWords', 'checkLinks', 'severities'
+    ],
+    localization: ['channelLocales', 'glossary'],
+    calendar: ['timezone', 'dailyLimits']
+};
+
+/**
+ * Count owners of a workspace
+ * @param {Company} workspace - Company document
+ * @returns {number} Number of owners
+ */
+const countOwners = (workspace) => workspace.members.filter(member => member.role === 'owner').length;
+
+class WorkspaceController {
+    /**
+     * List workspaces the user belongs to
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listWorkspaces(req, res, next) {
+        try {
+            const workspaces = await Company.findForUser(req.user._id);
+            const activeId = req.user.company?._id?.toString();
+
+            res.json({
+                workspaces: workspaces.map(workspace => ({
+                    _id: workspace._id,
+                    name: workspace.name,
+                    role: workspace.getMember(req.user._id).role,
+                    memberCount: workspace.members.length,
+                    isCurrent: workspace._id.toString() === activeId
+                }))
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create a workspace owned by the user and make it active
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async createWorkspace(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const workspace = new Company({
+                name: req.body.name,
+                members: [{ user: req.user._id, role: 'owner' }]
+            });
+            await workspace.save();
+
+            req.user.company = workspace._id;
+            await req.user.save();
+
+            logger.info('Workspace created', {
+                workspaceId: workspace._id,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Workspace created successfully',
+                workspace
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the active workspace with its members
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async getCurrentWorkspace(req, res, next) {
+        try {
+            const workspace = await Company.findById(req.user.company._id)
+                .select('-invitations -calendarFeed')
+                .populate('members.user', 'name email position');
+
+            res.json({ workspace });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update the active workspace (owners and admins only)
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async updateCurrentWorkspace(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { name, settings = {} } = req.body;
+            const $set = {};
+            const $unset = {};
+
+            if (name !== undefined) $set.name = name;
+
+            // Null clears a setting, falling back to the environment default
+            Object.entries(WORKSPACE_SETTINGS).forEach(([section, keys]) => {
+                keys
+                    .filter(key => settings[section]?.[key] !== undefined)
+                    .forEach(key => {
+                        if (settings[section][key] === null) {
+                            $unset[`settings.${section}.${key}`] = 1;
+                        } else {
+                            $set[`settings.${section}.${key}`] = settings[section][key];
+                        }
+                    });
+            });
+
+            const update = { $set };
+            if (Object.keys($unset).length) update.$unset = $unset;
+
+            const workspace = await Company.findByIdAndUpdate(
+                req.user.company._id,
+                update,
+                { new: true, runValidators: true }
+            ).select('-invitations -calendarFeed');
+
+            logger.info('Workspace updated', {
+                workspaceId: workspace._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Workspace updated successfully',
+                workspace
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Switch the user's active workspace
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async switchWorkspace(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const workspace = await Company.findById(req.params.id).select('-invitations -calendarFeed');
+            if (!workspace || !workspace.isActive) {
+                throw new APIError('Workspace not found', 404);
+            }
+
+            if (!workspace.getMember(req.user._id)) {
+                throw new APIError('You are not a member of this workspace', 403);
+            }
+
+            req.user.company = workspace._id;
+            await req.user.save();
+
+            logger.info('Workspace switched', {
+                workspaceId: workspace._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Workspace switched successfully',
+                workspace
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Change a member's role (owners and admins only)
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async updateMemberRole(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { role } = req.body;
+            const workspace = await Company.findById(req.user.company._id);
+            const member = workspace.getMember(req.params.userId);
+
+            if (!member) {
+                throw new APIError('Member not found', 404);
+            }
+
+            // Only owners can grant or revoke ownership
+            const isOwner = workspace.hasRole(req.user._id, ['owner']);
+            if ((role === 'owner' || member.role === 'owner') && !isOwner) {
+                throw new APIError('Only owners can change ownership', 403);
+            }
+
+            if (member.role === 'owner' && role !== 'owner' && countOwners(workspace) === 1) {
+                throw new APIError('A workspace needs at least one owner', 409);
+            }
+
+            member.role = role;
+            await workspace.save();
+
+            logger.info('Workspace member role updated', {
+                workspaceId: workspace._id,
+                memberId: req.params.userId,
+                role,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Member role updated successfully',
+                member
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Remove a member, or leave the workspace when removing yourself
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async removeMember(req, res, next) {
+        try {
+            const { userId } = req.params;
+            const workspace = await Company.findById(req.user.company._id);
+            const member = workspace.getMember(userId);
+
+            if (!member) {
+                throw new APIError('Member not found', 404);
+            }
+
+            const isSelf = userId === req.user._id.toString();
+            if (!isSelf && !workspace.hasRole(req.user._id, ['owner', 'admin'])) {
+                throw new APIError('Unauthorized access', 403);
+            }
+
+            if (member.role === 'owner' && !isSelf && !workspace.hasRole(req.user._id, ['owner'])) {
+                throw new APIError('Only owners can remove an owner', 403);
+            }
+
+            if (member.role === 'owner' && countOwners(workspace) === 1) {
+                throw new APIError('A workspace needs at least one owner', 409);
+            }
+
+            workspace.members.pull(member._id);
+            await workspace.save();
+
+            // Move the removed user to another workspace they belong to, if any
+            const user = await User.findById(userId);
+            if (user && user.company?.toString() === workspace._id.toString()) {
+                const [fallback] = await Company.findForUser(userId).limit(1);
+                user.company = fallback ? fallback._id : undefined;
+                await user.save();
+            }
+
+            logger.info('Workspace member removed', {
+                workspaceId: workspace._id,
+                memberId: userId,
+                userId: req.user._id
+            });
+
+            res.json({ message: isSelf ? 'Left workspace successfully' : 'Member removed successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List pending invitations (owners and admins only)
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async listInvitations(req, res, next) {
+        try {
+            const workspace = await Company.findById(req.user.company._id)
+                .select('invitations')
+                .populate('invitations.invitedBy', 'name email');
+
+            const invitations = workspace.invitations
+                .filter(invitation => !invitation.acceptedAt)
+                .map(invitation => ({
+                    _id: invitation._id,
+                    email: invitation.email,
+                    role: invitation.role,
+                    invitedBy: invitation.invitedBy,
+                    expiresAt: invitation.expiresAt,
+                    isExpired: invitation.expiresAt <= new Date()
+                }));
+
+            res.json({ invitations });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Invite someone to the active workspace by email (owners and admins only)
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async inviteMember(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { email, role = 'member' } = req.body;
+            const workspace = await Company.findById(req.user.company._id);
+
+            const existingUser = await User.findOne({ email: email.toLowerCase() });
+            if (existingUser && workspace.getMember(existingUser._id)) {
+                throw new APIError('User is already a member of this workspace', 409);
+            }
+
+            const { token, invitation } = workspace.createInvitation(email, role, req.user._id);
+            await workspace.save();
+
+            const inviteUrl = `${process.env.APP_URL || 'http://localhost:5173'}/invite?token=${token}`;
+            let emailSent = false;
+
+            if (mailService.isConfigured()) {
+                await mailService.sendMail({
+                    to: email,
+                    subject: `${req.user.name} invited you to ${workspace.name}`,
+                    text: `${req.user.name} invited you to join the ${workspace.name} workspace.\n\n` +
+                          `Accept the invitation: ${inviteUrl}\n\n` +
+                          `This link expires on ${invitation.expiresAt.toUTCString()}.`
+                });
+                emailSent = true;
+            }
+
+            logger.info('Workspace invitation created', {
+                workspaceId: workspace._id,
+                email,
+                role,
+                emailSent,
+                userId: req.user._id
+            });
+
+            res.status(201).json({
+                message: 'Invitation created successfully',
+                invitation: {
+                    _id: invitation._id,
+                    email: invitation.email,
+                    role: invitation.role,
+                    expiresAt: invitation.expiresAt
+                },
+                inviteUrl,
+                emailSent
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke a pending invitation (owners and admins only)
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async revokeInvitation(req, res, next) {
+        try {
+            const workspace = await Company.findById(req.user.company._id);
+            const invitation = workspace.invitations.id(req.params.invitationId);
+
+            if (!invitation || invitation.acceptedAt) {
+                throw new APIError('Invitation not found', 404);
+            }
+
+            workspace.invitations.pull(invitation._id);
+            await workspace.save();
+
+            logger.info('Workspace invitation revoked', {
+                workspaceId: workspace._id,
+                invitationId: req.params.invitationId,
+                userId: req.user._id
+            });
+
+            res.json({ message: 'Invitation revoked successfully' });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Accept an invitation and switch to the workspace
+     * @param {Request} req - Express request object
+     * @param {Response} res - Express response object
+     * @param {NextFunction} next - Express next function
+     */
+    async acceptInvitation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new APIError('Validation error', 400, errors.array());
+            }
+
+            const { token } = req.body;
+            const workspace = await Company.findByInvitationToken(token);
+            const invitation = workspace?.getPendingInvitation(token);
+
+            if (!invitation) {
+                throw new APIError('Invalid or expired invitation', 400);
+            }
+
+            if (invitation.email !== req.user.email) {
+                throw new APIError('This invitation was sent to a different email address', 403);
+            }
+
+            workspace.acceptInvitation(invitation, req.user._id);
+            await workspace.save();
+
+            req.user.company = workspace._id;
+            await req.user.save();
+
+            logger.info('Workspace invitation accepted', {
+                workspaceId: workspace._id,
+                userId: req.user._id
+            });
+
+            res.json({
+                message: 'Invitation accepted successfully',
+                workspace: {
+                    _id: workspace._id,
+                    name: workspace.name
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new WorkspaceController();
@@ -22,8 +22,10 @@ const authenticateToken = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
-        // Get user from database
-        const user = await User.findById(decoded.userId).select('-password');
+        // Get user from database along with the active workspace
+        const user = await User.findById(decoded.userId)
+            .select('-password')
+            .populate('company', '-invitations');
         
         if (!user) {
             throw new APIError('User not found', 401);
@@ -61,6 +63,43 @@ const checkRole = (roles) => {
     };
 };
 
+/**
+ * Middleware to require an active workspace the user is still a member of
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+const requireWorkspace = (req, res, next) => {
+    if (!req.user) {
+        return next(new APIError('User not authenticated', 401));
+    }
+
+    const company = req.user.company;
+    if (!company || !company.isActive || !company.getMember(req.user._id)) {
+        return next(new APIError('No active workspace', 403));
+    }
+
+    next();
+};
+
+/**
+ * Middleware to check the user's role in the active workspace
+ * @param {string[]} roles - Array of allowed workspace roles
+ */
+const checkWorkspaceRole = (roles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return next(new APIError('User not authenticated', 401));
+        }
+
+        if (!req.user.company || !req.user.company.hasRole(req.user._id, roles)) {
+            return next(new APIError('Unauthorized access', 403));
+        }
+
+        next();
+    };
+};
+
 /**
  * Middleware to validate API key for external services
  * @param {Request} req - Express request object
@@ -85,5 +124,7 @@ const validateApiKey = (req, res, next) => {
 module.exports = {
     authenticateToken,
     checkRole,
+    requireWorkspace,
+    checkWorkspaceRole,
     validateApiKey
 };
\ No newline at end of file
@@ -59,7 +59,15 @@ const errorHandler = (err, req, res, next) => {
     if (err.statusCode === 429) {
         return res.status(429).json({
             error: 'Too Many Requests',
-            details: 'Please try again later'
+            details: err.details || 'Please try again later'
+        });
+    }
+
+    // API errors carry their own status code and optional details
+    if (err.name === 'APIError' && err.statusCode) {
+        return res.status(err.statusCode).json({
+            error: err.message,
+            details: err.details
         });
     }
 
@@ -88,10 +96,11 @@ const errorHandler = (err, req, res, next) => {
 
 // Custom error class for API errors
 class APIError extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, details) {
         super(message);
         this.name = 'APIError';
         this.statusCode = statusCode;
+        this.details = details;
     }
 }
 
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One ledger entry per AI call, used for quotas and usage reports
+const aiUsageSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    },
+    operation: {
+        type: String,
+        required: true,
+        enum: ['generate', 'improve', 'translate', 'sentiment', 'embed']
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    model: {
+        type: String,
+        required: true
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    },
+    // Estimated cost in USD at the time of the call
+    cost: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+aiUsageSchema.index({ company: 1, createdAt: -1 });
+aiUsageSchema.index({ company: 1, user: 1, createdAt: -1 });
+
+// Static method to sum tokens used since a date
+aiUsageSchema.statics.getTokensUsed = async function(companyId, since, userId) {
+    const match = {
+        company: new mongoose.Types.ObjectId(companyId),
+        createdAt: { $gte: since }
+    };
+
+    if (userId) {
+        match.user = new mongoose.Types.ObjectId(userId);
+    }
+
+    const [result] = await this.aggregate([
+        { $match: match },
+        { $group: { _id: null, totalTokens: { $sum: '$totalTokens' } } }
+    ]);
+
+    return result ? result.totalTokens : 0;
+};
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+module.exports = AIUsage;
@@ -8,7 +8,7 @@ const analyticsSchema = new mongoose.Schema({
     },
     company: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'Company',
         required: true
     },
     metrics: {
@@ -17,6 +17,8 @@ const analyticsSchema = new mongoose.Schema({
                 type: Date,
                 default: Date.now
             },
+            // Content variant label when the content is in an A/B test
+            variant: String,
             source: String,
             userAgent: String,
             location: {
@@ -27,17 +29,31 @@ const analyticsSchema = new mongoose.Schema({
         engagement: {
             likes: [{
                 timestamp: Date,
+                variant: String,
                 userId: mongoose.Schema.Types.ObjectId
             }],
             shares: [{
                 timestamp: Date,
+                variant: String,
                 platform: String,
                 userId: mongoose.Schema.Types.ObjectId
             }],
             comments: [{
                 timestamp: Date,
+                variant: String,
                 content: String,
-                userId: mongoose.Schema.Types.ObjectId
+                userId: mongoose.Schema.Types.ObjectId,
+                sentiment: {
+                    score: Number,
+                    label: String,
+                    analyzer: String,
+                    aspects: [{
+                        _id: false,
+                        aspect: String,
+                        score: Number
+                    }],
+                    analyzedAt: Date
+                }
             }]
         },
         distribution: {
@@ -60,7 +76,19 @@ const analyticsSchema = new mongoose.Schema({
         history: [{
             timestamp: Date,
             score: Number,
-            source: String
+            source: String,
+            aspects: [{
+                _id: false,
+                aspect: String,
+                score: Number
+            }]
+        }],
+        // Average score per aspect across the history
+        aspects: [{
+            _id: false,
+            aspect: String,
+            score: Number,
+            mentions: Number
         }]
     },
     performance: {
@@ -140,11 +168,12 @@ analyticsSchema.methods.addEngagement = async function(type, data) {
 };
 
 // Method to update sentiment
-analyticsSchema.methods.updateSentiment = async function(score, source) {
+analyticsSchema.methods.updateSentiment = async function(score, source, aspects = []) {
     this.sentiment.history.push({
         timestamp: new Date(),
         score,
-        source
+        source,
+        aspects
     });
     
     // Update overall sentiment
@@ -153,6 +182,17 @@ analyticsSchema.methods.updateSentiment = async function(score, source) {
         score: allScores.reduce((a, b) => a + b) / allScores.length,
         lastAnalyzed: new Date()
     };
+
+    // Update per-aspect sentiment
+    const aspectScores = new Map();
+    this.sentiment.history.forEach(h => (h.aspects || []).forEach(({ aspect, score: aspectScore }) => {
+        aspectScores.set(aspect, [...(aspectScores.get(aspect) || []), aspectScore]);
+    }));
+    this.sentiment.aspects = [...aspectScores].map(([aspect, scores]) => ({
+        aspect,
+        score: scores.reduce((a, b) => a + b) / scores.length,
+        mentions: scores.length
+    }));
     
     await this.updateAggregates();
     return this.save();
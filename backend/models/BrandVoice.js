@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const brandVoiceSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    readingLevel: {
+        type: String,
+        enum: ['elementary', 'middle_school', 'high_school', 'college', 'expert']
+    },
+    vocabulary: {
+        prefer: [{
+            type: String,
+            trim: true
+        }],
+        avoid: [{
+            term: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            replacement: {
+                type: String,
+                trim: true
+            }
+        }]
+    },
+    examples: [{
+        type: String,
+        maxlength: [2000, 'Example passages must not exceed 2000 characters']
+    }],
+    glossary: [{
+        term: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        definition: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    }],
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+brandVoiceSchema.index({ company: 1, isDefault: 1 });
+brandVoiceSchema.index({ company: 1, name: 1 }, { unique: true });
+
+// Static method to resolve a voice for generation: the requested one, or the workspace default
+brandVoiceSchema.statics.resolve = function(companyId, voiceId) {
+    if (voiceId) {
+        return this.findOne({ _id: voiceId, company: companyId });
+    }
+
+    return this.findOne({ company: companyId, isDefault: true });
+};
+
+// Method to make this voice the workspace default
+brandVoiceSchema.methods.makeDefault = async function() {
+    await this.constructor.updateMany(
+        { company: this.company, _id: { $ne: this._id } },
+        { $set: { isDefault: false } }
+    );
+
+    this.isDefault = true;
+    return this.save();
+};
+
+const BrandVoice = mongoose.model('BrandVoice', brandVoiceSchema);
+
+module.exports = BrandVoice;
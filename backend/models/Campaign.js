@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Types a campaign can generate from its brief; changelogs need release data instead
+const CAMPAIGN_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'internal_comm'];
+
+const campaignSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // One brief every piece of the campaign is generated from
+    brief: {
+        prompt: {
+            type: String,
+            required: [true, 'Brief prompt is required']
+        },
+        params: mongoose.Schema.Types.Mixed,
+        brandVoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BrandVoice'
+        },
+        useKnowledgeBase: {
+            type: Boolean,
+            default: true
+        }
+    },
+    types: {
+        type: [{
+            type: String,
+            enum: CAMPAIGN_TYPES
+        }],
+        default: ['blog', 'social_post', 'email', 'internal_comm']
+    },
+    // Generation outcome per type; the content itself links back through Content.campaign
+    pieces: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: CAMPAIGN_TYPES
+        },
+        content: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Content'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'generated', 'failed'],
+            default: 'pending'
+        },
+        error: String,
+        startedAt: Date,
+        generatedAt: Date
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+campaignSchema.index({ company: 1, createdAt: -1 });
+
+// Method to get the generation record of a type, adding a pending one if missing
+campaignSchema.methods.getPiece = function(type) {
+    let piece = this.pieces.find(item => item.type === type);
+    if (!piece) {
+        this.pieces.push({ type });
+        piece = this.pieces[this.pieces.length - 1];
+    }
+
+    return piece;
+};
+
+// Method to combine the statuses of the campaign's content into one
+campaignSchema.methods.getStatus = function(contents) {
+    const counts = {};
+    contents.forEach(content => {
+        counts[content.status] = (counts[content.status] || 0) + 1;
+    });
+
+    const active = contents.filter(content => content.status !== 'archived');
+    const published = counts.published || 0;
+
+    let status = 'draft';
+    if (this.pieces.some(piece => piece.status === 'pending')) {
+        status = 'generating';
+    } else if (active.length === 0) {
+        status = this.pieces.some(piece => piece.status === 'failed') ? 'failed' : 'draft';
+    } else if (published === active.length) {
+        status = 'published';
+    } else if (published > 0) {
+        status = 'partially_published';
+    } else if ((counts.approved || 0) === active.length) {
+        status = 'approved';
+    } else if (counts.in_review || counts.changes_requested) {
+        status = 'in_review';
+    }
+
+    return {
+        status,
+        counts,
+        total: active.length,
+        failed: this.pieces.filter(piece => piece.status === 'failed').map(piece => piece.type)
+    };
+};
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+module.exports = Campaign;
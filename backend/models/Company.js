@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const LINT_SEVERITY = {
+    type: String,
+    enum: ['error', 'warning', 'off']
+};
+
+const companySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Company name is required'],
+        trim: true
+    },
+    members: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['owner', 'admin', 'editor', 'member'],
+            default: 'member'
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    invitations: [{
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        role: {
+            type: String,
+            enum: ['admin', 'editor', 'member'],
+            default: 'member'
+        },
+        // Only a hash of the token is stored; the raw token is sent by email
+        tokenHash: {
+            type: String,
+            required: true
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        expiresAt: Date,
+        acceptedAt: Date,
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
+    settings: {
+        // Default AI provider and model for the workspace; requests may override them
+        ai: {
+            provider: {
+                type: String,
+                enum: ['openai', 'anthropic', 'local', 'fake']
+            },
+            model: {
+                type: String,
+                trim: true
+            }
+        },
+        // Monthly AI token limits; unset falls back to the environment, 0 means unlimited
+        quotas: {
+            monthlyTokens: {
+                type: Number,
+                min: 0
+            },
+            monthlyTokensPerUser: {
+                type: Number,
+                min: 0
+            }
+        },
+        // Content lint rules; unset values fall back to the linter defaults
+        lint: {
+            blockPublish: {
+                type: Boolean,
+                default: false
+            },
+            bannedTerms: [{
+                _id: false,
+                term: {
+                    type: String,
+                    required: true,
+                    trim: true
+                },
+                replacement: {
+                    type: String,
+                    trim: true
+                }
+            }],
+            disclaimers: [{
+                _id: false,
+                text: {
+                    type: String,
+                    required: true,
+                    trim: true
+                },
+                // Content types that need the disclaimer; empty means all
+                types: [String]
+            }],
+            postLimits: {
+                twitter: {
+                    type: Number,
+                    min: 1
+                },
+                linkedin: {
+                    type: Number,
+                    min: 1
+                }
+            },
+            minReadability: Number,
+            duplicateWords: {
+                type: Number,
+                min: 5
+            },
+            checkLinks: Boolean,
+            severities: {
+                banned_term: LINT_SEVERITY,
+                missing_disclaimer: LINT_SEVERITY,
+                post_length: LINT_SEVERITY,
+                broken_link: LINT_SEVERITY,
+                readability: LINT_SEVERITY,
+                duplicate_passage: LINT_SEVERITY,
+                glossary: LINT_SEVERITY
+            }
+        },
+        localization: {
+            // Language of each channel's audience; publishing sends the variant in that locale
+            channelLocales: {
+                website: String,
+                twitter: String,
+                linkedin: String,
+                email: String,
+                slack: String
+            },
+            // Product terms and how each locale must render them; terms without a translation stay as is
+            glossary: [{
+                _id: false,
+                term: {
+                    type: String,
+                    required: true,
+                    trim: true
+                },
+                translations: [{
+                    _id: false,
+                    locale: {
+                        type: String,
+                        required: true
+                    },
+                    text: {
+                        type: String,
+                        required: true,
+                        trim: true
+                    }
+                }]
+            }]
+        },
+        calendar: {
+            // Timezone the content calendar's days are in
+            timezone: String,
+            // Posts per channel per day before the calendar reports a conflict
+            dailyLimits: {
+                website: { type: Number, min: 1 },
+                twitter: { type: Number, min: 1 },
+                linkedin: { type: Number, min: 1 },
+                email: { type: Number, min: 1 },
+                slack: { type: Number, min: 1 }
+            }
+        }
+    },
+    // iCal subscription feed of the content calendar; only a hash of the token is stored
+    calendarFeed: {
+        tokenHash: String,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: Date
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+companySchema.index({ 'members.user': 1 });
+companySchema.index({ 'invitations.tokenHash': 1 });
+companySchema.index({ 'calendarFeed.tokenHash': 1 });
+companySchema.index({ name: 1 });
+
+/**
+ * Hash an invitation token
+ * @param {string} token - Raw invitation token
+ * @returns {string} SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Method to get a member entry
+companySchema.methods.getMember = function(userId) {
+    return this.members.find(member => member.user.toString() === userId.toString());
+};
+
+// Method to check a member's role
+companySchema.methods.hasRole = function(userId, roles) {
+    const member = this.getMember(userId);
+    return !!member && roles.includes(member.role);
+};
+
+// Method to add a member (or update the role of an existing one)
+companySchema.methods.addMember = function(userId, role = 'member') {
+    const existing = this.getMember(userId);
+    if (existing) {
+        existing.role = role;
+        return existing;
+    }
+
+    this.members.push({ user: userId, role });
+    return this.members[this.members.length - 1];
+};
+
+// Method to create an invitation, returning the raw token
+companySchema.methods.createInvitation = function(email, role, invitedBy) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Re-inviting an address replaces its pending invitation
+    this.invitations = this.invitations.filter(
+        invitation => invitation.acceptedAt || invitation.email !== email.toLowerCase()
+    );
+
+    this.invitations.push({
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy,
+        expiresAt: new Date(Date.now() + INVITATION_TTL)
+    });
+
+    return {
+        token,
+        invitation: this.invitations[this.invitations.length - 1]
+    };
+};
+
+// Method to find a pending invitation by token
+companySchema.methods.getPendingInvitation = function(token) {
+    const tokenHash = hashToken(token);
+    return this.invitations.find(invitation =>
+        invitation.tokenHash === tokenHash &&
+        !invitation.acceptedAt &&
+        invitation.expiresAt > new Date()
+    );
+};
+
+// Method to accept an invitation and add the user as a member
+companySchema.methods.acceptInvitation = function(invitation, userId) {
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = userId;
+    return this.addMember(userId, invitation.role);
+};
+
+// Method to create a calendar feed token, replacing any previous one, returning the raw token
+companySchema.methods.createCalendarFeed = function(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.calendarFeed = {
+        tokenHash: hashToken(token),
+        createdBy: userId,
+        createdAt: new Date()
+    };
+
+    return token;
+};
+
+// Static method to find the company holding an invitation token
+companySchema.statics.findByInvitationToken = function(token) {
+    return this.findOne({ 'invitations.tokenHash': hashToken(token), isActive: true });
+};
+
+// Static method to find the company a calendar feed token belongs to
+companySchema.statics.findByCalendarFeedToken = function(token) {
+    return this.findOne({ 'calendarFeed.tokenHash': hashToken(token), isActive: true });
+};
+
+// Static method to list the companies a user belongs to
+companySchema.statics.findForUser = function(userId) {
+    return this.find({ 'members.user': userId, isActive: true })
+               .select('-invitations');
+};
+
+const Company = mongoose.model('Company', companySchema);
+
+module.exports = Company;
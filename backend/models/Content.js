@@ -20,8 +20,51 @@ const contentSchema = new mongoose.Schema({
     },
     content: {
         type: String,
-        required: [true, 'Content is required']
+        // Locale variants are created empty and filled in once translated
+        required: [
+            function() { return !['pending', 'failed'].includes(this.translation?.status); },
+            'Content is required'
+        ]
+    },
+    // Language of the content (BCP 47)
+    locale: {
+        type: String,
+        default: 'en'
     },
+    // Set on locale variants: the content they were translated from
+    translation: {
+        source: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Content'
+        },
+        sourceVersion: Number,
+        status: {
+            type: String,
+            enum: ['pending', 'translated', 'failed']
+        },
+        requestedAt: Date,
+        translatedAt: Date,
+        // Glossary terms the translation still gets wrong
+        glossaryIssues: [String],
+        error: String
+    },
+    // Set on repurposed content: the content it was generated from
+    derivedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    },
+    // Campaign the content was generated for
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign'
+    },
+    // Recurring schedule whose run generated the content
+    recurringSchedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringSchedule'
+    },
+    // Validated JSON for structured types (changelog, design_doc); content holds its Markdown rendering
+    structured: mongoose.Schema.Types.Mixed,
     metadata: {
         prompt: {
             type: String,
@@ -31,18 +74,84 @@ const contentSchema = new mongoose.Schema({
             type: String,
             required: true
         },
+        aiProvider: String,
+        brandVoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BrandVoice'
+        },
+        promptTemplate: {
+            template: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'PromptTemplate'
+            },
+            version: Number
+        },
         generationParams: {
             temperature: Number,
             maxTokens: Number,
             topP: Number
         },
-        processingTime: Number
+        processingTime: Number,
+        usage: {
+            promptTokens: Number,
+            completionTokens: Number,
+            totalTokens: Number
+        },
+        // Knowledge base passages given to the model, in citation order
+        sources: [{
+            document: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'KnowledgeDocument'
+            },
+            title: String,
+            chunk: Number,
+            score: Number
+        }]
     },
     status: {
         type: String,
-        enum: ['draft', 'published', 'archived'],
+        enum: ['draft', 'in_review', 'changes_requested', 'approved', 'published', 'archived'],
         default: 'draft'
     },
+    review: {
+        reviewers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date,
+        decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        decidedAt: Date,
+        // Content version the approval applies to; later edits need a new review
+        approvedVersion: Number,
+        comments: [{
+            author: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            body: {
+                type: String,
+                required: true
+            },
+            decision: {
+                type: String,
+                enum: ['comment', 'approve', 'request_changes'],
+                default: 'comment'
+            },
+            version: Number,
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }]
+    },
     author: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -50,7 +159,7 @@ const contentSchema = new mongoose.Schema({
     },
     company: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'Company',
         required: true
     },
     figmaElements: [{
@@ -93,9 +202,166 @@ const contentSchema = new mongoose.Schema({
         }],
         schedule: {
             publishAt: Date,
-            timezone: String
+            timezone: String,
+            status: {
+                type: String,
+                enum: ['scheduled', 'processing', 'completed', 'failed']
+            },
+            lockedBy: String,
+            lockedAt: Date,
+            attempts: {
+                type: Number,
+                default: 0
+            },
+            lastRunAt: Date,
+            lastError: String
         }
     },
+    // Alternative generations of the same brief; the selected one becomes the content
+    variants: [{
+        label: String,
+        content: String,
+        structured: mongoose.Schema.Types.Mixed,
+        angle: String,
+        // Set when a reviewer approves the variant, which may then be published as is
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        approvedAt: Date,
+        metadata: {
+            aiModel: String,
+            aiProvider: String,
+            temperature: Number,
+            usage: {
+                promptTokens: Number,
+                completionTokens: Number,
+                totalTokens: Number
+            }
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    selectedVariant: mongoose.Schema.Types.ObjectId,
+    abTest: {
+        channel: {
+            type: String,
+            enum: ['website', 'twitter', 'linkedin', 'email', 'slack']
+        },
+        status: {
+            type: String,
+            enum: ['running', 'evaluating', 'completed', 'cancelled', 'failed']
+        },
+        // Hours to collect engagement before the winner is chosen
+        window: Number,
+        startedAt: Date,
+        endsAt: Date,
+        startedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        variants: [{
+            variant: mongoose.Schema.Types.ObjectId,
+            label: String,
+            url: String,
+            publishedAt: Date,
+            response: mongoose.Schema.Types.Mixed
+        }],
+        results: [{
+            variant: mongoose.Schema.Types.ObjectId,
+            label: String,
+            views: Number,
+            likes: Number,
+            shares: Number,
+            comments: Number,
+            engagement: Number
+        }],
+        winner: mongoose.Schema.Types.ObjectId,
+        decidedAt: Date,
+        lockedAt: Date,
+        lastError: String
+    },
+    // Latest lint result; version tells which revision it applies to
+    lint: {
+        version: Number,
+        passed: Boolean,
+        errorCount: Number,
+        warningCount: Number,
+        readability: Number,
+        issues: [{
+            _id: false,
+            rule: String,
+            severity: {
+                type: String,
+                enum: ['error', 'warning']
+            },
+            message: String,
+            excerpt: String,
+            index: Number,
+            platform: String,
+            url: String,
+            source: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Content'
+            }
+        }],
+        checkedAt: Date
+    },
+    // Inline comment threads, each anchored to a range of the version it was left on
+    threads: [{
+        anchor: {
+            start: {
+                type: Number,
+                required: true
+            },
+            end: {
+                type: Number,
+                required: true
+            },
+            // Anchored text, used to find the range again after edits
+            quote: String,
+            version: Number
+        },
+        messages: [{
+            author: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            body: {
+                type: String,
+                required: true
+            },
+            mentions: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }],
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        resolved: {
+            type: Boolean,
+            default: false
+        },
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     version: {
         type: Number,
         default: 1
@@ -128,10 +394,25 @@ const contentSchema = new mongoose.Schema({
 // Indexes for better query performance
 contentSchema.index({ type: 1, status: 1 });
 contentSchema.index({ author: 1 });
+contentSchema.index({ 'review.reviewers': 1, status: 1 });
 contentSchema.index({ company: 1 });
 contentSchema.index({ 'distribution.channels.platform': 1 });
+contentSchema.index({ 'distribution.schedule.status': 1, 'distribution.schedule.publishAt': 1 });
+contentSchema.index({ 'abTest.status': 1, 'abTest.endsAt': 1 });
 contentSchema.index({ tags: 1 });
+contentSchema.index({ 'translation.source': 1, locale: 1 });
+contentSchema.index({ campaign: 1 });
+contentSchema.index({ derivedFrom: 1 });
+contentSchema.index({ recurringSchedule: 1 });
 contentSchema.index({ createdAt: -1 });
+contentSchema.index({ company: 1, createdAt: -1, _id: -1 });
+contentSchema.index(
+    { title: 'text', tags: 'text', content: 'text', 'revisions.content': 'text' },
+    {
+        name: 'content_text_search',
+        weights: { title: 10, tags: 5, content: 2, 'revisions.content': 1 }
+    }
+);
 
 // Virtual for content preview
 contentSchema.virtual('preview').get(function() {
@@ -164,10 +445,154 @@ contentSchema.methods.addRevision = async function(userId, newContent, changeLog
     
     this.content = newContent;
     this.version += 1;
+
+    // Approved content that is edited has to go through review again
+    if (this.status === 'approved') {
+        this.status = 'draft';
+    }
     
     return this.save();
 };
 
+// Method to get the text of a version, the current one included
+contentSchema.methods.getVersionContent = function(version) {
+    if (version === this.version) {
+        return this.content;
+    }
+
+    return this.revisions.find(rev => rev.version === version)?.content;
+};
+
+// Method to make a variant the content, keeping the previous text as a revision
+contentSchema.methods.selectVariant = async function(userId, variantId) {
+    const variant = this.variants.id(variantId);
+    if (!variant) {
+        throw new Error('Variant not found');
+    }
+
+    if (variant.content !== this.content) {
+        this.revisions.push({
+            content: this.content,
+            modifiedBy: userId,
+            version: this.version,
+            changeLog: `Selected variant ${variant.label}`
+        });
+
+        this.content = variant.content;
+        this.structured = variant.structured;
+        this.version += 1;
+
+        // The approval covered the previous text, so the new one has to be reviewed again
+        if (this.status === 'approved') {
+            this.status = 'draft';
+        }
+    }
+
+    this.selectedVariant = variant._id;
+    return this.save();
+};
+
+// Method to check whether the current version is approved for publishing
+contentSchema.methods.isApproved = function() {
+    return ['approved', 'published'].includes(this.status) &&
+           this.review?.approvedVersion === this.version;
+};
+
+// Method to submit content for review
+contentSchema.methods.submitForReview = async function(userId, reviewers = []) {
+    this.status = 'in_review';
+    this.review.reviewers = reviewers;
+    this.review.requestedBy = userId;
+    this.review.requestedAt = new Date();
+    this.review.decidedBy = undefined;
+    this.review.decidedAt = undefined;
+    this.review.approvedVersion = undefined;
+
+    return this.save();
+};
+
+// Method to record a reviewer comment or decision
+contentSchema.methods.addReviewComment = async function(userId, body, decision = 'comment', variantIds = []) {
+    this.review.comments.push({
+        author: userId,
+        body,
+        decision,
+        version: this.version
+    });
+
+    if (decision !== 'comment') {
+        this.status = decision === 'approve' ? 'approved' : 'changes_requested';
+        this.review.decidedBy = userId;
+        this.review.decidedAt = new Date();
+        this.review.approvedVersion = decision === 'approve' ? this.version : undefined;
+
+        // An approval covers the variants named and the one that is the content
+        this.variants.forEach(variant => {
+            if (decision === 'approve' &&
+                (variant.content === this.content || variantIds.some(id => variant._id.equals(id)))) {
+                variant.approvedBy = userId;
+                variant.approvedAt = new Date();
+            } else if (decision === 'request_changes') {
+                variant.approvedBy = undefined;
+                variant.approvedAt = undefined;
+            }
+        });
+    }
+
+    return this.save();
+};
+
+// Method to start a comment thread on a range of the current version
+contentSchema.methods.addThread = async function(userId, anchor, body, mentions = []) {
+    this.threads.push({
+        anchor: {
+            start: anchor.start,
+            end: anchor.end,
+            quote: this.content.slice(anchor.start, anchor.end),
+            version: this.version
+        },
+        messages: [{ author: userId, body, mentions }],
+        createdBy: userId
+    });
+
+    await this.save();
+    return this.threads[this.threads.length - 1];
+};
+
+// Method to reply to a comment thread
+contentSchema.methods.replyToThread = async function(threadId, userId, body, mentions = []) {
+    const thread = this.threads.id(threadId);
+    if (!thread) {
+        throw new Error('Thread not found');
+    }
+
+    thread.messages.push({ author: userId, body, mentions });
+
+    // Replying reopens the discussion
+    thread.resolved = false;
+    thread.resolvedBy = undefined;
+    thread.resolvedAt = undefined;
+
+    await this.save();
+    return thread;
+};
+
+// Method to mark comment threads resolved or open again, without saving
+contentSchema.methods.setThreadsResolved = function(threadIds, userId, resolved = true) {
+    return threadIds.map(threadId => {
+        const thread = this.threads.id(threadId);
+        if (!thread) {
+            throw new Error('Thread not found');
+        }
+
+        thread.resolved = resolved;
+        thread.resolvedBy = resolved ? userId : undefined;
+        thread.resolvedAt = resolved ? new Date() : undefined;
+
+        return thread;
+    });
+};
+
 // Static method to get popular content
 contentSchema.statics.getPopular = function(limit = 10) {
     return this.find({ status: 'published' })
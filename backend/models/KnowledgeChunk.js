@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// An embedded passage of a knowledge base document
+const knowledgeChunkSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KnowledgeDocument',
+        required: true
+    },
+    index: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    embedding: {
+        type: [Number],
+        required: true
+    },
+    embeddingModel: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+knowledgeChunkSchema.index({ company: 1, embeddingModel: 1 });
+knowledgeChunkSchema.index({ document: 1, index: 1 });
+
+const KnowledgeChunk = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
+
+module.exports = KnowledgeChunk;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A source document in a workspace knowledge base; its passages live in KnowledgeChunk
+const knowledgeDocumentSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true
+    },
+    format: {
+        type: String,
+        required: true,
+        enum: ['markdown', 'html', 'pdf', 'text', 'content']
+    },
+    // Published content imported into the knowledge base
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    },
+    contentVersion: Number,
+    // Extracted plain text
+    text: {
+        type: String,
+        required: true
+    },
+    embeddingModel: String,
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['indexing', 'ready', 'failed'],
+        default: 'indexing'
+    },
+    lastError: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+knowledgeDocumentSchema.index({ company: 1, createdAt: -1 });
+knowledgeDocumentSchema.index({ company: 1, contentId: 1 });
+
+const KnowledgeDocument = mongoose.model('KnowledgeDocument', knowledgeDocumentSchema);
+
+module.exports = KnowledgeDocument;
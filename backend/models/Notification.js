@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// In-app notification for a user, e.g. a mention in a comment thread or a failed recurring run
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['mention', 'recurring_failure']
+    },
+    // User whose action caused the notification
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    content: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    },
+    thread: mongoose.Schema.Types.ObjectId,
+    recurringSchedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringSchedule'
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    readAt: Date
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, company: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Static method to mark a user's notifications read
+notificationSchema.statics.markRead = function(userId, companyId, ids) {
+    const filter = { user: userId, company: companyId, readAt: null };
+    if (ids) {
+        filter._id = { $in: ids };
+    }
+
+    return this.updateMany(filter, { readAt: new Date() });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
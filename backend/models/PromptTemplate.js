@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const CONTENT_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'changelog', 'internal_comm'];
+
+const variableSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^\w+$/, 'Variable names may only contain letters, numbers and underscores']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    default: {
+        type: String
+    }
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: CONTENT_TYPES
+    },
+    body: {
+        type: String,
+        required: [true, 'Template body is required'],
+        maxlength: [5000, 'Template body must not exceed 5000 characters']
+    },
+    variables: [variableSchema],
+    version: {
+        type: Number,
+        default: 1
+    },
+    versions: [{
+        version: Number,
+        body: String,
+        variables: [variableSchema],
+        modifiedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        modifiedAt: {
+            type: Date,
+            default: Date.now
+        },
+        changeLog: String
+    }],
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+promptTemplateSchema.index({ company: 1, type: 1, isDefault: 1 });
+promptTemplateSchema.index({ company: 1, name: 1 }, { unique: true });
+
+// Static method to resolve a template for generation: the requested one, or the workspace default for the type
+promptTemplateSchema.statics.resolve = function(companyId, type, templateId) {
+    if (templateId) {
+        return this.findOne({ _id: templateId, company: companyId, type });
+    }
+
+    return this.findOne({ company: companyId, type, isDefault: true });
+};
+
+// Method to save a new version, keeping the current one in history
+promptTemplateSchema.methods.addVersion = function(userId, { body, variables }, changeLog) {
+    this.versions.push({
+        version: this.version,
+        body: this.body,
+        variables: this.variables,
+        modifiedBy: this.updatedBy,
+        modifiedAt: this.updatedAt,
+        changeLog
+    });
+
+    if (body !== undefined) this.body = body;
+    if (variables !== undefined) this.variables = variables;
+    this.version += 1;
+    this.updatedBy = userId;
+
+    return this.save();
+};
+
+// Method to make this template the workspace default for its content type
+promptTemplateSchema.methods.makeDefault = async function() {
+    await this.constructor.updateMany(
+        { company: this.company, type: this.type, _id: { $ne: this._id } },
+        { $set: { isDefault: false } }
+    );
+
+    this.isDefault = true;
+    return this.save();
+};
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+// Types a recurring schedule can generate; changelogs need release data instead
+const RECURRING_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'internal_comm'];
+
+const recurringScheduleSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: RECURRING_TYPES
+    },
+    // Brief every run is generated from
+    brief: {
+        prompt: {
+            type: String,
+            required: [true, 'Brief prompt is required']
+        },
+        params: mongoose.Schema.Types.Mixed,
+        template: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PromptTemplate'
+        },
+        brandVoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BrandVoice'
+        },
+        useKnowledgeBase: {
+            type: Boolean,
+            default: true
+        },
+        ai: {
+            provider: String,
+            model: String
+        }
+    },
+    // Five-field cron expression read in the schedule's timezone
+    cron: {
+        type: String,
+        required: [true, 'Cron expression is required'],
+        trim: true
+    },
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    // Approve each run's content and publish it to these channels right away
+    autoPublish: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        channels: [{
+            type: String,
+            enum: ['website', 'twitter', 'linkedin', 'email', 'slack']
+        }],
+        // Owner or admin who turned auto-publish on; approvals are recorded as theirs
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lockedBy: String,
+    lockedAt: Date,
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    lastError: String,
+    // Most recent runs, oldest first
+    runs: [{
+        trigger: {
+            type: String,
+            enum: ['schedule', 'manual'],
+            default: 'schedule'
+        },
+        status: {
+            type: String,
+            enum: ['succeeded', 'publish_failed', 'failed']
+        },
+        startedAt: Date,
+        finishedAt: Date,
+        content: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Content'
+        },
+        published: [String],
+        failed: [String],
+        error: String
+    }],
+    // Runs generate as this user, in their language and tone
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+recurringScheduleSchema.index({ company: 1, createdAt: -1 });
+recurringScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Method to add a run to the history, keeping only the most recent ones
+recurringScheduleSchema.methods.recordRun = function(run, limit) {
+    this.runs.push(run);
+    if (this.runs.length > limit) {
+        this.runs.splice(0, this.runs.length - limit);
+    }
+
+    this.lastRunAt = run.startedAt;
+
+    // Manual runs leave the failure count of the scheduled runs alone
+    if (run.trigger === 'manual') {
+        return this.runs[this.runs.length - 1];
+    }
+
+    if (run.status === 'succeeded') {
+        this.consecutiveFailures = 0;
+        this.lastError = undefined;
+    } else {
+        this.consecutiveFailures += 1;
+        this.lastError = run.error;
+    }
+
+    return this.runs[this.runs.length - 1];
+};
+
+const RecurringSchedule = mongoose.model('RecurringSchedule', recurringScheduleSchema);
+
+module.exports = RecurringSchedule;
@@ -30,16 +30,14 @@ const userSchema = new mongoose.Schema({
         enum: ['user', 'admin', 'editor'],
         default: 'user'
     },
+    // Active workspace; memberships and roles live on the Company document
     company: {
-        name: {
-            type: String,
-            required: [true, 'Company name is required'],
-            trim: true
-        },
-        position: {
-            type: String,
-            trim: true
-        }
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company'
+    },
+    position: {
+        type: String,
+        trim: true
     },
     settings: {
         contentPreferences: {
@@ -135,7 +133,7 @@ userSchema.methods.toJSON = function() {
 
 // Create indexes
 userSchema.index({ email: 1 });
-userSchema.index({ 'company.name': 1 });
+userSchema.index({ company: 1 });
 userSchema.index({ apiKey: 1 });
 
 const User = mongoose.model('User', userSchema);
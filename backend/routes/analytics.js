@@ -1,12 +1,12 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const analyticsController = require('../controllers/analyticsController');
-const { authenticateToken, checkRole } = require('../middlewares/authMiddleware');
+const { authenticateToken, checkRole, requireWorkspace } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateToken);
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
 
 // Dashboard analytics
 router.get(
@@ -140,6 +140,73 @@ router.get(
     analyticsController.getRealTimeAnalytics
 );
 
+// Record a view or engagement event, optionally for an A/B test variant
+router.post(
+    '/content/:id/events',
+    [
+        param('id').isMongoId().withMessage('Invalid content ID'),
+        body('type')
+            .isIn(['view', 'like', 'share', 'comment'])
+            .withMessage('Invalid event type'),
+        body('variant').optional().isString().isLength({ max: 10 }),
+        body('platform').optional().isIn(['website', 'twitter', 'linkedin', 'email', 'slack']),
+        body('source').optional().isString(),
+        body('comment').optional().isString().isLength({ max: 2000 }),
+        body('aspects').optional().isArray({ max: 20 }).withMessage('Aspects must be an array of at most 20 names'),
+        body('aspects.*').isString().trim().notEmpty().isLength({ max: 100 })
+    ],
+    analyticsController.recordEvent
+);
+
+// Score unanalyzed comments on a content item
+router.post(
+    '/content/:id/sentiment',
+    [
+        param('id').isMongoId().withMessage('Invalid content ID'),
+        body('aspects').optional().isArray({ max: 20 }).withMessage('Aspects must be an array of at most 20 names'),
+        body('aspects.*').isString().trim().notEmpty().isLength({ max: 100 })
+    ],
+    analyticsController.scoreContentSentiment
+);
+
+// Analyze the sentiment of a text
+router.post(
+    '/sentiment/analyze',
+    [
+        body('text')
+            .isString()
+            .notEmpty()
+            .withMessage('Text is required')
+            .isLength({ max: 10000 })
+            .withMessage('Text must not exceed 10000 characters'),
+        body('aspects').optional().isArray({ max: 20 }).withMessage('Aspects must be an array of at most 20 names'),
+        body('aspects.*').isString().trim().notEmpty().isLength({ max: 100 })
+    ],
+    analyticsController.analyzeSentiment
+);
+
+// AI usage and cost estimates
+router.get(
+    '/ai-usage',
+    [
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601(),
+        query('userId').optional().isMongoId()
+    ],
+    analyticsController.getAIUsage
+);
+
+// Campaign rollup
+router.get(
+    '/campaigns/:id',
+    [
+        param('id').isMongoId().withMessage('Invalid campaign ID'),
+        query('startDate').optional().isISO8601(),
+        query('endDate').optional().isISO8601()
+    ],
+    analyticsController.getCampaignAnalytics
+);
+
 // Custom reports (admin only)
 router.post(
     '/reports/custom',
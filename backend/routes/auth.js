@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
+const localization = require('../utils/localization');
 const { authenticateToken } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
@@ -20,9 +21,14 @@ const registerValidation = [
         .notEmpty()
         .withMessage('Name is required'),
     body('company.name')
+        .if(body('inviteToken').not().exists())
         .trim()
         .notEmpty()
-        .withMessage('Company name is required')
+        .withMessage('Company name is required'),
+    body('inviteToken')
+        .optional()
+        .isHexadecimal()
+        .withMessage('Invalid invitation token')
 ];
 
 const loginValidation = [
@@ -62,8 +68,7 @@ router.put('/profile',
     authenticateToken,
     [
         body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
-        body('company.name').optional().trim().notEmpty().withMessage('Company name cannot be empty'),
-        body('company.position').optional().trim()
+        body('position').optional().trim()
     ],
     authController.updateProfile
 );
@@ -84,6 +89,11 @@ router.put('/settings',
             .optional()
             .isIn(['professional', 'casual', 'friendly', 'formal'])
             .withMessage('Invalid tone preference'),
+        body('settings.contentPreferences.language')
+            .optional()
+            .custom(value => localization.isValidLocale(value))
+            .withMessage('Invalid language')
+            .customSanitizer(value => (localization.isValidLocale(value) ? localization.normalize(value) : value)),
         body('settings.notifications').optional().isObject(),
         body('settings.notifications.*.enabled').optional().isBoolean()
     ],
@@ -0,0 +1,110 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const brandVoiceController = require('../controllers/brandVoiceController');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
+
+// Validation middleware
+const brandVoiceValidation = [
+    body('description').optional().isString(),
+    body('readingLevel')
+        .optional()
+        .isIn(['elementary', 'middle_school', 'high_school', 'college', 'expert'])
+        .withMessage('Invalid reading level'),
+    body('vocabulary.prefer')
+        .optional()
+        .isArray()
+        .withMessage('Preferred vocabulary must be an array'),
+    body('vocabulary.avoid')
+        .optional()
+        .isArray()
+        .withMessage('Avoided vocabulary must be an array'),
+    body('vocabulary.avoid.*.term')
+        .notEmpty()
+        .withMessage('Avoided term is required'),
+    body('examples')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('Examples must be an array of at most 10 passages'),
+    body('examples.*')
+        .isString()
+        .isLength({ max: 2000 })
+        .withMessage('Example passages must not exceed 2000 characters'),
+    body('glossary')
+        .optional()
+        .isArray()
+        .withMessage('Glossary must be an array'),
+    body('glossary.*.term')
+        .notEmpty()
+        .withMessage('Glossary term is required'),
+    body('glossary.*.definition')
+        .notEmpty()
+        .withMessage('Glossary definition is required')
+];
+
+const idValidation = param('id').isMongoId().withMessage('Invalid brand voice ID');
+
+// Brand voice routes
+router.get(
+    '/',
+    brandVoiceController.listBrandVoices
+);
+
+router.get(
+    '/:id',
+    idValidation,
+    brandVoiceController.getBrandVoice
+);
+
+router.post(
+    '/',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Name is required'),
+        body('isDefault').optional().isBoolean(),
+        ...brandVoiceValidation
+    ],
+    brandVoiceController.createBrandVoice
+);
+
+router.put(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        idValidation,
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Name cannot be empty'),
+        ...brandVoiceValidation
+    ],
+    brandVoiceController.updateBrandVoice
+);
+
+router.delete(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    brandVoiceController.deleteBrandVoice
+);
+
+router.post(
+    '/:id/default',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    brandVoiceController.setDefaultBrandVoice
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { query } = require('express-validator');
+const calendarController = require('../controllers/calendarController');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const CHANNELS = ['website', 'twitter', 'linkedin', 'email', 'slack'];
+
+// Validation middleware
+const channelValidation = query('channel')
+    .optional()
+    .isIn(CHANNELS)
+    .withMessage('Invalid channel');
+
+const periodValidation = [
+    query('view')
+        .optional()
+        .isIn(['day', 'week', 'month'])
+        .withMessage('View must be day, week or month'),
+    query('date')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Date must be YYYY-MM-DD')
+        .isISO8601()
+        .withMessage('Invalid date'),
+    query('timezone')
+        .optional()
+        .matches(/^[A-Za-z0-9_/+-]+$/)
+        .withMessage('Invalid timezone format'),
+    channelValidation
+];
+
+// Subscription feed for calendar apps, authenticated by its token
+router.get(
+    '/feed.ics',
+    [
+        query('token')
+            .isString()
+            .notEmpty()
+            .withMessage('Feed token is required'),
+        channelValidation
+    ],
+    calendarController.getFeed
+);
+
+// Apply authentication and workspace middleware to all other routes
+router.use(authenticateToken, requireWorkspace);
+
+// Calendar routes
+router.get(
+    '/',
+    periodValidation,
+    calendarController.getCalendar
+);
+
+router.get(
+    '/export.ics',
+    periodValidation,
+    calendarController.exportCalendar
+);
+
+router.post(
+    '/feed',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    calendarController.createFeed
+);
+
+router.delete(
+    '/feed',
+    checkWorkspaceRole(['owner', 'admin']),
+    calendarController.revokeFeed
+);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const campaignController = require('../controllers/campaignController');
+const { PROVIDERS } = require('../utils/llm');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const CAMPAIGN_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'internal_comm'];
+
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
+
+// Validation middleware
+const idValidation = param('id').isMongoId().withMessage('Invalid campaign ID');
+
+const typesValidation = [
+    body('types')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Types must be a non-empty array'),
+    body('types.*')
+        .isIn(CAMPAIGN_TYPES)
+        .withMessage('Invalid campaign content type')
+];
+
+const aiSelectionValidation = [
+    body('ai.provider')
+        .optional()
+        .isIn(PROVIDERS)
+        .withMessage('Invalid AI provider'),
+    body('ai.model')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Invalid AI model')
+];
+
+const briefValidation = [
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Description must not exceed 1000 characters'),
+    body('params')
+        .optional()
+        .isObject()
+        .withMessage('Params must be an object'),
+    body('brandVoiceId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid brand voice ID'),
+    body('useKnowledgeBase')
+        .optional()
+        .isBoolean()
+        .withMessage('useKnowledgeBase must be a boolean')
+        .toBoolean()
+];
+
+const promptValidation = () => body('prompt')
+    .isString()
+    .notEmpty()
+    .withMessage('Prompt is required')
+    .isLength({ max: 1000 })
+    .withMessage('Prompt must not exceed 1000 characters');
+
+// Campaign routes
+router.get(
+    '/',
+    campaignController.listCampaigns
+);
+
+router.post(
+    '/',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Name is required'),
+        promptValidation(),
+        ...briefValidation,
+        ...typesValidation,
+        ...aiSelectionValidation
+    ],
+    campaignController.createCampaign
+);
+
+router.get(
+    '/:id',
+    idValidation,
+    campaignController.getCampaign
+);
+
+router.put(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        idValidation,
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Name cannot be empty'),
+        promptValidation().optional(),
+        ...briefValidation
+    ],
+    campaignController.updateCampaign
+);
+
+router.post(
+    '/:id/generate',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        idValidation,
+        ...typesValidation,
+        ...aiSelectionValidation
+    ],
+    campaignController.generateCampaignContent
+);
+
+router.delete(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    campaignController.deleteCampaign
+);
+
+module.exports = router;
@@ -1,14 +1,60 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const contentController = require('../controllers/contentController');
-const { authenticateToken, checkRole } = require('../middlewares/authMiddleware');
+const { PROVIDERS } = require('../utils/llm');
+const localization = require('../utils/localization');
+const { ISO_DATE_PATTERN } = require('../utils/timezone');
+const {
+    authenticateToken,
+    checkRole,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateToken);
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
 
 // Validation middleware
+const aiSelectionValidation = [
+    body('ai.provider')
+        .optional()
+        .isIn(PROVIDERS)
+        .withMessage('Invalid AI provider'),
+    body('ai.model')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Invalid AI model')
+];
+
+const generationOptionsValidation = [
+    body('params')
+        .optional()
+        .isObject()
+        .withMessage('Params must be an object'),
+    body('params.version')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Version must not exceed 50 characters'),
+    body('brandVoiceId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid brand voice ID'),
+    body('templateId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid prompt template ID'),
+    body('useKnowledgeBase')
+        .optional()
+        .isBoolean()
+        .withMessage('useKnowledgeBase must be a boolean')
+        .toBoolean(),
+    ...aiSelectionValidation
+];
+
 const contentGenerationValidation = [
     body('type')
         .isIn(['blog', 'social_post', 'email', 'design_doc', 'changelog', 'internal_comm'])
@@ -18,19 +64,44 @@ const contentGenerationValidation = [
         .withMessage('Prompt is required')
         .isLength({ max: 1000 })
         .withMessage('Prompt must not exceed 1000 characters'),
-    body('params')
+    ...generationOptionsValidation
+];
+
+const commentValidation = [
+    body('body')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Comment is required')
+        .isLength({ max: 5000 })
+        .withMessage('Comment must not exceed 5000 characters'),
+    body('mentions')
         .optional()
-        .isObject()
-        .withMessage('Params must be an object')
+        .isArray({ max: 50 })
+        .withMessage('Mentions must be an array'),
+    body('mentions.*')
+        .isMongoId()
+        .withMessage('Invalid user ID')
 ];
 
+const threadIdValidation = param('threadId').isMongoId().withMessage('Invalid thread ID');
+
 const contentUpdateValidation = [
+    body('version')
+        .isInt({ min: 1 })
+        .withMessage('Version the edit is based on is required')
+        .toInt(),
     body('content')
+        .if(body('structured').not().exists())
         .notEmpty()
         .withMessage('Content is required'),
+    body('structured')
+        .optional()
+        .isObject()
+        .withMessage('Structured data must be an object'),
     body('status')
         .optional()
-        .isIn(['draft', 'published', 'archived'])
+        .isIn(['draft', 'archived'])
         .withMessage('Invalid status')
 ];
 
@@ -41,11 +112,112 @@ router.post(
     contentController.generateContent
 );
 
+router.post(
+    '/generate/stream',
+    contentGenerationValidation,
+    contentController.streamGenerateContent
+);
+
+router.post(
+    '/generate/variants',
+    [
+        ...contentGenerationValidation,
+        body('count')
+            .optional()
+            .isInt({ min: 2, max: 5 })
+            .withMessage('Count must be between 2 and 5')
+            .toInt(),
+        body('angles')
+            .optional()
+            .isArray({ min: 2, max: 5 })
+            .withMessage('Angles must be an array of 2 to 5 entries'),
+        body('angles.*')
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('Angles must not exceed 200 characters'),
+        body('temperatures')
+            .optional()
+            .isArray({ min: 2, max: 5 })
+            .withMessage('Temperatures must be an array of 2 to 5 entries'),
+        body('temperatures.*')
+            .isFloat({ min: 0, max: 2 })
+            .withMessage('Temperatures must be between 0 and 2')
+            .toFloat()
+    ],
+    contentController.generateVariants
+);
+
+router.post(
+    '/generate/changelog',
+    [
+        body('version')
+            .trim()
+            .notEmpty()
+            .withMessage('Version is required')
+            .isLength({ max: 50 })
+            .withMessage('Version must not exceed 50 characters'),
+        body('source')
+            .isIn(['git', 'pull_requests'])
+            .withMessage('Source must be git or pull_requests'),
+        body('log')
+            .if(body('source').equals('git'))
+            .isString()
+            .notEmpty()
+            .withMessage('Git log is required')
+            .isLength({ max: 200000 })
+            .withMessage('Git log must not exceed 200000 characters'),
+        body('pullRequests')
+            .if(body('source').equals('pull_requests'))
+            .isArray({ min: 1, max: 1000 })
+            .withMessage('Pull requests must be an array of 1 to 1000 entries'),
+        body('pullRequests.*.title')
+            .if(body('source').equals('pull_requests'))
+            .isString()
+            .notEmpty()
+            .withMessage('Pull request title is required'),
+        body('prompt')
+            .optional()
+            .isLength({ max: 1000 })
+            .withMessage('Prompt must not exceed 1000 characters'),
+        body('params')
+            .optional()
+            .isObject()
+            .withMessage('Params must be an object'),
+        body('brandVoiceId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid brand voice ID'),
+        body('templateId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid prompt template ID'),
+        ...aiSelectionValidation
+    ],
+    contentController.generateChangelog
+);
+
 router.post(
     '/improve',
     [
         body('contentId').notEmpty().withMessage('Content ID is required'),
-        body('feedback').notEmpty().withMessage('Feedback is required')
+        body('feedback')
+            .if(body('threadIds').not().exists())
+            .notEmpty()
+            .withMessage('Feedback or comment threads are required'),
+        body('threadIds')
+            .optional()
+            .isArray({ min: 1, max: 20 })
+            .withMessage('Thread IDs must be an array of 1 to 20 entries'),
+        body('threadIds.*')
+            .isMongoId()
+            .withMessage('Invalid thread ID'),
+        body('resolveThreads')
+            .optional()
+            .isBoolean()
+            .withMessage('resolveThreads must be a boolean')
+            .toBoolean(),
+        body('brandVoiceId').optional().isMongoId().withMessage('Invalid brand voice ID'),
+        ...aiSelectionValidation
     ],
     contentController.improveContent
 );
@@ -55,9 +227,24 @@ router.get(
     '/',
     [
         query('type').optional().isIn(['blog', 'social_post', 'email', 'design_doc', 'changelog', 'internal_comm']),
-        query('status').optional().isIn(['draft', 'published', 'archived']),
-        query('page').optional().isInt({ min: 1 }),
-        query('limit').optional().isInt({ min: 1, max: 50 })
+        query('status').optional().isIn(['draft', 'in_review', 'changes_requested', 'approved', 'published', 'archived']),
+        query('q')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Search query must not exceed 200 characters'),
+        // Comma-separated; results carry every given tag
+        query('tags')
+            .optional()
+            .customSanitizer(value => [].concat(value).flatMap(tag => String(tag).split(','))
+                .map(tag => tag.trim())
+                .filter(Boolean)),
+        query('author').optional().isMongoId().withMessage('Invalid author ID'),
+        query('from').optional().isISO8601().withMessage('Invalid from date'),
+        query('to').optional().isISO8601().withMessage('Invalid to date'),
+        query('cursor').optional().isString().isLength({ max: 500 }),
+        query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
     ],
     contentController.listContent
 );
@@ -78,6 +265,109 @@ router.delete(
     contentController.deleteContent
 );
 
+// Review workflow routes
+router.get(
+    '/:id/review',
+    contentController.getReview
+);
+
+router.post(
+    '/:id/review/submit',
+    [
+        body('reviewers')
+            .optional()
+            .isArray()
+            .withMessage('Reviewers must be an array'),
+        body('reviewers.*')
+            .isMongoId()
+            .withMessage('Invalid reviewer ID')
+    ],
+    contentController.submitForReview
+);
+
+router.post(
+    '/:id/review/decision',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('decision')
+            .isIn(['approve', 'request_changes'])
+            .withMessage('Decision must be approve or request_changes'),
+        body('comment')
+            .if(body('decision').equals('request_changes'))
+            .notEmpty()
+            .withMessage('A comment is required when requesting changes'),
+        body('variantIds')
+            .optional()
+            .isArray()
+            .withMessage('Variant IDs must be an array'),
+        body('variantIds.*')
+            .isMongoId()
+            .withMessage('Invalid variant ID')
+    ],
+    contentController.reviewContent
+);
+
+router.post(
+    '/:id/review/comments',
+    [
+        body('body')
+            .notEmpty()
+            .withMessage('Comment is required')
+    ],
+    contentController.addReviewComment
+);
+
+// Inline comment routes
+router.get(
+    '/:id/threads',
+    [
+        query('status')
+            .optional()
+            .isIn(['open', 'resolved', 'all'])
+            .withMessage('Status must be open, resolved or all')
+    ],
+    contentController.getCommentThreads
+);
+
+router.post(
+    '/:id/threads',
+    [
+        body('anchor.start')
+            .isInt({ min: 0 })
+            .withMessage('Anchor start is required')
+            .toInt(),
+        body('anchor.end')
+            .isInt({ min: 1 })
+            .withMessage('Anchor end is required')
+            .toInt(),
+        body('anchor.version')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Invalid version')
+            .toInt(),
+        ...commentValidation
+    ],
+    contentController.createCommentThread
+);
+
+router.post(
+    '/:id/threads/:threadId/replies',
+    [threadIdValidation, ...commentValidation],
+    contentController.replyToCommentThread
+);
+
+router.post(
+    '/:id/threads/:threadId/resolve',
+    threadIdValidation,
+    contentController.resolveCommentThread
+);
+
+router.post(
+    '/:id/threads/:threadId/unresolve',
+    threadIdValidation,
+    contentController.unresolveCommentThread
+);
+
 // Content distribution routes
 router.post(
     '/:id/publish',
@@ -98,18 +388,121 @@ router.post(
     '/:id/schedule',
     [
         body('publishAt')
-            .isISO8601()
+            .matches(ISO_DATE_PATTERN)
             .withMessage('Invalid date format'),
         body('timezone')
-            .matches(/^[A-Za-z_/]+$/)
+            .matches(/^[A-Za-z0-9_/+-]+$/)
             .withMessage('Invalid timezone format'),
         body('channels')
             .isArray()
-            .withMessage('Channels must be an array')
+            .withMessage('Channels must be an array'),
+        body('channels.*')
+            .isIn(['website', 'twitter', 'linkedin', 'email', 'slack'])
+            .withMessage('Invalid channel'),
+        body('force')
+            .optional()
+            .isBoolean()
+            .toBoolean()
     ],
     contentController.scheduleContent
 );
 
+router.patch(
+    '/:id/schedule',
+    [
+        body('publishAt')
+            .matches(ISO_DATE_PATTERN)
+            .withMessage('Invalid date format'),
+        body('timezone')
+            .optional()
+            .matches(/^[A-Za-z0-9_/+-]+$/)
+            .withMessage('Invalid timezone format'),
+        body('force')
+            .optional()
+            .isBoolean()
+            .toBoolean()
+    ],
+    contentController.rescheduleContent
+);
+
+router.get(
+    '/:id/preview',
+    [
+        query('channel')
+            .optional()
+            .isIn(['website', 'twitter', 'linkedin', 'email', 'slack'])
+            .withMessage('Invalid channel')
+    ],
+    contentController.previewContent
+);
+
+router.post(
+    '/:id/lint',
+    [
+        body('channels')
+            .optional()
+            .isArray()
+            .withMessage('Channels must be an array'),
+        body('channels.*')
+            .isIn(['website', 'twitter', 'linkedin', 'email', 'slack'])
+            .withMessage('Invalid channel')
+    ],
+    contentController.lintContent
+);
+
+// Localization routes
+router.get(
+    '/:id/translations',
+    contentController.getTranslations
+);
+
+router.post(
+    '/:id/translate',
+    [
+        body('locales')
+            .isArray({ min: 1, max: 10 })
+            .withMessage('Locales must be an array of 1 to 10 locales'),
+        body('locales.*')
+            .custom(value => localization.isValidLocale(value))
+            .withMessage('Invalid locale')
+            .customSanitizer(value => (localization.isValidLocale(value) ? localization.normalize(value) : value)),
+        body('brandVoiceId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid brand voice ID'),
+        ...aiSelectionValidation
+    ],
+    contentController.translateContent
+);
+
+// Repurposing routes
+router.get(
+    '/:id/lineage',
+    contentController.getLineage
+);
+
+router.post(
+    '/:id/repurpose',
+    [
+        body('type')
+            .isIn(['blog', 'social_post', 'email', 'design_doc', 'changelog', 'internal_comm'])
+            .withMessage('Invalid content type'),
+        body('prompt')
+            .optional()
+            .isString()
+            .isLength({ max: 1000 })
+            .withMessage('Prompt must not exceed 1000 characters'),
+        body('title')
+            .optional()
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Title cannot be empty'),
+        ...generationOptionsValidation
+    ],
+    contentController.repurposeContent
+);
+
 // Content analytics routes
 router.get(
     '/:id/analytics',
@@ -146,11 +539,84 @@ router.get(
     contentController.getContentVersion
 );
 
+router.get(
+    '/:id/diff',
+    [
+        query('from')
+            .isInt({ min: 1 })
+            .withMessage('Version to compare from is required')
+            .toInt(),
+        query('to')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Invalid version')
+            .toInt()
+    ],
+    contentController.diffContentVersions
+);
+
+router.post(
+    '/:id/merge',
+    [
+        body('baseVersion')
+            .isInt({ min: 1 })
+            .withMessage('Version the edit is based on is required')
+            .toInt(),
+        body('content')
+            .isString()
+            .withMessage('Content is required'),
+        body('apply')
+            .optional()
+            .isBoolean()
+            .toBoolean()
+    ],
+    contentController.mergeContent
+);
+
 router.post(
     '/:id/versions/:version/restore',
     contentController.restoreContentVersion
 );
 
+// Variants and A/B tests
+router.post(
+    '/:id/variants/:variantId/select',
+    param('variantId').isMongoId().withMessage('Invalid variant ID'),
+    contentController.selectVariant
+);
+
+router.get(
+    '/:id/ab-test',
+    contentController.getABTest
+);
+
+router.post(
+    '/:id/ab-test',
+    [
+        body('channel')
+            .isIn(['website', 'twitter', 'linkedin', 'email', 'slack'])
+            .withMessage('Invalid channel'),
+        body('variantIds')
+            .optional()
+            .isArray({ min: 2, max: 2 })
+            .withMessage('Exactly two variants are required'),
+        body('variantIds.*')
+            .isMongoId()
+            .withMessage('Invalid variant ID'),
+        body('window')
+            .optional()
+            .isInt({ min: 1, max: 720 })
+            .withMessage('Window must be between 1 and 720 hours')
+            .toInt()
+    ],
+    contentController.startABTest
+);
+
+router.post(
+    '/:id/ab-test/cancel',
+    contentController.cancelABTest
+);
+
 // Bulk operations (admin only)
 router.post(
     '/bulk/publish',
@@ -1,12 +1,12 @@
 const express = require('express');
 const { body } = require('express-validator');
 const figmaController = require('../controllers/figmaController');
-const { authenticateToken } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireWorkspace } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authenticateToken);
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
 
 // Validation middleware
 const fileValidation = [
@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const knowledgeBaseController = require('../controllers/knowledgeBaseController');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
+
+// Validation middleware
+const idValidation = param('id').isMongoId().withMessage('Invalid knowledge document ID');
+
+// Knowledge base routes
+router.get(
+    '/documents',
+    [
+        query('format')
+            .optional()
+            .isIn(['markdown', 'html', 'pdf', 'text', 'content'])
+            .withMessage('Invalid document format')
+    ],
+    knowledgeBaseController.listDocuments
+);
+
+router.post(
+    '/documents',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('title')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Title must not exceed 200 characters'),
+        body('format')
+            .isIn(['markdown', 'html', 'pdf', 'text'])
+            .withMessage('Format must be markdown, html, pdf or text'),
+        body('content')
+            .isString()
+            .notEmpty()
+            .withMessage('Content is required')
+    ],
+    knowledgeBaseController.uploadDocument
+);
+
+router.post(
+    '/import',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('contentIds')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Content IDs must be a non-empty array'),
+        body('contentIds.*')
+            .isMongoId()
+            .withMessage('Invalid content ID')
+    ],
+    knowledgeBaseController.importContent
+);
+
+router.post(
+    '/search',
+    [
+        body('query')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Query is required')
+            .isLength({ max: 1000 })
+            .withMessage('Query must not exceed 1000 characters'),
+        body('limit')
+            .optional()
+            .isInt({ min: 1, max: 20 })
+            .withMessage('Limit must be between 1 and 20')
+            .toInt()
+    ],
+    knowledgeBaseController.search
+);
+
+router.get(
+    '/documents/:id',
+    idValidation,
+    knowledgeBaseController.getDocument
+);
+
+router.post(
+    '/documents/:id/reindex',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    knowledgeBaseController.reindexDocument
+);
+
+router.delete(
+    '/documents/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    knowledgeBaseController.deleteDocument
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken, requireWorkspace } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
+
+// Notification routes
+router.get(
+    '/',
+    [
+        query('unread').optional().isBoolean().toBoolean(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+    ],
+    notificationController.listNotifications
+);
+
+router.post(
+    '/read',
+    [
+        body('ids')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('IDs must be a non-empty array'),
+        body('ids.*')
+            .isMongoId()
+            .withMessage('Invalid notification ID')
+    ],
+    notificationController.markNotificationsRead
+);
+
+module.exports = router;
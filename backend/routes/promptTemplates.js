@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const promptTemplateController = require('../controllers/promptTemplateController');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const CONTENT_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'changelog', 'internal_comm'];
+
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
+
+// Validation middleware
+const variablesValidation = [
+    body('variables')
+        .optional()
+        .isArray()
+        .withMessage('Variables must be an array'),
+    body('variables.*.name')
+        .matches(/^\w+$/)
+        .withMessage('Variable names may only contain letters, numbers and underscores'),
+    body('variables.*.required')
+        .optional()
+        .isBoolean(),
+    body('variables.*.default')
+        .optional()
+        .isString()
+        .withMessage('Variable defaults must be strings')
+];
+
+const templateBodyValidation = () => body('body')
+    .isString()
+    .notEmpty()
+    .withMessage('Template body is required')
+    .isLength({ max: 5000 })
+    .withMessage('Template body must not exceed 5000 characters');
+
+const paramsValidation = body('params')
+    .optional()
+    .isObject()
+    .withMessage('Params must be an object');
+
+const idValidation = param('id').isMongoId().withMessage('Invalid prompt template ID');
+
+// Prompt template routes
+router.get(
+    '/',
+    query('type').optional().isIn(CONTENT_TYPES),
+    promptTemplateController.listTemplates
+);
+
+router.get(
+    '/built-in',
+    promptTemplateController.listBuiltInTemplates
+);
+
+router.post(
+    '/preview',
+    [
+        body('type')
+            .isIn(CONTENT_TYPES)
+            .withMessage('Invalid content type'),
+        templateBodyValidation().optional(),
+        ...variablesValidation,
+        paramsValidation
+    ],
+    promptTemplateController.previewTemplate
+);
+
+router.get(
+    '/:id',
+    idValidation,
+    promptTemplateController.getTemplate
+);
+
+router.post(
+    '/',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Name is required'),
+        body('type')
+            .isIn(CONTENT_TYPES)
+            .withMessage('Invalid content type'),
+        templateBodyValidation(),
+        body('isDefault').optional().isBoolean(),
+        ...variablesValidation
+    ],
+    promptTemplateController.createTemplate
+);
+
+router.put(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        idValidation,
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Name cannot be empty'),
+        templateBodyValidation().optional(),
+        body('changeLog').optional().isString(),
+        ...variablesValidation
+    ],
+    promptTemplateController.updateTemplate
+);
+
+router.delete(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    promptTemplateController.deleteTemplate
+);
+
+router.post(
+    '/:id/default',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    promptTemplateController.setDefaultTemplate
+);
+
+router.get(
+    '/:id/versions',
+    idValidation,
+    promptTemplateController.getVersions
+);
+
+router.post(
+    '/:id/versions/:version/restore',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        idValidation,
+        param('version').isInt({ min: 1 }).withMessage('Invalid version')
+    ],
+    promptTemplateController.restoreVersion
+);
+
+router.post(
+    '/:id/render',
+    [
+        idValidation,
+        body('version').optional().isInt({ min: 1 }).toInt(),
+        paramsValidation
+    ],
+    promptTemplateController.renderTemplate
+);
+
+module.exports = router;
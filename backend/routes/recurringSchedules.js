@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const recurringScheduleController = require('../controllers/recurringScheduleController');
+const { PROVIDERS } = require('../utils/llm');
+const { isValidCron } = require('../utils/cron');
+const { isValidTimezone } = require('../utils/timezone');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const RECURRING_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'internal_comm'];
+const CHANNELS = ['website', 'twitter', 'linkedin', 'email', 'slack'];
+
+// Apply authentication and workspace middleware to all routes
+router.use(authenticateToken, requireWorkspace);
+
+// Validation middleware
+const idValidation = param('id').isMongoId().withMessage('Invalid recurring schedule ID');
+
+const scheduleValidation = [
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Description must not exceed 1000 characters'),
+    body('params')
+        .optional()
+        .isObject()
+        .withMessage('Params must be an object'),
+    body('templateId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid template ID'),
+    body('brandVoiceId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid brand voice ID'),
+    body('useKnowledgeBase')
+        .optional()
+        .isBoolean()
+        .withMessage('useKnowledgeBase must be a boolean')
+        .toBoolean(),
+    body('ai.provider')
+        .optional()
+        .isIn(PROVIDERS)
+        .withMessage('Invalid AI provider'),
+    body('ai.model')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Invalid AI model'),
+    body('timezone')
+        .optional()
+        .custom(value => isValidTimezone(value))
+        .withMessage('Invalid timezone'),
+    body('autoPublish')
+        .optional()
+        .isObject()
+        .withMessage('autoPublish must be an object'),
+    body('autoPublish.enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('autoPublish.enabled must be a boolean')
+        .toBoolean(),
+    body('autoPublish.channels')
+        .optional()
+        .isArray()
+        .withMessage('autoPublish.channels must be an array'),
+    body('autoPublish.channels.*')
+        .isIn(CHANNELS)
+        .withMessage('Invalid channel'),
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be a boolean')
+        .toBoolean()
+];
+
+const cronValidation = () => body('cron')
+    .isString()
+    .custom(value => isValidCron(value))
+    .withMessage('Invalid cron expression');
+
+const promptValidation = () => body('prompt')
+    .isString()
+    .notEmpty()
+    .withMessage('Prompt is required')
+    .isLength({ max: 1000 })
+    .withMessage('Prompt must not exceed 1000 characters');
+
+const typeValidation = () => body('type')
+    .isIn(RECURRING_TYPES)
+    .withMessage('Invalid content type');
+
+// Recurring schedule routes
+router.get(
+    '/',
+    recurringScheduleController.listSchedules
+);
+
+router.post(
+    '/',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Name is required'),
+        typeValidation(),
+        promptValidation(),
+        cronValidation(),
+        ...scheduleValidation
+    ],
+    recurringScheduleController.createSchedule
+);
+
+router.get(
+    '/:id',
+    idValidation,
+    recurringScheduleController.getSchedule
+);
+
+router.put(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    [
+        idValidation,
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Name cannot be empty'),
+        typeValidation().optional(),
+        promptValidation().optional(),
+        cronValidation().optional(),
+        ...scheduleValidation
+    ],
+    recurringScheduleController.updateSchedule
+);
+
+router.post(
+    '/:id/run',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    recurringScheduleController.runSchedule
+);
+
+router.delete(
+    '/:id',
+    checkWorkspaceRole(['owner', 'admin', 'editor']),
+    idValidation,
+    recurringScheduleController.deleteSchedule
+);
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const workspaceController = require('../controllers/workspaceController');
+const { PROVIDERS } = require('../utils/llm');
+const { rules: LINT_RULES } = require('../utils/contentLinter');
+const localization = require('../utils/localization');
+const { isValidTimezone } = require('../utils/timezone');
+const {
+    authenticateToken,
+    requireWorkspace,
+    checkWorkspaceRole
+} = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const CONTENT_TYPES = ['blog', 'social_post', 'email', 'design_doc', 'changelog', 'internal_comm'];
+const CHANNELS = ['website', 'twitter', 'linkedin', 'email', 'slack'];
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Workspaces the user belongs to
+router.get(
+    '/',
+    workspaceController.listWorkspaces
+);
+
+router.post(
+    '/',
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Workspace name is required')
+    ],
+    workspaceController.createWorkspace
+);
+
+router.post(
+    '/invitations/accept',
+    [
+        body('token')
+            .notEmpty()
+            .withMessage('Invitation token is required')
+    ],
+    workspaceController.acceptInvitation
+);
+
+// Active workspace
+router.get(
+    '/current',
+    requireWorkspace,
+    workspaceController.getCurrentWorkspace
+);
+
+router.put(
+    '/current',
+    requireWorkspace,
+    checkWorkspaceRole(['owner', 'admin']),
+    [
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Workspace name is required'),
+        body('settings.ai.provider')
+            .optional({ values: 'null' })
+            .isIn(PROVIDERS)
+            .withMessage('Invalid AI provider'),
+        body('settings.ai.model')
+            .optional({ values: 'null' })
+            .isString()
+            .trim(),
+        body(['settings.quotas.monthlyTokens', 'settings.quotas.monthlyTokensPerUser'])
+            .optional({ values: 'null' })
+            .isInt({ min: 0 })
+            .withMessage('Quotas must be non-negative integers')
+            .toInt(),
+        body(['settings.lint.blockPublish', 'settings.lint.checkLinks'])
+            .optional({ values: 'null' })
+            .isBoolean()
+            .toBoolean(),
+        body('settings.lint.bannedTerms')
+            .optional({ values: 'null' })
+            .isArray({ max: 500 })
+            .withMessage('Banned terms must be an array of at most 500 terms'),
+        body('settings.lint.bannedTerms.*.term')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Banned term is required'),
+        body('settings.lint.bannedTerms.*.replacement')
+            .optional()
+            .isString()
+            .trim(),
+        body('settings.lint.disclaimers')
+            .optional({ values: 'null' })
+            .isArray({ max: 50 })
+            .withMessage('Disclaimers must be an array of at most 50 disclaimers'),
+        body('settings.lint.disclaimers.*.text')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Disclaimer text is required'),
+        body('settings.lint.disclaimers.*.types')
+            .optional()
+            .isArray(),
+        body('settings.lint.disclaimers.*.types.*')
+            .isIn(CONTENT_TYPES)
+            .withMessage('Invalid content type'),
+        body('settings.lint.postLimits')
+            .optional({ values: 'null' })
+            .isObject(),
+        body(['settings.lint.postLimits.twitter', 'settings.lint.postLimits.linkedin'])
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Post limits must be positive integers')
+            .toInt(),
+        body('settings.lint.minReadability')
+            .optional({ values: 'null' })
+            .isFloat({ min: -100, max: 121 })
+            .withMessage('Minimum readability must be a Flesch reading ease score')
+            .toFloat(),
+        body('settings.lint.duplicateWords')
+            .optional({ values: 'null' })
+            .isInt({ min: 5, max: 100 })
+            .withMessage('Duplicate passage length must be between 5 and 100 words')
+            .toInt(),
+        body('settings.lint.severities')
+            .optional({ values: 'null' })
+            .isObject(),
+        body(LINT_RULES.map(rule => `settings.lint.severities.${rule}`))
+            .optional()
+            .isIn(['error', 'warning', 'off'])
+            .withMessage('Severity must be error, warning or off'),
+        body('settings.localization.channelLocales')
+            .optional({ values: 'null' })
+            .isObject(),
+        body([
+            ...CHANNELS.map(channel => `settings.localization.channelLocales.${channel}`),
+            'settings.localization.glossary.*.translations.*.locale'
+        ])
+            .optional()
+            .custom(value => localization.isValidLocale(value))
+            .withMessage('Invalid locale')
+            .customSanitizer(value => (localization.isValidLocale(value) ? localization.normalize(value) : value)),
+        body('settings.localization.glossary')
+            .optional({ values: 'null' })
+            .isArray({ max: 500 })
+            .withMessage('Glossary must be an array of at most 500 terms'),
+        body('settings.localization.glossary.*.term')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Glossary term is required'),
+        body('settings.localization.glossary.*.translations')
+            .optional()
+            .isArray({ max: 50 })
+            .withMessage('Term translations must be an array'),
+        body('settings.localization.glossary.*.translations.*.text')
+            .isString()
+            .trim()
+            .notEmpty()
+            .withMessage('Term translation is required'),
+        body('settings.calendar.timezone')
+            .optional({ values: 'null' })
+            .custom(value => isValidTimezone(value))
+            .withMessage('Invalid timezone'),
+        body('settings.calendar.dailyLimits')
+            .optional({ values: 'null' })
+            .isObject(),
+        body(CHANNELS.map(channel => `settings.calendar.dailyLimits.${channel}`))
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Daily limits must be positive integers')
+            .toInt()
+    ],
+    workspaceController.updateCurrentWorkspace
+);
+
+// Members
+router.put(
+    '/current/members/:userId',
+    requireWorkspace,
+    checkWorkspaceRole(['owner', 'admin']),
+    [
+        param('userId').isMongoId().withMessage('Invalid user ID'),
+        body('role')
+            .isIn(['owner', 'admin', 'editor', 'member'])
+            .withMessage('Invalid role')
+    ],
+    workspaceController.updateMemberRole
+);
+
+router.delete(
+    '/current/members/:userId',
+    requireWorkspace,
+    workspaceController.removeMember
+);
+
+// Invitations
+router.get(
+    '/current/invitations',
+    requireWorkspace,
+    checkWorkspaceRole(['owner', 'admin']),
+    workspaceController.listInvitations
+);
+
+router.post(
+    '/current/invitations',
+    requireWorkspace,
+    checkWorkspaceRole(['owner', 'admin']),
+    [
+        body('email')
+            .isEmail()
+            .withMessage('Please enter a valid email address'),
+        body('role')
+            .optional()
+            .isIn(['admin', 'editor', 'member'])
+            .withMessage('Invalid role')
+    ],
+    workspaceController.inviteMember
+);
+
+router.delete(
+    '/current/invitations/:invitationId',
+    requireWorkspace,
+    checkWorkspaceRole(['owner', 'admin']),
+    workspaceController.revokeInvitation
+);
+
+// Switch active workspace
+router.post(
+    '/:id/switch',
+    [
+        param('id').isMongoId().withMessage('Invalid workspace ID')
+    ],
+    workspaceController.switchWorkspace
+);
+
+module.exports = router;
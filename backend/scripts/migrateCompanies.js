@@ -0,0 +1,175 @@
+/**
+ * Migrate embedded `user.company` objects to first-class Company workspaces.
+ *
+ * - Users sharing a company name (case-insensitive) are grouped into one
+ *   workspace; the earliest registered user becomes its owner.
+ * - `Content.company` is re-pointed to the author's workspace.
+ * - `Analytics.company` is re-pointed to its content's workspace.
+ *
+ * The script is idempotent and can be re-run safely.
+ *
+ * Usage: npm run migrate:companies
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+// Global user roles mapped to workspace roles
+const ROLE_MAP = {
+    admin: 'admin',
+    editor: 'editor',
+    user: 'member'
+};
+
+/**
+ * Write update operations in batches
+ * @param {Collection} collection - Raw MongoDB collection
+ * @param {Array} operations - bulkWrite operations
+ * @returns {Promise<number>} Number of modified documents
+ */
+const bulkUpdate = async (collection, operations) => {
+    let modified = 0;
+
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+        const result = await collection.bulkWrite(operations.slice(i, i + BATCH_SIZE));
+        modified += result.modifiedCount;
+    }
+
+    return modified;
+};
+
+/**
+ * Create workspaces from embedded company names and link users to them
+ * @returns {Promise<Object>} Migration counts
+ */
+const migrateUsers = async () => {
+    const users = mongoose.connection.collection('users');
+
+    // Legacy documents store company as an embedded { name, position } object
+    const legacyUsers = await users
+        .find({ company: { $type: 'object' } })
+        .sort({ createdAt: 1 })
+        .toArray();
+
+    const groups = new Map();
+    legacyUsers.forEach(user => {
+        const name = (user.company.name || `${user.name}'s workspace`).trim();
+        const key = name.toLowerCase();
+
+        if (!groups.has(key)) {
+            groups.set(key, { name, members: [] });
+        }
+        groups.get(key).members.push(user);
+    });
+
+    let created = 0;
+
+    for (const { name, members } of groups.values()) {
+        // Reuse a workspace left behind by an interrupted run
+        let company = await Company.findOne({ name, 'members.user': { $in: members.map(user => user._id) } });
+        if (!company) {
+            company = new Company({ name, members: [] });
+            created += 1;
+        }
+
+        const needsOwner = !company.members.some(member => member.role === 'owner');
+        members.forEach((user, index) => {
+            const role = needsOwner && index === 0 ? 'owner' : ROLE_MAP[user.role] || 'member';
+            company.addMember(user._id, role);
+        });
+
+        await company.save();
+
+        await bulkUpdate(users, members.map(user => ({
+            updateOne: {
+                filter: { _id: user._id },
+                update: {
+                    $set: {
+                        company: company._id,
+                        ...(user.company.position ? { position: user.company.position } : {})
+                    }
+                }
+            }
+        })));
+    }
+
+    return { users: legacyUsers.length, companies: created };
+};
+
+/**
+ * Point content at its author's workspace
+ * @returns {Promise<number>} Number of updated documents
+ */
+const migrateContent = async () => {
+    const users = await mongoose.connection.collection('users')
+        .find({ company: { $type: 'objectId' } }, { projection: { company: 1 } })
+        .toArray();
+    const companyByUser = new Map(users.map(user => [user._id.toString(), user.company]));
+
+    const contents = mongoose.connection.collection('contents');
+    const documents = await contents.find({}, { projection: { author: 1, company: 1 } }).toArray();
+
+    const operations = documents
+        .map(content => ({ content, company: companyByUser.get(content.author?.toString()) }))
+        .filter(({ content, company }) => company && !company.equals(content.company))
+        .map(({ content, company }) => ({
+            updateOne: {
+                filter: { _id: content._id },
+                update: { $set: { company } }
+            }
+        }));
+
+    return bulkUpdate(contents, operations);
+};
+
+/**
+ * Point analytics at their content's workspace
+ * @returns {Promise<number>} Number of updated documents
+ */
+const migrateAnalytics = async () => {
+    const contents = await mongoose.connection.collection('contents')
+        .find({}, { projection: { company: 1 } })
+        .toArray();
+    const companyByContent = new Map(contents.map(content => [content._id.toString(), content.company]));
+
+    const analytics = mongoose.connection.collection('analytics');
+    const documents = await analytics.find({}, { projection: { contentId: 1, company: 1 } }).toArray();
+
+    const operations = documents
+        .map(item => ({ item, company: companyByContent.get(item.contentId?.toString()) }))
+        .filter(({ item, company }) => company && !company.equals(item.company))
+        .map(({ item, company }) => ({
+            updateOne: {
+                filter: { _id: item._id },
+                update: { $set: { company } }
+            }
+        }));
+
+    return bulkUpdate(analytics, operations);
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB');
+
+    try {
+        const userResult = await migrateUsers();
+        logger.info('Users migrated to workspaces', userResult);
+
+        const contentCount = await migrateContent();
+        logger.info('Content migrated to workspaces', { updated: contentCount });
+
+        const analyticsCount = await migrateAnalytics();
+        logger.info('Analytics migrated to workspaces', { updated: analyticsCount });
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch(error => {
+    logger.error('Company migration failed:', { error: error.message });
+    process.exit(1);
+});
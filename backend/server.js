@@ -4,25 +4,43 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const { errorHandler } = require('./middlewares/errorHandler');
 const logger = require('./utils/logger');
+const publishScheduler = require('./utils/scheduler');
+const collaboration = require('./utils/collaboration');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const contentRoutes = require('./routes/content');
 const analyticsRoutes = require('./routes/analytics');
 const figmaRoutes = require('./routes/figma');
+const workspaceRoutes = require('./routes/workspaces');
+const brandVoiceRoutes = require('./routes/brandVoices');
+const promptTemplateRoutes = require('./routes/promptTemplates');
+const knowledgeBaseRoutes = require('./routes/knowledgeBase');
+const notificationRoutes = require('./routes/notifications');
+const campaignRoutes = require('./routes/campaigns');
+const calendarRoutes = require('./routes/calendar');
+const recurringScheduleRoutes = require('./routes/recurringSchedules');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Large enough for knowledge base uploads and git logs
+app.use(express.json({ limit: process.env.REQUEST_BODY_LIMIT || '10mb' }));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true
 })
-.then(() => logger.info('Connected to MongoDB'))
+.then(() => {
+    logger.info('Connected to MongoDB');
+
+    // Start the scheduled publishing worker once the database is reachable
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        publishScheduler.start();
+    }
+})
 .catch((err) => {
     logger.error('MongoDB connection error:', err);
     process.exit(1);
@@ -33,6 +51,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/figma', figmaRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/brand-voices', brandVoiceRoutes);
+app.use('/api/prompt-templates', promptTemplateRoutes);
+app.use('/api/knowledge-base', knowledgeBaseRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/recurring-schedules', recurringScheduleRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -49,10 +75,13 @@ app.use((req, res) => {
 
 // Start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
 });
 
+// Collaborative editing over WebSocket shares the HTTP port
+collaboration.attach(server);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
     logger.error('Unhandled Promise Rejection:', err);
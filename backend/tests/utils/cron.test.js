@@ -0,0 +1,127 @@
+const { parseCron, getNextRun, isValidCron } = require('../../utils/cron');
+
+// Runs of an expression after an instant, as ISO strings
+const nextRuns = (expression, after, timeZone, count = 1) => {
+    const runs = [];
+    let from = new Date(after);
+
+    for (let index = 0; index < count; index += 1) {
+        from = getNextRun(expression, from, timeZone);
+        runs.push(from.toISOString());
+    }
+
+    return runs;
+};
+
+describe('parseCron', () => {
+    test('expands ranges, lists and steps', () => {
+        const cron = parseCron('*/15 9-11 1,15 * mon-fri');
+
+        expect(cron.minutes).toEqual([0, 15, 30, 45]);
+        expect(cron.hours).toEqual([9, 10, 11]);
+        expect([...cron.daysOfMonth]).toEqual([1, 15]);
+        expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('runs a stepped start value to the end of the field', () => {
+        expect(parseCron('5/20 * * * *').minutes).toEqual([5, 25, 45]);
+    });
+
+    test.each([
+        ['@hourly', '0 * * * *'],
+        ['@daily', '0 0 * * *'],
+        ['@weekly', '0 0 * * 0'],
+        ['@monthly', '0 0 1 * *'],
+        ['@yearly', '0 0 1 1 *'],
+        ['@annually', '0 0 1 1 *'],
+        ['@DAILY', '0 0 * * *']
+    ])('reads %s as %s', (macro, expression) => {
+        expect(parseCron(macro)).toEqual(parseCron(expression));
+    });
+
+    test('treats 7 as Sunday', () => {
+        expect(parseCron('0 0 * * 7').daysOfWeek).toEqual(new Set([0]));
+        expect(parseCron('0 0 * * 7')).toEqual(parseCron('0 0 * * sun'));
+    });
+
+    test.each([
+        '* * * *',
+        '60 * * * *',
+        '* 24 * * *',
+        '* * 0 * *',
+        '* * * 13 *',
+        '* * * * 8',
+        '*/0 * * * *',
+        '5-1 * * * *',
+        'a * * * *'
+    ])('rejects %j', (expression) => {
+        expect(() => parseCron(expression)).toThrow();
+        expect(isValidCron(expression)).toBe(false);
+    });
+});
+
+describe('getNextRun', () => {
+    test('finds the next matching minute after the instant', () => {
+        expect(nextRuns('*/15 * * * *', '2026-01-05T10:07:30Z', 'UTC', 3))
+            .toEqual(['2026-01-05T10:15:00.000Z', '2026-01-05T10:30:00.000Z', '2026-01-05T10:45:00.000Z']);
+    });
+
+    test('excludes the instant itself', () => {
+        expect(nextRuns('0 9 * * *', '2026-01-05T09:00:00Z', 'UTC')).toEqual(['2026-01-06T09:00:00.000Z']);
+    });
+
+    test('runs on Sundays for 0 and 7 alike', () => {
+        // 4 January 2026 is a Sunday
+        expect(nextRuns('0 9 * * 7', '2026-01-01T00:00:00Z', 'UTC')).toEqual(['2026-01-04T09:00:00.000Z']);
+        expect(nextRuns('0 9 * * 0', '2026-01-01T00:00:00Z', 'UTC')).toEqual(['2026-01-04T09:00:00.000Z']);
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // The 13th of each month or any Friday
+        expect(nextRuns('0 0 13 * fri', '2026-01-01T00:00:00Z', 'UTC', 4)).toEqual([
+            '2026-01-02T00:00:00.000Z',
+            '2026-01-09T00:00:00.000Z',
+            '2026-01-13T00:00:00.000Z',
+            '2026-01-16T00:00:00.000Z'
+        ]);
+    });
+
+    test('matches only the day of week when the day of month is *', () => {
+        expect(nextRuns('0 0 * * mon', '2026-01-01T00:00:00Z', 'UTC', 2))
+            .toEqual(['2026-01-05T00:00:00.000Z', '2026-01-12T00:00:00.000Z']);
+    });
+
+    test('reads times in the timezone', () => {
+        expect(nextRuns('0 9 * * *', '2026-01-05T00:00:00Z', 'America/New_York'))
+            .toEqual(['2026-01-05T14:00:00.000Z']);
+    });
+
+    test('keeps the wall-clock time across daylight saving changes', () => {
+        // Berlin moves from UTC+1 to UTC+2 on 29 March 2026 and back on 25 October
+        expect(nextRuns('0 9 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin', 2))
+            .toEqual(['2026-03-29T07:00:00.000Z', '2026-03-30T07:00:00.000Z']);
+        expect(nextRuns('0 9 * * *', '2026-10-24T12:00:00Z', 'Europe/Berlin', 2))
+            .toEqual(['2026-10-25T08:00:00.000Z', '2026-10-26T08:00:00.000Z']);
+    });
+
+    test('moves a time skipped by spring-forward to after the gap', () => {
+        // 02:30 does not exist on 29 March 2026 in Berlin; it runs at 03:30 CEST
+        expect(nextRuns('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin', 2))
+            .toEqual(['2026-03-29T01:30:00.000Z', '2026-03-30T00:30:00.000Z']);
+    });
+
+    test('runs a time repeated by fall-back once', () => {
+        // 02:30 happens twice on 25 October 2026 in Berlin
+        expect(nextRuns('30 2 * * *', '2026-10-24T12:00:00Z', 'Europe/Berlin', 2))
+            .toEqual(['2026-10-25T01:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+    });
+
+    test('finds the next 29 February', () => {
+        expect(nextRuns('0 0 29 2 *', '2026-01-01T00:00:00Z', 'UTC')).toEqual(['2028-02-29T00:00:00.000Z']);
+    });
+
+    test('returns null for an expression that never matches', () => {
+        expect(getNextRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+        expect(isValidCron('0 0 31 2 *')).toBe(false);
+    });
+});
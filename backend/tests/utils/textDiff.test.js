@@ -0,0 +1,86 @@
+const textDiff = require('../../utils/textDiff');
+
+// Rebuild both sides of a diff from its changes
+const sides = ({ changes }) => ({
+    from: changes.filter(change => change.type !== 'insert').map(change => change.text).join(''),
+    to: changes.filter(change => change.type !== 'delete').map(change => change.text).join('')
+});
+
+describe('textDiff.diff', () => {
+    const pairs = [
+        ['', ''],
+        ['', 'Brand new text.'],
+        ['Everything goes.', ''],
+        ['The quick brown fox jumps.', 'The quick brown fox jumps.'],
+        ['The quick brown fox jumps.', 'The slow brown fox jumps high.'],
+        ['One two three four five', 'Zero one three five six'],
+        ['Line one\n\nLine two\n', 'Line one\nLine 2\n\nLine three\n'],
+        ['a b a b a b', 'b a b a']
+    ];
+
+    test.each(pairs)('round-trips %j -> %j', (from, to) => {
+        expect(sides(textDiff.diff(from, to))).toEqual({ from, to });
+    });
+
+    test('round-trips texts too different to diff in full', () => {
+        const from = Array.from({ length: 1500 }, (value, index) => `old${index}`).join(' ');
+        const to = Array.from({ length: 1500 }, (value, index) => `new${index}`).join(' ');
+
+        expect(sides(textDiff.diff(`Intro ${from} outro`, `Intro ${to} outro`)))
+            .toEqual({ from: `Intro ${from} outro`, to: `Intro ${to} outro` });
+    });
+
+    test('counts changed words', () => {
+        const { changes, stats } = textDiff.diff('The quick brown fox', 'The slow brown fox');
+
+        expect(changes.map(change => change.type)).toEqual(['equal', 'delete', 'insert', 'equal']);
+        expect(stats).toEqual({ insertions: 1, deletions: 1, unchanged: 3 });
+    });
+
+    test('merges adjacent changes of the same type', () => {
+        const { changes } = textDiff.diff('a b c', 'x y z');
+
+        expect(changes).toEqual([
+            { type: 'delete', text: 'a b c' },
+            { type: 'insert', text: 'x y z' }
+        ]);
+    });
+});
+
+describe('textDiff.merge', () => {
+    const base = 'The first paragraph stays.\n\nThe second paragraph is here.\n\nThe third one ends it.\n';
+
+    test('takes the other side when one side is unchanged', () => {
+        const edited = base.replace('second', 'revised second');
+
+        expect(textDiff.merge(base, base, edited)).toEqual({ content: edited, conflicts: 0 });
+        expect(textDiff.merge(base, edited, base)).toEqual({ content: edited, conflicts: 0 });
+    });
+
+    test('combines changes to different passages', () => {
+        const ours = base.replace('first', 'opening');
+        const theirs = base.replace('third one', 'last one');
+
+        expect(textDiff.merge(base, ours, theirs)).toEqual({
+            content: base.replace('first', 'opening').replace('third one', 'last one'),
+            conflicts: 0
+        });
+    });
+
+    test('accepts the same change made on both sides', () => {
+        const edited = base.replace('stays', 'remains');
+
+        expect(textDiff.merge(base, edited, edited)).toEqual({ content: edited, conflicts: 0 });
+    });
+
+    test('marks overlapping changes as conflicts', () => {
+        const ours = base.replace('second', 'middle');
+        const theirs = base.replace('second', 'central');
+        const { content, conflicts } = textDiff.merge(base, ours, theirs, { ours: 'yours', theirs: 'saved' });
+
+        expect(conflicts).toBe(1);
+        expect(content).toContain('<<<<<<< yours\nmiddle \n=======\ncentral \n>>>>>>> saved\n');
+        expect(content).toContain('The first paragraph stays.');
+        expect(content).toContain('The third one ends it.');
+    });
+});
@@ -0,0 +1,117 @@
+const textOperations = require('../../utils/textOperations');
+const textDiff = require('../../utils/textDiff');
+
+// Small seeded generator so the random cases are the same on every run
+const random = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+// Build a random operation over a text of the given length
+const randomOp = (next, length) => {
+    const op = [];
+    let remaining = length;
+
+    while (remaining > 0) {
+        const size = 1 + Math.floor(next() * Math.min(remaining, 5));
+        const kind = next();
+
+        if (kind < 0.3) op.push('xyz'.slice(0, 1 + Math.floor(next() * 3)));
+        op.push(kind < 0.6 ? size : -size);
+        remaining -= size;
+    }
+    if (next() < 0.5) op.push('end');
+
+    return textOperations.normalize(op);
+};
+
+describe('textOperations.apply', () => {
+    test('retains, inserts and deletes', () => {
+        expect(textOperations.apply('Hello world', [6, -5, 'there', '!'])).toBe('Hello there!');
+    });
+
+    test('rejects an operation for a document of another length', () => {
+        expect(() => textOperations.apply('Hello', [3, 'x'])).toThrow('Operation does not match the document length');
+    });
+});
+
+describe('textOperations.isValid', () => {
+    test.each([
+        [[3, 'x', -2], true],
+        [[], true],
+        [[0], false],
+        [[''], false],
+        [[1.5], false],
+        [[null], false],
+        ['abc', false]
+    ])('%j is valid: %s', (op, valid) => {
+        expect(textOperations.isValid(op)).toBe(valid);
+    });
+});
+
+describe('textOperations.transform', () => {
+    const text = 'The quick brown fox';
+
+    // Both orders of applying two concurrent edits must give the same text
+    const converge = (a, b) => {
+        const [aPrime, bPrime] = textOperations.transform(a, b);
+        const left = textOperations.apply(textOperations.apply(text, a), bPrime);
+        const right = textOperations.apply(textOperations.apply(text, b), aPrime);
+
+        expect(left).toBe(right);
+        return left;
+    };
+
+    test('combines edits to different places', () => {
+        expect(converge([4, -5, 'slow', 10], [16, 'x', 3])).toBe('The slow brown xfox');
+    });
+
+    test('puts the first operation first when both insert at the same place', () => {
+        expect(converge(['A ', 19], ['B ', 19])).toBe('A B The quick brown fox');
+    });
+
+    test('deletes characters deleted on both sides once', () => {
+        expect(converge([4, -6, 9], [4, -12, 3])).toBe('The fox');
+    });
+
+    test('keeps text inserted inside a range the other side deleted', () => {
+        expect(converge([4, -11, 4], [10, 'very ', 9])).toBe('The very  fox');
+    });
+
+    test('converges for random concurrent edits', () => {
+        const next = random(42);
+
+        for (let run = 0; run < 200; run += 1) {
+            converge(randomOp(next, text.length), randomOp(next, text.length));
+        }
+    });
+
+    test('rejects operations on documents of different lengths', () => {
+        expect(() => textOperations.transform([3], [4])).toThrow('Concurrent operations must start from the same document');
+    });
+});
+
+describe('textOperations.transformPosition', () => {
+    test('moves positions after an insert or delete before them', () => {
+        expect(textOperations.transformPosition(10, ['abc', 19])).toBe(13);
+        expect(textOperations.transformPosition(10, [-4, 15])).toBe(6);
+    });
+
+    test('keeps positions before the edit', () => {
+        expect(textOperations.transformPosition(2, [5, 'abc', 14])).toBe(2);
+    });
+
+    test('moves positions inside a deleted range to its start', () => {
+        expect(textOperations.transformPosition(6, [4, -6, 9])).toBe(4);
+    });
+});
+
+describe('textOperations.fromChanges', () => {
+    test('turns a word diff into an operation between the same texts', () => {
+        const from = 'The quick brown fox jumps over the dog.';
+        const to = 'The slow brown fox leaps over the lazy dog.';
+        const op = textOperations.fromChanges(textDiff.diff(from, to).changes);
+
+        expect(textOperations.apply(from, op)).toBe(to);
+    });
+});
@@ -0,0 +1,101 @@
+const {
+    ISO_DATE_PATTERN,
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc
+} = require('../../utils/timezone');
+
+describe('isValidTimezone', () => {
+    test.each([
+        ['Europe/Berlin', true],
+        ['UTC', true],
+        ['America/Argentina/Buenos_Aires', true],
+        ['Mars/Olympus_Mons', false],
+        ['', false],
+        [undefined, false]
+    ])('%j is valid: %s', (timeZone, valid) => {
+        expect(isValidTimezone(timeZone)).toBe(valid);
+    });
+});
+
+describe('getZonedParts', () => {
+    test('gives the wall-clock time in the timezone', () => {
+        expect(getZonedParts(new Date('2026-07-01T22:30:15Z'), 'Asia/Tokyo'))
+            .toEqual({ year: 2026, month: 7, day: 2, hour: 7, minute: 30, second: 15 });
+    });
+
+    test('uses hour 0 at midnight', () => {
+        expect(getZonedParts(new Date('2026-01-01T00:00:00Z'), 'UTC').hour).toBe(0);
+    });
+});
+
+describe('getTimezoneOffset', () => {
+    test('follows daylight saving time', () => {
+        const hour = 60 * 60 * 1000;
+
+        expect(getTimezoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin')).toBe(hour);
+        expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin')).toBe(2 * hour);
+        expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * hour);
+    });
+});
+
+describe('zonedTimeToUtc', () => {
+    test.each([
+        ['2026-01-15T09:00', 'Europe/Berlin', '2026-01-15T08:00:00.000Z'],
+        ['2026-07-15T09:00:00', 'Europe/Berlin', '2026-07-15T07:00:00.000Z'],
+        ['2026-07-15T09:00:00.250', 'America/New_York', '2026-07-15T13:00:00.250Z'],
+        ['2026-07-15', 'Asia/Tokyo', '2026-07-14T15:00:00.000Z'],
+        ['2026-07-15T09:00', 'Asia/Kolkata', '2026-07-15T03:30:00.000Z']
+    ])('reads %s in %s', (value, timeZone, expected) => {
+        expect(zonedTimeToUtc(value, timeZone).toISOString()).toBe(expected);
+    });
+
+    test.each([
+        ['2026-07-15T09:00:00Z', '2026-07-15T09:00:00.000Z'],
+        ['2026-07-15T09:00:00+05:30', '2026-07-15T03:30:00.000Z'],
+        ['2026-07-15T09:00-0400', '2026-07-15T13:00:00.000Z']
+    ])('keeps the explicit offset of %s', (value, expected) => {
+        expect(zonedTimeToUtc(value, 'Europe/Berlin').toISOString()).toBe(expected);
+    });
+
+    test('reads a time without a timezone as UTC', () => {
+        expect(zonedTimeToUtc('2026-07-15T09:00:00Z').toISOString()).toBe('2026-07-15T09:00:00.000Z');
+    });
+
+    test('moves a time skipped by spring-forward to after the gap', () => {
+        // Clocks in Berlin go from 02:00 to 03:00 on 29 March 2026
+        expect(zonedTimeToUtc('2026-03-29T02:30', 'Europe/Berlin').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+        expect(zonedTimeToUtc('2026-03-29T03:30', 'Europe/Berlin').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+        expect(zonedTimeToUtc('2026-03-29T01:30', 'Europe/Berlin').toISOString()).toBe('2026-03-29T00:30:00.000Z');
+    });
+
+    test('picks one instant for a time repeated by fall-back', () => {
+        // Clocks in Berlin go from 03:00 back to 02:00 on 25 October 2026
+        expect(zonedTimeToUtc('2026-10-25T02:30', 'Europe/Berlin').toISOString()).toBe('2026-10-25T01:30:00.000Z');
+        expect(zonedTimeToUtc('2026-10-25T03:30', 'Europe/Berlin').toISOString()).toBe('2026-10-25T02:30:00.000Z');
+    });
+
+    test.each([
+        '2026-07-01T12:00:00+02',
+        '2026-07-01T12',
+        '20260701T120000',
+        '2026-07-01 12:00',
+        '2026-13-01T12:00',
+        '2026-07-01T25:00',
+        '2026-07-01T12:00:00+02:00:00',
+        'tomorrow',
+        ''
+    ])('gives an Invalid Date for %j', (value) => {
+        expect(Number.isNaN(zonedTimeToUtc(value, 'Europe/Berlin').getTime())).toBe(true);
+    });
+
+    test('accepts the forms schedules may be given in', () => {
+        ['2026-07-01', '2026-07-01T12:00', '2026-07-01T12:00:00.123Z', '2026-07-01T12:00:00+02:00']
+            .forEach(value => expect(ISO_DATE_PATTERN.test(value)).toBe(true));
+    });
+
+    test.each([undefined, null, 1782900000000])('gives an Invalid Date for %j', (value) => {
+        expect(Number.isNaN(zonedTimeToUtc(value, 'Europe/Berlin').getTime())).toBe(true);
+    });
+});
@@ -0,0 +1,148 @@
+const Analytics = require('../models/Analytics');
+const publishService = require('./publishService');
+const contentLinter = require('./contentLinter');
+const logger = require('./logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+class ABTestService {
+    constructor() {
+        // Default hours to collect engagement before choosing a winner
+        this.defaultWindow = parseInt(process.env.AB_TEST_WINDOW_HOURS, 10) || 24;
+    }
+
+    /**
+     * Publish two variants to a channel and start collecting engagement
+     * @param {Content} content - Approved content document with variants
+     * @param {Object} options - Test options
+     * @param {string} options.channel - Channel to publish both variants to
+     * @param {string[]} options.variantIds - The two variants to compare
+     * @param {number} [options.window] - Hours before the winner is chosen
+     * @param {string} options.userId - User starting the test
+     * @param {Object} [options.lintSettings] - Workspace lint settings
+     * @returns {Promise<Content>} Updated content
+     */
+    async start(content, { channel, variantIds, window, userId, lintSettings }) {
+        const variants = variantIds.map(id => content.variants.id(id));
+        if (variants.some(variant => !variant)) {
+            throw new APIError('Variant not found', 404);
+        }
+
+        // Each variant goes out with its own text, so each needs its own approval
+        const unapproved = variants.filter(variant => !variant.approvedAt);
+        if (unapproved.length) {
+            throw new APIError('Variants must be approved before publishing', 409, {
+                variants: unapproved.map(variant => variant.label)
+            });
+        }
+
+        for (const variant of variants) {
+            await contentLinter.assertVariantPublishable(content, variant, lintSettings, [channel]);
+        }
+
+        const startedAt = new Date();
+        const hours = window || this.defaultWindow;
+
+        content.abTest = {
+            channel,
+            status: 'running',
+            window: hours,
+            startedAt,
+            endsAt: new Date(startedAt.getTime() + hours * 60 * 60 * 1000),
+            startedBy: userId,
+            variants: [],
+            results: []
+        };
+
+        try {
+            for (const variant of variants) {
+                const delivery = await publishService.publishVariant(content, variant, channel);
+
+                content.abTest.variants.push({
+                    variant: variant._id,
+                    label: variant.label,
+                    url: delivery.url,
+                    publishedAt: new Date(),
+                    response: delivery.response
+                });
+            }
+        } catch (error) {
+            // A test with one arm missing cannot produce a fair comparison
+            content.abTest.status = 'failed';
+            content.abTest.lastError = error.message;
+            await content.save();
+            throw error;
+        }
+
+        await content.save();
+
+        logger.info('A/B test started', {
+            contentId: content._id,
+            channel,
+            variants: variants.map(variant => variant.label),
+            endsAt: content.abTest.endsAt
+        });
+
+        return content;
+    }
+
+    /**
+     * Count engagement per variant since the test started. A variant's
+     * engagement is its likes, shares and comments; views break ties.
+     * @param {Content} content - Content document with an A/B test
+     * @returns {Promise<Object[]>} Results per variant, best first
+     */
+    async getResults(content) {
+        const { abTest } = content;
+        const analytics = await Analytics.findOne({ contentId: content._id });
+
+        const count = (entries = [], label) => entries.filter(entry => (
+            entry.variant === label && (!entry.timestamp || entry.timestamp >= abTest.startedAt)
+        )).length;
+
+        return abTest.variants
+            .map(({ variant, label }) => {
+                const metrics = analytics?.metrics;
+                const result = {
+                    variant,
+                    label,
+                    views: count(metrics?.views, label),
+                    likes: count(metrics?.engagement.likes, label),
+                    shares: count(metrics?.engagement.shares, label),
+                    comments: count(metrics?.engagement.comments, label)
+                };
+
+                result.engagement = result.likes + result.shares + result.comments;
+                return result;
+            })
+            .sort((a, b) => b.engagement - a.engagement || b.views - a.views);
+    }
+
+    /**
+     * Choose the winner of a finished test and make it the content
+     * @param {Content} content - Content document with an A/B test
+     * @returns {Promise<Content>} Updated content
+     */
+    async complete(content) {
+        const results = await this.getResults(content);
+        const [winner] = results;
+
+        content.abTest.results = results;
+        content.abTest.winner = winner.variant;
+        content.abTest.decidedAt = new Date();
+        content.abTest.status = 'completed';
+        content.abTest.lockedAt = undefined;
+
+        await content.selectVariant(content.abTest.startedBy, winner.variant);
+
+        logger.info('A/B test completed', {
+            contentId: content._id,
+            winner: winner.label,
+            results
+        });
+
+        return content;
+    }
+}
+
+// Export singleton instance
+module.exports = new ABTestService();
@@ -1,13 +1,24 @@
-const { OpenAI } = require('openai');
 const logger = require('./logger');
+const { getProvider } = require('./llm');
+const usageService = require('./usageService');
+const structuredOutput = require('./structuredOutput');
+const localization = require('./localization');
 const { APIError } = require('../middlewares/errorHandler');
 
+// Matches {variable} placeholders in prompt templates
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const isBlank = value => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
 class AIService {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        
+        // Calls allowed per structured generation before malformed output is an error
+        this.structuredAttempts = parseInt(process.env.STRUCTURED_OUTPUT_MAX_ATTEMPTS, 10) || 3;
+
+        // Characters of a source kept when repurposing it into another type
+        this.maxSourceLength = parseInt(process.env.REPURPOSE_MAX_SOURCE_LENGTH, 10) || 12000;
+
         // Default parameters for content generation
         this.defaultParams = {
             temperature: 0.7,
@@ -17,6 +28,23 @@ class AIService {
             presencePenalty: 0
         };
 
+        // Base system prompts
+        this.systemPrompts = {
+            generate: 'You are a professional content creator with expertise in creating high-quality, engaging content for various platforms and purposes.',
+            improve: 'You are a content improvement expert. Improve the following content based on the provided feedback.',
+            translate: 'You are a professional translator and localizer. Translate the content for native speakers, keeping its meaning, tone and Markdown formatting. Leave URLs, code and placeholders unchanged.',
+            sentiment: 'You are a sentiment analysis expert. Analyze the sentiment of the following text and score it between -1 (very negative) and 1 (very positive). Use the label mixed when it contains both strong praise and strong criticism.'
+        };
+
+        // Reading level guidance for brand voices
+        this.readingLevels = {
+            elementary: 'Use short sentences and everyday words a 10-year-old would understand.',
+            middle_school: 'Use plain language and short paragraphs suitable for a general audience.',
+            high_school: 'Use clear, moderately complex sentences suitable for an informed general audience.',
+            college: 'Use precise, well-structured prose suitable for educated professionals.',
+            expert: 'Assume deep domain knowledge; technical terminology does not need explaining.'
+        };
+
         // Content type specific prompts
         this.promptTemplates = {
             blog: `Write a professional blog post about {topic}. 
@@ -47,7 +75,8 @@ class AIService {
                        Include sections for:
                        - New features
                        - Improvements
-                       - Bug fixes`,
+                       - Bug fixes
+                       {changes}`,
             
             internal_comm: `Create an internal communication about {topic}.
                           Type: {type}
@@ -56,98 +85,433 @@ class AIService {
         };
     }
 
+    /**
+     * List the variable names referenced by a template body
+     * @param {string} body - Template body
+     * @returns {string[]} Variable names in order of first use
+     */
+    extractVariables(body) {
+        const names = [...body.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Get the built-in template for a content type
+     * @param {string} type - Content type
+     * @returns {Object} Template with body and declared variables
+     */
+    getBuiltInTemplate(type) {
+        const body = this.promptTemplates[type];
+        if (!body) {
+            throw new APIError(`No prompt template for content type: ${type}`, 400);
+        }
+
+        return {
+            name: 'Built-in',
+            type,
+            body,
+            variables: this.extractVariables(body).map(name => ({
+                name,
+                required: name === 'topic'
+            }))
+        };
+    }
+
+    /**
+     * Render a template with parameters
+     *
+     * Declared defaults fill in missing values, and lines whose placeholders
+     * all render empty are dropped so the prompt has no dangling labels.
+     * @param {Object} template - Template with body and variables
+     * @param {Object} params - Variable values
+     * @returns {string} Rendered prompt
+     */
+    renderTemplate(template, params = {}) {
+        const declared = new Map((template.variables || []).map(variable => [variable.name, variable]));
+
+        const missing = [...declared.values()]
+            .filter(variable => variable.required && isBlank(params[variable.name]) && isBlank(variable.default))
+            .map(variable => variable.name);
+
+        if (missing.length) {
+            throw new APIError('Missing required template variables', 400, { missing });
+        }
+
+        const valueOf = name => {
+            const value = params[name];
+            if (isBlank(value)) return declared.get(name)?.default || '';
+
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        };
+
+        return template.body
+            .split('\n')
+            .map(line => {
+                let hasPlaceholder = false;
+                let hasValue = false;
+
+                const rendered = line.replace(PLACEHOLDER_PATTERN, (match, name) => {
+                    const value = valueOf(name);
+                    hasPlaceholder = true;
+                    hasValue = hasValue || value !== '';
+                    return value;
+                });
+
+                return hasPlaceholder && !hasValue ? null : rendered;
+            })
+            .filter(line => line !== null)
+            .join('\n');
+    }
+
     /**
      * Format prompt based on content type and parameters
      * @param {string} type - Content type
      * @param {Object} params - Parameters for prompt template
+     * @param {Object} [template] - Stored template; defaults to the built-in one
      * @returns {string} Formatted prompt
      */
-    formatPrompt(type, params) {
-        let template = this.promptTemplates[type];
-        
-        // Replace template variables with actual values
-        Object.keys(params).forEach(key => {
-            template = template.replace(
-                new RegExp(`{${key}}`, 'g'),
-                params[key]
-            );
+    formatPrompt(type, params, template) {
+        return this.renderTemplate(template || this.getBuiltInTemplate(type), params);
+    }
+
+    /**
+     * Format brand voice guidance for a system prompt
+     * @param {BrandVoice} brandVoice - Brand voice profile
+     * @returns {string} Brand voice instructions
+     */
+    formatBrandVoice(brandVoice) {
+        const sections = [`Write in the "${brandVoice.name}" brand voice.`];
+
+        if (brandVoice.description) {
+            sections.push(brandVoice.description);
+        }
+
+        if (brandVoice.readingLevel) {
+            sections.push(`Reading level: ${this.readingLevels[brandVoice.readingLevel]}`);
+        }
+
+        const { prefer = [], avoid = [] } = brandVoice.vocabulary || {};
+        if (prefer.length) {
+            sections.push(`Prefer this vocabulary: ${prefer.join(', ')}`);
+        }
+
+        if (avoid.length) {
+            const terms = avoid.map(({ term, replacement }) => (
+                replacement ? `"${term}" (use "${replacement}" instead)` : `"${term}"`
+            ));
+            sections.push(`Never use these words or phrases: ${terms.join(', ')}`);
+        }
+
+        if (brandVoice.glossary?.length) {
+            const entries = brandVoice.glossary.map(({ term, definition }) => `- ${term}: ${definition}`);
+            sections.push(`Product glossary (use these terms exactly as defined):\n${entries.join('\n')}`);
+        }
+
+        if (brandVoice.examples?.length) {
+            const examples = brandVoice.examples.map(example => `"""\n${example}\n"""`);
+            sections.push(`Example passages written in this voice. Match their style, not their content:\n${examples.join('\n')}`);
+        }
+
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Build a system prompt with optional brand voice guidance
+     * @param {string} base - Base system prompt
+     * @param {BrandVoice} [brandVoice] - Brand voice profile
+     * @returns {string} System prompt
+     */
+    buildSystemPrompt(base, brandVoice) {
+        if (!brandVoice) return base;
+
+        return `${base}\n\n${this.formatBrandVoice(brandVoice)}`;
+    }
+
+    /**
+     * Format knowledge base passages as numbered references to cite
+     * @param {Object[]} passages - Retrieved passages with title and text
+     * @returns {string} Reference material for the prompt
+     */
+    formatKnowledge(passages) {
+        const references = passages.map((passage, index) => `[${index + 1}] ${passage.title}\n${passage.text}`);
+
+        return 'Reference material from the knowledge base. Take product facts only from these passages, ' +
+            'do not invent facts they do not support, and cite the passages you use as [1], [2] and so on:\n\n' +
+            references.join('\n\n');
+    }
+
+    /**
+     * Format existing content to repurpose as the material of a generation
+     * @param {Object} source - Source content (type, title, content)
+     * @returns {string} Source material for the prompt
+     */
+    formatSource(source) {
+        let text = source.content;
+        if (text.length > this.maxSourceLength) {
+            text = `${text.slice(0, this.maxSourceLength)}…`;
+        }
+
+        return `Repurpose this existing ${source.type.replace('_', ' ')} ("${source.title}"). ` +
+            'Take facts and key messages only from it, do not add claims it does not make, ' +
+            'and adapt the length, structure and style to the new format:\n\n' + text;
+    }
+
+    /**
+     * Resolve the provider adapter and model for a call
+     * @param {Object} [ai] - Requested provider and model
+     * @returns {Object} Provider adapter and model name
+     */
+    resolveModel(ai = {}) {
+        const provider = getProvider(ai.provider);
+
+        return {
+            provider,
+            model: ai.model || provider.defaultModel
+        };
+    }
+
+    /**
+     * Check the quota of the workspace and user a call is billed to
+     * @param {Object} [meter] - Billing context ({ company, user, contentId })
+     */
+    async checkQuota(meter) {
+        if (!meter) return;
+
+        await usageService.checkQuota(meter.company, meter.user);
+    }
+
+    /**
+     * Record a call in the usage ledger
+     * @param {string} operation - generate, improve or sentiment
+     * @param {BaseProvider} provider - Provider adapter
+     * @param {Object} result - Provider result with model and usage
+     * @param {Object} [meter] - Billing context ({ company, user, contentId })
+     */
+    async recordUsage(operation, provider, result, meter) {
+        if (!meter) return;
+
+        await usageService.record({
+            ...meter,
+            operation,
+            provider: provider.name,
+            model: result.model,
+            usage: result.usage
         });
+    }
+
+    /**
+     * Build the completion request for a generation
+     * @param {string} type - Content type
+     * @param {Object} params - Generation parameters
+     * @param {Object} options - Generation options
+     * @returns {Object} Formatted prompt, generation parameters, provider and request
+     */
+    buildGenerationRequest(type, params, options = {}) {
+        // Format prompt based on content type and parameters; invalid input is a client error
+        let prompt = this.formatPrompt(type, params, options.template);
+        const { provider, model } = this.resolveModel(options.ai);
+
+        if (options.angle) {
+            prompt += `\n\nAngle: ${options.angle}`;
+        }
+
+        if (options.knowledge?.length) {
+            prompt += `\n\n${this.formatKnowledge(options.knowledge)}`;
+        }
+
+        if (options.source) {
+            prompt += `\n\n${this.formatSource(options.source)}`;
+        }
+
+        if (options.language) {
+            prompt += `\n\nWrite in ${localization.getLanguageName(options.language)}.`;
+        }
+
+        // Merge default parameters with provided parameters
+        const generationParams = {
+            ...this.defaultParams,
+            ...params.generationParams
+        };
+
+        let system = this.buildSystemPrompt(this.systemPrompts.generate, options.brandVoice);
+
+        // Structured types must answer with JSON matching the type's schema
+        let structured;
+        if (structuredOutput.supports(type)) {
+            // Versions are strings in the schema, even when given as a number
+            const version = params.version === undefined ? undefined : String(params.version);
+            structured = { type, expected: { version } };
+            system += `\n\n${structuredOutput.getInstructions(type)}`;
+        }
+
+        const request = {
+            task: 'generate',
+            model,
+            system,
+            // Providers that cannot follow instructions (the fake one) answer with the example
+            json: structured ? { example: structuredOutput.getExample(type, structured.expected) } : undefined,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            ...generationParams
+        };
+
+        return { prompt, generationParams, provider, request, structured };
+    }
+
+    /**
+     * Run a completion and record its usage
+     * @param {string} operation - generate, improve or sentiment
+     * @param {BaseProvider} provider - Provider adapter
+     * @param {Object} request - Completion request
+     * @param {Object} [meter] - Billing context ({ company, user, contentId })
+     * @returns {Promise<Object>} Provider result
+     */
+    async complete(operation, provider, request, meter) {
+        const result = await provider.complete(request);
+        await this.recordUsage(operation, provider, result, meter);
+        return result;
+    }
+
+    /**
+     * Run a structured generation, asking the model to correct malformed or
+     * invalid JSON until it validates or the attempts run out
+     * @param {Object} generation - Result of buildGenerationRequest
+     * @param {Object} [meter] - Billing context ({ company, user })
+     * @param {string} [operation] - generate or sentiment, for the usage ledger
+     * @returns {Promise<Object>} Rendered Markdown, structured data, model and usage
+     */
+    async completeStructured({ provider, request, structured }, meter, operation = 'generate') {
+        let messages = request.messages;
+        let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        let errors = [];
+
+        for (let attempt = 1; attempt <= this.structuredAttempts; attempt += 1) {
+            const result = await this.complete(operation, provider, { ...request, messages }, meter);
+
+            usage = Object.keys(usage).reduce((total, key) => ({
+                ...total,
+                [key]: total[key] + (result.usage?.[key] || 0)
+            }), usage);
+
+            const parsed = structuredOutput.parse(structured.type, result.text, structured.expected);
+            errors = parsed.errors;
+
+            if (!errors.length) {
+                return {
+                    // Only content types have a Markdown rendering
+                    text: structuredOutput.supports(structured.type)
+                        ? structuredOutput.render(structured.type, parsed.data)
+                        : result.text,
+                    structured: parsed.data,
+                    model: result.model,
+                    usage,
+                    attempts: attempt
+                };
+            }
+
+            logger.warn('Malformed structured output', {
+                type: structured.type,
+                attempt,
+                errors
+            });
+
+            messages = [
+                ...messages,
+                { role: 'assistant', content: result.text },
+                { role: 'user', content: structuredOutput.getCorrection(errors) }
+            ];
+        }
+
+        throw new APIError('AI returned malformed structured output', 502, { errors });
+    }
 
-        return template;
+    /**
+     * Build metadata for generated content
+     * @param {Object} generation - Result of buildGenerationRequest
+     * @param {Object} result - Provider result with model and usage
+     * @param {Object} options - Generation options
+     * @param {number} processingTime - Time taken in milliseconds
+     * @returns {Object} Content metadata
+     */
+    buildGenerationMetadata({ prompt, generationParams, provider }, result, options, processingTime) {
+        return {
+            prompt,
+            aiModel: result.model,
+            aiProvider: provider.name,
+            brandVoice: options.brandVoice?._id,
+            promptTemplate: options.template ? {
+                template: options.template._id,
+                version: options.template.version
+            } : undefined,
+            generationParams,
+            processingTime,
+            usage: result.usage,
+            sources: options.knowledge?.map(({ document, title, chunk, score }) => ({
+                document,
+                title,
+                chunk,
+                score
+            }))
+        };
     }
 
     /**
-     * Generate content using OpenAI API
+     * Generate content with the selected AI provider
      * @param {string} type - Content type
      * @param {Object} params - Generation parameters
+     * @param {Object} options - Generation options
+     * @param {BrandVoice} [options.brandVoice] - Brand voice to write in
+     * @param {PromptTemplate} [options.template] - Stored prompt template
+     * @param {Object} [options.ai] - Provider and model ({ provider, model })
+     * @param {Object} [options.meter] - Workspace and user to bill ({ company, user })
+     * @param {Object[]} [options.knowledge] - Knowledge base passages to ground and cite
+     * @param {string} [options.language] - Locale to write in
+     * @param {Object} [options.source] - Existing content to repurpose ({ type, title, content })
      * @returns {Promise<Object>} Generated content and metadata
      */
-    async generateContent(type, params) {
+    async generateContent(type, params, options = {}) {
+        const generation = this.buildGenerationRequest(type, params, options);
+        await this.checkQuota(options.meter);
+
         try {
             const startTime = Date.now();
-            
-            // Format prompt based on content type and parameters
-            const prompt = this.formatPrompt(type, params);
-            
-            // Merge default parameters with provided parameters
-            const generationParams = {
-                ...this.defaultParams,
-                ...params.generationParams
-            };
 
-            // Call OpenAI API
-            const completion = await this.openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a professional content creator with expertise in creating high-quality, engaging content for various platforms and purposes."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: generationParams.temperature,
-                max_tokens: generationParams.maxTokens,
-                top_p: generationParams.topP,
-                frequency_penalty: generationParams.frequencyPenalty,
-                presence_penalty: generationParams.presencePenalty
-            });
+            const result = generation.structured
+                ? await this.completeStructured(generation, options.meter)
+                : await this.complete('generate', generation.provider, generation.request, options.meter);
 
             const processingTime = Date.now() - startTime;
 
             // Log successful generation
             logger.info('Content generated successfully', {
                 type,
+                provider: generation.provider.name,
+                model: result.model,
                 processingTime,
-                tokens: completion.usage.total_tokens
+                tokens: result.usage?.totalTokens
             });
 
             // Return generated content and metadata
             return {
-                content: completion.choices[0].message.content,
-                metadata: {
-                    prompt,
-                    aiModel: 'gpt-4',
-                    generationParams,
-                    processingTime,
-                    usage: completion.usage
-                }
+                content: result.text,
+                structured: result.structured,
+                metadata: this.buildGenerationMetadata(generation, result, options, processingTime)
             };
 
         } catch (error) {
             logger.error('Error generating content:', {
                 error: error.message,
                 type,
+                provider: generation.provider.name,
                 params
             });
 
-            if (error.response) {
-                throw new APIError(
-                    `OpenAI API Error: ${error.response.data.error.message}`,
-                    503
-                );
+            if (error instanceof APIError) {
+                throw error;
             }
 
             throw new APIError('Error generating content', 500);
@@ -155,34 +519,152 @@ class AIService {
     }
 
     /**
-     * Analyze sentiment of content
-     * @param {string} text - Text to analyze
-     * @returns {Promise<number>} Sentiment score
+     * Generate several variants of the same brief, one call per variant
+     * @param {string} type - Content type
+     * @param {Object} params - Generation parameters
+     * @param {Object[]} variants - Per-variant settings ({ temperature, angle })
+     * @param {Object} options - Generation options, as for generateContent
+     * @returns {Promise<Object[]>} Generated content and metadata per variant
      */
-    async analyzeSentiment(text) {
+    async generateVariants(type, params, variants, options = {}) {
+        const results = [];
+
+        // Sequential calls keep quota checks accurate and stay under provider rate limits
+        for (const variant of variants) {
+            const generated = await this.generateContent(type, {
+                ...params,
+                generationParams: {
+                    ...params.generationParams,
+                    ...(variant.temperature !== undefined ? { temperature: variant.temperature } : {})
+                }
+            }, { ...options, angle: variant.angle });
+
+            results.push({ ...generated, angle: variant.angle });
+        }
+
+        return results;
+    }
+
+    /**
+     * Generate content with the selected AI provider, emitting tokens as they arrive
+     * @param {string} type - Content type
+     * @param {Object} params - Generation parameters
+     * @param {Object} options - Generation options
+     * @param {BrandVoice} [options.brandVoice] - Brand voice to write in
+     * @param {PromptTemplate} [options.template] - Stored prompt template
+     * @param {Object} [options.ai] - Provider and model ({ provider, model })
+     * @param {Object} [options.meter] - Workspace and user to bill ({ company, user })
+     * @param {Object[]} [options.knowledge] - Knowledge base passages to ground and cite
+     * @param {string} [options.language] - Locale to write in
+     * @param {AbortSignal} [options.signal] - Signal that cancels the stream
+     * @param {Function} [options.onToken] - Called with each chunk of generated text
+     * @returns {Promise<Object>} Generated content and metadata
+     */
+    async streamContent(type, params, options = {}) {
+        // Structured output is only usable once it validates, so it arrives in one piece
+        if (structuredOutput.supports(type)) {
+            const generated = await this.generateContent(type, params, options);
+            if (options.signal?.aborted) {
+                throw new APIError('Content generation cancelled', 499);
+            }
+
+            options.onToken?.(generated.content);
+            return generated;
+        }
+
+        const generation = this.buildGenerationRequest(type, params, options);
+        await this.checkQuota(options.meter);
+
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: "gpt-4",
+            const startTime = Date.now();
+
+            const result = await generation.provider.stream(
+                { ...generation.request, signal: options.signal },
+                token => options.onToken?.(token)
+            );
+
+            const processingTime = Date.now() - startTime;
+            await this.recordUsage('generate', generation.provider, result, options.meter);
+
+            logger.info('Content streamed successfully', {
+                type,
+                provider: generation.provider.name,
+                model: result.model,
+                processingTime,
+                tokens: result.usage?.totalTokens
+            });
+
+            return {
+                content: result.text,
+                metadata: this.buildGenerationMetadata(generation, result, options, processingTime)
+            };
+
+        } catch (error) {
+            if (options.signal?.aborted) {
+                throw new APIError('Content generation cancelled', 499);
+            }
+
+            logger.error('Error streaming content:', {
+                error: error.message,
+                type,
+                provider: generation.provider.name,
+                params
+            });
+
+            if (error instanceof APIError) {
+                throw error;
+            }
+
+            throw new APIError('Error generating content', 500);
+        }
+    }
+
+    /**
+     * Analyze the sentiment of a text as structured output, overall and per aspect
+     * @param {string} text - Text to analyze
+     * @param {Object} options - Analysis options
+     * @param {string[]} [options.aspects] - Aspects to rate when the text mentions them
+     * @param {Object} [options.ai] - Provider and model ({ provider, model })
+     * @param {Object} [options.meter] - Workspace and user to bill ({ company, user, contentId })
+     * @returns {Promise<Object>} Score, label, confidence, aspects and metadata
+     */
+    async analyzeSentiment(text, options = {}) {
+        const { provider, model } = this.resolveModel(options.ai);
+        await this.checkQuota(options.meter);
+
+        const aspects = options.aspects?.length
+            ? `\n\nRate only these aspects, and leave out the ones the text does not mention: ${options.aspects.join(', ')}`
+            : '';
+
+        const generation = {
+            provider,
+            structured: { type: 'sentiment', expected: {} },
+            request: {
+                task: 'sentiment',
+                model,
+                system: `${this.systemPrompts.sentiment}${aspects}\n\n${structuredOutput.getInstructions('sentiment')}`,
+                json: { example: { score: 0, label: 'neutral', aspects: [] } },
                 messages: [
                     {
-                        role: "system",
-                        content: "You are a sentiment analysis expert. Analyze the sentiment of the following text and return a score between -1 (very negative) and 1 (very positive)."
-                    },
-                    {
-                        role: "user",
+                        role: 'user',
                         content: text
                     }
                 ],
                 temperature: 0.3,
-                max_tokens: 50
-            });
+                maxTokens: 400
+            }
+        };
+
+        try {
+            const result = await this.completeStructured(generation, options.meter, 'sentiment');
 
-            const score = parseFloat(completion.choices[0].message.content);
-            
             return {
-                score,
+                ...result.structured,
+                aspects: result.structured.aspects || [],
                 metadata: {
-                    aiModel: 'gpt-4',
+                    aiModel: result.model,
+                    aiProvider: provider.name,
+                    usage: result.usage,
                     timestamp: new Date()
                 }
             };
@@ -190,9 +672,14 @@ class AIService {
         } catch (error) {
             logger.error('Error analyzing sentiment:', {
                 error: error.message,
+                provider: provider.name,
                 textLength: text.length
             });
 
+            if (error instanceof APIError) {
+                throw error;
+            }
+
             throw new APIError('Error analyzing sentiment', 500);
         }
     }
@@ -201,31 +688,41 @@ class AIService {
      * Improve content based on feedback
      * @param {string} content - Original content
      * @param {string} feedback - Feedback for improvement
+     * @param {Object} options - Improvement options
+     * @param {BrandVoice} [options.brandVoice] - Brand voice to write in
+     * @param {Object} [options.ai] - Provider and model ({ provider, model })
+     * @param {Object} [options.meter] - Workspace and user to bill ({ company, user, contentId })
+     * @param {string} [options.language] - Locale the content is written in
      * @returns {Promise<string>} Improved content
      */
-    async improveContent(content, feedback) {
+    async improveContent(content, feedback, options = {}) {
+        const { provider, model } = this.resolveModel(options.ai);
+        await this.checkQuota(options.meter);
+
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: "gpt-4",
+            const result = await provider.complete({
+                task: 'improve',
+                model,
+                system: this.buildSystemPrompt(this.systemPrompts.improve, options.brandVoice),
                 messages: [
                     {
-                        role: "system",
-                        content: "You are a content improvement expert. Improve the following content based on the provided feedback."
-                    },
-                    {
-                        role: "user",
-                        content: `Original content: ${content}\n\nFeedback: ${feedback}`
+                        role: 'user',
+                        content: `Original content: ${content}\n\nFeedback: ${feedback}` +
+                            (options.language ? `\n\nKeep the content in ${localization.getLanguageName(options.language)}.` : '')
                     }
                 ],
                 temperature: 0.7,
-                max_tokens: 1500
+                maxTokens: 1500
             });
 
-            return completion.choices[0].message.content;
+            await this.recordUsage('improve', provider, result, options.meter);
+
+            return result.text;
 
         } catch (error) {
             logger.error('Error improving content:', {
                 error: error.message,
+                provider: provider.name,
                 contentLength: content.length,
                 feedbackLength: feedback.length
             });
@@ -233,6 +730,121 @@ class AIService {
             throw new APIError('Error improving content', 500);
         }
     }
+
+    /**
+     * Translate content into another locale. The model is asked to correct
+     * glossary terms it did not render as required until the attempts run
+     * out; terms still wrong are returned as issues.
+     * @param {Object} source - Title and content to translate
+     * @param {string} locale - Target locale
+     * @param {Object} options - Translation options
+     * @param {Object[]} [options.glossary] - Workspace glossary ({ term, translations })
+     * @param {BrandVoice} [options.brandVoice] - Brand voice to write in
+     * @param {Object} [options.ai] - Provider and model ({ provider, model })
+     * @param {Object} [options.meter] - Workspace and user to bill ({ company, user, contentId })
+     * @returns {Promise<Object>} Translated title and content, glossary issues and metadata
+     */
+    async translateContent(source, locale, options = {}) {
+        const { provider, model } = this.resolveModel(options.ai);
+        await this.checkQuota(options.meter);
+
+        const language = localization.getLanguageName(locale);
+        const prompt = `Translate this content into ${language} (${locale}).`;
+        const glossary = localization.formatGlossary(options.glossary, source.content, locale);
+
+        const generation = {
+            provider,
+            structured: { type: 'translation', expected: {} },
+            request: {
+                task: 'translate',
+                model,
+                system: [
+                    this.buildSystemPrompt(this.systemPrompts.translate, options.brandVoice),
+                    glossary,
+                    structuredOutput.getInstructions('translation')
+                ].filter(Boolean).join('\n\n'),
+                // Providers that cannot translate (the fake one) return the source unchanged
+                json: { example: { title: source.title, content: source.content } },
+                messages: [
+                    {
+                        role: 'user',
+                        content: `${prompt}\n\n${JSON.stringify({ title: source.title, content: source.content })}`
+                    }
+                ],
+                temperature: 0.3,
+                maxTokens: 4000
+            }
+        };
+
+        try {
+            const startTime = Date.now();
+            let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+            let result;
+            let glossaryIssues;
+
+            for (let attempt = 1; attempt <= this.structuredAttempts; attempt += 1) {
+                result = await this.completeStructured(generation, options.meter, 'translate');
+
+                usage = Object.keys(usage).reduce((total, key) => ({
+                    ...total,
+                    [key]: total[key] + (result.usage?.[key] || 0)
+                }), usage);
+
+                glossaryIssues = localization.checkGlossary(
+                    source.content,
+                    result.structured.content,
+                    options.glossary,
+                    locale
+                );
+                if (!glossaryIssues.length) break;
+
+                generation.request.messages = [
+                    ...generation.request.messages,
+                    { role: 'assistant', content: JSON.stringify(result.structured) },
+                    { role: 'user', content: structuredOutput.getCorrection(glossaryIssues.map(issue => issue.message)) }
+                ];
+            }
+
+            const processingTime = Date.now() - startTime;
+
+            logger.info('Content translated successfully', {
+                locale,
+                provider: provider.name,
+                model: result.model,
+                processingTime,
+                glossaryIssues: glossaryIssues.length,
+                tokens: usage.totalTokens
+            });
+
+            return {
+                title: result.structured.title,
+                content: result.structured.content,
+                glossaryIssues,
+                metadata: {
+                    prompt,
+                    aiModel: result.model,
+                    aiProvider: provider.name,
+                    brandVoice: options.brandVoice?._id,
+                    processingTime,
+                    usage
+                }
+            };
+
+        } catch (error) {
+            logger.error('Error translating content:', {
+                error: error.message,
+                locale,
+                provider: provider.name,
+                contentLength: source.content.length
+            });
+
+            if (error instanceof APIError) {
+                throw error;
+            }
+
+            throw new APIError('Error translating content', 500);
+        }
+    }
 }
 
 // Export singleton instance
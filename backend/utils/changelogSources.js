@@ -0,0 +1,261 @@
+const { APIError } = require('../middlewares/errorHandler');
+
+// type(scope)!: subject
+const CONVENTIONAL_PATTERN = /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+const GIT_COMMIT_HEADER = /^commit ([0-9a-f]{7,40})\b/;
+const GIT_ONELINE = /^([0-9a-f]{7,40})\s+(.+)$/;
+const MERGE_SUBJECT = /^Merge (pull request|branch|remote-tracking branch)\b/;
+const BREAKING_NOTE = /^BREAKING[ -]CHANGE:/m;
+
+// Conventional commit types and PR labels mapped to changelog groups; unmapped ones are left out
+const TYPE_GROUPS = {
+    feat: 'features',
+    feature: 'features',
+    perf: 'improvements',
+    refactor: 'improvements',
+    improvement: 'improvements',
+    improve: 'improvements',
+    enhancement: 'improvements',
+    docs: 'improvements',
+    fix: 'fixes',
+    bugfix: 'fixes',
+    hotfix: 'fixes',
+    revert: 'fixes',
+    chore: null,
+    ci: null,
+    build: null,
+    test: null,
+    style: null,
+    release: null
+};
+
+const LABEL_GROUPS = {
+    feature: 'features',
+    'new feature': 'features',
+    enhancement: 'improvements',
+    improvement: 'improvements',
+    performance: 'improvements',
+    documentation: 'improvements',
+    bug: 'fixes',
+    fix: 'fixes',
+    bugfix: 'fixes',
+    security: 'fixes'
+};
+
+const SKIP_LABELS = ['skip-changelog', 'no-changelog', 'changelog: skip'];
+const BREAKING_LABELS = ['breaking', 'breaking change', 'breaking-change'];
+
+const GROUP_TITLES = {
+    features: 'Features',
+    improvements: 'Improvements',
+    fixes: 'Fixes'
+};
+
+class ChangelogSources {
+    constructor() {
+        // Longest change list passed to the model, in characters
+        this.maxSummaryLength = parseInt(process.env.CHANGELOG_MAX_SUMMARY_LENGTH, 10) || 12000;
+    }
+
+    /**
+     * Classify a commit or PR title, using its conventional-commit prefix when present
+     * @param {string} title - Commit subject or PR title
+     * @returns {Object} Group, scope, description and breaking flag; group is null for omitted types
+     */
+    classify(title) {
+        const match = title.match(CONVENTIONAL_PATTERN);
+
+        const type = match?.[1].toLowerCase();
+
+        if (match && Object.hasOwn(TYPE_GROUPS, type)) {
+            return {
+                group: TYPE_GROUPS[type],
+                scope: match[2],
+                description: match[4].trim(),
+                breaking: Boolean(match[3])
+            };
+        }
+
+        // Plain messages are grouped by their leading verb
+        let group = 'improvements';
+        if (/^(add|adds|added|implement|introduce|support|new)\b/i.test(title)) {
+            group = 'features';
+        } else if (/^(fix|fixes|fixed|resolve|resolves|correct|prevent|handle)\b/i.test(title)) {
+            group = 'fixes';
+        }
+
+        return { group, description: title.trim(), breaking: false };
+    }
+
+    /**
+     * Parse `git log` output, either the default format or one commit per line
+     * (`git log --oneline`, with or without hashes)
+     * @param {string} log - Git log output
+     * @returns {Object[]} Changelog entries
+     */
+    parseGitLog(log) {
+        const lines = log.split(/\r?\n/);
+        const commits = [];
+
+        if (lines.some(line => GIT_COMMIT_HEADER.test(line))) {
+            let commit = null;
+
+            lines.forEach(line => {
+                const header = line.match(GIT_COMMIT_HEADER);
+                if (header) {
+                    commit = { sha: header[1], message: [] };
+                    commits.push(commit);
+                } else if (commit && /^\s+/.test(line)) {
+                    commit.message.push(line.trim());
+                }
+            });
+
+            commits.forEach(commit => {
+                const message = commit.message.join('\n').trim();
+                commit.subject = message.split('\n')[0];
+                commit.body = message.split('\n').slice(1).join('\n');
+            });
+        } else {
+            lines
+                .map(line => line.trim().replace(/^[-*]\s+/, ''))
+                .filter(Boolean)
+                .forEach(line => {
+                    const oneline = line.match(GIT_ONELINE);
+                    commits.push(oneline
+                        ? { sha: oneline[1], subject: oneline[2], body: '' }
+                        : { subject: line, body: '' });
+                });
+        }
+
+        return commits
+            .filter(commit => commit.subject && !MERGE_SUBJECT.test(commit.subject))
+            .map(commit => {
+                const entry = this.classify(commit.subject);
+                return {
+                    ...entry,
+                    breaking: entry.breaking || BREAKING_NOTE.test(commit.body),
+                    reference: commit.sha ? commit.sha.substring(0, 7) : undefined
+                };
+            })
+            .filter(entry => entry.group);
+    }
+
+    /**
+     * Parse an export of merged pull requests, such as
+     * `gh pr list --state merged --json number,title,labels,url`
+     * @param {Object[]} pullRequests - Pull requests with title, number and labels
+     * @returns {Object[]} Changelog entries
+     */
+    parsePullRequests(pullRequests) {
+        return pullRequests
+            .filter(pr => pr.merged !== false && (!pr.state || /^merged$/i.test(pr.state)))
+            .map(pr => {
+                const labels = (pr.labels || [])
+                    .map(label => (typeof label === 'string' ? label : label?.name))
+                    .filter(Boolean)
+                    .map(label => label.toLowerCase());
+
+                if (labels.some(label => SKIP_LABELS.includes(label))) {
+                    return null;
+                }
+
+                const entry = this.classify(pr.title);
+                const groupLabel = labels.find(label => Object.hasOwn(LABEL_GROUPS, label));
+
+                return {
+                    ...entry,
+                    group: groupLabel ? LABEL_GROUPS[groupLabel] : entry.group,
+                    breaking: entry.breaking || labels.some(label => BREAKING_LABELS.includes(label)),
+                    reference: pr.number ? `#${pr.number}` : pr.url
+                };
+            })
+            .filter(entry => entry && entry.group);
+    }
+
+    /**
+     * Parse a changelog source
+     * @param {string} source - 'git' or 'pull_requests'
+     * @param {Object} data - Request body with log or pullRequests
+     * @returns {Object[]} Changelog entries
+     */
+    parse(source, { log, pullRequests }) {
+        const entries = source === 'git'
+            ? this.parseGitLog(log)
+            : this.parsePullRequests(pullRequests);
+
+        if (!entries.length) {
+            throw new APIError('No changelog entries found', 400);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Group entries into features, improvements and fixes
+     * @param {Object[]} entries - Changelog entries
+     * @returns {Object} Entries per group
+     */
+    group(entries) {
+        return Object.keys(GROUP_TITLES).reduce((groups, group) => {
+            groups[group] = entries.filter(entry => entry.group === group);
+            return groups;
+        }, {});
+    }
+
+    /**
+     * Suggest the release type implied by the changes
+     * @param {Object[]} entries - Changelog entries
+     * @returns {string} major, minor or patch
+     */
+    getReleaseType(entries) {
+        if (entries.some(entry => entry.breaking)) return 'major';
+        if (entries.some(entry => entry.group === 'features')) return 'minor';
+        return 'patch';
+    }
+
+    /**
+     * Format grouped entries as a plain-text change list for the prompt,
+     * dropping the entries past maxSummaryLength
+     * @param {Object} groups - Entries per group
+     * @returns {string} Change list
+     */
+    summarize(groups) {
+        const lines = ['Changes in this release:'];
+        let length = lines[0].length;
+        let omitted = 0;
+
+        Object.entries(GROUP_TITLES).forEach(([group, title]) => {
+            if (!groups[group].length) return;
+
+            lines.push(`${title}:`);
+            length += title.length + 2;
+
+            groups[group].forEach(entry => {
+                const line = [
+                    '-',
+                    entry.breaking ? '[BREAKING]' : null,
+                    entry.scope ? `${entry.scope}:` : null,
+                    entry.description,
+                    entry.reference ? `(${entry.reference})` : null
+                ].filter(Boolean).join(' ');
+
+                if (length + line.length + 1 > this.maxSummaryLength) {
+                    omitted += 1;
+                    return;
+                }
+
+                lines.push(line);
+                length += line.length + 1;
+            });
+        });
+
+        if (omitted) {
+            lines.push(`(${omitted} more changes omitted)`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+// Export singleton instance
+module.exports = new ChangelogSources();
@@ -0,0 +1,362 @@
+const { APIError } = require('../middlewares/errorHandler');
+
+// Platform limits
+const TWEET_LENGTH = 280;
+const LINKEDIN_LENGTH = 3000;
+const SLACK_HEADER_LENGTH = 150;
+const SLACK_SECTION_LENGTH = 3000;
+
+const MARKDOWN_LINK = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Strip Markdown syntax, keeping link targets inline
+ * @param {string} markdown - Markdown text
+ * @returns {string} Plain text
+ */
+const toPlainText = (markdown) => markdown
+    .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*\n?/g, ''))
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(MARKDOWN_LINK, '$1 ($2)')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/\*(?!\s)([^*\n]+?)\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(/^>\s?/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Render inline Markdown (emphasis, code, links) as HTML
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+const renderInlineHtml = (text) => escapeHtml(text)
+    .replace(MARKDOWN_LINK, '<a href="$2">$1</a>')
+    .replace(/(\*\*|__)(.+?)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?!\s)([^*\n]+?)\*/g, '<em>$1</em>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+
+/**
+ * Render a Markdown document as HTML (headings, lists, quotes, code, paragraphs)
+ * @param {string} markdown - Markdown text
+ * @returns {string} HTML
+ */
+const renderHtml = (markdown) => {
+    const html = [];
+    let list = null;
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            html.push(`<p>${renderInlineHtml(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const flushList = () => {
+        if (list) {
+            html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineHtml(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    const lines = markdown.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('```')) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            while (++i < lines.length && !lines[i].startsWith('```')) {
+                code.push(lines[i]);
+            }
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^>\s?(.*)$/);
+
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInlineHtml(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (quote) {
+            flushParagraph();
+            flushList();
+            html.push(`<blockquote>${renderInlineHtml(quote[1])}</blockquote>`);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+
+    flushParagraph();
+    flushList();
+
+    return html.join('\n');
+};
+
+/**
+ * Convert Markdown to Slack mrkdwn
+ * @param {string} markdown - Markdown text
+ * @returns {string} Slack mrkdwn
+ */
+const toSlackMrkdwn = (markdown) => markdown
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(MARKDOWN_LINK, '<$2|$1>')
+    // Bold is marked with a placeholder so it is not mistaken for italics
+    .replace(/^#{1,6}\s+(.*)$/gm, '\u0000$1\u0000')
+    .replace(/(\*\*|__)(.+?)\1/g, '\u0000$2\u0000')
+    .replace(/\*(?!\s)([^*\n]+?)\*/g, '_$1_')
+    .replace(/\u0000/g, '*')
+    .trim();
+
+/**
+ * Split text into chunks no longer than a limit, preferring paragraph, then
+ * sentence, then word boundaries
+ * @param {string} text - Text to split
+ * @param {number} limit - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+const splitText = (text, limit) => {
+    const chunks = [];
+    let current = '';
+
+    const units = text
+        .split(/\n{2,}/)
+        .flatMap(paragraph => {
+            const sentences = paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph];
+            // Keep the paragraph break with its last sentence
+            sentences[sentences.length - 1] = `${sentences[sentences.length - 1].trimEnd()}\n\n`;
+            return sentences;
+        })
+        .flatMap(sentence => (sentence.length > limit ? sentence.split(/(?<=\s)/) : [sentence]));
+
+    units.forEach(unit => {
+        if ((current + unit).trim().length > limit) {
+            if (current.trim()) chunks.push(current.trim());
+            current = '';
+
+            // A single word longer than the limit is hard-wrapped
+            while (unit.length > limit) {
+                chunks.push(unit.slice(0, limit));
+                unit = unit.slice(limit);
+            }
+        }
+        current += unit;
+    });
+
+    if (current.trim()) chunks.push(current.trim());
+
+    return chunks;
+};
+
+/**
+ * Truncate text at a word boundary, appending an ellipsis
+ * @param {string} text - Text to truncate
+ * @param {number} limit - Maximum length
+ * @returns {string} Truncated text
+ */
+const truncate = (text, limit) => {
+    if (text.length <= limit) return text;
+
+    const cut = text.slice(0, limit - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > limit / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+/**
+ * Build hashtags from content tags
+ * @param {string[]} tags - Content tags
+ * @returns {string} Space separated hashtags
+ */
+const toHashtags = (tags = []) => tags
+    .map(tag => `#${tag.replace(/[^\w]/g, '')}`)
+    .filter(tag => tag.length > 1)
+    .join(' ');
+
+class ChannelFormatter {
+    constructor() {
+        this.formatters = {
+            website: content => this.formatWebsite(content),
+            twitter: content => this.formatTwitter(content),
+            linkedin: content => this.formatLinkedIn(content),
+            email: content => this.formatEmail(content),
+            slack: content => this.formatSlack(content)
+        };
+
+        // Longest single post on social platforms; longer text is threaded or truncated
+        this.postLimits = {
+            twitter: TWEET_LENGTH,
+            linkedin: LINKEDIN_LENGTH
+        };
+    }
+
+    /**
+     * Strip Markdown syntax, as channels without rich text receive it
+     * @param {string} markdown - Markdown text
+     * @returns {string} Plain text
+     */
+    toPlainText(markdown) {
+        return toPlainText(markdown);
+    }
+
+    /**
+     * Render content for a distribution channel
+     * @param {Content} content - Content document
+     * @param {string} platform - Channel platform
+     * @returns {Object} Channel-specific payload
+     */
+    format(content, platform) {
+        const formatter = this.formatters[platform];
+        if (!formatter) {
+            throw new APIError(`Unsupported channel: ${platform}`, 400);
+        }
+
+        return formatter(content);
+    }
+
+    /**
+     * Render content for the website as Markdown and HTML
+     * @param {Content} content - Content document
+     * @returns {Object} Website payload
+     */
+    formatWebsite(content) {
+        return {
+            title: content.title,
+            markdown: content.content,
+            html: renderHtml(content.content)
+        };
+    }
+
+    /**
+     * Render content as a numbered thread of tweets
+     * @param {Content} content - Content document
+     * @returns {Object} Twitter payload
+     */
+    formatTwitter(content) {
+        const hashtags = toHashtags(content.tags);
+        const text = [content.title, toPlainText(content.content)].filter(Boolean).join('\n\n');
+
+        // Fits in a single tweet
+        const single = [text, hashtags].filter(Boolean).join('\n\n');
+        if (single.length <= TWEET_LENGTH) {
+            return { thread: [single] };
+        }
+
+        // Reserve room for the " (NN/NN)" counter on every tweet
+        const counterLength = 8;
+        const chunks = splitText(text, TWEET_LENGTH - counterLength);
+
+        const last = chunks.length - 1;
+        if (hashtags && (chunks[last] + '\n\n' + hashtags).length <= TWEET_LENGTH - counterLength) {
+            chunks[last] = `${chunks[last]}\n\n${hashtags}`;
+        }
+
+        return {
+            thread: chunks.map((chunk, index) => `${chunk} (${index + 1}/${chunks.length})`)
+        };
+    }
+
+    /**
+     * Render content as a LinkedIn post
+     * @param {Content} content - Content document
+     * @returns {Object} LinkedIn payload
+     */
+    formatLinkedIn(content) {
+        const hashtags = toHashtags(content.tags);
+        const body = toPlainText(content.content);
+        const available = LINKEDIN_LENGTH - content.title.length - (hashtags ? hashtags.length + 2 : 0) - 2;
+
+        return {
+            text: [content.title, truncate(body, available), hashtags].filter(Boolean).join('\n\n')
+        };
+    }
+
+    /**
+     * Render content as Slack Block Kit JSON
+     * @param {Content} content - Content document
+     * @returns {Object} Slack payload
+     */
+    formatSlack(content) {
+        const blocks = [
+            {
+                type: 'header',
+                text: {
+                    type: 'plain_text',
+                    text: truncate(content.title, SLACK_HEADER_LENGTH),
+                    emoji: true
+                }
+            },
+            ...splitText(toSlackMrkdwn(content.content), SLACK_SECTION_LENGTH).map(text => ({
+                type: 'section',
+                text: { type: 'mrkdwn', text }
+            }))
+        ];
+
+        if (content.tags?.length) {
+            blocks.push({
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: content.tags.join(' · ') }]
+            });
+        }
+
+        return {
+            // Fallback text for notifications and clients without Block Kit
+            text: content.title,
+            blocks
+        };
+    }
+
+    /**
+     * Render content as an HTML email
+     * @param {Content} content - Content document
+     * @returns {Object} Email payload
+     */
+    formatEmail(content) {
+        const html = [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head><meta charset="utf-8"></head>',
+            '<body style="font-family: Arial, sans-serif; line-height: 1.5; max-width: 640px; margin: 0 auto;">',
+            `<h1>${escapeHtml(content.title)}</h1>`,
+            renderHtml(content.content),
+            '</body>',
+            '</html>'
+        ].join('\n');
+
+        return {
+            subject: content.title,
+            html,
+            text: toPlainText(content.content)
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ChannelFormatter();
@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const Content = require('../models/Content');
+const textOperations = require('./textOperations');
+const textDiff = require('./textDiff');
+const logger = require('./logger');
+const { authenticateToken, requireWorkspace } = require('../middlewares/authMiddleware');
+const { APIError } = require('../middlewares/errorHandler');
+
+const PATH_PATTERN = /^\/ws\/content\/([a-f0-9]{24})$/i;
+
+// Workspace roles that may edit content they did not write
+const EDITOR_ROLES = ['owner', 'admin', 'editor'];
+
+/**
+ * Run an Express middleware outside of Express
+ * @param {Function} middleware - Middleware
+ * @param {Object} req - Request-like object
+ * @returns {Promise} Resolves when the middleware calls next without an error
+ */
+const runMiddleware = (middleware, req) => new Promise((resolve, reject) => {
+    middleware(req, {}, error => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Send a message to a connection if it is still open
+ * @param {WebSocket} socket - Connection
+ * @param {Object} message - Message
+ */
+const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * Refuse an upgrade request with an HTTP status
+ * @param {Socket} socket - Raw socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status text
+ */
+const refuseUpgrade = (socket, status, message) => {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+/**
+ * Collaborative editing of content over WebSocket. Each content item being
+ * edited has an in-memory session holding the live text; edits are merged
+ * with operational transformation and checkpointed as revisions. Sessions
+ * live in one process, so all editors of an item must reach the same server.
+ *
+ * Protocol (JSON messages):
+ * - server `init` { clientId, content, revision, version, canEdit, users }
+ * - client `op` { revision, op } -> server `ack` { revision } to the sender
+ *   and `op` { clientId, revision, op } to everyone else
+ * - client `cursor` { position, selectionEnd } -> server `cursor` { clientId, ... }
+ * - server `join` { clientId, user }, `leave` { clientId },
+ *   `checkpoint` { version } and `error` { message, resync }
+ */
+class CollaborationServer {
+    constructor() {
+        this.sessions = new Map();
+        this.checkpointInterval = parseInt(process.env.COLLAB_CHECKPOINT_INTERVAL, 10) || 30000;
+        // Operations kept for transforming late edits; older clients must reload
+        this.historyLimit = parseInt(process.env.COLLAB_HISTORY_LIMIT, 10) || 500;
+        this.heartbeatInterval = 30000;
+        this.wss = null;
+    }
+
+    /**
+     * Accept collaboration connections on /ws/content/:id of an HTTP server
+     * @param {http.Server} server - HTTP server
+     */
+    attach(server) {
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+        server.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            const match = url.pathname.match(PATH_PATTERN);
+            if (!match) {
+                return refuseUpgrade(socket, 404, 'Not Found');
+            }
+
+            try {
+                const { user, content } = await this.authorize(req, url, match[1]);
+
+                this.wss.handleUpgrade(req, socket, head, ws => {
+                    this.join(ws, user, content).catch(error => {
+                        logger.error('Error joining collaboration session:', {
+                            error: error.message,
+                            contentId: match[1]
+                        });
+                        ws.close(1011, 'Could not join session');
+                    });
+                });
+            } catch (error) {
+                refuseUpgrade(socket, error.statusCode || 500, error.statusCode ? error.message : 'Internal Server Error');
+            }
+        });
+
+        // Drop connections that stopped answering pings
+        const heartbeat = setInterval(() => {
+            this.wss.clients.forEach(ws => {
+                if (ws.isAlive === false) return ws.terminate();
+
+                ws.isAlive = false;
+                ws.ping();
+            });
+        }, this.heartbeatInterval);
+        heartbeat.unref();
+
+        this.wss.on('close', () => clearInterval(heartbeat));
+    }
+
+    /**
+     * Authenticate an upgrade request with the same JWT as the REST API
+     * (Authorization header, or `token` query parameter for browsers) and
+     * check access to the content
+     * @param {IncomingMessage} req - Upgrade request
+     * @param {URL} url - Parsed request URL
+     * @param {string} contentId - Content ID
+     * @returns {Promise<Object>} User and content
+     */
+    async authorize(req, url, contentId) {
+        const token = url.searchParams.get('token');
+        const authReq = {
+            headers: {
+                authorization: token ? `Bearer ${token}` : req.headers.authorization
+            }
+        };
+
+        await runMiddleware(authenticateToken, authReq);
+        await runMiddleware(requireWorkspace, authReq);
+
+        const { user } = authReq;
+        const content = await Content.findById(contentId).select('company author');
+
+        if (!content) {
+            throw new APIError('Content not found', 404);
+        }
+
+        if (content.company.toString() !== user.company._id.toString()) {
+            throw new APIError('Unauthorized', 403);
+        }
+
+        return { user, content };
+    }
+
+    /**
+     * Get the session for a content item, loading it on first use
+     * @param {string} contentId - Content ID
+     * @returns {Promise<Object>} Session
+     */
+    async getSession(contentId) {
+        if (!this.sessions.has(contentId)) {
+            // Store the pending load so concurrent joins share it
+            this.sessions.set(contentId, (async () => {
+                const content = await Content.findById(contentId).select('content version');
+
+                const session = {
+                    contentId,
+                    text: content.content,
+                    // Text and version of the last checkpoint, the base for merging outside edits
+                    baseText: content.content,
+                    version: content.version,
+                    revision: 0,
+                    history: [],
+                    clients: new Map(),
+                    dirty: false,
+                    lastEditor: null,
+                    checkpointing: null,
+                    closed: false
+                };
+
+                session.timer = setInterval(() => {
+                    this.checkpoint(session).catch(() => {});
+                }, this.checkpointInterval);
+                session.timer.unref();
+
+                return session;
+            })());
+        }
+
+        try {
+            return await this.sessions.get(contentId);
+        } catch (error) {
+            this.sessions.delete(contentId);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a connection to the content's session
+     * @param {WebSocket} ws - Connection
+     * @param {User} user - Authenticated user
+     * @param {Content} content - Content (company and author)
+     */
+    async join(ws, user, content) {
+        let session = await this.getSession(content._id.toString());
+
+        // The session may have closed as the last collaborator left; start a new one
+        while (session.closed) {
+            session = await this.getSession(content._id.toString());
+        }
+
+        const client = {
+            id: crypto.randomUUID(),
+            user: { _id: user._id, name: user.name },
+            canEdit: content.author.toString() === user._id.toString() ||
+                user.company.hasRole(user._id, EDITOR_ROLES),
+            cursor: null
+        };
+
+        session.clients.set(ws, client);
+        ws.isAlive = true;
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return send(ws, { type: 'error', message: 'Invalid message' });
+            }
+
+            if (!message || typeof message !== 'object' || Array.isArray(message)) {
+                return send(ws, { type: 'error', message: 'Invalid message' });
+            }
+
+            // A bad frame may only ever get an error back, never bring the server down
+            try {
+                this.handleMessage(session, ws, message);
+            } catch (error) {
+                logger.warn('Error handling collaboration message', {
+                    error: error.message,
+                    contentId: session.contentId
+                });
+                send(ws, { type: 'error', message: 'Invalid message' });
+            }
+        });
+
+        ws.on('close', () => {
+            this.leave(session, ws).catch(error => {
+                logger.error('Error leaving collaboration session:', {
+                    error: error.message,
+                    contentId: session.contentId
+                });
+            });
+        });
+
+        send(ws, {
+            type: 'init',
+            clientId: client.id,
+            content: session.text,
+            revision: session.revision,
+            version: session.version,
+            canEdit: client.canEdit,
+            users: [...session.clients.values()]
+                .filter(other => other !== client)
+                .map(other => ({ clientId: other.id, user: other.user, cursor: other.cursor }))
+        });
+
+        this.broadcast(session, { type: 'join', clientId: client.id, user: client.user }, ws);
+
+        logger.info('Collaborator joined', {
+            contentId: session.contentId,
+            userId: user._id,
+            collaborators: session.clients.size
+        });
+    }
+
+    /**
+     * Handle a message from a collaborator
+     * @param {Object} session - Session
+     * @param {WebSocket} ws - Sending connection
+     * @param {Object} message - Parsed message
+     */
+    handleMessage(session, ws, message) {
+        const client = session.clients.get(ws);
+
+        if (message.type === 'op') {
+            if (!client.canEdit) {
+                return send(ws, { type: 'error', message: 'You do not have permission to edit this content' });
+            }
+
+            try {
+                const revision = this.receiveOperation(session, ws, message.revision, message.op);
+                send(ws, { type: 'ack', revision });
+            } catch (error) {
+                // The client's document no longer lines up with the server; it has to reload
+                send(ws, { type: 'error', message: error.message, resync: true });
+            }
+        } else if (message.type === 'cursor') {
+            const { position, selectionEnd = position } = message;
+            if (![position, selectionEnd].every(value => Number.isInteger(value) && value >= 0 && value <= session.text.length)) {
+                return send(ws, { type: 'error', message: 'Invalid cursor' });
+            }
+
+            client.cursor = { position, selectionEnd };
+            this.broadcast(session, { type: 'cursor', clientId: client.id, ...client.cursor }, ws);
+        } else {
+            send(ws, { type: 'error', message: 'Unknown message type' });
+        }
+    }
+
+    /**
+     * Transform an operation made at an earlier revision against everything
+     * applied since, apply it and send it to the other collaborators
+     * @param {Object} session - Session
+     * @param {WebSocket} ws - Sending connection (null for server edits)
+     * @param {number} revision - Revision the operation was made against
+     * @param {Array} op - Operation
+     * @returns {number} Revision after the operation
+     */
+    receiveOperation(session, ws, revision, op) {
+        const client = ws ? session.clients.get(ws) : null;
+        const firstRevision = session.revision - session.history.length;
+
+        if (!textOperations.isValid(op)) {
+            throw new Error('Invalid operation');
+        }
+        if (!Number.isInteger(revision) || revision < firstRevision || revision > session.revision) {
+            throw new Error('Unknown revision');
+        }
+
+        // Operations applied concurrently win ties, as collaborators already see them
+        let transformed = op;
+        session.history.slice(revision - firstRevision).forEach(applied => {
+            [, transformed] = textOperations.transform(applied, transformed);
+        });
+
+        session.text = textOperations.apply(session.text, transformed);
+        session.history.push(transformed);
+        if (session.history.length > this.historyLimit) session.history.shift();
+        session.revision += 1;
+        session.dirty = true;
+        if (client) session.lastEditor = client.user._id;
+
+        // Keep everyone's cursor on the same text after the edit
+        session.clients.forEach(other => {
+            if (other !== client && other.cursor) {
+                other.cursor = {
+                    position: textOperations.transformPosition(other.cursor.position, transformed),
+                    selectionEnd: textOperations.transformPosition(other.cursor.selectionEnd, transformed)
+                };
+            }
+        });
+
+        this.broadcast(session, {
+            type: 'op',
+            clientId: client?.id || null,
+            revision: session.revision,
+            op: transformed
+        }, ws);
+
+        return session.revision;
+    }
+
+    /**
+     * Send a message to every collaborator of a session
+     * @param {Object} session - Session
+     * @param {Object} message - Message
+     * @param {WebSocket} [except] - Connection to skip
+     */
+    broadcast(session, message, except) {
+        session.clients.forEach((client, ws) => {
+            if (ws !== except) send(ws, message);
+        });
+    }
+
+    /**
+     * Save the live text as a new content version. Edits saved through the
+     * API since the last checkpoint are merged in and sent to collaborators.
+     * @param {Object} session - Session
+     */
+    async checkpoint(session) {
+        // One checkpoint at a time per session
+        if (session.checkpointing) return session.checkpointing;
+        if (!session.dirty) return undefined;
+
+        session.checkpointing = (async () => {
+            const text = session.text;
+            const revision = session.revision;
+
+            try {
+                const content = await Content.findById(session.contentId);
+                if (!content) {
+                    session.clients.forEach((client, ws) => ws.close(4404, 'Content not found'));
+                    return;
+                }
+
+                let merged = text;
+                if (content.version !== session.version) {
+                    merged = textDiff.merge(session.baseText, text, content.content, {
+                        ours: 'live edit',
+                        theirs: `version ${content.version}`
+                    }).content;
+                }
+
+                const changed = merged !== content.content;
+                if (changed) {
+                    // Skip the save if another edit lands while merging; the next checkpoint retries
+                    content.$where = { version: content.version };
+                    await content.addRevision(session.lastEditor || content.author, merged, 'Collaborative edit');
+                }
+
+                session.version = content.version;
+                session.baseText = merged;
+                session.dirty = session.revision !== revision;
+
+                // Bring collaborators up to date with the merged outside edits
+                if (merged !== text) {
+                    const op = textOperations.fromChanges(textDiff.diff(text, merged).changes);
+                    this.receiveOperation(session, null, revision, op);
+                }
+
+                if (changed) {
+                    this.broadcast(session, { type: 'checkpoint', version: session.version });
+
+                    logger.info('Collaborative edits checkpointed', {
+                        contentId: session.contentId,
+                        version: session.version,
+                        revision
+                    });
+                }
+            } catch (error) {
+                logger.error('Error checkpointing collaborative edits:', {
+                    error: error.message,
+                    contentId: session.contentId
+                });
+            } finally {
+                session.checkpointing = null;
+            }
+        })();
+
+        return session.checkpointing;
+    }
+
+    /**
+     * Remove a connection, closing the session after the last collaborator leaves
+     * @param {Object} session - Session
+     * @param {WebSocket} ws - Connection
+     */
+    async leave(session, ws) {
+        const client = session.clients.get(ws);
+        session.clients.delete(ws);
+
+        if (client) {
+            this.broadcast(session, { type: 'leave', clientId: client.id });
+        }
+
+        if (!session.clients.size) {
+            await this.checkpoint(session);
+
+            // Someone may have joined while the last edits were being saved
+            if (!session.clients.size && !session.closed) {
+                session.closed = true;
+                clearInterval(session.timer);
+                this.sessions.delete(session.contentId);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new CollaborationServer();
@@ -0,0 +1,136 @@
+const textDiff = require('./textDiff');
+const textOperations = require('./textOperations');
+
+// @jane@example.com, or @jane when only one member's email starts with jane@
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+class CommentThreads {
+    constructor() {
+        this.maxFeedbackQuote = 300;
+    }
+
+    /**
+     * Find the workspace members mentioned in a comment
+     * @param {string} body - Comment text
+     * @param {User[]} members - Workspace members (email required)
+     * @param {string[]} [ids] - Explicitly mentioned user IDs, e.g. from a picker
+     * @returns {User[]} Mentioned members, each once
+     */
+    parseMentions(body, members, ids = []) {
+        const handles = [...body.matchAll(MENTION_PATTERN)]
+            .map(match => match[2].replace(/\.+$/, '').toLowerCase());
+
+        return members.filter(member => {
+            const email = member.email.toLowerCase();
+            const localPart = email.split('@')[0];
+
+            return ids.some(id => id.toString() === member._id.toString()) ||
+                   handles.includes(email) ||
+                   (handles.includes(localPart) &&
+                    members.filter(other => other.email.toLowerCase().startsWith(`${localPart}@`)).length === 1);
+        });
+    }
+
+    /**
+     * Find where an anchor's range is in the current version. The range is
+     * mapped through the edits since the anchored version; if the quoted
+     * text is not there, its nearest occurrence is used. A thread whose text
+     * is gone is outdated.
+     * @param {Content} content - Content document
+     * @param {Object} anchor - Thread anchor (start, end, quote, version)
+     * @param {Map} [operations] - Cache of edit operations by version
+     * @returns {Object} Current start and end, and whether the anchor is outdated
+     */
+    locate(content, anchor, operations = new Map()) {
+        let { start, end } = anchor;
+
+        if (anchor.version !== content.version) {
+            if (!operations.has(anchor.version)) {
+                const text = content.getVersionContent(anchor.version);
+                operations.set(
+                    anchor.version,
+                    text === undefined ? null : textOperations.fromChanges(textDiff.diff(text, content.content).changes)
+                );
+            }
+
+            const op = operations.get(anchor.version);
+            if (op) {
+                start = textOperations.transformPosition(start, op);
+                end = textOperations.transformPosition(end, op);
+            }
+        }
+
+        const { quote = '' } = anchor;
+        if (content.content.slice(start, end) === quote) {
+            return { start, end, outdated: false };
+        }
+
+        let nearest = -1;
+        for (let index = content.content.indexOf(quote); index !== -1; index = content.content.indexOf(quote, index + 1)) {
+            if (nearest === -1 || Math.abs(index - start) < Math.abs(nearest - start)) {
+                nearest = index;
+            }
+        }
+
+        if (quote && nearest !== -1) {
+            return { start: nearest, end: nearest + quote.length, outdated: false };
+        }
+
+        return {
+            start: Math.min(start, content.content.length),
+            end: Math.min(Math.max(start, end), content.content.length),
+            outdated: true
+        };
+    }
+
+    /**
+     * Get threads with their anchors moved onto the current version
+     * @param {Content} content - Content document
+     * @param {Object[]} [threads] - Threads to locate; defaults to all
+     * @returns {Object[]} Plain threads; anchor carries the current range and `outdated`
+     */
+    locateAll(content, threads = content.threads) {
+        const operations = new Map();
+
+        return threads.map(thread => {
+            const plain = thread.toObject();
+            return {
+                ...plain,
+                anchor: { ...plain.anchor, ...this.locate(content, thread.anchor, operations) }
+            };
+        });
+    }
+
+    /**
+     * Turn comment threads into feedback for the AI
+     * @param {Object[]} threads - Located threads with message authors populated
+     * @param {string} [feedback] - Additional free-text feedback
+     * @returns {string} Feedback
+     */
+    toFeedback(threads, feedback) {
+        const items = threads.map((thread, index) => {
+            let quote = thread.anchor.quote || '';
+            if (quote.length > this.maxFeedbackQuote) {
+                quote = `${quote.slice(0, this.maxFeedbackQuote)}…`;
+            }
+
+            const target = thread.anchor.outdated
+                ? `On a passage that has since changed ("${quote}")`
+                : `On "${quote}"`;
+
+            const messages = thread.messages
+                .map(message => `   - ${message.author?.name || 'Reviewer'}: ${message.body}`)
+                .join('\n');
+
+            return `${index + 1}. ${target}:\n${messages}`;
+        });
+
+        return [
+            feedback,
+            `Address these reviewer comments, each about the quoted passage:\n\n${items.join('\n\n')}`
+        ].filter(Boolean).join('\n\n');
+    }
+}
+
+// Export singleton instance
+module.exports = new CommentThreads();
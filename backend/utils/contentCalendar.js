@@ -0,0 +1,337 @@
+const Content = require('../models/Content');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+// Posts per channel per day before the calendar reports a conflict
+const DEFAULT_DAILY_LIMITS = {
+    website: 3,
+    twitter: 5,
+    linkedin: 2,
+    email: 1,
+    slack: 5
+};
+
+// iCal lines longer than this many octets must be folded
+const ICAL_LINE_LENGTH = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the calendar day of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Day as YYYY-MM-DD
+ */
+const toDay = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+/**
+ * Add days to a calendar day
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} Day as YYYY-MM-DD
+ */
+const addDays = (day, days) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Format an instant as an iCal UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} e.g. 20240501T093000Z
+ */
+const toICalDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape text for an iCal property value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeICal = (value = '') => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold an iCal content line into lines of at most 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldICal = (line) => {
+    const lines = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = lines.length ? ICAL_LINE_LENGTH - 1 : ICAL_LINE_LENGTH;
+        if (Buffer.byteLength(current + char) > limit) {
+            lines.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+};
+
+class ContentCalendar {
+    constructor() {
+        this.appUrl = process.env.APP_URL || 'http://localhost:5173';
+
+        // Window of the subscription feed around today
+        this.feedPastDays = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+        this.feedFutureDays = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
+    }
+
+    /**
+     * Get the calendar settings of a workspace with defaults applied
+     * @param {Object} [settings] - Workspace settings (plain object)
+     * @returns {Object} Timezone and posts allowed per channel per day
+     */
+    getSettings(settings = {}) {
+        const calendar = settings.calendar || {};
+        const dailyLimits = { ...DEFAULT_DAILY_LIMITS };
+
+        Object.entries(calendar.dailyLimits || {})
+            .filter(([, limit]) => typeof limit === 'number')
+            .forEach(([channel, limit]) => {
+                dailyLimits[channel] = limit;
+            });
+
+        return {
+            timezone: calendar.timezone || 'UTC',
+            dailyLimits
+        };
+    }
+
+    /**
+     * Get the days and UTC bounds of the day, week (Monday to Sunday) or
+     * month containing a date
+     * @param {string} view - day, week or month
+     * @param {string} [date] - Day as YYYY-MM-DD; defaults to today
+     * @param {string} timeZone - IANA timezone the days are in
+     * @returns {Object} Days, start (inclusive) and end (exclusive)
+     */
+    getRange(view, date, timeZone) {
+        const day = date || toDay(new Date(), timeZone);
+
+        let first = day;
+        let count = 1;
+
+        if (view === 'week') {
+            const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+            first = addDays(day, -((weekday + 6) % 7));
+            count = 7;
+        } else if (view === 'month') {
+            const [year, month] = day.split('-').map(Number);
+            first = `${year}-${pad(month)}-01`;
+            count = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        }
+
+        return {
+            days: Array.from({ length: count }, (value, index) => addDays(first, index)),
+            start: zonedTimeToUtc(first, timeZone),
+            end: zonedTimeToUtc(addDays(first, count), timeZone)
+        };
+    }
+
+    /**
+     * Get the subscription feed window around today
+     * @returns {Object} Start and end
+     */
+    getFeedRange() {
+        const day = 24 * 60 * 60 * 1000;
+
+        return {
+            start: new Date(Date.now() - this.feedPastDays * day),
+            end: new Date(Date.now() + this.feedFutureDays * day)
+        };
+    }
+
+    /**
+     * Get the calendar entries of a content item: one per channel, at the
+     * time it was published or is scheduled. Channels that were routed to a
+     * locale variant are left out; the variant has its own entry.
+     * @param {Content} content - Content document
+     * @param {Object} [filter] - start, end and channel
+     * @returns {Object[]} Calendar entries
+     */
+    getEntries(content, { start, end, channel } = {}) {
+        const schedule = content.distribution?.schedule;
+        const within = date => Boolean(date) && (!start || date >= start) && (!end || date < end);
+
+        return (content.distribution?.channels || [])
+            .filter(item => (!channel || item.platform === channel) && !item.response?.routedTo)
+            .map(item => {
+                const { platform } = item;
+
+                if (item.status === 'published') {
+                    return { channel: platform, state: 'published', at: item.publishedAt, url: item.url };
+                }
+
+                if (schedule?.publishAt && ['scheduled', 'processing'].includes(schedule.status) && item.status === 'pending') {
+                    return { channel: platform, state: 'scheduled', at: schedule.publishAt };
+                }
+
+                if (schedule?.publishAt && item.status === 'failed') {
+                    return { channel: platform, state: 'failed', at: schedule.publishAt };
+                }
+
+                return null;
+            })
+            .map(entry => entry && within(entry.at) && {
+                contentId: content._id,
+                title: content.title,
+                type: content.type,
+                status: content.status,
+                locale: content.locale,
+                campaign: content.campaign,
+                timezone: schedule?.timezone,
+                ...entry
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Find the scheduled and published entries of a workspace in a period.
+     * Archived content is left out: it is never published.
+     * @param {string} companyId - Workspace ID
+     * @param {Object} filter - start, end, and optional channel and excluded content ID
+     * @returns {Promise<Object[]>} Calendar entries in time order
+     */
+    async findEntries(companyId, { start, end, channel, excludeId }) {
+        const range = { $gte: start, $lt: end };
+        const query = {
+            company: companyId,
+            isArchived: false,
+            $or: [
+                { 'distribution.schedule.publishAt': range },
+                { 'distribution.channels.publishedAt': range }
+            ]
+        };
+
+        if (channel) query['distribution.channels.platform'] = channel;
+        if (excludeId) query._id = { $ne: excludeId };
+
+        const contents = await Content.find(query)
+            .select('title type status locale campaign distribution');
+
+        return contents
+            .flatMap(content => this.getEntries(content, { start, end, channel }))
+            .sort((a, b) => a.at - b.at);
+    }
+
+    /**
+     * Group entries by the day they fall on
+     * @param {Object[]} entries - Calendar entries
+     * @param {string[]} days - Days as YYYY-MM-DD
+     * @param {string} timeZone - IANA timezone the days are in
+     * @returns {Object[]} Days with their entries
+     */
+    groupByDay(entries, days, timeZone) {
+        const byDay = new Map(days.map(day => [day, []]));
+
+        entries.forEach(entry => {
+            byDay.get(toDay(entry.at, timeZone))?.push(entry);
+        });
+
+        return days.map(day => ({ date: day, entries: byDay.get(day) }));
+    }
+
+    /**
+     * Find days on which a channel has more posts than its daily limit.
+     * Failed posts do not count.
+     * @param {Object[]} entries - Calendar entries
+     * @param {Object} dailyLimits - Posts allowed per channel per day
+     * @param {string} timeZone - IANA timezone the days are in
+     * @returns {Object[]} Conflicts (date, channel, count, limit, contentIds)
+     */
+    findConflicts(entries, dailyLimits, timeZone) {
+        const groups = new Map();
+
+        entries
+            .filter(entry => entry.state !== 'failed')
+            .forEach(entry => {
+                const date = toDay(entry.at, timeZone);
+                const key = `${date}|${entry.channel}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { date, channel: entry.channel, contentIds: [] });
+                }
+                groups.get(key).contentIds.push(entry.contentId);
+            });
+
+        return [...groups.values()]
+            .filter(group => group.contentIds.length > dailyLimits[group.channel])
+            .map(group => ({
+                ...group,
+                count: group.contentIds.length,
+                limit: dailyLimits[group.channel]
+            }));
+    }
+
+    /**
+     * Check whether publishing content on channels at a time would exceed
+     * the daily limit of any of them
+     * @param {Content} content - Content to schedule
+     * @param {Date} publishAt - Publish time
+     * @param {string[]} channels - Channels to publish to
+     * @param {Object} settings - Calendar settings (timezone, dailyLimits)
+     * @returns {Promise<Object[]>} Conflicts the schedule would cause
+     */
+    async checkSchedule(content, publishAt, channels, { timezone, dailyLimits }) {
+        const { start, end } = this.getRange('day', toDay(publishAt, timezone), timezone);
+
+        const entries = await this.findEntries(content.company, { start, end, excludeId: content._id });
+        const planned = channels.map(channel => ({
+            contentId: content._id,
+            channel,
+            state: 'scheduled',
+            at: publishAt
+        }));
+
+        return this.findConflicts([...entries, ...planned], dailyLimits, timezone)
+            .filter(conflict => channels.includes(conflict.channel));
+    }
+
+    /**
+     * Render calendar entries as an iCalendar document
+     * @param {Object[]} entries - Calendar entries
+     * @param {string} name - Calendar name
+     * @returns {string} iCalendar text
+     */
+    toICal(entries, name) {
+        const stamp = toICalDate(new Date());
+
+        const events = entries.flatMap(entry => [
+            'BEGIN:VEVENT',
+            `UID:${entry.contentId}-${entry.channel}@content-calendar`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${toICalDate(entry.at)}`,
+            'DURATION:PT15M',
+            `SUMMARY:${escapeICal(`[${entry.channel}] ${entry.title}`)}`,
+            `DESCRIPTION:${escapeICal(`${entry.type.replace('_', ' ')}, ${entry.state}${entry.url ? `: ${entry.url}` : ''}`)}`,
+            `URL:${this.appUrl}/content/${entry.contentId}`,
+            `CATEGORIES:${escapeICal(entry.channel)}`,
+            `STATUS:${entry.state === 'failed' ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        ]);
+
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//SaaS Content Platform//Content Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeICal(name)}`,
+            ...events,
+            'END:VCALENDAR'
+        ].map(foldICal).join('\r\n') + '\r\n';
+    }
+}
+
+// Export singleton instance
+module.exports = new ContentCalendar();
@@ -0,0 +1,126 @@
+const Content = require('../models/Content');
+const Analytics = require('../models/Analytics');
+const BrandVoice = require('../models/BrandVoice');
+const PromptTemplate = require('../models/PromptTemplate');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const aiService = require('./aiService');
+const knowledgeBase = require('./knowledgeBase');
+const localization = require('./localization');
+const { selectModel } = require('./llm');
+const { APIError } = require('../middlewares/errorHandler');
+
+/**
+ * Generation shared by the content endpoints, campaigns and anything else
+ * that creates content from a brief. The context says who generates: the
+ * workspace (Company document), the user (User document) and the AI
+ * provider and model they asked for, if any.
+ */
+class ContentGeneration {
+    /**
+     * Get the language a user writes in
+     * @param {User} user - User document
+     * @returns {string} Locale
+     */
+    getLanguage(user) {
+        return user.settings?.contentPreferences?.language || localization.defaultLocale;
+    }
+
+    /**
+     * Resolve the brand voice, prompt template, knowledge and parameters for a generation
+     * @param {Object} context - Workspace, user and requested AI selection ({ company, user, ai })
+     * @param {Object} brief - Type, prompt and params, with optional brandVoiceId, templateId and useKnowledgeBase
+     * @returns {Promise<Object>} Generation type, params and options
+     */
+    async prepare({ company, user, ai }, brief) {
+        const { type, prompt, params, brandVoiceId, templateId } = brief;
+
+        // Use the requested brand voice, or the workspace default
+        const brandVoice = await BrandVoice.resolve(company._id, brandVoiceId);
+        if (brandVoiceId && !brandVoice) {
+            throw new APIError('Brand voice not found', 404);
+        }
+
+        // Use the requested template, the workspace default, or fall back to the built-in one
+        const template = await PromptTemplate.resolve(company._id, type, templateId);
+        if (templateId && !template) {
+            throw new APIError('Prompt template not found', 404);
+        }
+
+        const meter = { company, user: user._id };
+
+        // Ground blog, email and internal_comm generation in the workspace knowledge base
+        let knowledge;
+        if (knowledgeBase.supports(type) && brief.useKnowledgeBase !== false &&
+            await KnowledgeDocument.exists({ company: company._id, status: 'ready' })) {
+            knowledge = await knowledgeBase.search(company._id, prompt, { meter });
+        }
+
+        return {
+            type,
+            params: {
+                topic: prompt,
+                ...params,
+                prompt,
+                tone: user.settings?.contentPreferences?.tone || 'professional'
+            },
+            options: {
+                brandVoice,
+                template,
+                ai: selectModel(company.settings?.ai, ai),
+                meter,
+                knowledge,
+                language: this.getLanguage(user)
+            }
+        };
+    }
+
+    /**
+     * Save generated content and initialize its analytics
+     * @param {Object} context - Workspace and user ({ company, user })
+     * @param {string} type - Content type
+     * @param {Object} generated - Generated content and metadata
+     * @param {Object} [fields] - Additional content fields
+     * @returns {Promise<Content>} Saved content
+     */
+    async save({ company, user }, type, generated, fields = {}) {
+        const content = new Content({
+            type,
+            content: generated.content,
+            structured: generated.structured,
+            metadata: generated.metadata,
+            author: user._id,
+            company: company._id,
+            locale: this.getLanguage(user),
+            ...fields
+        });
+
+        await content.save();
+
+        // Initialize analytics
+        const analytics = new Analytics({
+            contentId: content._id,
+            company: company._id
+        });
+
+        await analytics.save();
+
+        return content;
+    }
+
+    /**
+     * Generate content from a brief and save it
+     * @param {Object} context - Workspace, user and requested AI selection ({ company, user, ai })
+     * @param {Object} brief - Brief, as for prepare
+     * @param {Object} [fields] - Additional content fields
+     * @returns {Promise<Content>} Saved content
+     */
+    async generate(context, brief, fields) {
+        const { type, params, options } = await this.prepare(context, brief);
+        const generated = await aiService.generateContent(type, params, options);
+
+        return this.save(context, type, generated, fields);
+    }
+}
+
+// Export singleton instance
+module.exports = new ContentGeneration();
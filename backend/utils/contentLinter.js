@@ -0,0 +1,533 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const Content = require('../models/Content');
+const channelFormatter = require('./channelFormatter');
+const localization = require('./localization');
+const logger = require('./logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+const RULES = [
+    'banned_term', 'missing_disclaimer', 'post_length', 'broken_link', 'readability', 'duplicate_passage', 'glossary'
+];
+
+// Severity of each rule unless the workspace overrides it ('off' disables a rule)
+const DEFAULT_SEVERITIES = {
+    banned_term: 'error',
+    missing_disclaimer: 'error',
+    post_length: 'error',
+    broken_link: 'error',
+    readability: 'warning',
+    duplicate_passage: 'warning',
+    glossary: 'error'
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>()[\]"'`]+/g;
+
+// Addresses link checks must not reach: loopback, private, link-local
+// (cloud metadata), shared, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is one link checks must not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Is blocked
+ */
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * DNS lookup that refuses names resolving to blocked addresses. Used by the
+ * link check agents, so the check holds for the address actually connected to.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+
+        callback(null, address, family);
+    });
+};
+
+/**
+ * Refuse URLs whose host is a blocked IP address; names are checked when
+ * they are resolved (see publicLookup)
+ * @param {string} url - URL to check
+ */
+const assertPublicUrl = (url) => {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw new Error(`${hostname} is a private address`);
+    }
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Collapse whitespace and case so phrases can be compared
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Split text into words, keeping their position in the text
+ * @param {string} text - Text
+ * @returns {Object[]} Words ({ word, start, end })
+ */
+const tokenize = (text) => [...text.matchAll(/\S+/g)]
+    .map(match => ({
+        word: match[0].toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''),
+        start: match.index,
+        end: match.index + match[0].length
+    }))
+    .filter(token => token.word);
+
+/**
+ * Estimate the syllables in a word
+ * @param {string} word - Lowercase word
+ * @returns {number} Syllable count
+ */
+const countSyllables = (word) => {
+    const groups = word
+        .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+        .replace(/^y/, '')
+        .match(/[aeiouy]{1,2}/g);
+
+    return Math.max(1, groups ? groups.length : 0);
+};
+
+/**
+ * Shorten a passage for display
+ * @param {string} text - Passage
+ * @param {number} [length] - Maximum length
+ * @returns {string} Excerpt
+ */
+const excerpt = (text, length = 200) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+class ContentLinter {
+    constructor() {
+        this.rules = RULES;
+        this.linkTimeout = parseInt(process.env.LINT_LINK_TIMEOUT, 10) || 5000;
+        this.maxLinks = 20;
+        this.maxRedirects = 5;
+        this.httpAgent = new http.Agent({ lookup: publicLookup });
+        this.httpsAgent = new https.Agent({ lookup: publicLookup });
+        // Earlier content compared for duplicated passages, most recent first
+        this.duplicateScanLimit = 200;
+        this.defaults = {
+            minReadability: 30,
+            duplicateWords: 12,
+            checkLinks: true
+        };
+    }
+
+    /**
+     * Get the lint settings of a workspace, with the localization glossary
+     * that translations are checked against
+     * @param {Object} [workspaceSettings] - Company settings
+     * @returns {Object} Lint settings
+     */
+    getSettings(workspaceSettings = {}) {
+        return {
+            ...workspaceSettings.lint,
+            glossary: workspaceSettings.localization?.glossary
+        };
+    }
+
+    /**
+     * Get the severity of a rule for a workspace
+     * @param {Object} settings - Workspace lint settings
+     * @param {string} rule - Rule name
+     * @returns {string} error, warning or off
+     */
+    getSeverity(settings, rule) {
+        return settings.severities?.[rule] || DEFAULT_SEVERITIES[rule];
+    }
+
+    /**
+     * Flag banned terms, suggesting replacements when configured
+     * @param {string} text - Content text
+     * @param {Object[]} bannedTerms - Terms ({ term, replacement })
+     * @returns {Object[]} Issues
+     */
+    checkBannedTerms(text, bannedTerms = []) {
+        return bannedTerms.flatMap(({ term, replacement }) => {
+            // Only whole words count, so "cheap" does not flag "cheaper"
+            const start = /^\w/.test(term) ? '\\b' : '';
+            const end = /\w$/.test(term) ? '\\b' : '';
+            const pattern = new RegExp(`${start}${escapeRegExp(term)}${end}`, 'gi');
+
+            return [...text.matchAll(pattern)].map(match => ({
+                rule: 'banned_term',
+                message: replacement
+                    ? `Banned term "${match[0]}"; use "${replacement}" instead`
+                    : `Banned term "${match[0]}"`,
+                excerpt: match[0],
+                index: match.index
+            }));
+        });
+    }
+
+    /**
+     * Flag required disclaimers missing from content of the types they apply to
+     * @param {Content} content - Content document
+     * @param {Object[]} disclaimers - Disclaimers ({ text, types })
+     * @returns {Object[]} Issues
+     */
+    checkDisclaimers(content, disclaimers = []) {
+        const text = normalizeText(content.content);
+
+        return disclaimers
+            .filter(disclaimer => !disclaimer.types?.length || disclaimer.types.includes(content.type))
+            .filter(disclaimer => !text.includes(normalizeText(disclaimer.text)))
+            .map(disclaimer => ({
+                rule: 'missing_disclaimer',
+                message: 'Required disclaimer is missing',
+                excerpt: excerpt(disclaimer.text)
+            }));
+    }
+
+    /**
+     * Flag social posts longer than a platform accepts in a single post
+     * @param {Content} content - Content document
+     * @param {string[]} platforms - Platforms the content goes to
+     * @param {Object} limits - Per-platform overrides of the post length limit
+     * @returns {Object[]} Issues
+     */
+    checkPostLength(content, platforms, limits = {}) {
+        if (content.type !== 'social_post') return [];
+
+        const length = channelFormatter.toPlainText(content.content).length;
+
+        return platforms
+            .filter(platform => channelFormatter.postLimits[platform])
+            .map(platform => ({ platform, limit: limits[platform] || channelFormatter.postLimits[platform] }))
+            .filter(({ limit }) => length > limit)
+            .map(({ platform, limit }) => ({
+                rule: 'post_length',
+                message: `Post is ${length} characters; ${platform} allows ${limit}`,
+                platform
+            }));
+    }
+
+    /**
+     * Request a public URL and get its status, following redirects one at a
+     * time so every hop is kept off private addresses
+     * @param {string} method - HEAD or GET
+     * @param {string} url - URL to request
+     * @returns {Promise<number>} HTTP status
+     */
+    async requestPublic(method, url) {
+        let target = url;
+
+        for (let redirects = 0; ; redirects += 1) {
+            assertPublicUrl(target);
+
+            const response = await axios.request({
+                method,
+                url: target,
+                timeout: this.linkTimeout,
+                maxRedirects: 0,
+                proxy: false,
+                httpAgent: this.httpAgent,
+                httpsAgent: this.httpsAgent,
+                responseType: 'stream',
+                validateStatus: () => true
+            });
+            response.data.destroy();
+
+            const { location } = response.headers;
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return response.status;
+            }
+            if (redirects === this.maxRedirects) {
+                throw new Error('Too many redirects');
+            }
+
+            target = new URL(location, target).href;
+        }
+    }
+
+    /**
+     * Request a URL, falling back to GET for servers that reject HEAD
+     * @param {string} url - URL to check
+     * @returns {Promise<number>} HTTP status
+     */
+    async requestStatus(url) {
+        const status = await this.requestPublic('HEAD', url);
+        if (![403, 405, 501].includes(status)) {
+            return status;
+        }
+
+        return this.requestPublic('GET', url);
+    }
+
+    /**
+     * Flag links that return an error status or cannot be reached
+     * @param {string} text - Content text
+     * @returns {Promise<Object[]>} Issues; unreachable links are always warnings
+     */
+    async checkLinks(text) {
+        const urls = [...new Set((text.match(URL_PATTERN) || []).map(url => url.replace(/[.,;:!?]+$/, '')))]
+            .slice(0, this.maxLinks);
+
+        const results = await Promise.all(urls.map(async (url) => {
+            try {
+                const status = await this.requestStatus(url);
+                return status >= 400
+                    ? { rule: 'broken_link', message: `Link returned ${status}`, url }
+                    : null;
+            } catch (error) {
+                return {
+                    rule: 'broken_link',
+                    severity: 'warning',
+                    message: `Link could not be reached: ${error.message}`,
+                    url
+                };
+            }
+        }));
+
+        return results.filter(Boolean);
+    }
+
+    /**
+     * Score readability with the Flesch reading ease formula (higher is easier;
+     * 60-70 is plain English)
+     * @param {string} text - Plain text
+     * @returns {number|null} Score, or null for text too short to score
+     */
+    getReadability(text) {
+        const words = tokenize(text).map(token => token.word);
+        if (words.length < 30) return null;
+
+        const sentences = Math.max(1, (text.match(/[.!?]+(\s|$)/g) || []).length);
+        const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+
+        const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+        return Math.round(score * 10) / 10;
+    }
+
+    /**
+     * Flag passages repeated from earlier content in the workspace
+     * @param {Content} content - Content document
+     * @param {number} size - Minimum passage length in words
+     * @returns {Promise<Object[]>} Issues
+     */
+    async checkDuplicates(content, size) {
+        const tokens = tokenize(content.content);
+        if (tokens.length < size) return [];
+
+        const others = await Content.find({
+            company: content.company,
+            _id: { $ne: content._id },
+            isArchived: false
+        })
+            .select('title content')
+            .sort({ createdAt: -1 })
+            .limit(this.duplicateScanLimit)
+            .lean();
+
+        // Every run of `size` words in earlier content, mapped to where it appears
+        const shingles = new Map();
+        others.forEach(other => {
+            const words = tokenize(other.content).map(token => token.word);
+            for (let i = 0; i + size <= words.length; i += 1) {
+                const key = words.slice(i, i + size).join(' ');
+                if (!shingles.has(key)) shingles.set(key, other);
+            }
+        });
+
+        const issues = [];
+        let i = 0;
+
+        while (i + size <= tokens.length) {
+            const source = shingles.get(tokens.slice(i, i + size).map(token => token.word).join(' '));
+            if (!source) {
+                i += 1;
+                continue;
+            }
+
+            // Extend the passage while the following runs come from the same content
+            let last = i;
+            while (last + 1 + size <= tokens.length &&
+                   shingles.get(tokens.slice(last + 1, last + 1 + size).map(token => token.word).join(' ')) === source) {
+                last += 1;
+            }
+
+            const start = tokens[i].start;
+            const end = tokens[last + size - 1].end;
+
+            issues.push({
+                rule: 'duplicate_passage',
+                message: `Passage repeats earlier content${source.title ? ` "${source.title}"` : ''}`,
+                excerpt: excerpt(content.content.slice(start, end)),
+                index: start,
+                source: source._id
+            });
+
+            i = last + size;
+        }
+
+        return issues;
+    }
+
+    /**
+     * Flag glossary terms a translation does not render as the glossary requires
+     * @param {Content} content - Content document
+     * @param {Object[]} glossary - Workspace glossary
+     * @returns {Promise<Object[]>} Issues
+     */
+    async checkGlossary(content, glossary = []) {
+        if (!content.translation?.source || !glossary.length) return [];
+
+        const source = await Content.findById(content.translation.source).select('content version revisions');
+        if (!source) return [];
+
+        const sourceText = source.getVersionContent(content.translation.sourceVersion) ?? source.content;
+        return localization.checkGlossary(sourceText, content.content, glossary, content.locale);
+    }
+
+    /**
+     * Lint content against the workspace rules
+     * @param {Content} content - Content document
+     * @param {Object} [settings] - Workspace lint settings (see getSettings)
+     * @param {Object} [options] - Lint options
+     * @param {string[]} [options.platforms] - Platforms the content is about to go to
+     * @returns {Promise<Object>} Issues, counts and readability score
+     */
+    async lint(content, settings = {}, options = {}) {
+        const config = { ...this.defaults, ...settings };
+        const isEnabled = rule => this.getSeverity(config, rule) !== 'off';
+        const platforms = options.platforms ||
+            (content.distribution?.channels?.length
+                ? content.distribution.channels.map(channel => channel.platform)
+                : Object.keys(channelFormatter.postLimits));
+
+        const plainText = channelFormatter.toPlainText(content.content);
+        const readability = this.getReadability(plainText);
+
+        const checks = [
+            isEnabled('banned_term') ? this.checkBannedTerms(content.content, config.bannedTerms) : [],
+            isEnabled('missing_disclaimer') ? this.checkDisclaimers(content, config.disclaimers) : [],
+            isEnabled('post_length') ? this.checkPostLength(content, platforms, config.postLimits) : [],
+            isEnabled('broken_link') && config.checkLinks ? this.checkLinks(content.content) : [],
+            isEnabled('duplicate_passage') ? this.checkDuplicates(content, config.duplicateWords) : [],
+            isEnabled('glossary') ? this.checkGlossary(content, config.glossary) : []
+        ];
+
+        const issues = (await Promise.all(checks)).flat();
+
+        if (isEnabled('readability') && readability !== null && readability < config.minReadability) {
+            issues.push({
+                rule: 'readability',
+                message: `Readability score ${readability} is below ${config.minReadability}; use shorter sentences and simpler words`
+            });
+        }
+
+        issues.forEach(issue => {
+            issue.severity = issue.severity || this.getSeverity(config, issue.rule);
+        });
+
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+        return {
+            version: content.version,
+            passed: errorCount === 0,
+            errorCount,
+            warningCount: issues.length - errorCount,
+            readability,
+            issues,
+            checkedAt: new Date()
+        };
+    }
+
+    /**
+     * Lint content and store the result on it
+     * @param {Content} content - Content document
+     * @param {Object} [settings] - Workspace lint settings
+     * @param {Object} [options] - Lint options, as for lint
+     * @returns {Promise<Object>} Lint result
+     */
+    async lintAndStore(content, settings, options) {
+        const result = await this.lint(content, settings, options);
+
+        content.lint = result;
+        await content.save();
+
+        return result;
+    }
+
+    /**
+     * Stop publishing content with lint errors when the workspace blocks it
+     * @param {Content} content - Content document
+     * @param {Object} [settings] - Workspace lint settings
+     * @param {string[]} [platforms] - Platforms the content is about to go to
+     */
+    async assertPublishable(content, settings = {}, platforms) {
+        if (!settings.blockPublish) return;
+
+        const result = await this.lintAndStore(content, settings, { platforms });
+
+        if (!result.passed) {
+            logger.info('Publish blocked by lint errors', {
+                contentId: content._id,
+                errors: result.errorCount
+            });
+
+            throw new APIError('Content has lint errors', 422, {
+                issues: result.issues.filter(issue => issue.severity === 'error')
+            });
+        }
+    }
+
+    /**
+     * Stop publishing a variant with lint errors when the workspace blocks it.
+     * The result is not stored, as it is not about the content's own text.
+     * @param {Content} content - Content document
+     * @param {Object} variant - Variant subdocument
+     * @param {Object} [settings] - Workspace lint settings
+     * @param {string[]} [platforms] - Platforms the variant is about to go to
+     */
+    async assertVariantPublishable(content, variant, settings = {}, platforms) {
+        if (!settings.blockPublish) return;
+
+        const result = await this.lint({ ...content.toObject(), content: variant.content }, settings, { platforms });
+
+        if (!result.passed) {
+            logger.info('Variant publish blocked by lint errors', {
+                contentId: content._id,
+                variant: variant.label,
+                errors: result.errorCount
+            });
+
+            throw new APIError(`Variant ${variant.label} has lint errors`, 422, {
+                issues: result.issues.filter(issue => issue.severity === 'error')
+            });
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ContentLinter();
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const { APIError } = require('../middlewares/errorHandler');
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+const FACET_LIMIT = 20;
+
+// Words MongoDB text search ignores, so they are not highlighted either
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with'
+]);
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape text for safe display as HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Reduce a word to a stem so "publishing" highlights "published", as text search matches them
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => (word.length > 5 ? word.replace(/(?:ing|ed|es|s)$/, '') : word);
+
+class ContentSearch {
+    constructor() {
+        this.defaultLimit = 10;
+        this.maxLimit = 50;
+    }
+
+    /**
+     * Encode the position after the last result of a page
+     * @param {Object} doc - Last result
+     * @param {boolean} byRelevance - Whether results are sorted by relevance
+     * @returns {string} Opaque cursor
+     */
+    encodeCursor(doc, byRelevance) {
+        const value = byRelevance ? doc.score : doc.createdAt.toISOString();
+        return Buffer.from(JSON.stringify({ v: value, id: doc._id.toString() })).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor from a previous page
+     * @param {string} cursor - Opaque cursor
+     * @param {boolean} byRelevance - Whether results are sorted by relevance
+     * @returns {Object} Sort value and ID to continue after
+     */
+    decodeCursor(cursor, byRelevance) {
+        try {
+            const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+            const value = byRelevance ? v : new Date(v);
+
+            if (!mongoose.Types.ObjectId.isValid(id) ||
+                (byRelevance ? typeof value !== 'number' : Number.isNaN(value.getTime()))) {
+                throw new Error('Malformed cursor');
+            }
+
+            return { value, id: new mongoose.Types.ObjectId(id) };
+        } catch (error) {
+            throw new APIError('Invalid cursor', 400);
+        }
+    }
+
+    /**
+     * Build the match stage for a search
+     * @param {ObjectId} companyId - Workspace ID
+     * @param {Object} filters - Search filters
+     * @returns {Object} MongoDB filter
+     */
+    buildFilter(companyId, { q, type, status, tags, author, from, to }) {
+        const filter = {
+            company: companyId,
+            isArchived: false
+        };
+
+        if (q) filter.$text = { $search: q };
+        if (type) filter.type = type;
+        if (status) filter.status = status;
+        if (tags?.length) filter.tags = { $all: tags };
+        if (author) filter.author = new mongoose.Types.ObjectId(author);
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        return filter;
+    }
+
+    /**
+     * Get the words of a query worth highlighting
+     * @param {string} q - Search query
+     * @returns {string[]} Stems of the searched words, without excluded (-word) terms
+     */
+    getTerms(q) {
+        return [...new Set(
+            q.replace(/(^|\s)-\S+/g, ' ')
+                .toLowerCase()
+                .match(/[\p{L}\p{N}]+/gu) || []
+        )]
+            .filter(word => !STOP_WORDS.has(word))
+            .map(stem);
+    }
+
+    /**
+     * Cut a snippet around the first match and mark every match in it
+     * @param {string} text - Field text
+     * @param {string[]} terms - Stems to highlight
+     * @returns {string|null} HTML snippet with <mark> around matches, or null without a match
+     */
+    highlight(text, terms) {
+        if (!text || !terms.length) return null;
+
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+        const first = pattern.exec(text);
+        if (!first) return null;
+
+        const start = Math.max(0, first.index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+        const window = text.slice(start, end).replace(/\s+/g, ' ');
+
+        // Escape around the matches, so only the marks are markup
+        let snippet = '';
+        let last = 0;
+        window.replace(pattern, (match, offset) => {
+            snippet += `${escapeHtml(window.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+            last = offset + match.length;
+            return match;
+        });
+        snippet += escapeHtml(window.slice(last));
+
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Highlight where a result matched: title, tags, content, and the latest
+     * revision that matched when the current content did not
+     * @param {Object} doc - Content document
+     * @param {string[]} terms - Stems to highlight
+     * @returns {Object[]} Highlights ({ field, snippet, version })
+     */
+    buildHighlights(doc, terms) {
+        const highlights = [];
+
+        const title = this.highlight(doc.title, terms);
+        if (title) highlights.push({ field: 'title', snippet: title });
+
+        const tags = this.highlight((doc.tags || []).join(', '), terms);
+        if (tags) highlights.push({ field: 'tags', snippet: tags });
+
+        const content = this.highlight(doc.content, terms);
+        if (content) {
+            highlights.push({ field: 'content', snippet: content });
+        } else {
+            const revision = [...(doc.revisions || [])]
+                .reverse()
+                .map(rev => ({ version: rev.version, snippet: this.highlight(rev.content, terms) }))
+                .find(rev => rev.snippet);
+
+            if (revision) highlights.push({ field: 'revisions', ...revision });
+        }
+
+        return highlights;
+    }
+
+    /**
+     * Search workspace content. With a query, results are ordered by relevance
+     * (title matches weigh most, then tags, content and past revisions);
+     * without one, newest first.
+     * @param {ObjectId} companyId - Workspace ID
+     * @param {Object} [filters] - q, type, status, tags, author, from, to, cursor and limit
+     * @returns {Promise<Object>} Contents, tag facets and the next cursor
+     */
+    async search(companyId, filters = {}) {
+        const limit = Math.min(filters.limit || this.defaultLimit, this.maxLimit);
+        const byRelevance = Boolean(filters.q);
+        const sortField = byRelevance ? 'score' : 'createdAt';
+        const filter = this.buildFilter(companyId, filters);
+
+        const pipeline = [{ $match: filter }];
+        if (byRelevance) {
+            pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        }
+
+        if (filters.cursor) {
+            const { value, id } = this.decodeCursor(filters.cursor, byRelevance);
+            pipeline.push({
+                $match: {
+                    $or: [
+                        { [sortField]: { $lt: value } },
+                        { [sortField]: value, _id: { $lt: id } }
+                    ]
+                }
+            });
+        }
+
+        pipeline.push(
+            { $sort: { [sortField]: -1, _id: -1 } },
+            { $limit: limit + 1 }
+        );
+
+        const [docs, facets, total] = await Promise.all([
+            Content.aggregate(pipeline),
+            Content.aggregate([
+                { $match: filter },
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: FACET_LIMIT }
+            ]),
+            Content.countDocuments(filter)
+        ]);
+
+        const hasMore = docs.length > limit;
+        const page = docs.slice(0, limit);
+        const terms = byRelevance ? this.getTerms(filters.q) : [];
+
+        const contents = page.map(({ revisions, ...doc }) => ({
+            ...doc,
+            ...(byRelevance && { highlights: this.buildHighlights({ ...doc, revisions }, terms) })
+        }));
+
+        await Content.populate(contents, { path: 'author', select: 'name email' });
+
+        return {
+            contents,
+            facets: {
+                tags: facets.map(facet => ({ tag: facet._id, count: facet.count }))
+            },
+            pagination: {
+                limit,
+                total,
+                hasMore,
+                nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], byRelevance) : null
+            }
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ContentSearch();
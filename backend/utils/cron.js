@@ -0,0 +1,185 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in an IANA timezone
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+// Far enough ahead to reach the next 29 February on a given weekday
+const MAX_SEARCH_DAYS = 366 * 28;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Parse one value of a cron field
+ * @param {string} value - Number or name
+ * @param {Object} field - Field definition
+ * @returns {number} Value
+ */
+const parseValue = (value, field) => {
+    const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = nameIndex >= 0 ? nameIndex + field.offset : (/^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+
+    if (Number.isNaN(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name}: ${value}`);
+    }
+
+    return number;
+};
+
+/**
+ * Parse a cron field into the values it matches
+ * @param {string} source - Field, e.g. "*", "1-5", "0,30" or "*\/15"
+ * @param {Object} field - Field definition
+ * @returns {number[]} Matching values in ascending order
+ */
+const parseField = (source, field) => {
+    const values = new Set();
+
+    source.split(',').forEach(part => {
+        const [range, stepSource] = part.split('/');
+        const step = stepSource === undefined ? 1 : parseInt(stepSource, 10);
+
+        if (!(step >= 1) || (stepSource !== undefined && !/^\d+$/.test(stepSource))) {
+            throw new Error(`Invalid ${field.name} step: ${part}`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            // "5/15" runs from 5 to the end of the field, as in Vixie cron
+            end = to !== undefined ? parseValue(to, field) : (stepSource === undefined ? start : field.max);
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid ${field.name} range: ${part}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return [...values].sort((a, b) => a - b);
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a macro such as @daily
+ * @returns {Object} Matching minutes, hours, days of month, months and days of week
+ * @throws {Error} If the expression is invalid
+ */
+const parseCron = (expression) => {
+    const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth: new Set(daysOfMonth),
+        months: new Set(months),
+        // 7 is another name for Sunday
+        daysOfWeek: new Set(daysOfWeek.map(day => day % 7)),
+        // Restricting both day fields matches either, as in standard cron
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+};
+
+/**
+ * Check whether a cron schedule runs on a calendar day
+ * @param {Object} cron - Parsed cron expression
+ * @param {Date} day - Day at midnight UTC
+ * @returns {boolean} Runs that day
+ */
+const matchesDay = (cron, day) => {
+    if (!cron.months.has(day.getUTCMonth() + 1)) return false;
+
+    const dayOfMonth = cron.daysOfMonth.has(day.getUTCDate());
+    const dayOfWeek = cron.daysOfWeek.has(day.getUTCDay());
+
+    if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+    if (cron.anyDayOfMonth) return dayOfWeek;
+    if (cron.anyDayOfWeek) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Get the first time after an instant that a cron expression matches
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Instant to search from (exclusive)
+ * @param {string} [timeZone] - IANA timezone the expression is read in
+ * @returns {Date|null} Next run, or null if the expression never matches
+ */
+const getNextRun = (expression, after, timeZone = 'UTC') => {
+    const cron = parseCron(expression);
+    const parts = getZonedParts(after, timeZone);
+    const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+
+    for (let index = 0; index < MAX_SEARCH_DAYS; index += 1) {
+        if (matchesDay(cron, day)) {
+            const date = day.toISOString().slice(0, 10);
+
+            for (const hour of cron.hours) {
+                for (const minute of cron.minutes) {
+                    const runAt = zonedTimeToUtc(`${date}T${pad(hour)}:${pad(minute)}:00`, timeZone);
+                    if (runAt > after) {
+                        return runAt;
+                    }
+                }
+            }
+        }
+
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a string is a cron expression that matches at some point
+ * @param {string} expression - Cron expression
+ * @returns {boolean} Is valid
+ */
+const isValidCron = (expression) => {
+    try {
+        return getNextRun(expression, new Date()) !== null;
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    parseCron,
+    getNextRun,
+    isValidCron
+};
@@ -0,0 +1,368 @@
+const pdfParse = require('pdf-parse');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const usageService = require('./usageService');
+const logger = require('./logger');
+const { getProvider } = require('./llm');
+const { APIError } = require('../middlewares/errorHandler');
+
+// Content types whose generation is grounded in the knowledge base
+const KNOWLEDGE_TYPES = ['blog', 'email', 'internal_comm'];
+
+const EMBEDDING_PROVIDERS = ['hashing', 'openai', 'local'];
+
+// Words too common to say anything about a passage
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'you', 'your'
+]);
+
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+};
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - Value to hash
+ * @returns {number} Unsigned hash
+ */
+const fnv1a = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i += 1) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Scale a vector to unit length so a dot product is the cosine similarity
+ * @param {number[]} vector - Vector
+ * @returns {number[]} Normalized vector
+ */
+const normalize = (vector) => {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length ? vector.map(value => value / length) : vector;
+};
+
+/**
+ * Dot product of two vectors of the same length
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Dot product
+ */
+const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+class KnowledgeBase {
+    constructor() {
+        this.embeddingProvider = process.env.EMBEDDING_PROVIDER || 'hashing';
+        this.hashingDimensions = 512;
+        this.chunkSize = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE, 10) || 1200;
+        this.topK = parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 4;
+        this.minScore = parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.2;
+        this.embedBatchSize = 100;
+        // Loaded vectors per workspace; reloaded after changes or once the TTL
+        // passes, so documents indexed by another process are picked up
+        this.indexTTL = parseInt(process.env.KNOWLEDGE_INDEX_TTL, 10) || 5 * 60 * 1000;
+        this.indexes = new Map();
+    }
+
+    /**
+     * Check whether generation of a content type uses the knowledge base
+     * @param {string} type - Content type
+     * @returns {boolean} Uses the knowledge base
+     */
+    supports(type) {
+        return KNOWLEDGE_TYPES.includes(type);
+    }
+
+    /**
+     * Convert HTML to plain text, keeping block elements on their own lines
+     * @param {string} html - HTML source
+     * @returns {string} Plain text
+     */
+    htmlToText(html) {
+        return html
+            .replace(/<(head|script|style|noscript|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr|\/section|\/article)[^>]*>/gi, '\n\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (entity, code) => {
+                if (code[0] === '#') {
+                    const codePoint = code[1].toLowerCase() === 'x'
+                        ? parseInt(code.slice(2), 16)
+                        : parseInt(code.slice(1), 10);
+                    return String.fromCodePoint(codePoint);
+                }
+                return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+            });
+    }
+
+    /**
+     * Extract plain text and a title from an uploaded document
+     * @param {string} format - markdown, html, pdf or text
+     * @param {string} source - Document source; PDFs are base64 encoded
+     * @returns {Promise<Object>} Text and detected title
+     */
+    async extract(format, source) {
+        let text = source;
+        let title;
+
+        if (format === 'pdf') {
+            try {
+                const pdf = await pdfParse(Buffer.from(source, 'base64'));
+                text = pdf.text;
+                title = pdf.info?.Title;
+            } catch (error) {
+                throw new APIError('Could not read PDF document', 400, error.message);
+            }
+        } else if (format === 'html') {
+            title = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+            text = this.htmlToText(source);
+        } else if (format === 'markdown') {
+            title = source.match(/^#\s+(.+)$/m)?.[1];
+        }
+
+        text = text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\n\s*\n\s*/g, '\n\n')
+            .trim();
+
+        if (!text) {
+            throw new APIError('Document has no text', 400);
+        }
+
+        return { text, title: title?.trim() };
+    }
+
+    /**
+     * Split text into passages of up to chunkSize characters, breaking at
+     * paragraphs, then sentences, then words
+     * @param {string} text - Plain text
+     * @returns {string[]} Passages
+     */
+    chunk(text) {
+        // Pieces of one paragraph are rejoined with a space, paragraphs with a blank line
+        const pieces = text.split(/\n\n+/).flatMap(paragraph => {
+            if (paragraph.length <= this.chunkSize) return [{ text: paragraph, separator: '\n\n' }];
+
+            return paragraph.split(/(?<=[.!?])\s+/)
+                .flatMap(sentence => {
+                    if (sentence.length <= this.chunkSize) return [sentence];
+                    return sentence.match(new RegExp(`.{1,${this.chunkSize}}(\\s|$)`, 'g')) || [sentence];
+                })
+                .map((piece, index) => ({ text: piece.trim(), separator: index ? ' ' : '\n\n' }));
+        });
+
+        return pieces.reduce((chunks, piece) => {
+            const last = chunks[chunks.length - 1];
+            if (last !== undefined && last.length + piece.text.length + 2 <= this.chunkSize) {
+                chunks[chunks.length - 1] = `${last}${piece.separator}${piece.text}`;
+            } else {
+                chunks.push(piece.text);
+            }
+            return chunks;
+        }, []).filter(Boolean);
+    }
+
+    /**
+     * Embed a text offline by hashing its words and word pairs into a fixed
+     * number of dimensions
+     * @param {string} text - Text to embed
+     * @returns {number[]} Normalized vector
+     */
+    hashEmbed(text) {
+        const vector = new Array(this.hashingDimensions).fill(0);
+        const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+        const counts = new Map();
+        words.forEach((word, index) => {
+            counts.set(word, (counts.get(word) || 0) + 1);
+            if (index > 0) {
+                const pair = `${words[index - 1]} ${word}`;
+                counts.set(pair, (counts.get(pair) || 0) + 0.5);
+            }
+        });
+
+        counts.forEach((count, feature) => {
+            const hash = fnv1a(feature);
+            const sign = hash & 0x80000000 ? -1 : 1;
+            vector[hash % this.hashingDimensions] += sign * (1 + Math.log(count));
+        });
+
+        return normalize(vector);
+    }
+
+    /**
+     * Embed texts with the configured embedding provider
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} [meter] - Billing context ({ company, user })
+     * @returns {Promise<Object>} Vectors and embedding model
+     */
+    async embed(texts, meter) {
+        if (this.embeddingProvider === 'hashing') {
+            return {
+                vectors: texts.map(text => this.hashEmbed(text)),
+                model: `hashing-${this.hashingDimensions}`
+            };
+        }
+
+        if (!EMBEDDING_PROVIDERS.includes(this.embeddingProvider)) {
+            throw new APIError(`Unsupported embedding provider: ${this.embeddingProvider}`, 500);
+        }
+
+        const provider = getProvider(this.embeddingProvider);
+        const vectors = [];
+        let model;
+
+        for (let start = 0; start < texts.length; start += this.embedBatchSize) {
+            const result = await provider.embed(texts.slice(start, start + this.embedBatchSize));
+            vectors.push(...result.vectors.map(normalize));
+            model = result.model;
+
+            if (meter) {
+                await usageService.record({
+                    ...meter,
+                    operation: 'embed',
+                    provider: provider.name,
+                    model: result.model,
+                    usage: result.usage
+                });
+            }
+        }
+
+        return { vectors, model };
+    }
+
+    /**
+     * Chunk and embed a document, replacing its previous passages
+     * @param {KnowledgeDocument} document - Document with extracted text
+     * @param {Object} [meter] - Billing context ({ company, user })
+     * @returns {Promise<KnowledgeDocument>} Indexed document
+     */
+    async index(document, meter) {
+        try {
+            const chunks = this.chunk(document.text);
+            const { vectors, model } = await this.embed(chunks, meter);
+
+            await KnowledgeChunk.deleteMany({ document: document._id });
+            await KnowledgeChunk.insertMany(chunks.map((text, index) => ({
+                company: document.company,
+                document: document._id,
+                index,
+                text,
+                embedding: vectors[index],
+                embeddingModel: model
+            })));
+
+            document.status = 'ready';
+            document.embeddingModel = model;
+            document.chunkCount = chunks.length;
+            document.lastError = undefined;
+        } catch (error) {
+            logger.error('Error indexing knowledge document:', {
+                error: error.message,
+                documentId: document._id
+            });
+
+            document.status = 'failed';
+            document.lastError = error.message;
+        }
+
+        await document.save();
+        this.invalidate(document.company);
+
+        return document;
+    }
+
+    /**
+     * Remove a document and its passages
+     * @param {KnowledgeDocument} document - Document to remove
+     */
+    async remove(document) {
+        await KnowledgeChunk.deleteMany({ document: document._id });
+        await document.deleteOne();
+        this.invalidate(document.company);
+    }
+
+    /**
+     * Drop the loaded vectors of a workspace
+     * @param {string} companyId - Workspace ID
+     */
+    invalidate(companyId) {
+        this.indexes.delete(companyId.toString());
+    }
+
+    /**
+     * Load the passages of a workspace embedded with a model
+     * @param {string} companyId - Workspace ID
+     * @param {string} model - Embedding model
+     * @returns {Promise<Object[]>} Passages with document title and vector
+     */
+    async loadIndex(companyId, model) {
+        const key = companyId.toString();
+        const cached = this.indexes.get(key);
+
+        if (cached && cached.model === model && Date.now() - cached.loadedAt < this.indexTTL) {
+            return cached.entries;
+        }
+
+        const [chunks, documents] = await Promise.all([
+            KnowledgeChunk.find({ company: companyId, embeddingModel: model })
+                .select('document index text embedding')
+                .lean(),
+            KnowledgeDocument.find({ company: companyId, status: 'ready' })
+                .select('title')
+                .lean()
+        ]);
+
+        const titles = new Map(documents.map(document => [document._id.toString(), document.title]));
+        const entries = chunks
+            .filter(chunk => titles.has(chunk.document.toString()))
+            .map(chunk => ({
+                document: chunk.document,
+                title: titles.get(chunk.document.toString()),
+                chunk: chunk.index,
+                text: chunk.text,
+                embedding: chunk.embedding
+            }));
+
+        this.indexes.set(key, { model, entries, loadedAt: Date.now() });
+        return entries;
+    }
+
+    /**
+     * Find the passages most similar to a query
+     * @param {string} companyId - Workspace ID
+     * @param {string} query - Search text
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Maximum passages
+     * @param {number} [options.minScore] - Minimum cosine similarity
+     * @param {Object} [options.meter] - Billing context ({ company, user })
+     * @returns {Promise<Object[]>} Passages with document, title, chunk, text and score
+     */
+    async search(companyId, query, { limit = this.topK, minScore = this.minScore, meter } = {}) {
+        const { vectors: [vector], model } = await this.embed([query], meter);
+        const entries = await this.loadIndex(companyId, model);
+
+        return entries
+            .map(entry => ({ ...entry, score: dot(vector, entry.embedding) }))
+            .filter(entry => entry.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ embedding, ...passage }) => ({
+                ...passage,
+                score: Math.round(passage.score * 1000) / 1000
+            }));
+    }
+}
+
+// Export singleton instance
+module.exports = new KnowledgeBase();
@@ -0,0 +1,120 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends BaseProvider {
+    constructor() {
+        super('anthropic', process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest');
+        this.apiKey = process.env.ANTHROPIC_API_KEY;
+        this.axiosInstance = axios.create({
+            baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+            timeout: 120000,
+            headers: {
+                'anthropic-version': '2023-06-01',
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Build Messages API parameters. Anthropic has no frequency or presence
+     * penalties, and only one of temperature and top_p should be set.
+     * @param {Object} request - Completion request
+     * @returns {Object} Anthropic parameters
+     */
+    buildParams(request) {
+        return {
+            model: request.model || this.defaultModel,
+            system: request.system,
+            messages: request.messages,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature
+        };
+    }
+
+    async complete(request) {
+        try {
+            const response = await this.axiosInstance.post('/messages', this.buildParams(request), {
+                headers: { 'x-api-key': this.apiKey },
+                signal: request.signal
+            });
+
+            const { content, model, usage } = response.data;
+
+            return {
+                text: content
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join(''),
+                model,
+                usage: this.buildUsage(usage?.input_tokens, usage?.output_tokens)
+            };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    async stream(request, onToken) {
+        try {
+            const response = await this.axiosInstance.post('/messages', {
+                ...this.buildParams(request),
+                stream: true
+            }, {
+                headers: { 'x-api-key': this.apiKey },
+                responseType: 'stream',
+                signal: request.signal
+            });
+
+            let text = '';
+            let model = request.model || this.defaultModel;
+            let inputTokens = 0;
+            let outputTokens = 0;
+            let buffer = '';
+
+            for await (const chunk of response.data) {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+
+                    const event = JSON.parse(line.slice(5));
+
+                    if (event.type === 'message_start') {
+                        model = event.message.model;
+                        inputTokens = event.message.usage?.input_tokens || 0;
+                    } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                        text += event.delta.text;
+                        onToken(event.delta.text);
+                    } else if (event.type === 'message_delta') {
+                        outputTokens = event.usage?.output_tokens || outputTokens;
+                    } else if (event.type === 'error') {
+                        throw new Error(event.error.message);
+                    }
+                }
+            }
+
+            return { text, model, usage: this.buildUsage(inputTokens, outputTokens) };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    handleError(error) {
+        // Error bodies carry the message under error.message
+        if (error.response?.data?.error?.message) {
+            error.message = error.response.data.error.message;
+        }
+
+        return super.handleError(error);
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,112 @@
+const { APIError } = require('../../middlewares/errorHandler');
+
+/**
+ * Base class for LLM provider adapters. Each adapter turns a provider-neutral
+ * completion request into one API call and resolves with the generated text,
+ * the model that produced it and normalized token usage.
+ *
+ * Requests have the shape:
+ * { model, system, messages: [{ role, content }], temperature, maxTokens,
+ *   topP, frequencyPenalty, presencePenalty, task, json, signal }
+ */
+class BaseProvider {
+    /**
+     * @param {string} name - Provider name
+     * @param {string} defaultModel - Model used when none is requested
+     */
+    constructor(name, defaultModel) {
+        this.name = name;
+        this.defaultModel = defaultModel;
+    }
+
+    /**
+     * Check whether the adapter has the credentials it needs
+     * @returns {boolean} Is configured
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Run a completion
+     * @param {Object} request - Completion request
+     * @returns {Promise<Object>} Text, model and usage
+     */
+    async complete(request) {
+        throw new Error(`${this.constructor.name} must implement complete()`);
+    }
+
+    /**
+     * Run a completion, calling onToken with each chunk of text
+     * @param {Object} request - Completion request
+     * @param {Function} onToken - Token callback
+     * @returns {Promise<Object>} Text, model and usage
+     */
+    async stream(request, onToken) {
+        throw new Error(`${this.constructor.name} must implement stream()`);
+    }
+
+    /**
+     * Embed texts as vectors
+     * @param {string[]} texts - Texts to embed
+     * @param {string} [model] - Embedding model
+     * @returns {Promise<Object>} Vectors, model and usage
+     */
+    async embed(texts, model) {
+        throw new APIError(`${this.name} does not support embeddings`, 400);
+    }
+
+    /**
+     * Build normalized token usage
+     * @param {number} promptTokens - Input tokens
+     * @param {number} completionTokens - Output tokens
+     * @returns {Object} Usage
+     */
+    buildUsage(promptTokens = 0, completionTokens = 0) {
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+        };
+    }
+
+    /**
+     * Estimate token usage from text length, for servers that do not report
+     * it, so the generation still counts against the quotas. English text
+     * averages about four characters per token.
+     * @param {Object} request - Completion request
+     * @param {string} text - Generated text
+     * @returns {Object} Usage
+     */
+    estimateUsage(request, text) {
+        const prompt = [request.system, ...request.messages.map(message => message.content)]
+            .filter(Boolean)
+            .join('\n');
+
+        return this.buildUsage(Math.ceil(prompt.length / 4), Math.ceil(text.length / 4));
+    }
+
+    /**
+     * Handle provider API errors
+     * @param {Error} error - Error object
+     * @returns {Error} Formatted error
+     */
+    handleError(error) {
+        if (error instanceof APIError) {
+            return error;
+        }
+
+        const status = error.status || error.response?.status;
+        if (status) {
+            return new APIError(
+                `${this.name} API Error: ${error.message}`,
+                status === 429 ? 429 : 503,
+                error.response?.data
+            );
+        }
+
+        return new APIError(`Error connecting to ${this.name}: ${error.message}`, 503);
+    }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Deterministic offline provider for tests and local development. The same
+ * request always produces the same text, and token usage is a word count.
+ */
+class FakeProvider extends BaseProvider {
+    constructor() {
+        super('fake', 'fake-model');
+        // Requests received, for assertions in tests
+        this.requests = [];
+    }
+
+    /**
+     * Build a deterministic response for a request
+     * @param {Object} request - Completion request
+     * @returns {string} Response text
+     */
+    respond(request) {
+        if (request.json) {
+            return JSON.stringify(request.json.example);
+        }
+
+        const prompt = request.messages.map(message => message.content).join('\n');
+        const digest = crypto.createHash('sha256')
+            .update(`${request.system || ''}\n${prompt}`)
+            .digest('hex')
+            .slice(0, 8);
+        const subject = prompt.split('\n')[0].trim().slice(0, 200);
+
+        return `Generated content (${digest}) for: ${subject}\n\nThis text was produced by the offline fake provider.`;
+    }
+
+    async complete(request) {
+        this.requests.push(request);
+
+        const text = this.respond(request);
+        const prompt = request.messages.map(message => message.content).join(' ');
+
+        return {
+            text,
+            model: request.model || this.defaultModel,
+            usage: this.buildUsage(prompt.split(/\s+/).length, text.split(/\s+/).length)
+        };
+    }
+
+    async stream(request, onToken) {
+        const result = await this.complete(request);
+
+        for (const token of result.text.match(/\S+\s*/g) || []) {
+            if (request.signal?.aborted) {
+                throw new Error('Request was aborted');
+            }
+            onToken(token);
+        }
+
+        return result;
+    }
+}
+
+module.exports = FakeProvider;
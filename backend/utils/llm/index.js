@@ -0,0 +1,62 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const LocalProvider = require('./localProvider');
+const FakeProvider = require('./fakeProvider');
+const { APIError } = require('../../middlewares/errorHandler');
+
+const PROVIDERS = ['openai', 'anthropic', 'local', 'fake'];
+
+const providers = {
+    openai: new OpenAIProvider(),
+    anthropic: new AnthropicProvider(),
+    local: new LocalProvider(),
+    fake: new FakeProvider()
+};
+
+/**
+ * Get the adapter for an LLM provider. Without a name, LLM_PROVIDER (default
+ * `openai`) is used; set it to `fake` to run without network access.
+ * @param {string} [name] - Provider name
+ * @returns {BaseProvider} Provider adapter
+ */
+const getProvider = (name) => {
+    const providerName = name || process.env.LLM_PROVIDER || 'openai';
+    const provider = providers[providerName];
+
+    if (!provider) {
+        throw new APIError(`Unsupported AI provider: ${providerName}`, 400);
+    }
+
+    if (!provider.isConfigured()) {
+        throw new APIError(`AI provider not configured: ${providerName}`, 400);
+    }
+
+    return provider;
+};
+
+/**
+ * Merge provider selections, later ones taking precedence. A model only
+ * carries over while the provider stays the same.
+ * @param {...Object} selections - { provider, model } objects, e.g. workspace then request
+ * @returns {Object} Selected provider and model
+ */
+const selectModel = (...selections) => selections.reduce((selected, selection) => {
+    if (!selection) return selected;
+
+    const { provider, model } = selection;
+    if (provider && provider !== selected.provider) {
+        return { provider, model };
+    }
+
+    return {
+        provider: selected.provider,
+        model: model || selected.model
+    };
+}, {});
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    selectModel,
+    fakeProvider: providers.fake
+};
@@ -0,0 +1,24 @@
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * OpenAI-compatible local server such as Ollama (`http://localhost:11434/v1`)
+ * or the llama.cpp server (`http://localhost:8080/v1`).
+ */
+class LocalProvider extends OpenAIProvider {
+    constructor() {
+        super('local', {
+            // Local servers usually ignore the key, but the client requires one
+            apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+            baseURL: process.env.LOCAL_LLM_BASE_URL,
+            defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3',
+            streamUsage: false,
+            embeddingModel: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text'
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.baseURL);
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,141 @@
+const { OpenAI } = require('openai');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAI chat completions. Also used for OpenAI-compatible servers by passing
+ * a base URL.
+ */
+class OpenAIProvider extends BaseProvider {
+    /**
+     * @param {string} [name] - Provider name
+     * @param {Object} [config] - Client configuration
+     * @param {string} [config.apiKey] - API key
+     * @param {string} [config.baseURL] - API base URL
+     * @param {string} [config.defaultModel] - Model used when none is requested
+     * @param {boolean} [config.streamUsage] - Ask for token usage on streamed responses
+     * @param {string} [config.embeddingModel] - Model used for embeddings when none is requested
+     */
+    constructor(name = 'openai', config = {}) {
+        super(name, config.defaultModel || process.env.OPENAI_MODEL || 'gpt-4');
+        this.apiKey = config.apiKey !== undefined ? config.apiKey : process.env.OPENAI_API_KEY;
+        this.baseURL = config.baseURL;
+        this.streamUsage = config.streamUsage !== undefined ? config.streamUsage : true;
+        this.embeddingModel = config.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Get the API client, created on first use
+     * @returns {OpenAI} OpenAI client
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                baseURL: this.baseURL
+            });
+        }
+
+        return this.client;
+    }
+
+    /**
+     * Build chat completion parameters
+     * @param {Object} request - Completion request
+     * @returns {Object} OpenAI parameters
+     */
+    buildParams(request) {
+        const messages = request.system
+            ? [{ role: 'system', content: request.system }, ...request.messages]
+            : request.messages;
+
+        return {
+            model: request.model || this.defaultModel,
+            messages,
+            temperature: request.temperature,
+            max_tokens: request.maxTokens,
+            top_p: request.topP,
+            frequency_penalty: request.frequencyPenalty,
+            presence_penalty: request.presencePenalty
+        };
+    }
+
+    async complete(request) {
+        try {
+            const completion = await this.getClient().chat.completions.create(
+                this.buildParams(request),
+                { signal: request.signal }
+            );
+
+            const text = completion.choices[0].message.content;
+
+            return {
+                text,
+                model: completion.model || request.model || this.defaultModel,
+                usage: completion.usage
+                    ? this.buildUsage(completion.usage.prompt_tokens, completion.usage.completion_tokens)
+                    : this.estimateUsage(request, text)
+            };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    async stream(request, onToken) {
+        try {
+            const stream = await this.getClient().chat.completions.create({
+                ...this.buildParams(request),
+                stream: true,
+                ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+            }, { signal: request.signal });
+
+            let text = '';
+            let model = request.model || this.defaultModel;
+            let usage;
+
+            for await (const chunk of stream) {
+                const token = chunk.choices[0]?.delta?.content;
+                if (token) {
+                    text += token;
+                    onToken(token);
+                }
+
+                if (chunk.model) model = chunk.model;
+
+                // The final chunk carries token usage and no choices
+                if (chunk.usage) {
+                    usage = this.buildUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+                }
+            }
+
+            // Servers without stream usage (see streamUsage) are metered by estimate
+            return { text, model, usage: usage || this.estimateUsage(request, text) };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    async embed(texts, model) {
+        try {
+            const response = await this.getClient().embeddings.create({
+                model: model || this.embeddingModel,
+                input: texts
+            });
+
+            return {
+                vectors: response.data
+                    .sort((a, b) => a.index - b.index)
+                    .map(item => item.embedding),
+                model: response.model || model || this.embeddingModel,
+                usage: this.buildUsage(response.usage?.prompt_tokens, 0)
+            };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+}
+
+module.exports = OpenAIProvider;
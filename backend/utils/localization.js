@@ -0,0 +1,201 @@
+const Content = require('../models/Content');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a text contains a term as a whole word, ignoring case
+ * @param {string} text - Text
+ * @param {string} term - Term
+ * @returns {boolean} Contains the term
+ */
+const containsTerm = (text, term) =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(text);
+
+/**
+ * Get the language of a locale, e.g. pt for pt-BR
+ * @param {string} locale - Locale
+ * @returns {string} Language subtag
+ */
+const baseLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+class Localization {
+    constructor() {
+        this.defaultLocale = 'en';
+        this.displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+    }
+
+    /**
+     * Check whether a value is a valid BCP 47 locale
+     * @param {string} value - Candidate locale
+     * @returns {boolean} Is valid
+     */
+    isValidLocale(value) {
+        try {
+            return typeof value === 'string' && Intl.getCanonicalLocales(value).length === 1;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Canonicalize a locale, e.g. pt-br to pt-BR
+     * @param {string} locale - Valid locale
+     * @returns {string} Canonical locale
+     */
+    normalize(locale) {
+        return Intl.getCanonicalLocales(locale)[0];
+    }
+
+    /**
+     * Get the English name of a locale's language for prompts
+     * @param {string} locale - Locale
+     * @returns {string} Language name, e.g. Brazilian Portuguese
+     */
+    getLanguageName(locale) {
+        try {
+            return this.displayNames.of(locale) || locale;
+        } catch (error) {
+            return locale;
+        }
+    }
+
+    /**
+     * Check whether content in one locale suits an audience in another
+     * @param {string} contentLocale - Locale of the content
+     * @param {string} audienceLocale - Locale of the audience
+     * @returns {boolean} Same language
+     */
+    matches(contentLocale, audienceLocale) {
+        return baseLanguage(contentLocale) === baseLanguage(audienceLocale);
+    }
+
+    /**
+     * Get the form a glossary term must take in a locale: its translation
+     * for the locale or its language, or the term itself
+     * @param {Object} entry - Glossary entry ({ term, translations })
+     * @param {string} locale - Target locale
+     * @returns {string} Expected term
+     */
+    getTermTranslation(entry, locale) {
+        const translations = entry.translations || [];
+        const exact = translations.find(translation => translation.locale.toLowerCase() === locale.toLowerCase());
+        const language = translations.find(translation => this.matches(translation.locale, locale));
+
+        return (exact || language)?.text || entry.term;
+    }
+
+    /**
+     * Format the glossary terms used in a text as translation instructions
+     * @param {Object[]} glossary - Workspace glossary
+     * @param {string} text - Source text
+     * @param {string} locale - Target locale
+     * @returns {string} Instructions, or an empty string when no term is used
+     */
+    formatGlossary(glossary = [], text, locale) {
+        const lines = glossary
+            .filter(entry => containsTerm(text, entry.term))
+            .map(entry => {
+                const expected = this.getTermTranslation(entry, locale);
+                return expected === entry.term
+                    ? `- "${entry.term}": keep as is, do not translate`
+                    : `- "${entry.term}": translate as "${expected}"`;
+            });
+
+        return lines.length ? `Product glossary:\n${lines.join('\n')}` : '';
+    }
+
+    /**
+     * Find glossary terms of the source that a translation does not render as required
+     * @param {string} source - Source text
+     * @param {string} translated - Translated text
+     * @param {Object[]} glossary - Workspace glossary
+     * @param {string} locale - Locale of the translation
+     * @returns {Object[]} Lint issues for the glossary rule
+     */
+    checkGlossary(source, translated, glossary = [], locale) {
+        return glossary
+            .filter(entry => containsTerm(source, entry.term))
+            .map(entry => ({ term: entry.term, expected: this.getTermTranslation(entry, locale) }))
+            .filter(({ expected }) => !containsTerm(translated, expected))
+            .map(({ term, expected }) => ({
+                rule: 'glossary',
+                message: expected === term
+                    ? `Product term "${term}" must not be translated`
+                    : `Glossary term "${term}" must be translated as "${expected}"`,
+                excerpt: expected
+            }));
+    }
+
+    /**
+     * Load a content item's source and all of its locale variants
+     * @param {Content} content - Source or locale variant
+     * @returns {Promise<Content[]>} Source and variants
+     */
+    getFamily(content) {
+        const sourceId = content.translation?.source || content._id;
+
+        return Content.find({
+            company: content.company,
+            $or: [{ _id: sourceId }, { 'translation.source': sourceId }]
+        });
+    }
+
+    /**
+     * Decide which locale variant goes to each channel. Channels with an
+     * audience locale get the approved variant in that locale (the exact
+     * locale first, then the same language); other channels get the content
+     * itself.
+     * @param {Content} content - Content being published
+     * @param {string[]} platforms - Channels to publish to
+     * @param {Object} [channelLocales] - Audience locale per channel
+     * @returns {Promise<Object>} Groups ({ content, platforms }) and channels with no suitable variant ({ platform, locale })
+     */
+    async routeChannels(content, platforms, channelLocales = {}) {
+        const groups = new Map([[content._id.toString(), { content, platforms: [] }]]);
+        const missing = [];
+        let family;
+
+        for (const platform of platforms) {
+            const locale = channelLocales[platform];
+
+            if (!locale || content.locale === locale) {
+                groups.get(content._id.toString()).platforms.push(platform);
+                continue;
+            }
+
+            family = family || await this.getFamily(content);
+
+            // The content being published is approved and may be the source or another variant
+            const candidates = family
+                .map(member => (member._id.equals(content._id) ? content : member))
+                .filter(member => member.isApproved());
+            const target = candidates.find(member => member.locale === locale) ||
+                (this.matches(content.locale, locale) ? content : null) ||
+                candidates.find(member => this.matches(member.locale, locale));
+
+            if (!target) {
+                missing.push({ platform, locale });
+                continue;
+            }
+
+            const key = target._id.toString();
+            if (!groups.has(key)) {
+                groups.set(key, { content: target, platforms: [] });
+            }
+            groups.get(key).platforms.push(platform);
+        }
+
+        return {
+            groups: [...groups.values()].filter(group => group.platforms.length),
+            missing
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new Localization();
@@ -1,5 +1,11 @@
+const fs = require('fs');
+const path = require('path');
 const winston = require('winston');
 
+// Log files live in backend/logs, created at startup and kept out of git
+const logDir = path.join(__dirname, '..', 'logs');
+fs.mkdirSync(logDir, { recursive: true });
+
 // Define log format
 const logFormat = winston.format.combine(
     winston.format.timestamp(),
@@ -23,27 +29,20 @@ const logger = winston.createLogger({
         }),
         // File transport for error logs
         new winston.transports.File({
-            filename: 'logs/error.log',
+            filename: path.join(logDir, 'error.log'),
             level: 'error',
             maxsize: 5242880, // 5MB
             maxFiles: 5,
         }),
         // File transport for all logs
         new winston.transports.File({
-            filename: 'logs/combined.log',
+            filename: path.join(logDir, 'combined.log'),
             maxsize: 5242880, // 5MB
             maxFiles: 5,
         })
     ]
 });
 
-// Create logs directory if it doesn't exist
-const fs = require('fs');
-const dir = './logs';
-if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir);
-}
-
 // Add stream for Morgan middleware
 logger.stream = {
     write: (message) => logger.info(message.trim())
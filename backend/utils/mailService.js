@@ -0,0 +1,66 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+class MailService {
+    constructor() {
+        this.from = process.env.EMAIL_FROM;
+        this.transporter = process.env.SMTP_HOST
+            ? nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            })
+            : null;
+    }
+
+    /**
+     * Check whether SMTP is configured
+     * @returns {boolean} Is configured
+     */
+    isConfigured() {
+        return !!(this.transporter && this.from);
+    }
+
+    /**
+     * Send an email
+     * @param {Object} options - Message options (to, subject, text, html)
+     * @returns {Promise<Object>} Transport info
+     */
+    async sendMail(options) {
+        if (!this.isConfigured()) {
+            throw new APIError('Email delivery not configured', 503);
+        }
+
+        try {
+            const info = await this.transporter.sendMail({
+                from: this.from,
+                ...options
+            });
+
+            logger.info('Email sent', {
+                messageId: info.messageId,
+                subject: options.subject
+            });
+
+            return info;
+        } catch (error) {
+            logger.error('Error sending email:', {
+                error: error.message,
+                subject: options.subject
+            });
+
+            throw new APIError(
+                `Error sending email: ${error.message}`,
+                502,
+                { code: error.code, response: error.response }
+            );
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new MailService();
@@ -0,0 +1,112 @@
+const Notification = require('../models/Notification');
+const mailService = require('./mailService');
+const logger = require('./logger');
+
+class NotificationService {
+    constructor() {
+        this.appUrl = process.env.APP_URL || 'http://localhost:5173';
+    }
+
+    /**
+     * Notify users they were mentioned in a comment thread. Everyone gets an
+     * in-app notification; those with email notifications on also get an email
+     * when SMTP is configured. Delivery failures are logged, not thrown.
+     * @param {Object} options - Mention details
+     * @param {User[]} options.recipients - Mentioned users (name, email, settings)
+     * @param {Object} options.actor - User who wrote the comment
+     * @param {Content} options.content - Commented content
+     * @param {Object} options.thread - Comment thread
+     * @param {string} options.body - Comment text
+     * @returns {Promise<Notification[]>} Created notifications
+     */
+    async notifyMentions({ recipients, actor, content, thread, body }) {
+        const targets = recipients.filter(user => user._id.toString() !== actor._id.toString());
+        if (targets.length === 0) {
+            return [];
+        }
+
+        const message = `${actor.name} mentioned you on "${content.title}"`;
+
+        const notifications = await Notification.insertMany(targets.map(user => ({
+            user: user._id,
+            company: content.company,
+            type: 'mention',
+            actor: actor._id,
+            content: content._id,
+            thread: thread._id,
+            message
+        })));
+
+        if (mailService.isConfigured()) {
+            const url = `${this.appUrl}/content/${content._id}?thread=${thread._id}`;
+
+            await Promise.all(targets
+                .filter(user => user.settings?.notifications?.email !== false)
+                .map(user => mailService.sendMail({
+                    to: user.email,
+                    subject: message,
+                    text: `${message}:\n\n` +
+                          (thread.anchor?.quote ? `> ${thread.anchor.quote}\n\n` : '') +
+                          `${body}\n\nReply: ${url}`
+                }).catch(error => {
+                    logger.warn('Mention email failed', {
+                        userId: user._id,
+                        contentId: content._id,
+                        error: error.message
+                    });
+                })));
+        }
+
+        logger.info('Mention notifications sent', {
+            contentId: content._id,
+            threadId: thread._id,
+            recipients: targets.length
+        });
+
+        return notifications;
+    }
+
+    /**
+     * Notify the creator of a recurring schedule that a run failed. Delivery
+     * failures are logged, not thrown.
+     * @param {Object} options - Failure details
+     * @param {User} options.recipient - Schedule creator (name, email, settings)
+     * @param {RecurringSchedule} options.schedule - Schedule that ran
+     * @param {Object} options.run - Failed run
+     * @returns {Promise<Notification>} Created notification
+     */
+    async notifyRecurringFailure({ recipient, schedule, run }) {
+        const message = schedule.enabled
+            ? `Recurring schedule "${schedule.name}" failed: ${run.error}`
+            : `Recurring schedule "${schedule.name}" was paused after ${schedule.consecutiveFailures} failed runs: ${run.error}`;
+
+        const notification = await Notification.create({
+            user: recipient._id,
+            company: schedule.company,
+            type: 'recurring_failure',
+            content: run.content,
+            recurringSchedule: schedule._id,
+            message
+        });
+
+        if (mailService.isConfigured() && recipient.settings?.notifications?.email !== false) {
+            await mailService.sendMail({
+                to: recipient.email,
+                subject: `Recurring schedule "${schedule.name}" failed`,
+                text: `${message}\n\n` +
+                      (run.content ? `Generated content: ${this.appUrl}/content/${run.content}\n` : '')
+            }).catch(error => {
+                logger.warn('Recurring failure email failed', {
+                    userId: recipient._id,
+                    scheduleId: schedule._id,
+                    error: error.message
+                });
+            });
+        }
+
+        return notification;
+    }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
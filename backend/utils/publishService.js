@@ -0,0 +1,170 @@
+const logger = require('./logger');
+const channelFormatter = require('./channelFormatter');
+const { getPublisher } = require('./publishers');
+
+/**
+ * Get the distribution entry of a channel, adding a pending one if missing
+ * @param {Content} content - Content document
+ * @param {string} platform - Channel platform
+ * @returns {Object} Channel subdocument
+ */
+const getChannel = (content, platform) => {
+    let channel = content.distribution.channels.find(c => c.platform === platform);
+
+    if (!channel) {
+        content.distribution.channels.push({ platform, status: 'pending' });
+        channel = content.distribution.channels[content.distribution.channels.length - 1];
+    }
+
+    return channel;
+};
+
+class PublishService {
+    /**
+     * Publish content to the given channels and record per-channel results.
+     * Each channel is persisted as soon as it is dispatched, so an interrupted
+     * run can be resumed without re-sending channels that already went out.
+     * @param {Content} content - Content document
+     * @param {string[]} platforms - Channels to publish to
+     * @param {Object} options - Publish options
+     * @param {boolean} options.onlyPending - Skip channels that are not pending
+     * @returns {Promise<Object>} Published and failed platforms
+     */
+    async publish(content, platforms, options = {}) {
+        const result = { published: [], failed: [] };
+
+        for (const platform of platforms) {
+            const channel = getChannel(content, platform);
+
+            if (options.onlyPending && channel.status !== 'pending') {
+                continue;
+            }
+
+            try {
+                // A failed attempt may have delivered part of the content already
+                const previous = channel.status !== 'published' ? channel.response : undefined;
+                const delivery = await this.dispatch(content, platform, previous);
+
+                channel.status = 'published';
+                channel.publishedAt = new Date();
+                channel.url = delivery.url;
+                channel.response = delivery.response;
+                result.published.push(platform);
+            } catch (error) {
+                logger.error('Error publishing content to channel:', {
+                    error: error.message,
+                    contentId: content._id,
+                    platform
+                });
+
+                channel.status = 'failed';
+                channel.response = {
+                    error: error.message,
+                    details: error.details,
+                    ...error.partial
+                };
+                result.failed.push(platform);
+            }
+
+            await content.save();
+        }
+
+        if (result.published.length) {
+            content.status = 'published';
+            await content.save();
+        }
+
+        return result;
+    }
+
+    /**
+     * Publish content with each channel getting the locale variant chosen by
+     * localization.routeChannels. Channels served by another variant are
+     * recorded on the content too, pointing at that variant; channels with no
+     * suitable variant fail.
+     * @param {Content} content - Content document
+     * @param {Object} routing - Result of localization.routeChannels
+     * @param {Object} options - Publish options, as for publish
+     * @returns {Promise<Object>} Published and failed platforms, and the channels routed to other variants
+     */
+    async publishLocalized(content, routing, options = {}) {
+        const result = { published: [], failed: [], routed: [] };
+
+        for (const group of routing.groups) {
+            const groupResult = await this.publish(group.content, group.platforms, options);
+            result.published.push(...groupResult.published);
+            result.failed.push(...groupResult.failed);
+
+            if (group.content._id.equals(content._id)) {
+                continue;
+            }
+
+            group.platforms.forEach(platform => {
+                const delivered = getChannel(group.content, platform);
+                const channel = getChannel(content, platform);
+
+                channel.status = delivered.status;
+                channel.publishedAt = delivered.publishedAt;
+                channel.url = delivered.url;
+                channel.response = { routedTo: group.content._id, locale: group.content.locale };
+
+                result.routed.push({ platform, contentId: group.content._id, locale: group.content.locale });
+            });
+        }
+
+        routing.missing.forEach(({ platform, locale }) => {
+            const channel = getChannel(content, platform);
+
+            channel.status = 'failed';
+            channel.response = { error: `No approved ${locale} version of this content` };
+            result.failed.push(platform);
+        });
+
+        if (result.routed.length || routing.missing.length) {
+            await content.save();
+        }
+
+        return result;
+    }
+
+    /**
+     * Publish one content variant to a channel, e.g. as one arm of an A/B test.
+     * The channel entries of the content are left untouched.
+     * @param {Content} content - Content document
+     * @param {Object} variant - Variant subdocument
+     * @param {string} platform - Channel platform
+     * @returns {Promise<Object>} Delivery URL and raw response
+     */
+    async publishVariant(content, variant, platform) {
+        const variantContent = {
+            ...content.toObject(),
+            content: variant.content
+        };
+
+        return this.dispatch(variantContent, platform);
+    }
+
+    /**
+     * Render content for a channel and deliver it through its publisher adapter
+     * @param {Content} content - Content document
+     * @param {string} platform - Channel platform
+     * @param {Object} [previous] - Channel response of a failed attempt, to resume from
+     * @returns {Promise<Object>} Delivery URL and raw response
+     */
+    async dispatch(content, platform, previous) {
+        const publisher = getPublisher(platform);
+        const rendered = channelFormatter.format(content, platform);
+        const delivery = await publisher.publish(content, rendered, previous);
+
+        logger.info('Content dispatched to channel', {
+            contentId: content._id,
+            platform,
+            url: delivery.url
+        });
+
+        return delivery;
+    }
+}
+
+// Export singleton instance
+module.exports = new PublishService();
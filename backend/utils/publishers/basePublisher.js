@@ -0,0 +1,59 @@
+const axios = require('axios');
+const { APIError } = require('../../middlewares/errorHandler');
+
+/**
+ * Base class for channel publisher adapters. Each adapter delivers a Content
+ * document to one platform and resolves with the public URL (if any) and the
+ * raw reply from the platform.
+ */
+class BasePublisher {
+    /**
+     * @param {string} platform - Platform name from Content.distribution.channels
+     */
+    constructor(platform) {
+        this.platform = platform;
+        this.axiosInstance = axios.create({
+            timeout: 10000
+        });
+    }
+
+    /**
+     * Check whether the adapter has the credentials it needs
+     * @returns {boolean} Is configured
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Deliver content to the platform. Adapters that deliver in several
+     * requests attach what did go out to a failure as `error.partial`, and
+     * get it back as `previous` on a retry.
+     * @param {Content} content - Content document
+     * @param {Object} rendered - Channel payload from channelFormatter
+     * @param {Object} [previous] - Channel response of a failed attempt
+     * @returns {Promise<Object>} Delivery URL and raw response
+     */
+    async publish(content, rendered, previous) {
+        throw new Error(`${this.constructor.name} must implement publish()`);
+    }
+
+    /**
+     * Handle platform API errors, keeping the raw reply for the channel record
+     * @param {Error} error - Error object
+     * @returns {Error} Formatted error
+     */
+    handleError(error) {
+        if (error.response) {
+            return new APIError(
+                `${this.platform} API Error: ${error.response.status}`,
+                502,
+                error.response.data
+            );
+        }
+
+        return new APIError(`Error connecting to ${this.platform}: ${error.message}`, 502);
+    }
+}
+
+module.exports = BasePublisher;
@@ -0,0 +1,40 @@
+const BasePublisher = require('./basePublisher');
+const mailService = require('../mailService');
+
+/**
+ * Publishes content as an email over SMTP to the configured distribution list
+ */
+class EmailPublisher extends BasePublisher {
+    constructor() {
+        super('email');
+        this.recipients = (process.env.EMAIL_PUBLISH_TO || '')
+            .split(',')
+            .map(address => address.trim())
+            .filter(Boolean);
+    }
+
+    isConfigured() {
+        return mailService.isConfigured() && this.recipients.length > 0;
+    }
+
+    async publish(content, rendered) {
+        const info = await mailService.sendMail({
+            to: this.recipients,
+            subject: rendered.subject,
+            html: rendered.html,
+            text: rendered.text
+        });
+
+        return {
+            url: undefined,
+            response: {
+                messageId: info.messageId,
+                accepted: info.accepted,
+                rejected: info.rejected,
+                response: info.response
+            }
+        };
+    }
+}
+
+module.exports = EmailPublisher;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const BasePublisher = require('./basePublisher');
+const { APIError } = require('../../middlewares/errorHandler');
+
+/**
+ * Offline publisher that records deliveries in memory instead of calling a
+ * platform. Platforms listed in FAKE_PUBLISHER_FAIL are rejected so failure
+ * handling can be exercised end to end.
+ */
+class FakePublisher extends BasePublisher {
+    constructor(platform) {
+        super(platform);
+        this.failing = (process.env.FAKE_PUBLISHER_FAIL || '')
+            .split(',')
+            .map(name => name.trim())
+            .includes(platform);
+        this.sent = [];
+    }
+
+    async publish(content, rendered) {
+        if (this.failing) {
+            throw new APIError(
+                `${this.platform} API Error: 500`,
+                502,
+                { fake: true, reason: 'Configured to fail' }
+            );
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const delivery = {
+            id,
+            platform: this.platform,
+            contentId: content._id,
+            payload: rendered,
+            receivedAt: new Date()
+        };
+
+        this.sent.push(delivery);
+
+        return {
+            url: `http://localhost/fake/${this.platform}/${id}`,
+            response: { fake: true, id, receivedAt: delivery.receivedAt }
+        };
+    }
+
+    /**
+     * Clear recorded deliveries
+     */
+    reset() {
+        this.sent = [];
+    }
+}
+
+module.exports = FakePublisher;
@@ -0,0 +1,50 @@
+const WebsitePublisher = require('./websitePublisher');
+const TwitterPublisher = require('./twitterPublisher');
+const LinkedInPublisher = require('./linkedinPublisher');
+const EmailPublisher = require('./emailPublisher');
+const SlackPublisher = require('./slackPublisher');
+const FakePublisher = require('./fakePublisher');
+const { APIError } = require('../../middlewares/errorHandler');
+
+const PLATFORMS = ['website', 'twitter', 'linkedin', 'email', 'slack'];
+
+const publishers = {
+    website: new WebsitePublisher(),
+    twitter: new TwitterPublisher(),
+    linkedin: new LinkedInPublisher(),
+    email: new EmailPublisher(),
+    slack: new SlackPublisher()
+};
+
+const fakePublishers = PLATFORMS.reduce((acc, platform) => {
+    acc[platform] = new FakePublisher(platform);
+    return acc;
+}, {});
+
+/**
+ * Get the publisher adapter for a platform. Set PUBLISHER_MODE=fake to route
+ * every platform through the offline fake adapter.
+ * @param {string} platform - Platform name
+ * @returns {BasePublisher} Publisher adapter
+ */
+const getPublisher = (platform) => {
+    const publisher = process.env.PUBLISHER_MODE === 'fake'
+        ? fakePublishers[platform]
+        : publishers[platform];
+
+    if (!publisher) {
+        throw new APIError(`Unsupported channel: ${platform}`, 400);
+    }
+
+    if (!publisher.isConfigured()) {
+        throw new APIError(`Channel not configured: ${platform}`, 400);
+    }
+
+    return publisher;
+};
+
+module.exports = {
+    PLATFORMS,
+    getPublisher,
+    fakePublishers
+};
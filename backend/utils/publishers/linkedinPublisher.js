@@ -0,0 +1,61 @@
+const BasePublisher = require('./basePublisher');
+
+/**
+ * Publishes content to LinkedIn using the Posts API on behalf of the
+ * configured member or organization
+ */
+class LinkedInPublisher extends BasePublisher {
+    constructor() {
+        super('linkedin');
+        this.accessToken = process.env.LINKEDIN_ACCESS_TOKEN;
+        this.authorUrn = process.env.LINKEDIN_AUTHOR_URN;
+        this.axiosInstance.defaults.baseURL = 'https://api.linkedin.com/rest';
+    }
+
+    isConfigured() {
+        return !!(this.accessToken && this.authorUrn);
+    }
+
+    async publish(content, rendered) {
+        try {
+            const response = await this.axiosInstance.post(
+                '/posts',
+                {
+                    author: this.authorUrn,
+                    commentary: rendered.text,
+                    visibility: 'PUBLIC',
+                    distribution: {
+                        feedDistribution: 'MAIN_FEED',
+                        targetEntities: [],
+                        thirdPartyDistributionChannels: []
+                    },
+                    lifecycleState: 'PUBLISHED',
+                    isReshareDisabledByAuthor: false
+                },
+                {
+                    headers: {
+                        Authorization: `Bearer ${this.accessToken}`,
+                        'LinkedIn-Version': '202401',
+                        'X-Restli-Protocol-Version': '2.0.0'
+                    }
+                }
+            );
+
+            // The post URN is only returned in a response header
+            const postUrn = response.headers['x-restli-id'];
+
+            return {
+                url: postUrn ? `https://www.linkedin.com/feed/update/${postUrn}` : undefined,
+                response: {
+                    status: response.status,
+                    id: postUrn,
+                    body: response.data
+                }
+            };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+}
+
+module.exports = LinkedInPublisher;
@@ -0,0 +1,34 @@
+const BasePublisher = require('./basePublisher');
+
+/**
+ * Publishes content to Slack through an incoming webhook
+ */
+class SlackPublisher extends BasePublisher {
+    constructor() {
+        super('slack');
+        this.webhookUrl = process.env.SLACK_WEBHOOK_URL;
+    }
+
+    isConfigured() {
+        return !!this.webhookUrl;
+    }
+
+    async publish(content, rendered) {
+        try {
+            const response = await this.axiosInstance.post(this.webhookUrl, rendered);
+
+            // Incoming webhooks reply with a plain "ok" and no message link
+            return {
+                url: undefined,
+                response: {
+                    status: response.status,
+                    body: response.data
+                }
+            };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+}
+
+module.exports = SlackPublisher;
@@ -0,0 +1,72 @@
+const BasePublisher = require('./basePublisher');
+
+/**
+ * Get the tweets a failed attempt posted, as long as they are still the start
+ * of the thread. A thread that changed since is posted again from the top.
+ * @param {Object} [previous] - Channel response of a failed attempt
+ * @param {string[]} thread - Tweets to post
+ * @returns {Object[]} Posted tweets (id and text)
+ */
+const getPostedTweets = (previous, thread) => {
+    const posted = previous?.tweets || [];
+    const matches = posted.length < thread.length &&
+        posted.every((tweet, index) => tweet.text === thread[index]);
+
+    return matches ? [...posted] : [];
+};
+
+/**
+ * Publishes content to Twitter (X) using the v2 API with an OAuth 2.0
+ * user-context access token
+ */
+class TwitterPublisher extends BasePublisher {
+    constructor() {
+        super('twitter');
+        this.accessToken = process.env.TWITTER_ACCESS_TOKEN;
+        this.axiosInstance.defaults.baseURL = 'https://api.twitter.com/2';
+    }
+
+    isConfigured() {
+        return !!this.accessToken;
+    }
+
+    /**
+     * Post the thread, resuming after the tweets a failed attempt already
+     * posted so a retry does not duplicate them. A failure keeps the tweets
+     * posted so far on the error.
+     * @param {Content} content - Content document
+     * @param {Object} rendered - Channel payload from channelFormatter
+     * @param {Object} [previous] - Channel response of a failed attempt
+     * @returns {Promise<Object>} Delivery URL and raw response
+     */
+    async publish(content, rendered, previous) {
+        const tweets = getPostedTweets(previous, rendered.thread);
+
+        try {
+            // Post the thread in order, each tweet replying to the previous one
+            for (const text of rendered.thread.slice(tweets.length)) {
+                const last = tweets[tweets.length - 1];
+                const response = await this.axiosInstance.post(
+                    '/tweets',
+                    last
+                        ? { text, reply: { in_reply_to_tweet_id: last.id } }
+                        : { text },
+                    { headers: { Authorization: `Bearer ${this.accessToken}` } }
+                );
+
+                tweets.push({ id: response.data.data.id, text });
+            }
+
+            return {
+                url: `https://twitter.com/i/web/status/${tweets[0].id}`,
+                response: { tweets }
+            };
+        } catch (error) {
+            const apiError = this.handleError(error);
+            apiError.partial = { tweets };
+            throw apiError;
+        }
+    }
+}
+
+module.exports = TwitterPublisher;
@@ -0,0 +1,47 @@
+const BasePublisher = require('./basePublisher');
+
+/**
+ * Publishes content to the company website through a CMS webhook. The
+ * endpoint receives the content as JSON and may reply with the page URL.
+ */
+class WebsitePublisher extends BasePublisher {
+    constructor() {
+        super('website');
+        this.webhookUrl = process.env.WEBSITE_WEBHOOK_URL;
+        this.webhookSecret = process.env.WEBSITE_WEBHOOK_SECRET;
+    }
+
+    isConfigured() {
+        return !!this.webhookUrl;
+    }
+
+    async publish(content, rendered) {
+        try {
+            const response = await this.axiosInstance.post(
+                this.webhookUrl,
+                {
+                    id: content._id,
+                    title: rendered.title,
+                    type: content.type,
+                    content: rendered.markdown,
+                    html: rendered.html,
+                    tags: content.tags
+                },
+                {
+                    headers: this.webhookSecret
+                        ? { 'X-Webhook-Secret': this.webhookSecret }
+                        : {}
+                }
+            );
+
+            return {
+                url: response.data?.url,
+                response: response.data
+            };
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+}
+
+module.exports = WebsitePublisher;
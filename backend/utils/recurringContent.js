@@ -0,0 +1,153 @@
+const Company = require('../models/Company');
+const User = require('../models/User');
+const contentGeneration = require('./contentGeneration');
+const notificationService = require('./notificationService');
+const { getNextRun } = require('./cron');
+const { getZonedParts } = require('./timezone');
+const logger = require('./logger');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class RecurringContent {
+    constructor() {
+        this.historyLimit = parseInt(process.env.RECURRING_RUN_HISTORY_LIMIT, 10) || 50;
+        // A schedule that fails this many runs in a row is paused
+        this.maxFailures = parseInt(process.env.RECURRING_MAX_FAILURES, 10) || 5;
+    }
+
+    /**
+     * Get the next time a schedule should run
+     * @param {RecurringSchedule} schedule - Schedule
+     * @param {Date} [after] - Instant to search from (exclusive)
+     * @returns {Date|undefined} Next run, or undefined if the schedule is disabled or never runs again
+     */
+    getNextRun(schedule, after = new Date()) {
+        if (!schedule.enabled) return undefined;
+
+        return getNextRun(schedule.cron, after, schedule.timezone) || undefined;
+    }
+
+    /**
+     * Generate a draft from a schedule's brief as the schedule's creator. The
+     * run day is passed to the prompt template as {date}.
+     * @param {RecurringSchedule} schedule - Schedule
+     * @param {Date} runAt - Run time
+     * @returns {Promise<Content>} Generated content
+     */
+    async generate(schedule, runAt) {
+        const [company, user] = await Promise.all([
+            Company.findOne({ _id: schedule.company, isActive: true }),
+            User.findById(schedule.createdBy)
+        ]);
+
+        if (!company) {
+            throw new Error('Workspace not found');
+        }
+        if (!user || !company.getMember(user._id)) {
+            throw new Error('The schedule creator is no longer a member of the workspace');
+        }
+
+        const parts = getZonedParts(runAt, schedule.timezone);
+        const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+        const { brief } = schedule;
+
+        return contentGeneration.generate(
+            { company, user, ai: brief.ai },
+            {
+                type: schedule.type,
+                prompt: brief.prompt,
+                params: { date, ...brief.params },
+                brandVoiceId: brief.brandVoice,
+                templateId: brief.template,
+                useKnowledgeBase: brief.useKnowledgeBase
+            },
+            {
+                title: `${schedule.name} (${date})`,
+                recurringSchedule: schedule._id
+            }
+        );
+    }
+
+    /**
+     * Approve generated content on behalf of whoever turned auto-publish on
+     * and claim it for publishing to the schedule's channels
+     * @param {Content} content - Generated content
+     * @param {RecurringSchedule} schedule - Schedule
+     * @param {string} workerId - Worker that publishes it
+     * @returns {Promise<Content>} Content ready for the publish scheduler
+     */
+    async claimForPublishing(content, schedule, workerId) {
+        const now = new Date();
+
+        content.distribution.channels = schedule.autoPublish.channels.map(platform => ({ platform, status: 'pending' }));
+        content.distribution.schedule = {
+            publishAt: now,
+            timezone: schedule.timezone,
+            status: 'processing',
+            lockedBy: workerId,
+            lockedAt: now,
+            attempts: 1,
+            lastRunAt: now
+        };
+
+        return content.addReviewComment(
+            schedule.autoPublish.approvedBy,
+            `Approved automatically by recurring schedule "${schedule.name}"`,
+            'approve'
+        );
+    }
+
+    /**
+     * Record a finished run, pause the schedule after too many failures in a
+     * row, set the next run and release the lock. A manual run only records
+     * itself and releases its lock, leaving the next run and the failure
+     * count as they were. The creator is notified of failures.
+     * @param {RecurringSchedule} schedule - Schedule that ran
+     * @param {Object} run - Run record
+     * @returns {Promise<Object>} Recorded run
+     */
+    async complete(schedule, run) {
+        const recorded = schedule.recordRun(run, this.historyLimit);
+
+        if (run.trigger !== 'manual') {
+            if (schedule.consecutiveFailures >= this.maxFailures) {
+                schedule.enabled = false;
+            }
+
+            schedule.nextRunAt = this.getNextRun(schedule);
+            if (!schedule.nextRunAt) {
+                schedule.enabled = false;
+            }
+        }
+
+        schedule.lockedBy = undefined;
+        schedule.lockedAt = undefined;
+        await schedule.save();
+
+        logger.info('Recurring schedule run completed', {
+            scheduleId: schedule._id,
+            status: run.status,
+            contentId: run.content,
+            nextRunAt: schedule.nextRunAt
+        });
+
+        if (run.status !== 'succeeded') {
+            try {
+                const recipient = await User.findById(schedule.createdBy).select('name email settings');
+                if (recipient) {
+                    await notificationService.notifyRecurringFailure({ recipient, schedule, run });
+                }
+            } catch (error) {
+                logger.warn('Recurring failure notification failed', {
+                    scheduleId: schedule._id,
+                    error: error.message
+                });
+            }
+        }
+
+        return recorded;
+    }
+}
+
+// Export singleton instance
+module.exports = new RecurringContent();
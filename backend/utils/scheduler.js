@@ -0,0 +1,324 @@
+const os = require('os');
+const Content = require('../models/Content');
+const Company = require('../models/Company');
+const RecurringSchedule = require('../models/RecurringSchedule');
+const publishService = require('./publishService');
+const abTestService = require('./abTestService');
+const contentLinter = require('./contentLinter');
+const localization = require('./localization');
+const recurringContent = require('./recurringContent');
+const logger = require('./logger');
+
+class PublishScheduler {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollInterval = parseInt(process.env.SCHEDULER_POLL_INTERVAL, 10) || 30000;
+        // A schedule locked for longer than this is assumed to belong to a dead worker
+        this.lockTimeout = parseInt(process.env.SCHEDULER_LOCK_TIMEOUT, 10) || 10 * 60 * 1000;
+        this.batchSize = 10;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start polling for due schedules
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.pollInterval);
+        this.timer.unref();
+
+        logger.info('Publish scheduler started', {
+            workerId: this.workerId,
+            pollInterval: this.pollInterval
+        });
+
+        this.tick();
+    }
+
+    /**
+     * Stop polling for due schedules
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+
+        logger.info('Publish scheduler stopped', { workerId: this.workerId });
+    }
+
+    /**
+     * Process a batch of due schedules, finished A/B tests and due recurring
+     * schedules
+     * @returns {Promise<number>} Number of schedules and tests processed
+     */
+    async tick() {
+        // Skip this tick if the previous one is still publishing
+        if (this.isRunning) return 0;
+        this.isRunning = true;
+
+        let processed = 0;
+
+        try {
+            while (processed < this.batchSize) {
+                const content = await this.claimNext();
+                if (!content) break;
+
+                await this.processSchedule(content);
+                processed += 1;
+            }
+
+            while (processed < this.batchSize) {
+                const content = await this.claimNextABTest();
+                if (!content) break;
+
+                await this.processABTest(content);
+                processed += 1;
+            }
+
+            while (processed < this.batchSize) {
+                const schedule = await this.claimRecurring();
+                if (!schedule) break;
+
+                await this.processRecurring(schedule);
+                processed += 1;
+            }
+        } catch (error) {
+            logger.error('Error running publish scheduler:', {
+                error: error.message,
+                workerId: this.workerId
+            });
+        } finally {
+            this.isRunning = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Atomically claim the next due schedule. Schedules left in processing by
+     * a crashed worker are reclaimed once their lock has expired.
+     * @returns {Promise<Content|null>} Claimed content
+     */
+    async claimNext() {
+        const now = new Date();
+
+        return Content.findOneAndUpdate(
+            {
+                isArchived: false,
+                'distribution.schedule.publishAt': { $lte: now },
+                $or: [
+                    { 'distribution.schedule.status': 'scheduled' },
+                    {
+                        'distribution.schedule.status': 'processing',
+                        'distribution.schedule.lockedAt': { $lt: new Date(now.getTime() - this.lockTimeout) }
+                    }
+                ]
+            },
+            {
+                $set: {
+                    'distribution.schedule.status': 'processing',
+                    'distribution.schedule.lockedBy': this.workerId,
+                    'distribution.schedule.lockedAt': now,
+                    'distribution.schedule.lastRunAt': now
+                },
+                $inc: { 'distribution.schedule.attempts': 1 }
+            },
+            {
+                new: true,
+                sort: { 'distribution.schedule.publishAt': 1 }
+            }
+        );
+    }
+
+    /**
+     * Atomically claim the next A/B test whose window has ended
+     * @returns {Promise<Content|null>} Claimed content
+     */
+    async claimNextABTest() {
+        const now = new Date();
+
+        return Content.findOneAndUpdate(
+            {
+                'abTest.endsAt': { $lte: now },
+                $or: [
+                    { 'abTest.status': 'running' },
+                    {
+                        'abTest.status': 'evaluating',
+                        'abTest.lockedAt': { $lt: new Date(now.getTime() - this.lockTimeout) }
+                    }
+                ]
+            },
+            {
+                $set: {
+                    'abTest.status': 'evaluating',
+                    'abTest.lockedAt': now
+                }
+            },
+            {
+                new: true,
+                sort: { 'abTest.endsAt': 1 }
+            }
+        );
+    }
+
+    /**
+     * Atomically claim a recurring schedule that is not running. Without a
+     * filter, claims the next one that is due.
+     * @param {Object} [filter] - Schedule to claim instead of the next due one
+     * @returns {Promise<RecurringSchedule|null>} Claimed schedule
+     */
+    async claimRecurring(filter) {
+        const now = new Date();
+
+        return RecurringSchedule.findOneAndUpdate(
+            {
+                ...(filter || { enabled: true, nextRunAt: { $lte: now } }),
+                $or: [
+                    { lockedAt: null },
+                    { lockedAt: { $lt: new Date(now.getTime() - this.lockTimeout) } }
+                ]
+            },
+            {
+                $set: {
+                    lockedBy: this.workerId,
+                    lockedAt: now
+                }
+            },
+            {
+                new: true,
+                sort: { nextRunAt: 1 }
+            }
+        );
+    }
+
+    /**
+     * Run a claimed recurring schedule: generate a draft and, with
+     * auto-publish, approve it and publish it to the schedule's channels
+     * @param {RecurringSchedule} schedule - Claimed schedule
+     * @param {string} [trigger] - schedule or manual
+     * @returns {Promise<Object>} Recorded run
+     */
+    async processRecurring(schedule, trigger = 'schedule') {
+        const run = { trigger, startedAt: new Date() };
+
+        try {
+            const content = await recurringContent.generate(schedule, run.startedAt);
+            run.content = content._id;
+            run.status = 'succeeded';
+
+            if (schedule.autoPublish.enabled && schedule.autoPublish.channels.length) {
+                await recurringContent.claimForPublishing(content, schedule, this.workerId);
+                await this.processSchedule(content);
+
+                const { channels } = content.distribution;
+                run.published = channels.filter(channel => channel.status === 'published').map(channel => channel.platform);
+                run.failed = channels.filter(channel => channel.status !== 'published').map(channel => channel.platform);
+
+                if (content.distribution.schedule.status === 'failed') {
+                    run.status = 'publish_failed';
+                    run.error = content.distribution.schedule.lastError;
+                }
+            }
+        } catch (error) {
+            logger.error('Error running recurring schedule:', {
+                error: error.message,
+                scheduleId: schedule._id,
+                workerId: this.workerId
+            });
+
+            run.status = 'failed';
+            run.error = error.message;
+        }
+
+        run.finishedAt = new Date();
+        return recurringContent.complete(schedule, run);
+    }
+
+    /**
+     * Choose the winner of a claimed A/B test
+     * @param {Content} content - Claimed content document
+     */
+    async processABTest(content) {
+        try {
+            await abTestService.complete(content);
+        } catch (error) {
+            logger.error('Error evaluating A/B test:', {
+                error: error.message,
+                contentId: content._id,
+                workerId: this.workerId
+            });
+
+            content.abTest.status = 'failed';
+            content.abTest.lastError = error.message;
+            content.abTest.lockedAt = undefined;
+            await content.save();
+        }
+    }
+
+    /**
+     * Publish the pending channels of a claimed schedule
+     * @param {Content} content - Claimed content document
+     */
+    async processSchedule(content) {
+        const { schedule } = content.distribution;
+        const platforms = content.distribution.channels
+            .filter(channel => channel.status === 'pending')
+            .map(channel => channel.platform);
+
+        try {
+            // Content edited after it was scheduled has lost its approval
+            if (!content.isApproved()) {
+                throw new Error('Content is no longer approved for publishing');
+            }
+
+            const company = await Company.findById(content.company)
+                .select('settings.lint settings.localization')
+                .lean();
+            const lintSettings = contentLinter.getSettings(company?.settings);
+
+            // Each channel gets the variant in its audience's locale
+            const routing = await localization.routeChannels(
+                content,
+                platforms,
+                company?.settings?.localization?.channelLocales
+            );
+
+            for (const group of routing.groups) {
+                await contentLinter.assertPublishable(group.content, lintSettings, group.platforms);
+            }
+
+            const result = await publishService.publishLocalized(content, routing, { onlyPending: true });
+
+            schedule.status = result.failed.length ? 'failed' : 'completed';
+            schedule.lastError = result.failed.length
+                ? `Failed to publish to: ${result.failed.join(', ')}`
+                : undefined;
+
+            logger.info('Scheduled content processed', {
+                contentId: content._id,
+                published: result.published,
+                failed: result.failed,
+                workerId: this.workerId
+            });
+        } catch (error) {
+            logger.error('Error processing scheduled content:', {
+                error: error.message,
+                contentId: content._id,
+                workerId: this.workerId
+            });
+
+            schedule.status = 'failed';
+            schedule.lastError = error.message;
+        }
+
+        schedule.lockedBy = undefined;
+        schedule.lockedAt = undefined;
+        await content.save();
+    }
+}
+
+// Export singleton instance
+module.exports = new PublishScheduler();
@@ -0,0 +1,200 @@
+/**
+ * Offline lexicon-based sentiment analysis, used when no AI provider is
+ * available or the AI call fails. Word valences follow the AFINN scale
+ * (-4 to 4); negations flip the words after them, intensifiers and
+ * diminishers scale them, and the clause after "but" outweighs the one before.
+ */
+
+const LEXICON = {
+    // Positive
+    love: 3, loved: 3, loving: 3, lovely: 3, amazing: 4, awesome: 4, excellent: 3, fantastic: 4,
+    great: 3, good: 2, nice: 2, fine: 1, ok: 1, okay: 1, cool: 1, superb: 4, outstanding: 4,
+    brilliant: 4, perfect: 3, wonderful: 4, delightful: 3, impressive: 3, impressed: 3, enjoy: 2,
+    enjoyed: 2, happy: 3, glad: 2, pleased: 3, satisfied: 2, helpful: 2, useful: 2, valuable: 2,
+    easy: 2, simple: 1, intuitive: 2, clean: 2, clear: 1, smooth: 2, fast: 2, quick: 2, snappy: 2,
+    reliable: 2, stable: 2, solid: 2, secure: 2, powerful: 2, flexible: 2, affordable: 2,
+    recommend: 2, recommended: 2, thanks: 2, thank: 2, appreciate: 2, appreciated: 2, best: 3,
+    better: 2, improved: 2, improvement: 2, win: 3, works: 1, worked: 1, fixed: 1, beautiful: 3,
+    elegant: 2, responsive: 2, friendly: 2, fun: 2, exciting: 3, excited: 3, seamless: 3,
+    // Negative
+    hate: -3, hated: -3, awful: -3, terrible: -3, horrible: -3, bad: -3, worse: -3, worst: -3,
+    poor: -2, disappointing: -2, disappointed: -2, annoying: -2, annoyed: -2, frustrating: -2,
+    frustrated: -2, confusing: -2, confused: -2, complicated: -2, difficult: -1, hard: -1,
+    slow: -2, sluggish: -2, laggy: -2, lag: -1, broken: -2, bug: -2, bugs: -2, buggy: -2,
+    crash: -2, crashes: -2, crashed: -2, fail: -2, fails: -2, failed: -2, failure: -2, error: -2,
+    errors: -2, problem: -2, problems: -2, issue: -1, issues: -1, unusable: -3, useless: -2,
+    expensive: -2, overpriced: -3, pricey: -1, waste: -2, wasted: -2, unreliable: -2, unstable: -2,
+    missing: -1, lacking: -2, lacks: -2, clunky: -2, ugly: -2, outage: -2, downtime: -2,
+    angry: -3, upset: -2, sad: -2, sucks: -3, mess: -2, messy: -2, insecure: -2, ridiculous: -3,
+    unhappy: -2, regret: -2, cancel: -1, cancelled: -1, refund: -1, scam: -4, spam: -2
+};
+
+const NEGATIONS = new Set([
+    'not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely',
+    'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'wont', 'wouldnt'
+]);
+
+const INTENSIFIERS = {
+    very: 1.5, really: 1.5, extremely: 2, super: 1.5, so: 1.3, totally: 1.5, absolutely: 1.8,
+    incredibly: 1.8, highly: 1.5, completely: 1.5, quite: 1.2,
+    slightly: 0.5, somewhat: 0.6, kinda: 0.6, bit: 0.6, little: 0.6
+};
+
+// Words after a negation that it still applies to
+const NEGATION_SCOPE = 3;
+
+const CLAUSE_BREAK = /[,;:]|\b(?:but|however|although|though|whereas|while)\b/i;
+
+// Normalization constant: a sum of about 4 maps to a score of about 0.7
+const ALPHA = 15;
+
+// Aspects reported when none are requested, with the words that mention them
+const DEFAULT_ASPECTS = {
+    pricing: ['price', 'prices', 'pricing', 'cost', 'costs', 'expensive', 'cheap', 'affordable', 'overpriced', 'pricey', 'plan', 'plans', 'subscription', 'billing', 'value'],
+    usability: ['easy', 'intuitive', 'confusing', 'ui', 'ux', 'interface', 'design', 'navigate', 'navigation', 'usable', 'usability', 'unusable', 'clunky', 'workflow'],
+    performance: ['fast', 'slow', 'speed', 'performance', 'lag', 'laggy', 'loading', 'sluggish', 'responsive', 'quick', 'snappy'],
+    reliability: ['bug', 'bugs', 'buggy', 'crash', 'crashes', 'crashed', 'broken', 'error', 'errors', 'reliable', 'unreliable', 'stable', 'unstable', 'outage', 'downtime'],
+    support: ['support', 'help', 'helpful', 'service', 'staff', 'team', 'documentation', 'docs', 'response'],
+    features: ['feature', 'features', 'functionality', 'integration', 'integrations', 'option', 'options', 'missing', 'lacking', 'lacks']
+};
+
+/**
+ * Split text into lowercase words, folding contractions such as "don't" into "dont"
+ * @param {string} text - Text
+ * @returns {string[]} Words
+ */
+const tokenize = (text) => (text.toLowerCase().replace(/['’]/g, '').match(/[a-z]+/g) || []);
+
+/**
+ * Squash a valence sum into -1..1
+ * @param {number} sum - Sum of word valences
+ * @returns {number} Score
+ */
+const normalizeScore = (sum) => {
+    const score = sum / Math.sqrt(sum * sum + ALPHA);
+    return Math.round(Math.max(-1, Math.min(1, score)) * 1000) / 1000;
+};
+
+/**
+ * Label a score
+ * @param {number} score - Score between -1 and 1
+ * @returns {string} positive, neutral or negative
+ */
+const labelScore = (score) => {
+    if (score >= 0.05) return 'positive';
+    if (score <= -0.05) return 'negative';
+    return 'neutral';
+};
+
+class SentimentLexicon {
+    constructor() {
+        this.defaultAspects = Object.keys(DEFAULT_ASPECTS);
+    }
+
+    /**
+     * Sum the word valences of a sentence
+     * @param {string} sentence - Sentence
+     * @returns {Object} Valence sum, positive and negative totals, and words matched
+     */
+    scoreSentence(sentence) {
+        const words = tokenize(sentence);
+        const butIndex = words.lastIndexOf('but');
+        let negatedUntil = -1;
+        let sum = 0;
+        let positive = 0;
+        let negative = 0;
+        let hits = 0;
+
+        words.forEach((word, index) => {
+            if (NEGATIONS.has(word)) {
+                negatedUntil = index + NEGATION_SCOPE;
+                return;
+            }
+
+            if (!Object.hasOwn(LEXICON, word)) return;
+
+            let valence = LEXICON[word];
+
+            const previous = words[index - 1];
+            if (Object.hasOwn(INTENSIFIERS, previous)) valence *= INTENSIFIERS[previous];
+
+            // "not good" is weaker than "bad"
+            if (index <= negatedUntil) valence *= -0.75;
+
+            if (butIndex !== -1) valence *= index > butIndex ? 1.5 : 0.5;
+
+            sum += valence;
+            if (valence > 0) positive += valence;
+            if (valence < 0) negative -= valence;
+            hits += 1;
+        });
+
+        // Exclamation marks strengthen whatever the sentence says
+        const exclamations = Math.min((sentence.match(/!/g) || []).length, 3);
+        if (sum && exclamations) sum += Math.sign(sum) * 0.3 * exclamations;
+
+        return { sum, positive, negative, hits };
+    }
+
+    /**
+     * Analyze the sentiment of a text, overall and per aspect
+     * @param {string} text - Text to analyze
+     * @param {string[]} [aspects] - Aspects to report; names without built-in keywords match themselves
+     * @returns {Object} Score, label, confidence and aspects
+     */
+    analyze(text, aspects = this.defaultAspects) {
+        const sentences = text
+            .split(/(?<=[.!?])\s+|\n+/)
+            .map(sentence => sentence.trim())
+            .filter(Boolean)
+            .map(sentence => ({ sentence, ...this.scoreSentence(sentence) }));
+
+        // Aspects are scored per clause, so "cheap but slow" rates price and speed apart
+        const clauses = sentences
+            .flatMap(({ sentence }) => sentence.split(CLAUSE_BREAK))
+            .map(clause => clause?.trim())
+            .filter(Boolean)
+            .map(clause => ({ clause, words: new Set(tokenize(clause)), ...this.scoreSentence(clause) }));
+
+        const total = sentences.reduce((sum, sentence) => sum + sentence.sum, 0);
+        const positive = sentences.reduce((sum, sentence) => sum + sentence.positive, 0);
+        const negative = sentences.reduce((sum, sentence) => sum + sentence.negative, 0);
+        const hits = sentences.reduce((sum, sentence) => sum + sentence.hits, 0);
+        const score = normalizeScore(total);
+
+        // Strong praise and strong criticism that cancel out
+        const isMixed = positive >= 2 && negative >= 2 && Math.abs(score) < 0.5;
+
+        const aspectResults = aspects
+            .map(aspect => {
+                const keywords = Object.hasOwn(DEFAULT_ASPECTS, aspect)
+                    ? DEFAULT_ASPECTS[aspect]
+                    : tokenize(aspect);
+                const mentions = clauses.filter(clause => keywords.some(keyword => clause.words.has(keyword)));
+
+                if (!mentions.length) return null;
+
+                const aspectScore = normalizeScore(mentions.reduce((sum, clause) => sum + clause.sum, 0));
+
+                return {
+                    aspect,
+                    score: aspectScore,
+                    label: labelScore(aspectScore),
+                    evidence: mentions[0].clause.slice(0, 500),
+                    mentions: mentions.length
+                };
+            })
+            .filter(Boolean);
+
+        return {
+            score,
+            label: isMixed ? 'mixed' : labelScore(score),
+            // More matched words make the score more trustworthy, up to a point
+            confidence: hits ? Math.min(0.8, 0.3 + hits * 0.1) : 0.2,
+            aspects: aspectResults
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new SentimentLexicon();
@@ -0,0 +1,87 @@
+const Content = require('../models/Content');
+const aiService = require('./aiService');
+const sentimentLexicon = require('./sentimentLexicon');
+const logger = require('./logger');
+
+class SentimentService {
+    constructor() {
+        // ai (falls back to the lexicon on failure) or lexicon (offline only)
+        this.analyzer = process.env.SENTIMENT_ANALYZER || 'ai';
+    }
+
+    /**
+     * Analyze the sentiment of a text with the AI provider, or the offline
+     * lexicon when AI analysis is disabled or fails
+     * @param {string} text - Text to analyze
+     * @param {Object} [options] - Analysis options
+     * @param {string[]} [options.aspects] - Aspects to rate; defaults to the built-in ones
+     * @param {Object} [options.ai] - Provider and model ({ provider, model })
+     * @param {Object} [options.meter] - Workspace and user to bill ({ company, user, contentId })
+     * @returns {Promise<Object>} Score, label, confidence, aspects and the analyzer used
+     */
+    async analyze(text, options = {}) {
+        const aspects = options.aspects?.length ? options.aspects : sentimentLexicon.defaultAspects;
+
+        if (this.analyzer !== 'lexicon') {
+            try {
+                const result = await aiService.analyzeSentiment(text, { ...options, aspects });
+                return { ...result, analyzer: 'ai' };
+            } catch (error) {
+                logger.warn('AI sentiment analysis failed, using lexicon', {
+                    error: error.message,
+                    textLength: text.length
+                });
+            }
+        }
+
+        return {
+            ...sentimentLexicon.analyze(text, aspects),
+            analyzer: 'lexicon',
+            metadata: { timestamp: new Date() }
+        };
+    }
+
+    /**
+     * Score the comments of a content item that have not been analyzed yet,
+     * adding each to the content's sentiment history
+     * @param {Analytics} analytics - Analytics document
+     * @param {Object} [options] - Analysis options, as for analyze
+     * @returns {Promise<number>} Number of comments scored
+     */
+    async scoreComments(analytics, options = {}) {
+        const pending = analytics.metrics.engagement.comments
+            .filter(comment => comment.content && !comment.sentiment?.analyzedAt);
+
+        for (const comment of pending) {
+            const result = await this.analyze(comment.content, options);
+
+            comment.sentiment = {
+                score: result.score,
+                label: result.label,
+                analyzer: result.analyzer,
+                aspects: result.aspects.map(({ aspect, score }) => ({ aspect, score })),
+                analyzedAt: new Date()
+            };
+
+            await analytics.updateSentiment(result.score, 'comment', comment.sentiment.aspects);
+        }
+
+        // Keep the summary on the content in step with its analytics
+        if (pending.length) {
+            const content = await Content.findById(analytics.contentId);
+            if (content) {
+                await content.updateSentiment(analytics.sentiment.overall.score);
+            }
+
+            logger.info('Comment sentiment scored', {
+                contentId: analytics.contentId,
+                comments: pending.length
+            });
+        }
+
+        return pending.length;
+    }
+}
+
+// Export singleton instance
+module.exports = new SentimentService();
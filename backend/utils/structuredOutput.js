@@ -0,0 +1,341 @@
+/**
+ * JSON schemas, validation and Markdown rendering for content types that are
+ * generated as structured data (changelog and design_doc), plus the schemas of
+ * sentiment analysis results and translations.
+ *
+ * Schemas use a small subset of JSON Schema: type, properties, required,
+ * items, enum, minItems, maxLength, minimum and maximum.
+ */
+
+const CHANGELOG_CATEGORIES = ['feature', 'improvement', 'fix', 'breaking', 'security', 'deprecation'];
+const DESIGN_DOC_CATEGORIES = ['requirement', 'decision', 'risk', 'task', 'note'];
+
+const sectionSchema = (categories) => ({
+    type: 'object',
+    required: ['title', 'items'],
+    properties: {
+        title: { type: 'string', maxLength: 200 },
+        summary: { type: 'string' },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['category', 'description'],
+                properties: {
+                    category: { type: 'string', enum: categories },
+                    description: { type: 'string', maxLength: 2000 },
+                    references: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        }
+    }
+});
+
+const SCHEMAS = {
+    changelog: {
+        type: 'object',
+        required: ['version', 'sections'],
+        properties: {
+            version: { type: 'string', maxLength: 50 },
+            date: { type: 'string' },
+            summary: { type: 'string' },
+            sections: { type: 'array', minItems: 1, items: sectionSchema(CHANGELOG_CATEGORIES) }
+        }
+    },
+    design_doc: {
+        type: 'object',
+        required: ['title', 'version', 'sections'],
+        properties: {
+            title: { type: 'string', maxLength: 200 },
+            version: { type: 'string', maxLength: 50 },
+            summary: { type: 'string' },
+            sections: { type: 'array', minItems: 1, items: sectionSchema(DESIGN_DOC_CATEGORIES) }
+        }
+    }
+};
+
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative', 'mixed'];
+
+const scoreSchema = { type: 'number', minimum: -1, maximum: 1 };
+
+// Analysis and translation results validated like content but never rendered
+const ANALYSIS_SCHEMAS = {
+    translation: {
+        type: 'object',
+        required: ['title', 'content'],
+        properties: {
+            title: { type: 'string', maxLength: 500 },
+            content: { type: 'string' }
+        }
+    },
+    sentiment: {
+        type: 'object',
+        required: ['score', 'label'],
+        properties: {
+            score: scoreSchema,
+            label: { type: 'string', enum: SENTIMENT_LABELS },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            aspects: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['aspect', 'score'],
+                    properties: {
+                        aspect: { type: 'string', maxLength: 100 },
+                        score: scoreSchema,
+                        label: { type: 'string', enum: SENTIMENT_LABELS },
+                        evidence: { type: 'string', maxLength: 500 }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Example documents shown to the model
+const EXAMPLES = {
+    changelog: {
+        version: '1.4.0',
+        date: '2024-05-01',
+        summary: 'Faster exports and scheduled publishing.',
+        sections: [
+            {
+                title: 'New features',
+                items: [{ category: 'feature', description: 'Schedule posts in your own timezone.', references: ['#123'] }]
+            },
+            {
+                title: 'Bug fixes',
+                items: [{ category: 'fix', description: 'CSV exports no longer drop the last row.' }]
+            }
+        ]
+    },
+    design_doc: {
+        title: 'Scheduled publishing',
+        version: '1.0',
+        summary: 'Publish approved content at a chosen time.',
+        sections: [
+            {
+                title: 'Overview',
+                items: [{ category: 'requirement', description: 'Content publishes within a minute of its scheduled time.' }]
+            },
+            {
+                title: 'Design considerations',
+                items: [{ category: 'decision', description: 'Schedules are claimed atomically so each is published once.' }]
+            }
+        ]
+    },
+    translation: {
+        title: 'Programe publicaciones en su propia zona horaria',
+        content: 'Ahora puede **programar publicaciones** en su propia zona horaria.'
+    },
+    sentiment: {
+        score: 0.4,
+        label: 'mixed',
+        confidence: 0.8,
+        aspects: [
+            { aspect: 'usability', score: 0.8, label: 'positive', evidence: 'The new editor is a joy to use' },
+            { aspect: 'pricing', score: -0.5, label: 'negative', evidence: 'a bit pricey for small teams' }
+        ]
+    }
+};
+
+const CATEGORY_LABELS = {
+    breaking: 'Breaking',
+    security: 'Security',
+    deprecation: 'Deprecated',
+    requirement: 'Requirement',
+    decision: 'Decision',
+    risk: 'Risk',
+    task: 'Task'
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {string[]} Validation errors
+ */
+const validateValue = (value, schema, path) => {
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) return [`${path} must be an array`];
+
+        const errors = value.length < (schema.minItems || 0)
+            ? [`${path} must have at least ${schema.minItems} item(s)`]
+            : [];
+
+        return errors.concat(...value.map((item, index) => validateValue(item, schema.items, `${path}[${index}]`)));
+    }
+
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+
+        const missing = (schema.required || [])
+            .filter(key => value[key] === undefined || value[key] === null)
+            .map(key => `${path}.${key} is required`);
+
+        const invalid = Object.entries(schema.properties)
+            .filter(([key]) => value[key] !== undefined && value[key] !== null)
+            .map(([key, propertySchema]) => validateValue(value[key], propertySchema, `${path}.${key}`));
+
+        return missing.concat(...invalid);
+    }
+
+    if (typeof value !== schema.type) return [`${path} must be a ${schema.type}`];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of: ${schema.enum.join(', ')}`];
+    }
+
+    if (schema.maxLength && value.length > schema.maxLength) {
+        return [`${path} must not exceed ${schema.maxLength} characters`];
+    }
+
+    if (schema.type === 'number' && Number.isNaN(value)) {
+        return [`${path} must be a number`];
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return [`${path} must be at least ${schema.minimum}`];
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return [`${path} must be at most ${schema.maximum}`];
+    }
+
+    return [];
+};
+
+/**
+ * Render section items as a Markdown list
+ * @param {Object} section - Section with items
+ * @returns {string} Markdown list
+ */
+const renderItems = (section) => section.items
+    .map(item => {
+        const label = CATEGORY_LABELS[item.category] ? `**${CATEGORY_LABELS[item.category]}:** ` : '';
+        const references = item.references?.length ? ` (${item.references.join(', ')})` : '';
+        return `- ${label}${item.description}${references}`;
+    })
+    .join('\n');
+
+class StructuredOutput {
+    constructor() {
+        this.schemas = { ...SCHEMAS, ...ANALYSIS_SCHEMAS };
+    }
+
+    /**
+     * Check whether a content type is generated as structured data
+     * @param {string} type - Content type
+     * @returns {boolean} Is structured
+     */
+    supports(type) {
+        return Boolean(SCHEMAS[type]);
+    }
+
+    /**
+     * Build the output instructions appended to the system prompt
+     * @param {string} type - Content type, sentiment or translation
+     * @returns {string} Instructions
+     */
+    getInstructions(type) {
+        return [
+            'Respond with a single JSON object and nothing else: no Markdown fences and no commentary.',
+            `It must match this JSON schema:\n${JSON.stringify(this.schemas[type])}`,
+            `Example:\n${JSON.stringify(this.getExample(type))}`
+        ].join('\n\n');
+    }
+
+    /**
+     * Get an example document, with any expected values filled in
+     * @param {string} type - Content type, sentiment or translation
+     * @param {Object} [expected] - Values the data must contain
+     * @returns {Object} Example document
+     */
+    getExample(type, expected = {}) {
+        const overrides = Object.fromEntries(Object.entries(expected).filter(([, value]) => value !== undefined));
+        return { ...EXAMPLES[type], ...overrides };
+    }
+
+    /**
+     * Build the follow-up message asking the model to fix invalid output
+     * @param {string[]} errors - Validation errors
+     * @returns {string} Correction prompt
+     */
+    getCorrection(errors) {
+        return `Your response was not valid:\n${errors.map(error => `- ${error}`).join('\n')}\n\nReturn the corrected JSON object only.`;
+    }
+
+    /**
+     * Validate structured data
+     * @param {string} type - Content type, sentiment or translation
+     * @param {Object} data - Structured data
+     * @param {Object} [expected] - Values the data must contain, e.g. { version }
+     * @returns {string[]} Validation errors
+     */
+    validate(type, data, expected = {}) {
+        const errors = validateValue(data, this.schemas[type], '$');
+
+        Object.entries(expected)
+            .filter(([key, value]) => value !== undefined && data?.[key] !== undefined && data[key] !== value)
+            .forEach(([key, value]) => errors.push(`$.${key} must be "${value}"`));
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate a model response
+     * @param {string} type - Content type, sentiment or translation
+     * @param {string} text - Raw model output
+     * @param {Object} [expected] - Values the data must contain
+     * @returns {Object} Parsed data and validation errors
+     */
+    parse(type, text, expected) {
+        // Models sometimes wrap JSON in fences or add a sentence around it
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+
+        if (start === -1 || end < start) {
+            return { data: null, errors: ['Response does not contain a JSON object'] };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return { data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+        }
+
+        return { data, errors: this.validate(type, data, expected) };
+    }
+
+    /**
+     * Render structured data as Markdown
+     * @param {string} type - Content type
+     * @param {Object} data - Valid structured data
+     * @returns {string} Markdown
+     */
+    render(type, data) {
+        const blocks = type === 'changelog'
+            ? [`## ${data.version}${data.date ? ` - ${data.date}` : ''}`]
+            : [`# ${data.title}`, `_Version ${data.version}_`];
+
+        if (data.summary) {
+            blocks.push(data.summary);
+        }
+
+        const level = type === 'changelog' ? '###' : '##';
+        data.sections
+            .filter(section => section.items.length || section.summary)
+            .forEach(section => {
+                blocks.push(`${level} ${section.title}`);
+                if (section.summary) blocks.push(section.summary);
+                if (section.items.length) blocks.push(renderItems(section));
+            });
+
+        return blocks.join('\n\n');
+    }
+}
+
+// Export singleton instance
+module.exports = new StructuredOutput();
@@ -0,0 +1,221 @@
+/**
+ * Word-level diff and three-way merge for content revisions. Text is split
+ * into words that keep their trailing whitespace, so joining tokens gives the
+ * original text back and edits line up with what a reader sees.
+ */
+
+// Edits beyond which two texts are treated as rewritten rather than diffed word by word
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into words with their trailing whitespace
+ * @param {string} text - Text
+ * @returns {string[]} Tokens
+ */
+const tokenize = (text) => text.match(/\s+|\S+\s*/g) || [];
+
+/**
+ * Find the longest common subsequence of two token lists with Myers' algorithm
+ * @param {string[]} a - Original tokens
+ * @param {string[]} b - Changed tokens
+ * @returns {Array<number[]>} Matched index pairs [i, j] in order; past the edit limit only the
+ *     common prefix and suffix are matched
+ */
+const matchTokens = (a, b) => {
+    // Common prefix and suffix are matched without searching
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA -= 1;
+        endB -= 1;
+    }
+
+    const prefix = Array.from({ length: start }, (value, index) => [index, index]);
+    const suffix = Array.from({ length: a.length - endA }, (value, index) => [endA + index, endB + index]);
+
+    const n = endA - start;
+    const m = endB - start;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d += 1) {
+        // Only diagonals -d-1..d+1 are read back for this step
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[start + x] === b[start + y]) {
+                x += 1;
+                y += 1;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                // Walk the trace back to collect the diagonal (matching) moves
+                const middle = [];
+                let cx = n;
+                let cy = m;
+
+                for (let step = d; step > 0; step -= 1) {
+                    const prev = trace[step];
+                    const ck = cx - cy;
+                    const at = diagonal => prev[diagonal + step + 1];
+                    const prevK = (ck === -step || (ck !== step && at(ck - 1) < at(ck + 1)))
+                        ? ck + 1
+                        : ck - 1;
+                    const prevX = at(prevK);
+                    const prevY = prevX - prevK;
+
+                    while (cx > prevX && cy > prevY) {
+                        cx -= 1;
+                        cy -= 1;
+                        middle.push([start + cx, start + cy]);
+                    }
+
+                    cx = prevX;
+                    cy = prevY;
+                }
+
+                while (cx > 0 && cy > 0) {
+                    cx -= 1;
+                    cy -= 1;
+                    middle.push([start + cx, start + cy]);
+                }
+
+                return [...prefix, ...middle.reverse(), ...suffix];
+            }
+        }
+    }
+
+    return [...prefix, ...suffix];
+};
+
+class TextDiff {
+    /**
+     * Diff two texts word by word
+     * @param {string} from - Original text
+     * @param {string} to - Changed text
+     * @returns {Object} Changes ({ type: equal, insert or delete, text }) and word counts
+     */
+    diff(from = '', to = '') {
+        const a = tokenize(from);
+        const b = tokenize(to);
+        const matches = matchTokens(a, b);
+        const changes = [];
+        const stats = { insertions: 0, deletions: 0, unchanged: 0 };
+
+        const push = (type, tokens) => {
+            if (!tokens.length) return;
+
+            const words = tokens.filter(token => token.trim()).length;
+            if (type === 'insert') stats.insertions += words;
+            if (type === 'delete') stats.deletions += words;
+            if (type === 'equal') stats.unchanged += words;
+
+            const last = changes[changes.length - 1];
+            if (last?.type === type) {
+                last.text += tokens.join('');
+            } else {
+                changes.push({ type, text: tokens.join('') });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        [...matches, [a.length, b.length]].forEach(([mi, mj]) => {
+            push('delete', a.slice(i, mi));
+            push('insert', b.slice(j, mj));
+            if (mi < a.length) push('equal', [a[mi]]);
+            i = mi + 1;
+            j = mj + 1;
+        });
+
+        return { changes, stats };
+    }
+
+    /**
+     * Merge two edits of the same base text. Edits to different passages are
+     * combined; overlapping edits that differ become conflicts wrapped in
+     * Git-style markers.
+     * @param {string} base - Text both edits started from
+     * @param {string} ours - Incoming edit
+     * @param {string} theirs - Edit already saved
+     * @param {Object} [labels] - Marker labels ({ ours, theirs })
+     * @returns {Object} Merged text and number of conflicts
+     */
+    merge(base = '', ours = '', theirs = '', labels = {}) {
+        const o = tokenize(base);
+        const a = tokenize(ours);
+        const b = tokenize(theirs);
+
+        // Base token index to its position in each edit, when it survived
+        const toA = new Map(matchTokens(o, a).map(([i, j]) => [i, j]));
+        const toB = new Map(matchTokens(o, b).map(([i, j]) => [i, j]));
+
+        const oursLabel = labels.ours || 'ours';
+        const theirsLabel = labels.theirs || 'theirs';
+        const output = [];
+        let conflicts = 0;
+        let i = 0;
+        let ai = 0;
+        let bi = 0;
+
+        const resolve = (baseChunk, aChunk, bChunk) => {
+            const baseText = baseChunk.join('');
+            const aText = aChunk.join('');
+            const bText = bChunk.join('');
+
+            if (aText === bText || bText === baseText) {
+                output.push(aText);
+            } else if (aText === baseText) {
+                output.push(bText);
+            } else {
+                conflicts += 1;
+                const end = text => (text.endsWith('\n') ? text : `${text}\n`);
+                output.push(`\n<<<<<<< ${oursLabel}\n${end(aText)}=======\n${end(bText)}>>>>>>> ${theirsLabel}\n`);
+            }
+        };
+
+        while (i < o.length || ai < a.length || bi < b.length) {
+            // Tokens unchanged on both sides
+            if (i < o.length && toA.get(i) === ai && toB.get(i) === bi) {
+                output.push(o[i]);
+                i += 1;
+                ai += 1;
+                bi += 1;
+                continue;
+            }
+
+            // Up to the next base token both sides kept, at least one side changed something
+            let next = i;
+            while (next < o.length && !(toA.get(next) >= ai && toB.get(next) >= bi)) next += 1;
+
+            const aEnd = next < o.length ? toA.get(next) : a.length;
+            const bEnd = next < o.length ? toB.get(next) : b.length;
+
+            resolve(o.slice(i, next), a.slice(ai, aEnd), b.slice(bi, bEnd));
+
+            i = next;
+            ai = aEnd;
+            bi = bEnd;
+        }
+
+        return {
+            content: output.join(''),
+            conflicts
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new TextDiff();
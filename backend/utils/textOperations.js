@@ -0,0 +1,181 @@
+/**
+ * Operational transformation for plain text, used by collaborative editing.
+ * An operation is an array of components that walk the whole document:
+ * a positive number retains that many characters, a string inserts it, and
+ * a negative number deletes that many characters.
+ */
+
+/**
+ * Count the characters an operation expects the document to have
+ * @param {Array} op - Operation
+ * @returns {number} Document length before the operation
+ */
+const baseLength = (op) => op.reduce((length, component) => {
+    if (typeof component === 'string') return length;
+    return length + Math.abs(component);
+}, 0);
+
+class TextOperations {
+    /**
+     * Check that an operation is well formed
+     * @param {*} op - Candidate operation
+     * @returns {boolean} Whether every component is a non-zero integer or a non-empty string
+     */
+    isValid(op) {
+        return Array.isArray(op) && op.every(component =>
+            (typeof component === 'string' && component.length > 0) ||
+            (Number.isInteger(component) && component !== 0));
+    }
+
+    /**
+     * Merge adjacent components of the same kind
+     * @param {Array} op - Operation
+     * @returns {Array} Normalized operation
+     */
+    normalize(op) {
+        const result = [];
+
+        op.forEach(component => {
+            const last = result[result.length - 1];
+
+            if (typeof component === 'string' && typeof last === 'string') {
+                result[result.length - 1] = last + component;
+            } else if (typeof component === 'number' && typeof last === 'number' &&
+                       Math.sign(component) === Math.sign(last)) {
+                result[result.length - 1] = last + component;
+            } else {
+                result.push(component);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Apply an operation to a text
+     * @param {string} text - Document text
+     * @param {Array} op - Operation
+     * @returns {string} New text
+     */
+    apply(text, op) {
+        if (baseLength(op) !== text.length) {
+            throw new Error('Operation does not match the document length');
+        }
+
+        let index = 0;
+        let result = '';
+
+        op.forEach(component => {
+            if (typeof component === 'string') {
+                result += component;
+            } else if (component > 0) {
+                result += text.slice(index, index + component);
+                index += component;
+            } else {
+                index -= component;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Transform two concurrent operations on the same text so each can be
+     * applied after the other: apply(apply(text, a), b') === apply(apply(text, b), a').
+     * When both insert at the same place, `a` goes first.
+     * @param {Array} a - Operation that wins ties
+     * @param {Array} b - Concurrent operation
+     * @returns {Array[]} [a', b']
+     */
+    transform(a, b) {
+        if (baseLength(a) !== baseLength(b)) {
+            throw new Error('Concurrent operations must start from the same document');
+        }
+
+        const aPrime = [];
+        const bPrime = [];
+        const opsA = [...a];
+        const opsB = [...b];
+        let compA = opsA.shift();
+        let compB = opsB.shift();
+
+        while (compA !== undefined || compB !== undefined) {
+            if (typeof compA === 'string') {
+                aPrime.push(compA);
+                bPrime.push(compA.length);
+                compA = opsA.shift();
+                continue;
+            }
+
+            if (typeof compB === 'string') {
+                aPrime.push(compB.length);
+                bPrime.push(compB);
+                compB = opsB.shift();
+                continue;
+            }
+
+            // Both components now consume characters of the shared text
+            const lengthA = Math.abs(compA);
+            const lengthB = Math.abs(compB);
+            const length = Math.min(lengthA, lengthB);
+
+            if (compA > 0 && compB > 0) {
+                aPrime.push(length);
+                bPrime.push(length);
+            } else if (compA < 0 && compB > 0) {
+                aPrime.push(-length);
+            } else if (compA > 0 && compB < 0) {
+                bPrime.push(-length);
+            }
+            // Both deleting the same characters leaves nothing for either
+
+            compA = lengthA > length ? Math.sign(compA) * (lengthA - length) : opsA.shift();
+            compB = lengthB > length ? Math.sign(compB) * (lengthB - length) : opsB.shift();
+        }
+
+        return [this.normalize(aPrime), this.normalize(bPrime)];
+    }
+
+    /**
+     * Move a cursor position through an operation
+     * @param {number} position - Character offset before the operation
+     * @param {Array} op - Operation
+     * @returns {number} Offset after the operation
+     */
+    transformPosition(position, op) {
+        let index = 0;
+        let result = position;
+
+        for (const component of op) {
+            if (index >= position) break;
+
+            if (typeof component === 'string') {
+                result += component.length;
+            } else if (component > 0) {
+                index += component;
+            } else {
+                const deleted = Math.min(-component, position - index);
+                result -= deleted;
+                index -= component;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Build an operation from a word diff (see textDiff.diff)
+     * @param {Object[]} changes - Changes ({ type: equal, insert or delete, text })
+     * @returns {Array} Operation
+     */
+    fromChanges(changes) {
+        return this.normalize(changes.map(change => {
+            if (change.type === 'insert') return change.text;
+            if (change.type === 'delete') return -change.text.length;
+            return change.text.length;
+        }));
+    }
+}
+
+// Export singleton instance
+module.exports = new TextOperations();
@@ -0,0 +1,110 @@
+/**
+ * Timezone helpers built on the Intl API (no external tz database required)
+ */
+
+// Matches an explicit UTC designator or numeric offset at the end of an ISO 8601 string
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// The ISO 8601 forms understood here: YYYY-MM-DD, optionally followed by
+// THH:mm[:ss[.sss]] and a UTC designator or ±HH:MM (or ±HHMM) offset
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name (e.g. Europe/Berlin)
+ * @returns {boolean} Is valid
+ */
+const isValidTimezone = (timeZone) => {
+    if (!timeZone) return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock components of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} Year, month, day, hour, minute and second
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    return parts.reduce((acc, part) => {
+        if (part.type !== 'literal') {
+            acc[part.type] = parseInt(part.value, 10);
+        }
+        return acc;
+    }, {});
+};
+
+/**
+ * Get the offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffset = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+    );
+
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert an ISO 8601 date to a UTC Date, interpreting it in the given
+ * timezone when the string carries no explicit offset. Strings in other
+ * forms (see ISO_DATE_PATTERN) or out of range give an Invalid Date.
+ * @param {string} value - ISO 8601 date string
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} UTC date
+ */
+const zonedTimeToUtc = (value, timeZone) => {
+    if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) {
+        return new Date(NaN);
+    }
+
+    if (!timeZone || OFFSET_PATTERN.test(value)) {
+        return new Date(value);
+    }
+
+    // Treat the wall-clock time as UTC first, then correct by the zone offset.
+    // The second pass handles instants that straddle a DST transition.
+    const wallClock = new Date(`${value.includes('T') ? value : `${value}T00:00:00`}Z`);
+    if (Number.isNaN(wallClock.getTime())) {
+        return wallClock;
+    }
+
+    let utc = wallClock.getTime() - getTimezoneOffset(wallClock, timeZone);
+    utc = wallClock.getTime() - getTimezoneOffset(new Date(utc), timeZone);
+
+    return new Date(utc);
+};
+
+module.exports = {
+    ISO_DATE_PATTERN,
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc
+};
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const logger = require('./logger');
+const { APIError } = require('../middlewares/errorHandler');
+
+// Estimated USD price per 1K tokens. Models are matched by longest prefix, so
+// dated snapshots such as gpt-4-0613 use their family's price. Override or
+// extend with AI_MODEL_PRICING='{"model":{"prompt":0.01,"completion":0.03}}'.
+const DEFAULT_PRICING = {
+    'gpt-4': { prompt: 0.03, completion: 0.06 },
+    'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+    'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+    'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+    'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+    'claude-3-5-sonnet': { prompt: 0.003, completion: 0.015 },
+    'claude-3-5-haiku': { prompt: 0.0008, completion: 0.004 },
+    'claude-3-opus': { prompt: 0.015, completion: 0.075 },
+    'claude-3-haiku': { prompt: 0.00025, completion: 0.00125 },
+    'text-embedding-3-small': { prompt: 0.00002, completion: 0 },
+    'text-embedding-3-large': { prompt: 0.00013, completion: 0 }
+};
+
+/**
+ * Parse an optional non-negative integer from the environment
+ * @param {string} value - Environment value
+ * @returns {number|undefined} Parsed value
+ */
+const parseLimit = (value) => {
+    const limit = parseInt(value, 10);
+    return Number.isNaN(limit) ? undefined : limit;
+};
+
+class UsageService {
+    constructor() {
+        this.pricing = {
+            ...DEFAULT_PRICING,
+            ...JSON.parse(process.env.AI_MODEL_PRICING || '{}')
+        };
+    }
+
+    /**
+     * Estimate the cost of a call
+     * @param {string} model - Model name
+     * @param {Object} usage - Normalized token usage
+     * @returns {number} Estimated cost in USD
+     */
+    estimateCost(model, usage) {
+        const match = Object.keys(this.pricing)
+            .filter(name => model === name || model.startsWith(`${name}-`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!match || !usage) return 0;
+
+        const price = this.pricing[match];
+        return (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1000;
+    }
+
+    /**
+     * Get the current quota period (calendar month, UTC)
+     * @param {Date} [date] - Reference date
+     * @returns {Object} Period start and end
+     */
+    getPeriod(date = new Date()) {
+        return {
+            start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+            end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+        };
+    }
+
+    /**
+     * Get monthly token limits for a workspace; unset limits fall back to the environment
+     * @param {Company} company - Workspace
+     * @returns {Object} Workspace and per-user limits (undefined or 0 means unlimited)
+     */
+    getLimits(company) {
+        const quotas = company.settings?.quotas || {};
+
+        return {
+            workspace: quotas.monthlyTokens ?? parseLimit(process.env.AI_MONTHLY_TOKEN_QUOTA),
+            user: quotas.monthlyTokensPerUser ?? parseLimit(process.env.AI_MONTHLY_USER_TOKEN_QUOTA)
+        };
+    }
+
+    /**
+     * Get quota usage for the current period
+     * @param {Company} company - Workspace
+     * @param {string} [userId] - User to include per-user usage for
+     * @returns {Promise<Object>} Period, limits and usage
+     */
+    async getQuotaStatus(company, userId) {
+        const period = this.getPeriod();
+        const limits = this.getLimits(company);
+
+        const describe = (limit, used) => ({
+            limit: limit || null,
+            used,
+            remaining: limit ? Math.max(limit - used, 0) : null
+        });
+
+        const status = {
+            period,
+            workspace: describe(limits.workspace, await AIUsage.getTokensUsed(company._id, period.start))
+        };
+
+        if (userId) {
+            status.user = describe(limits.user, await AIUsage.getTokensUsed(company._id, period.start, userId));
+        }
+
+        return status;
+    }
+
+    /**
+     * Reject the call when the workspace or user has used up the monthly quota
+     * @param {Company} company - Workspace
+     * @param {string} userId - User making the call
+     */
+    async checkQuota(company, userId) {
+        const limits = this.getLimits(company);
+        if (!limits.workspace && !limits.user) return;
+
+        const status = await this.getQuotaStatus(company, userId);
+
+        const exceeded = ['workspace', 'user']
+            .find(scope => status[scope]?.limit && status[scope].used >= status[scope].limit);
+
+        if (exceeded) {
+            throw new APIError('Monthly AI token quota exceeded', 429, {
+                message: `Monthly AI token quota exceeded for this ${exceeded}`,
+                scope: exceeded,
+                limit: status[exceeded].limit,
+                used: status[exceeded].used,
+                resetsAt: status.period.end
+            });
+        }
+    }
+
+    /**
+     * Add a call to the usage ledger. Failures are logged and never fail the call itself.
+     * @param {Object} entry - Usage entry
+     * @param {Company} entry.company - Workspace
+     * @param {string} [entry.user] - User ID
+     * @param {string} [entry.contentId] - Content ID
+     * @param {string} entry.operation - generate, improve, translate, sentiment or embed
+     * @param {string} entry.provider - Provider name
+     * @param {string} entry.model - Model name
+     * @param {Object} [entry.usage] - Normalized token usage
+     * @returns {Promise<AIUsage|undefined>} Ledger entry
+     */
+    async record({ company, user, contentId, operation, provider, model, usage }) {
+        try {
+            return await AIUsage.create({
+                company: company._id,
+                user,
+                contentId,
+                operation,
+                provider,
+                model,
+                ...usage,
+                cost: this.estimateCost(model, usage)
+            });
+        } catch (error) {
+            logger.error('Error recording AI usage:', {
+                error: error.message,
+                companyId: company._id,
+                operation
+            });
+        }
+    }
+
+    /**
+     * Build the usage report for a workspace
+     * @param {string} companyId - Workspace ID
+     * @param {Object} filters - Report filters
+     * @param {Date} filters.startDate - Start of range
+     * @param {Date} filters.endDate - End of range
+     * @param {string} [filters.userId] - Only include this user
+     * @returns {Promise<Object>} Totals, per-model, per-user and per-operation breakdowns
+     */
+    async getReport(companyId, { startDate, endDate, userId }) {
+        const match = {
+            company: new mongoose.Types.ObjectId(companyId),
+            createdAt: { $gte: startDate, $lte: endDate }
+        };
+
+        if (userId) {
+            match.user = new mongoose.Types.ObjectId(userId);
+        }
+
+        const sums = {
+            requests: { $sum: 1 },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+            totalTokens: { $sum: '$totalTokens' },
+            cost: { $sum: '$cost' }
+        };
+
+        const [result] = await AIUsage.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    totals: [
+                        { $group: { _id: null, ...sums } },
+                        { $project: { _id: 0 } }
+                    ],
+                    byModel: [
+                        { $group: { _id: { provider: '$provider', model: '$model' }, ...sums } },
+                        { $project: { _id: 0, provider: '$_id.provider', model: '$_id.model', requests: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1, cost: 1 } },
+                        { $sort: { cost: -1, totalTokens: -1 } }
+                    ],
+                    byOperation: [
+                        { $group: { _id: '$operation', ...sums } },
+                        { $project: { _id: 0, operation: '$_id', requests: 1, totalTokens: 1, cost: 1 } },
+                        { $sort: { totalTokens: -1 } }
+                    ],
+                    byUser: [
+                        { $group: { _id: '$user', ...sums } },
+                        {
+                            $lookup: {
+                                from: 'users',
+                                localField: '_id',
+                                foreignField: '_id',
+                                as: 'user'
+                            }
+                        },
+                        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+                        { $project: { _id: 0, userId: '$_id', name: '$user.name', email: '$user.email', requests: 1, totalTokens: 1, cost: 1 } },
+                        { $sort: { totalTokens: -1 } }
+                    ]
+                }
+            }
+        ]);
+
+        return {
+            totals: result.totals[0] || { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 },
+            byModel: result.byModel,
+            byOperation: result.byOperation,
+            byUser: result.byUser
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new UsageService();
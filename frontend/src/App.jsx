@@ -10,6 +10,7 @@ const Dashboard = React.lazy(() => import('@/pages/Dashboard'));
 const ContentGenerator = React.lazy(() => import('@/pages/ContentGenerator'));
 const ContentList = React.lazy(() => import('@/pages/ContentList'));
 const Analytics = React.lazy(() => import('@/pages/Analytics'));
+const Calendar = React.lazy(() => import('@/pages/Calendar'));
 const FigmaIntegration = React.lazy(() => import('@/pages/FigmaIntegration'));
 const Settings = React.lazy(() => import('@/pages/Settings'));
 const Login = React.lazy(() => import('@/pages/auth/Login'));
@@ -67,6 +68,7 @@ function App() {
               <Route path="new" element={<ContentGenerator />} />
               <Route path=":id" element={<ContentGenerator />} />
             </Route>
+            <Route path="/calendar" element={<Calendar />} />
             <Route path="/analytics" element={<Analytics />} />
             <Route path="/figma" element={<FigmaIntegration />} />
             <Route path="/settings" element={<Settings />} />
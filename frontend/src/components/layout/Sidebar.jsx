@@ -5,6 +5,7 @@ import {
   XMarkIcon,
   HomeIcon,
   DocumentTextIcon,
+  CalendarDaysIcon,
   ChartBarIcon,
   PuzzlePieceIcon,
   Cog6ToothIcon,
@@ -13,6 +14,7 @@ import {
 const navigation = [
   { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
   { name: 'Content', href: '/content', icon: DocumentTextIcon },
+  { name: 'Calendar', href: '/calendar', icon: CalendarDaysIcon },
   { name: 'Analytics', href: '/analytics', icon: ChartBarIcon },
   { name: 'Figma Integration', href: '/figma', icon: PuzzlePieceIcon },
   { name: 'Settings', href: '/settings', icon: Cog6ToothIcon },
@@ -0,0 +1,360 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ArrowDownTrayIcon,
+  LinkIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import calendarService from '@/services/calendarService';
+import contentService from '@/services/contentService';
+import { useToast } from '@/store/toastStore';
+
+const VIEWS = ['day', 'week', 'month'];
+const CHANNELS = ['website', 'twitter', 'linkedin', 'email', 'slack'];
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const STATE_STYLES = {
+  scheduled: 'bg-primary-50 border-primary-200 text-primary-900 cursor-move',
+  published: 'bg-green-50 border-green-200 text-green-900',
+  failed: 'bg-red-50 border-red-200 text-red-900'
+};
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['UTC', Intl.DateTimeFormat().resolvedOptions().timeZone];
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @param {string} iso - ISO 8601 instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} date (YYYY-MM-DD) and time (HH:mm:ss)
+ */
+const getZoned = (iso, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(iso)).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+};
+
+/**
+ * Add days to a YYYY-MM-DD day
+ * @param {string} day - Day
+ * @param {number} days - Days to add
+ * @returns {string} Day
+ */
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Count the days between two YYYY-MM-DD days
+ * @param {string} from - Start day
+ * @param {string} to - End day
+ * @returns {number} Days
+ */
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * Move a day by one period of a view
+ * @param {string} day - Day
+ * @param {string} view - day, week or month
+ * @param {number} step - 1 forward, -1 back
+ * @returns {string} Day
+ */
+const shiftPeriod = (day, view, step) => {
+  if (view === 'day') return addDays(day, step);
+  if (view === 'week') return addDays(day, step * 7);
+
+  const date = new Date(`${day.slice(0, 8)}01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + step);
+  return date.toISOString().slice(0, 10);
+};
+
+const Calendar = () => {
+  const toast = useToast();
+  const queryClient = useQueryClient();
+
+  const [view, setView] = useState('week');
+  const [date, setDate] = useState(() => getZoned(new Date().toISOString(), Intl.DateTimeFormat().resolvedOptions().timeZone).date);
+  const [timezone, setTimezone] = useState('');
+  const [channel, setChannel] = useState('');
+  const [feedUrl, setFeedUrl] = useState('');
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const params = { view, date, timezone: timezone || undefined, channel: channel || undefined };
+
+  const { data, isLoading } = useQuery(
+    ['calendar', params],
+    () => calendarService.getCalendar(params),
+    { keepPreviousData: true, staleTime: 0 }
+  );
+
+  const conflictsByDay = useMemo(() => {
+    const byDay = {};
+    (data?.conflicts || []).forEach((conflict) => {
+      byDay[conflict.date] = [...(byDay[conflict.date] || []), conflict];
+    });
+    return byDay;
+  }, [data]);
+
+  const reschedule = useMutation(
+    ({ id, body }) => contentService.rescheduleContent(id, body),
+    {
+      onSuccess: () => {
+        toast.success('Content rescheduled');
+        queryClient.invalidateQueries('calendar');
+      }
+    }
+  );
+
+  // Keep the time of day and the schedule's own timezone; only the day changes
+  const handleDrop = async (day, entry) => {
+    setDropTarget(null);
+
+    const sourceDay = getZoned(entry.at, data.timezone).date;
+    if (sourceDay === day) return;
+
+    const entryTimezone = entry.timezone || data.timezone;
+    const wallClock = getZoned(entry.at, entryTimezone);
+    const body = {
+      publishAt: `${addDays(wallClock.date, daysBetween(sourceDay, day))}T${wallClock.time}`,
+      timezone: entryTimezone
+    };
+
+    try {
+      await reschedule.mutateAsync({ id: entry.contentId, body });
+    } catch (error) {
+      const conflicts = error.response?.data?.details?.conflicts;
+
+      if (error.response?.status === 409 && conflicts) {
+        const summary = conflicts
+          .map((conflict) => `${conflict.channel}: ${conflict.count} posts (limit ${conflict.limit})`)
+          .join('\n');
+
+        if (window.confirm(`Too many posts that day:\n${summary}\n\nReschedule anyway?`)) {
+          await reschedule.mutateAsync({ id: entry.contentId, body: { ...body, force: true } })
+            .catch((retryError) => toast.error(retryError.response?.data?.message || 'Rescheduling failed'));
+        }
+        return;
+      }
+
+      toast.error(error.response?.data?.message || 'Rescheduling failed');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await calendarService.exportCalendar(params);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `content-calendar-${date}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Export failed');
+    }
+  };
+
+  const handleSubscribe = async () => {
+    try {
+      const { url } = await calendarService.createFeed();
+      setFeedUrl(url);
+      await navigator.clipboard?.writeText(url);
+      toast.success('Feed URL copied. Previous feed URLs no longer work.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not create the feed');
+    }
+  };
+
+  const days = data?.days || [];
+  const leadingBlanks = view === 'month' && days.length
+    ? (new Date(`${days[0].date}T00:00:00Z`).getUTCDay() + 6) % 7
+    : 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-2xl font-semibold text-gray-900">Content calendar</h1>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={handleExport}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" aria-hidden="true" />
+            Export iCal
+          </button>
+          <button
+            type="button"
+            onClick={handleSubscribe}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <LinkIcon className="h-5 w-5 mr-2" aria-hidden="true" />
+            Subscribe
+          </button>
+        </div>
+      </div>
+
+      {feedUrl && (
+        <input
+          type="text"
+          readOnly
+          value={feedUrl}
+          onFocus={(event) => event.target.select()}
+          className="block w-full rounded-md border-gray-300 text-sm text-gray-700"
+        />
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="inline-flex rounded-md shadow-sm">
+          {VIEWS.map((item) => (
+            <button
+              key={item}
+              type="button"
+              onClick={() => setView(item)}
+              className={`px-3 py-2 text-sm font-medium border border-gray-300 first:rounded-l-md last:rounded-r-md -ml-px first:ml-0 capitalize ${
+                view === item ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {item}
+            </button>
+          ))}
+        </div>
+
+        <div className="inline-flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => setDate(shiftPeriod(date, view, -1))}
+            className="p-2 rounded-md text-gray-500 hover:bg-gray-100"
+          >
+            <span className="sr-only">Previous</span>
+            <ChevronLeftIcon className="h-5 w-5" aria-hidden="true" />
+          </button>
+          <input
+            type="date"
+            value={date}
+            onChange={(event) => event.target.value && setDate(event.target.value)}
+            className="rounded-md border-gray-300 text-sm"
+          />
+          <button
+            type="button"
+            onClick={() => setDate(shiftPeriod(date, view, 1))}
+            className="p-2 rounded-md text-gray-500 hover:bg-gray-100"
+          >
+            <span className="sr-only">Next</span>
+            <ChevronRightIcon className="h-5 w-5" aria-hidden="true" />
+          </button>
+        </div>
+
+        <select
+          value={channel}
+          onChange={(event) => setChannel(event.target.value)}
+          className="rounded-md border-gray-300 text-sm capitalize"
+        >
+          <option value="">All channels</option>
+          {CHANNELS.map((item) => (
+            <option key={item} value={item}>{item}</option>
+          ))}
+        </select>
+
+        <select
+          value={timezone}
+          onChange={(event) => setTimezone(event.target.value)}
+          className="rounded-md border-gray-300 text-sm"
+        >
+          <option value="">Workspace timezone{data && !timezone ? ` (${data.timezone})` : ''}</option>
+          {TIMEZONES.map((item) => (
+            <option key={item} value={item}>{item}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading calendar…</p>
+      ) : (
+        <div className={`grid gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden ${view === 'day' ? 'grid-cols-1' : 'grid-cols-7'}`}>
+          {view !== 'day' && WEEKDAYS.map((weekday) => (
+            <div key={weekday} className="bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500 text-center">
+              {weekday}
+            </div>
+          ))}
+
+          {Array.from({ length: leadingBlanks }, (value, index) => (
+            <div key={`blank-${index}`} className="bg-gray-50" />
+          ))}
+
+          {days.map((day) => {
+            const conflicts = conflictsByDay[day.date] || [];
+
+            return (
+              <div
+                key={day.date}
+                onDragOver={(event) => {
+                  event.preventDefault();
+                  setDropTarget(day.date);
+                }}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={(event) => {
+                  event.preventDefault();
+                  handleDrop(day.date, JSON.parse(event.dataTransfer.getData('application/json')));
+                }}
+                className={`bg-white p-2 space-y-1 ${view === 'month' ? 'min-h-[7rem]' : 'min-h-[14rem]'} ${
+                  dropTarget === day.date ? 'ring-2 ring-inset ring-primary-400' : ''
+                } ${conflicts.length ? 'bg-red-50' : ''}`}
+              >
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                  <span className="font-medium">{day.date.slice(8)}</span>
+                  {conflicts.length > 0 && (
+                    <span
+                      className="inline-flex items-center text-red-600"
+                      title={conflicts.map((conflict) => `${conflict.channel}: ${conflict.count} posts, limit ${conflict.limit}`).join('\n')}
+                    >
+                      <ExclamationTriangleIcon className="h-4 w-4 mr-1" aria-hidden="true" />
+                      {conflicts.map((conflict) => conflict.channel).join(', ')}
+                    </span>
+                  )}
+                </div>
+
+                {day.entries.map((entry) => (
+                  <Link
+                    key={`${entry.contentId}-${entry.channel}`}
+                    to={`/content/${entry.contentId}`}
+                    draggable={entry.state === 'scheduled'}
+                    onDragStart={(event) => event.dataTransfer.setData('application/json', JSON.stringify(entry))}
+                    className={`block rounded border px-2 py-1 text-xs ${STATE_STYLES[entry.state]}`}
+                    title={`${entry.title} (${entry.state})`}
+                  >
+                    <span className="font-medium">{getZoned(entry.at, data.timezone).time.slice(0, 5)}</span>{' '}
+                    <span className="capitalize">{entry.channel}</span>
+                    <span className="block truncate">{entry.title}</span>
+                  </Link>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Calendar;
@@ -169,6 +169,50 @@ class AnalyticsService {
     const response = await axios.get(`/api/analytics/content/${contentId}/impact`);
     return response.data;
   }
+
+  /**
+   * Get AI token usage, cost estimates and quota status
+   * @param {Object} filters - Date range and optional user
+   * @returns {Promise} AI usage report
+   */
+  async getAIUsage(filters = {}) {
+    const response = await axios.get('/api/analytics/ai-usage', {
+      params: filters
+    });
+    return response.data;
+  }
+
+  /**
+   * Get the rolled-up metrics of a campaign's content
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} params - Query parameters (startDate, endDate)
+   * @returns {Promise} Totals and metrics per type, content and channel
+   */
+  async getCampaignAnalytics(campaignId, params = {}) {
+    const response = await axios.get(`/api/analytics/campaigns/${campaignId}`, { params });
+    return response.data;
+  }
+
+  /**
+   * Analyze the sentiment of a text, overall and per aspect
+   * @param {string} text - Text to analyze
+   * @param {string[]} [aspects] - Aspects to rate
+   * @returns {Promise} Sentiment analysis
+   */
+  async analyzeSentiment(text, aspects) {
+    const response = await axios.post('/api/analytics/sentiment/analyze', { text, aspects });
+    return response.data;
+  }
+
+  /**
+   * Score comments on a content item that have not been analyzed yet
+   * @param {string} contentId - Content ID
+   * @returns {Promise} Number of comments scored and the content's sentiment
+   */
+  async scoreContentSentiment(contentId) {
+    const response = await axios.post(`/api/analytics/content/${contentId}/sentiment`);
+    return response.data;
+  }
 }
 
 export default new AnalyticsService();
\ No newline at end of file
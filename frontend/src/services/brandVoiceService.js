@@ -0,0 +1,65 @@
+import axios from '@/utils/axios';
+
+class BrandVoiceService {
+  /**
+   * List brand voices in the active workspace
+   * @returns {Promise} Brand voices
+   */
+  async listBrandVoices() {
+    const response = await axios.get('/api/brand-voices');
+    return response.data;
+  }
+
+  /**
+   * Get a brand voice
+   * @param {string} id - Brand voice ID
+   * @returns {Promise} Brand voice
+   */
+  async getBrandVoice(id) {
+    const response = await axios.get(`/api/brand-voices/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Create a brand voice
+   * @param {Object} data - Brand voice data
+   * @returns {Promise} Created brand voice
+   */
+  async createBrandVoice(data) {
+    const response = await axios.post('/api/brand-voices', data);
+    return response.data;
+  }
+
+  /**
+   * Update a brand voice
+   * @param {string} id - Brand voice ID
+   * @param {Object} data - Update data
+   * @returns {Promise} Updated brand voice
+   */
+  async updateBrandVoice(id, data) {
+    const response = await axios.put(`/api/brand-voices/${id}`, data);
+    return response.data;
+  }
+
+  /**
+   * Delete a brand voice
+   * @param {string} id - Brand voice ID
+   * @returns {Promise} Delete response
+   */
+  async deleteBrandVoice(id) {
+    const response = await axios.delete(`/api/brand-voices/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Make a brand voice the workspace default
+   * @param {string} id - Brand voice ID
+   * @returns {Promise} Default brand voice
+   */
+  async setDefaultBrandVoice(id) {
+    const response = await axios.post(`/api/brand-voices/${id}/default`);
+    return response.data;
+  }
+}
+
+export default new BrandVoiceService();
@@ -0,0 +1,46 @@
+import axios from '@/utils/axios';
+
+class CalendarService {
+  /**
+   * Get scheduled and published content by day
+   * @param {Object} params - view (day, week, month), date (YYYY-MM-DD), timezone and channel
+   * @returns {Promise} Days with entries, conflicts and daily limits
+   */
+  async getCalendar(params = {}) {
+    const response = await axios.get('/api/calendar', { params });
+    return response.data;
+  }
+
+  /**
+   * Download a period of the calendar as an iCal file
+   * @param {Object} params - view, date, timezone and channel
+   * @returns {Promise<Blob>} iCal file
+   */
+  async exportCalendar(params = {}) {
+    const response = await axios.get('/api/calendar/export.ics', {
+      params,
+      responseType: 'blob'
+    });
+    return response.data;
+  }
+
+  /**
+   * Create the calendar subscription feed, replacing any previous one
+   * @returns {Promise} Feed URL
+   */
+  async createFeed() {
+    const response = await axios.post('/api/calendar/feed');
+    return response.data;
+  }
+
+  /**
+   * Revoke the calendar subscription feed
+   * @returns {Promise} Revoke response
+   */
+  async revokeFeed() {
+    const response = await axios.delete('/api/calendar/feed');
+    return response.data;
+  }
+}
+
+export default new CalendarService();
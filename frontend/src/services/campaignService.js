@@ -0,0 +1,66 @@
+import axios from '@/utils/axios';
+
+class CampaignService {
+  /**
+   * List campaigns in the active workspace
+   * @returns {Promise} Campaigns with their combined status
+   */
+  async listCampaigns() {
+    const response = await axios.get('/api/campaigns');
+    return response.data;
+  }
+
+  /**
+   * Get a campaign with its content
+   * @param {string} id - Campaign ID
+   * @returns {Promise} Campaign, content and combined status
+   */
+  async getCampaign(id) {
+    const response = await axios.get(`/api/campaigns/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Create a campaign and start generating its content from the brief
+   * @param {Object} data - Name, prompt, params, brandVoiceId, types
+   * @returns {Promise} Created campaign; poll getCampaign until it is no longer generating
+   */
+  async createCampaign(data) {
+    const response = await axios.post('/api/campaigns', data);
+    return response.data;
+  }
+
+  /**
+   * Update a campaign's name, description or brief
+   * @param {string} id - Campaign ID
+   * @param {Object} data - Update data
+   * @returns {Promise} Updated campaign
+   */
+  async updateCampaign(id, data) {
+    const response = await axios.put(`/api/campaigns/${id}`, data);
+    return response.data;
+  }
+
+  /**
+   * Start generating failed campaign pieces, or add content types to the campaign
+   * @param {string} id - Campaign ID
+   * @param {string[]} [types] - Content types to generate
+   * @returns {Promise} Campaign; poll getCampaign until it is no longer generating
+   */
+  async generateContent(id, types) {
+    const response = await axios.post(`/api/campaigns/${id}/generate`, { types });
+    return response.data;
+  }
+
+  /**
+   * Delete a campaign, keeping its content
+   * @param {string} id - Campaign ID
+   * @returns {Promise} Delete response
+   */
+  async deleteCampaign(id) {
+    const response = await axios.delete(`/api/campaigns/${id}`);
+    return response.data;
+  }
+}
+
+export default new CampaignService();
@@ -0,0 +1,339 @@
+import { API_URL, getAuthToken } from '@/utils/axios';
+
+/*
+ * Client for collaborative editing. Operations use the server's format: an
+ * array where a positive number retains characters, a string inserts it and
+ * a negative number deletes characters. One local operation is in flight at a
+ * time; edits made meanwhile are buffered and composed.
+ */
+
+/**
+ * Merge adjacent components of the same kind
+ * @param {Array} op - Operation
+ * @returns {Array} Normalized operation
+ */
+const normalize = (op) => op.reduce((result, component) => {
+  const last = result[result.length - 1];
+
+  if (typeof component === 'string' && typeof last === 'string') {
+    result[result.length - 1] = last + component;
+  } else if (typeof component === 'number' && typeof last === 'number' &&
+             Math.sign(component) === Math.sign(last)) {
+    result[result.length - 1] = last + component;
+  } else if (component !== 0 && component !== '') {
+    result.push(component);
+  }
+
+  return result;
+}, []);
+
+/**
+ * Apply an operation to a text
+ * @param {string} text - Document text
+ * @param {Array} op - Operation
+ * @returns {string} New text
+ */
+export const applyOperation = (text, op) => {
+  let index = 0;
+  let result = '';
+
+  op.forEach((component) => {
+    if (typeof component === 'string') {
+      result += component;
+    } else if (component > 0) {
+      result += text.slice(index, index + component);
+      index += component;
+    } else {
+      index -= component;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Transform concurrent operations; `a` wins ties, as on the server
+ * @param {Array} a - Operation applied first on the server
+ * @param {Array} b - Concurrent operation
+ * @returns {Array[]} [a', b']
+ */
+const transform = (a, b) => {
+  const aPrime = [];
+  const bPrime = [];
+  const opsA = [...a];
+  const opsB = [...b];
+  let compA = opsA.shift();
+  let compB = opsB.shift();
+
+  while (compA !== undefined || compB !== undefined) {
+    if (typeof compA === 'string') {
+      aPrime.push(compA);
+      bPrime.push(compA.length);
+      compA = opsA.shift();
+    } else if (typeof compB === 'string') {
+      aPrime.push(compB.length);
+      bPrime.push(compB);
+      compB = opsB.shift();
+    } else {
+      const lengthA = Math.abs(compA);
+      const lengthB = Math.abs(compB);
+      const length = Math.min(lengthA, lengthB);
+
+      if (compA > 0 && compB > 0) {
+        aPrime.push(length);
+        bPrime.push(length);
+      } else if (compA < 0 && compB > 0) {
+        aPrime.push(-length);
+      } else if (compA > 0 && compB < 0) {
+        bPrime.push(-length);
+      }
+
+      compA = lengthA > length ? Math.sign(compA) * (lengthA - length) : opsA.shift();
+      compB = lengthB > length ? Math.sign(compB) * (lengthB - length) : opsB.shift();
+    }
+  }
+
+  return [normalize(aPrime), normalize(bPrime)];
+};
+
+/**
+ * Combine two consecutive operations into one
+ * @param {Array} a - First operation
+ * @param {Array} b - Operation applied after `a`
+ * @returns {Array} Operation with the effect of both
+ */
+const compose = (a, b) => {
+  const result = [];
+  const opsA = [...a];
+  const opsB = [...b];
+  let compA = opsA.shift();
+  let compB = opsB.shift();
+
+  while (compA !== undefined || compB !== undefined) {
+    if (typeof compA === 'number' && compA < 0) {
+      result.push(compA);
+      compA = opsA.shift();
+    } else if (typeof compB === 'string') {
+      result.push(compB);
+      compB = opsB.shift();
+    } else if (typeof compA === 'string') {
+      // Text inserted by `a` that `b` keeps or deletes
+      const length = Math.min(compA.length, Math.abs(compB));
+      if (compB > 0) result.push(compA.slice(0, length));
+
+      compA = compA.length > length ? compA.slice(length) : opsA.shift();
+      compB = Math.abs(compB) > length ? Math.sign(compB) * (Math.abs(compB) - length) : opsB.shift();
+    } else {
+      const length = Math.min(compA, Math.abs(compB));
+      result.push(compB > 0 ? length : -length);
+
+      compA = compA > length ? compA - length : opsA.shift();
+      compB = Math.abs(compB) > length ? Math.sign(compB) * (Math.abs(compB) - length) : opsB.shift();
+    }
+  }
+
+  return normalize(result);
+};
+
+/**
+ * Move a cursor position through an operation
+ * @param {number} position - Character offset before the operation
+ * @param {Array} op - Operation
+ * @returns {number} Offset after the operation
+ */
+export const transformPosition = (position, op) => {
+  let index = 0;
+  let result = position;
+
+  for (const component of op) {
+    if (index >= position) break;
+
+    if (typeof component === 'string') {
+      result += component.length;
+    } else if (component > 0) {
+      index += component;
+    } else {
+      result -= Math.min(-component, position - index);
+      index -= component;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Build the operation that turns one text into another, changing only the
+ * span between their common prefix and suffix
+ * @param {string} before - Text before the edit
+ * @param {string} after - Text after the edit
+ * @returns {Array} Operation
+ */
+export const diffToOperation = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start += 1;
+
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+         before[before.length - 1 - end] === after[after.length - 1 - end]) end += 1;
+
+  return normalize([
+    start,
+    -(before.length - start - end),
+    after.slice(start, after.length - end),
+    end
+  ]);
+};
+
+class CollaborationSession {
+  /**
+   * @param {string} contentId - Content ID
+   * @param {Object} handlers - Callbacks: onInit, onChange(text, op), onPresence(users),
+   *   onCheckpoint(version), onError(message, resync)
+   */
+  constructor(contentId, handlers = {}) {
+    this.handlers = handlers;
+    this.text = '';
+    this.revision = 0;
+    this.pending = null;
+    this.buffer = null;
+    this.users = new Map();
+
+    const url = new URL(`/ws/content/${contentId}`, API_URL);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.searchParams.set('token', getAuthToken());
+
+    this.socket = new WebSocket(url);
+    this.socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+    this.socket.onclose = () => this.handlers.onClose?.();
+  }
+
+  /**
+   * Send a local edit
+   * @param {string} text - Editor text after the edit
+   */
+  edit(text) {
+    const op = diffToOperation(this.text, text);
+    if (op.every((component) => typeof component === 'number' && component > 0)) return;
+
+    this.text = text;
+    this.users.forEach((user) => this.moveCursor(user, op));
+
+    if (this.pending) {
+      this.buffer = this.buffer ? compose(this.buffer, op) : op;
+    } else {
+      this.pending = op;
+      this.send({ type: 'op', revision: this.revision, op });
+    }
+  }
+
+  /**
+   * Share the local cursor or selection
+   * @param {number} position - Cursor offset
+   * @param {number} [selectionEnd] - End of the selection
+   */
+  setCursor(position, selectionEnd = position) {
+    this.send({ type: 'cursor', position, selectionEnd });
+  }
+
+  /**
+   * Leave the session
+   */
+  close() {
+    this.socket.close();
+  }
+
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  moveCursor(user, op) {
+    if (!user.cursor) return;
+
+    user.cursor = {
+      position: transformPosition(user.cursor.position, op),
+      selectionEnd: transformPosition(user.cursor.selectionEnd, op)
+    };
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'init':
+        this.clientId = message.clientId;
+        this.text = message.content;
+        this.revision = message.revision;
+        this.users = new Map(message.users.map((user) => [user.clientId, user]));
+        this.handlers.onInit?.(message);
+        this.handlers.onPresence?.([...this.users.values()]);
+        break;
+
+      case 'ack':
+        this.revision = message.revision;
+        this.pending = this.buffer;
+        this.buffer = null;
+        if (this.pending) {
+          this.send({ type: 'op', revision: this.revision, op: this.pending });
+        }
+        break;
+
+      case 'op': {
+        // Rebase the remote edit over local edits the server has not seen yet
+        let { op } = message;
+        if (this.pending) [op, this.pending] = transform(op, this.pending);
+        if (this.buffer) [op, this.buffer] = transform(op, this.buffer);
+
+        this.revision = message.revision;
+        this.text = applyOperation(this.text, op);
+        this.users.forEach((user) => this.moveCursor(user, op));
+        this.handlers.onChange?.(this.text, op);
+        this.handlers.onPresence?.([...this.users.values()]);
+        break;
+      }
+
+      case 'cursor': {
+        const user = this.users.get(message.clientId);
+        if (user) {
+          user.cursor = { position: message.position, selectionEnd: message.selectionEnd };
+          this.handlers.onPresence?.([...this.users.values()]);
+        }
+        break;
+      }
+
+      case 'join':
+        this.users.set(message.clientId, { clientId: message.clientId, user: message.user, cursor: null });
+        this.handlers.onPresence?.([...this.users.values()]);
+        break;
+
+      case 'leave':
+        this.users.delete(message.clientId);
+        this.handlers.onPresence?.([...this.users.values()]);
+        break;
+
+      case 'checkpoint':
+        this.handlers.onCheckpoint?.(message.version);
+        break;
+
+      case 'error':
+        this.handlers.onError?.(message.message, message.resync);
+        break;
+
+      default:
+        break;
+    }
+  }
+}
+
+class CollaborationService {
+  /**
+   * Join the collaborative editing session of a content item
+   * @param {string} contentId - Content ID
+   * @param {Object} handlers - Session callbacks (see CollaborationSession)
+   * @returns {CollaborationSession} Session
+   */
+  connect(contentId, handlers) {
+    return new CollaborationSession(contentId, handlers);
+  }
+}
+
+export default new CollaborationService();
@@ -1,4 +1,23 @@
-import axios from '@/utils/axios';
+import axios, { API_URL, getAuthToken } from '@/utils/axios';
+
+// Non-streaming generation waits for the whole completion
+const GENERATION_TIMEOUT = 120000;
+
+/**
+ * Parse one Server-Sent Event block
+ * @param {string} block - Raw event text
+ * @returns {Object} Event name and parsed data
+ */
+const parseEvent = (block) => {
+  const event = { name: 'message', data: '' };
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event.name = line.slice(6).trim();
+    if (line.startsWith('data:')) event.data += line.slice(5).trim();
+  });
+
+  return { name: event.name, data: event.data ? JSON.parse(event.data) : null };
+};
 
 class ContentService {
   /**
@@ -7,28 +26,150 @@ class ContentService {
    * @returns {Promise} Generated content
    */
   async generateContent(data) {
-    const response = await axios.post('/api/content/generate', data);
+    const response = await axios.post('/api/content/generate', data, {
+      timeout: GENERATION_TIMEOUT
+    });
+    return response.data;
+  }
+
+  /**
+   * Generate several variants of the same brief
+   * @param {Object} data - Content generation data with count, angles or temperatures
+   * @returns {Promise} Content with variants
+   */
+  async generateVariants(data) {
+    const response = await axios.post('/api/content/generate/variants', data, {
+      timeout: GENERATION_TIMEOUT * 2
+    });
+    return response.data;
+  }
+
+  /**
+   * Generate a changelog from a git log or merged pull requests
+   * @param {Object} data - Version, source ('git' or 'pull_requests') and log or pullRequests
+   * @returns {Promise} Generated changelog and change counts
+   */
+  async generateChangelog(data) {
+    const response = await axios.post('/api/content/generate/changelog', data, {
+      timeout: GENERATION_TIMEOUT
+    });
+    return response.data;
+  }
+
+  /**
+   * Select a variant as the content
+   * @param {string} id - Content ID
+   * @param {string} variantId - Variant ID
+   * @returns {Promise} Updated content
+   */
+  async selectVariant(id, variantId) {
+    const response = await axios.post(`/api/content/${id}/variants/${variantId}/select`);
+    return response.data;
+  }
+
+  /**
+   * Start an A/B test of two variants on a channel
+   * @param {string} id - Content ID
+   * @param {Object} data - Channel, optional variantIds and window in hours
+   * @returns {Promise} A/B test
+   */
+  async startABTest(id, data) {
+    const response = await axios.post(`/api/content/${id}/ab-test`, data);
+    return response.data;
+  }
+
+  /**
+   * Get an A/B test and its results
+   * @param {string} id - Content ID
+   * @returns {Promise} A/B test and results
+   */
+  async getABTest(id) {
+    const response = await axios.get(`/api/content/${id}/ab-test`);
+    return response.data;
+  }
+
+  /**
+   * Cancel a running A/B test
+   * @param {string} id - Content ID
+   * @returns {Promise} Cancelled A/B test
+   */
+  async cancelABTest(id) {
+    const response = await axios.post(`/api/content/${id}/ab-test/cancel`);
     return response.data;
   }
 
+  /**
+   * Generate new content, receiving tokens as they are produced
+   * @param {Object} data - Content generation data
+   * @param {Object} options - Stream options
+   * @param {Function} [options.onToken] - Called with each chunk of generated text
+   * @param {AbortSignal} [options.signal] - Aborting cancels generation; nothing is saved
+   * @returns {Promise} Generated content, once the stream completes
+   */
+  async streamContent(data, { onToken, signal } = {}) {
+    const response = await fetch(`${API_URL}/api/content/generate/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${getAuthToken()}`
+      },
+      body: JSON.stringify(data),
+      signal
+    });
+
+    // Validation and lookup errors are returned before the stream opens
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || 'Error generating content');
+      error.status = response.status;
+      error.details = body.details;
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const event = parseEvent(block);
+
+        if (event.name === 'token') onToken?.(event.data.token);
+        if (event.name === 'done') return event.data;
+        if (event.name === 'error') throw new Error(event.data.error);
+      }
+    }
+
+    throw new Error('Content stream ended unexpectedly');
+  }
+
   /**
    * Improve existing content
    * @param {string} contentId - Content ID
-   * @param {string} feedback - Improvement feedback
+   * @param {string} [feedback] - Improvement feedback
+   * @param {Object} [options] - Comment `threadIds` to use as feedback and whether to `resolveThreads`
    * @returns {Promise} Improved content
    */
-  async improveContent(contentId, feedback) {
+  async improveContent(contentId, feedback, options = {}) {
     const response = await axios.post('/api/content/improve', {
       contentId,
-      feedback
+      feedback,
+      ...options
     });
     return response.data;
   }
 
   /**
-   * Get content list
-   * @param {Object} params - Query parameters
-   * @returns {Promise} Content list
+   * Search and list content
+   * @param {Object} params - Query parameters (q, type, status, tags, author, from, to, cursor, limit)
+   * @returns {Promise} Content list with tag facets and the next page cursor
    */
   async listContent(params = {}) {
     const response = await axios.get('/api/content', { params });
@@ -48,7 +189,7 @@ class ContentService {
   /**
    * Update content
    * @param {string} id - Content ID
-   * @param {Object} data - Update data
+   * @param {Object} data - Update data, with the `version` the edit started from
    * @returns {Promise} Updated content
    */
   async updateContent(id, data) {
@@ -88,6 +229,186 @@ class ContentService {
     return response.data;
   }
 
+  /**
+   * Move scheduled content to another time
+   * @param {string} id - Content ID
+   * @param {Object} data - publishAt, optional timezone, and force to accept conflicts
+   * @returns {Promise} Rescheduled content and any accepted conflicts
+   */
+  async rescheduleContent(id, data) {
+    const response = await axios.patch(`/api/content/${id}/schedule`, data);
+    return response.data;
+  }
+
+  /**
+   * Get review state and comments
+   * @param {string} id - Content ID
+   * @returns {Promise} Review details
+   */
+  async getReview(id) {
+    const response = await axios.get(`/api/content/${id}/review`);
+    return response.data;
+  }
+
+  /**
+   * Submit content for review
+   * @param {string} id - Content ID
+   * @param {string[]} reviewers - Reviewer user IDs
+   * @returns {Promise} Submit response
+   */
+  async submitForReview(id, reviewers = []) {
+    const response = await axios.post(`/api/content/${id}/review/submit`, { reviewers });
+    return response.data;
+  }
+
+  /**
+   * Approve content or request changes
+   * @param {string} id - Content ID
+   * @param {string} decision - approve or request_changes
+   * @param {string} comment - Reviewer comment
+   * @param {string[]} [variantIds] - Variants approved along with the content
+   * @returns {Promise} Review response
+   */
+  async reviewContent(id, decision, comment, variantIds) {
+    const response = await axios.post(`/api/content/${id}/review/decision`, {
+      decision,
+      comment,
+      variantIds
+    });
+    return response.data;
+  }
+
+  /**
+   * Add a review comment
+   * @param {string} id - Content ID
+   * @param {string} body - Comment text
+   * @returns {Promise} Comment response
+   */
+  async addReviewComment(id, body) {
+    const response = await axios.post(`/api/content/${id}/review/comments`, { body });
+    return response.data;
+  }
+
+  /**
+   * List comment threads, anchored to the current version
+   * @param {string} id - Content ID
+   * @param {string} [status] - open, resolved or all
+   * @returns {Promise} Comment threads
+   */
+  async getCommentThreads(id, status = 'all') {
+    const response = await axios.get(`/api/content/${id}/threads`, { params: { status } });
+    return response.data;
+  }
+
+  /**
+   * Start a comment thread on a text range
+   * @param {string} id - Content ID
+   * @param {Object} anchor - Range (start, end) and the version it was selected in
+   * @param {string} body - Comment text; @email mentions notify workspace members
+   * @param {string[]} [mentions] - User IDs to mention
+   * @returns {Promise} Created thread
+   */
+  async createCommentThread(id, anchor, body, mentions) {
+    const response = await axios.post(`/api/content/${id}/threads`, { anchor, body, mentions });
+    return response.data;
+  }
+
+  /**
+   * Reply to a comment thread
+   * @param {string} id - Content ID
+   * @param {string} threadId - Thread ID
+   * @param {string} body - Reply text
+   * @param {string[]} [mentions] - User IDs to mention
+   * @returns {Promise} Updated thread
+   */
+  async replyToCommentThread(id, threadId, body, mentions) {
+    const response = await axios.post(`/api/content/${id}/threads/${threadId}/replies`, { body, mentions });
+    return response.data;
+  }
+
+  /**
+   * Mark a comment thread resolved or open again
+   * @param {string} id - Content ID
+   * @param {string} threadId - Thread ID
+   * @param {boolean} [resolved] - Resolve (true) or reopen (false)
+   * @returns {Promise} Updated thread
+   */
+  async resolveCommentThread(id, threadId, resolved = true) {
+    const action = resolved ? 'resolve' : 'unresolve';
+    const response = await axios.post(`/api/content/${id}/threads/${threadId}/${action}`);
+    return response.data;
+  }
+
+  /**
+   * Preview content as rendered for distribution channels
+   * @param {string} id - Content ID
+   * @param {string} [channel] - Channel to preview (all channels if omitted)
+   * @returns {Promise} Channel previews
+   */
+  async previewContent(id, channel) {
+    const response = await axios.get(`/api/content/${id}/preview`, {
+      params: channel ? { channel } : {}
+    });
+    return response.data;
+  }
+
+  /**
+   * Lint content against the workspace rules
+   * @param {string} id - Content ID
+   * @param {string[]} [channels] - Channels to check post length for
+   * @returns {Promise} Lint result
+   */
+  async lintContent(id, channels) {
+    const response = await axios.post(`/api/content/${id}/lint`, channels ? { channels } : {});
+    return response.data;
+  }
+
+  /**
+   * Translate content into locale variants
+   * @param {string} id - Source content ID
+   * @param {string[]} locales - Target locales, e.g. ['de', 'pt-BR']
+   * @param {Object} [options] - brandVoiceId and ai selection
+   * @returns {Promise} Pending translations; poll getTranslations for their status
+   */
+  async translateContent(id, locales, options = {}) {
+    const response = await axios.post(`/api/content/${id}/translate`, { locales, ...options });
+    return response.data;
+  }
+
+  /**
+   * List the source and locale variants of content
+   * @param {string} id - Content ID (source or variant)
+   * @returns {Promise} Source and translations
+   */
+  async getTranslations(id) {
+    const response = await axios.get(`/api/content/${id}/translations`);
+    return response.data;
+  }
+
+  /**
+   * Repurpose content into another content type
+   * @param {string} id - Source content ID
+   * @param {string} type - Target content type
+   * @param {Object} [options] - prompt, title, params, brandVoiceId, templateId and ai selection
+   * @returns {Promise} Created content
+   */
+  async repurposeContent(id, type, options = {}) {
+    const response = await axios.post(`/api/content/${id}/repurpose`, { type, ...options }, {
+      timeout: GENERATION_TIMEOUT
+    });
+    return response.data;
+  }
+
+  /**
+   * Get what content was repurposed from and what was repurposed from it
+   * @param {string} id - Content ID
+   * @returns {Promise} Ancestors and derivatives
+   */
+  async getLineage(id) {
+    const response = await axios.get(`/api/content/${id}/lineage`);
+    return response.data;
+  }
+
   /**
    * Get content analytics
    * @param {string} id - Content ID
@@ -141,6 +462,37 @@ class ContentService {
     return response.data;
   }
 
+  /**
+   * Diff two content versions word by word
+   * @param {string} id - Content ID
+   * @param {number} from - Version to compare from
+   * @param {number} [to] - Version to compare to (current if omitted)
+   * @returns {Promise} Changes and word counts
+   */
+  async diffContentVersions(id, from, to) {
+    const response = await axios.get(`/api/content/${id}/diff`, {
+      params: to ? { from, to } : { from }
+    });
+    return response.data;
+  }
+
+  /**
+   * Merge an edit made against an older version with the current version
+   * @param {string} id - Content ID
+   * @param {number} baseVersion - Version the edit started from
+   * @param {string} content - Edited text
+   * @param {boolean} [apply] - Save the merge when it has no conflicts
+   * @returns {Promise} Merged text and conflict count
+   */
+  async mergeContent(id, baseVersion, content, apply = false) {
+    const response = await axios.post(`/api/content/${id}/merge`, {
+      baseVersion,
+      content,
+      apply
+    });
+    return response.data;
+  }
+
   /**
    * Restore content version
    * @param {string} id - Content ID
@@ -0,0 +1,109 @@
+import axios from '@/utils/axios';
+
+/**
+ * Read a file as base64, without the data URL prefix
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Base64 contents
+ */
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+class KnowledgeBaseService {
+  /**
+   * List knowledge base documents in the active workspace
+   * @param {Object} [params] - Filters (format)
+   * @returns {Promise} Documents
+   */
+  async listDocuments(params = {}) {
+    const response = await axios.get('/api/knowledge-base/documents', { params });
+    return response.data;
+  }
+
+  /**
+   * Get a document with its extracted text
+   * @param {string} id - Document ID
+   * @returns {Promise} Document
+   */
+  async getDocument(id) {
+    const response = await axios.get(`/api/knowledge-base/documents/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Upload a Markdown, HTML or plain text document
+   * @param {Object} data - Title, format and content
+   * @returns {Promise} Indexed document
+   */
+  async uploadDocument(data) {
+    const response = await axios.post('/api/knowledge-base/documents', data);
+    return response.data;
+  }
+
+  /**
+   * Upload a file, choosing the format from its extension
+   * @param {File} file - Markdown, HTML, PDF or text file
+   * @param {string} [title] - Document title
+   * @returns {Promise} Indexed document
+   */
+  async uploadFile(file, title) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const format = {
+      md: 'markdown',
+      markdown: 'markdown',
+      html: 'html',
+      htm: 'html',
+      pdf: 'pdf'
+    }[extension] || 'text';
+
+    const content = format === 'pdf' ? await readAsBase64(file) : await file.text();
+
+    return this.uploadDocument({ title, format, content });
+  }
+
+  /**
+   * Import published content into the knowledge base
+   * @param {string[]} [contentIds] - Content to import; all published content when omitted
+   * @returns {Promise} Import counts
+   */
+  async importContent(contentIds) {
+    const response = await axios.post('/api/knowledge-base/import', { contentIds });
+    return response.data;
+  }
+
+  /**
+   * Re-chunk and re-embed a document
+   * @param {string} id - Document ID
+   * @returns {Promise} Reindexed document
+   */
+  async reindexDocument(id) {
+    const response = await axios.post(`/api/knowledge-base/documents/${id}/reindex`);
+    return response.data;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document ID
+   * @returns {Promise} Response data
+   */
+  async deleteDocument(id) {
+    const response = await axios.delete(`/api/knowledge-base/documents/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Find the passages most relevant to a query
+   * @param {string} query - Search text
+   * @param {number} [limit] - Maximum passages
+   * @returns {Promise} Passages with scores
+   */
+  async search(query, limit) {
+    const response = await axios.post('/api/knowledge-base/search', { query, limit });
+    return response.data;
+  }
+}
+
+export default new KnowledgeBaseService();
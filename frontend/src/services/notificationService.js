@@ -0,0 +1,25 @@
+import axios from '@/utils/axios';
+
+class NotificationService {
+  /**
+   * List notifications in the active workspace, newest first
+   * @param {Object} [params] - `unread` only and `limit`
+   * @returns {Promise} Notifications and unread count
+   */
+  async listNotifications(params = {}) {
+    const response = await axios.get('/api/notifications', { params });
+    return response.data;
+  }
+
+  /**
+   * Mark notifications read
+   * @param {string[]} [ids] - Notification IDs; all unread ones if omitted
+   * @returns {Promise} Number of notifications updated
+   */
+  async markRead(ids) {
+    const response = await axios.post('/api/notifications/read', ids ? { ids } : {});
+    return response.data;
+  }
+}
+
+export default new NotificationService();
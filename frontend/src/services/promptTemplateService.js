@@ -0,0 +1,118 @@
+import axios from '@/utils/axios';
+
+class PromptTemplateService {
+  /**
+   * List prompt templates in the active workspace
+   * @param {string} [type] - Content type filter
+   * @returns {Promise} Prompt templates
+   */
+  async listTemplates(type) {
+    const response = await axios.get('/api/prompt-templates', { params: { type } });
+    return response.data;
+  }
+
+  /**
+   * List the built-in templates
+   * @returns {Promise} Built-in templates
+   */
+  async listBuiltInTemplates() {
+    const response = await axios.get('/api/prompt-templates/built-in');
+    return response.data;
+  }
+
+  /**
+   * Get a prompt template
+   * @param {string} id - Template ID
+   * @returns {Promise} Prompt template
+   */
+  async getTemplate(id) {
+    const response = await axios.get(`/api/prompt-templates/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Create a prompt template
+   * @param {Object} data - Template data
+   * @returns {Promise} Created template
+   */
+  async createTemplate(data) {
+    const response = await axios.post('/api/prompt-templates', data);
+    return response.data;
+  }
+
+  /**
+   * Update a prompt template
+   * @param {string} id - Template ID
+   * @param {Object} data - Update data
+   * @returns {Promise} Updated template
+   */
+  async updateTemplate(id, data) {
+    const response = await axios.put(`/api/prompt-templates/${id}`, data);
+    return response.data;
+  }
+
+  /**
+   * Delete a prompt template
+   * @param {string} id - Template ID
+   * @returns {Promise} Delete response
+   */
+  async deleteTemplate(id) {
+    const response = await axios.delete(`/api/prompt-templates/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Make a template the workspace default for its content type
+   * @param {string} id - Template ID
+   * @returns {Promise} Default template
+   */
+  async setDefaultTemplate(id) {
+    const response = await axios.post(`/api/prompt-templates/${id}/default`);
+    return response.data;
+  }
+
+  /**
+   * Get template version history
+   * @param {string} id - Template ID
+   * @returns {Promise} Versions
+   */
+  async getVersions(id) {
+    const response = await axios.get(`/api/prompt-templates/${id}/versions`);
+    return response.data;
+  }
+
+  /**
+   * Restore an earlier template version
+   * @param {string} id - Template ID
+   * @param {number} version - Version to restore
+   * @returns {Promise} Updated template
+   */
+  async restoreVersion(id, version) {
+    const response = await axios.post(`/api/prompt-templates/${id}/versions/${version}/restore`);
+    return response.data;
+  }
+
+  /**
+   * Render a stored template
+   * @param {string} id - Template ID
+   * @param {Object} params - Variable values
+   * @param {number} [version] - Template version
+   * @returns {Promise} Rendered prompt
+   */
+  async renderTemplate(id, params, version) {
+    const response = await axios.post(`/api/prompt-templates/${id}/render`, { params, version });
+    return response.data;
+  }
+
+  /**
+   * Render an unsaved template, or the built-in one for a type
+   * @param {Object} data - Type, optional body and variables, and params
+   * @returns {Promise} Rendered prompt
+   */
+  async previewTemplate(data) {
+    const response = await axios.post('/api/prompt-templates/preview', data);
+    return response.data;
+  }
+}
+
+export default new PromptTemplateService();
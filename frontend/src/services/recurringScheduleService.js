@@ -0,0 +1,66 @@
+import axios from '@/utils/axios';
+
+class RecurringScheduleService {
+  /**
+   * List recurring schedules in the active workspace
+   * @returns {Promise} Schedules with their last run
+   */
+  async listSchedules() {
+    const response = await axios.get('/api/recurring-schedules');
+    return response.data;
+  }
+
+  /**
+   * Get a recurring schedule with its run history
+   * @param {string} id - Schedule ID
+   * @returns {Promise} Schedule and runs, newest first
+   */
+  async getSchedule(id) {
+    const response = await axios.get(`/api/recurring-schedules/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Create a recurring schedule
+   * @param {Object} data - Name, type, prompt, cron, timezone, templateId, autoPublish
+   * @returns {Promise} Created schedule
+   */
+  async createSchedule(data) {
+    const response = await axios.post('/api/recurring-schedules', data);
+    return response.data;
+  }
+
+  /**
+   * Update a recurring schedule
+   * @param {string} id - Schedule ID
+   * @param {Object} data - Update data
+   * @returns {Promise} Updated schedule
+   */
+  async updateSchedule(id, data) {
+    const response = await axios.put(`/api/recurring-schedules/${id}`, data);
+    return response.data;
+  }
+
+  /**
+   * Start a run of a recurring schedule now. Poll getSchedule until its
+   * lockedAt is cleared for the recorded run.
+   * @param {string} id - Schedule ID
+   * @returns {Promise} Schedule with the run in progress
+   */
+  async runSchedule(id) {
+    const response = await axios.post(`/api/recurring-schedules/${id}/run`);
+    return response.data;
+  }
+
+  /**
+   * Delete a recurring schedule, keeping the content it generated
+   * @param {string} id - Schedule ID
+   * @returns {Promise} Delete response
+   */
+  async deleteSchedule(id) {
+    const response = await axios.delete(`/api/recurring-schedules/${id}`);
+    return response.data;
+  }
+}
+
+export default new RecurringScheduleService();
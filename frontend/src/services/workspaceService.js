@@ -0,0 +1,154 @@
+import axios from '@/utils/axios';
+
+class WorkspaceService {
+  /**
+   * List workspaces the user belongs to
+   * @returns {Promise} Workspaces
+   */
+  async listWorkspaces() {
+    const response = await axios.get('/api/workspaces');
+    return response.data;
+  }
+
+  /**
+   * Create a workspace
+   * @param {string} name - Workspace name
+   * @returns {Promise} Created workspace
+   */
+  async createWorkspace(name) {
+    const response = await axios.post('/api/workspaces', { name });
+    return response.data;
+  }
+
+  /**
+   * Switch the active workspace
+   * @param {string} id - Workspace ID
+   * @returns {Promise} Active workspace
+   */
+  async switchWorkspace(id) {
+    const response = await axios.post(`/api/workspaces/${id}/switch`);
+    return response.data;
+  }
+
+  /**
+   * Get the active workspace and its members
+   * @returns {Promise} Workspace details
+   */
+  async getCurrentWorkspace() {
+    const response = await axios.get('/api/workspaces/current');
+    return response.data;
+  }
+
+  /**
+   * Rename the active workspace
+   * @param {string} name - Workspace name
+   * @returns {Promise} Updated workspace
+   */
+  async updateCurrentWorkspace(name) {
+    const response = await axios.put('/api/workspaces/current', { name });
+    return response.data;
+  }
+
+  /**
+   * Set the workspace default AI provider and model
+   * @param {Object} ai - Provider and model; null values clear the default
+   * @returns {Promise} Updated workspace
+   */
+  async updateAISettings(ai) {
+    const response = await axios.put('/api/workspaces/current', { settings: { ai } });
+    return response.data;
+  }
+
+  /**
+   * Set the workspace content lint rules
+   * @param {Object} lint - Lint settings; null values restore the defaults
+   * @returns {Promise} Updated workspace
+   */
+  async updateLintSettings(lint) {
+    const response = await axios.put('/api/workspaces/current', { settings: { lint } });
+    return response.data;
+  }
+
+  /**
+   * Set the workspace localization settings
+   * @param {Object} localization - Audience locale per channel (`channelLocales`) and product `glossary`
+   * @returns {Promise} Updated workspace
+   */
+  async updateLocalizationSettings(localization) {
+    const response = await axios.put('/api/workspaces/current', { settings: { localization } });
+    return response.data;
+  }
+
+  /**
+   * Set monthly AI token quotas
+   * @param {Object} quotas - monthlyTokens and monthlyTokensPerUser; null values clear a quota
+   * @returns {Promise} Updated workspace
+   */
+  async updateQuotas(quotas) {
+    const response = await axios.put('/api/workspaces/current', { settings: { quotas } });
+    return response.data;
+  }
+
+  /**
+   * Change a member's role
+   * @param {string} userId - Member user ID
+   * @param {string} role - New role
+   * @returns {Promise} Updated member
+   */
+  async updateMemberRole(userId, role) {
+    const response = await axios.put(`/api/workspaces/current/members/${userId}`, { role });
+    return response.data;
+  }
+
+  /**
+   * Remove a member (or leave when removing yourself)
+   * @param {string} userId - Member user ID
+   * @returns {Promise} Remove response
+   */
+  async removeMember(userId) {
+    const response = await axios.delete(`/api/workspaces/current/members/${userId}`);
+    return response.data;
+  }
+
+  /**
+   * List pending invitations
+   * @returns {Promise} Invitations
+   */
+  async listInvitations() {
+    const response = await axios.get('/api/workspaces/current/invitations');
+    return response.data;
+  }
+
+  /**
+   * Invite someone to the active workspace
+   * @param {string} email - Invitee email
+   * @param {string} role - Workspace role
+   * @returns {Promise} Invitation
+   */
+  async inviteMember(email, role = 'member') {
+    const response = await axios.post('/api/workspaces/current/invitations', { email, role });
+    return response.data;
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise} Revoke response
+   */
+  async revokeInvitation(invitationId) {
+    const response = await axios.delete(`/api/workspaces/current/invitations/${invitationId}`);
+    return response.data;
+  }
+
+  /**
+   * Accept an invitation
+   * @param {string} token - Invitation token
+   * @returns {Promise} Joined workspace
+   */
+  async acceptInvitation(token) {
+    const response = await axios.post('/api/workspaces/invitations/accept', { token });
+    return response.data;
+  }
+}
+
+export default new WorkspaceService();
@@ -1,9 +1,18 @@
 import axios from 'axios';
 import { useToast } from '@/store/toastStore';
 
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+// Get token from localStorage
+export const getAuthToken = () => (
+  localStorage.getItem('auth-storage')
+    ? JSON.parse(localStorage.getItem('auth-storage')).state.token
+    : null
+);
+
 // Create axios instance with custom config
 const instance = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3000',
+  baseURL: API_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json'
@@ -13,10 +22,7 @@ const instance = axios.create({
 // Request interceptor
 instance.interceptors.request.use(
   (config) => {
-    // Get token from localStorage
-    const token = localStorage.getItem('auth-storage')
-      ? JSON.parse(localStorage.getItem('auth-storage')).state.token
-      : null;
+    const token = getAuthToken();
 
     // Add token to headers if it exists
     if (token) {